@@ -0,0 +1,72 @@
+'use strict';
+
+/**
+ * Backfill order lines from single-product orders
+ *
+ * Orders used to carry one productId and quantity; they now carry OrderLine rows and
+ * `prisma db push` drops orders.productId. Run this against the old database BEFORE the
+ * push so every existing order keeps its product:
+ *
+ *   node prisma/backfill-order-lines.js
+ *   npx prisma db push --accept-data-loss
+ *
+ * Creates order_lines if it is missing, copies one line per order and tags existing
+ * compartment loads with their order's product. Safe to run more than once; does nothing
+ * once orders.productId is gone.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const hasColumn = async (table, column) => {
+  const rows = await prisma.$queryRaw`
+    SELECT COLUMN_NAME FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ${table} AND COLUMN_NAME = ${column}`;
+  return rows.length > 0;
+};
+
+async function main() {
+  if (!(await hasColumn('orders', 'productId'))) {
+    console.log('orders.productId is already gone; nothing to backfill');
+    return;
+  }
+
+  // Keys and foreign keys are added by the db push that follows
+  await prisma.$executeRaw`
+    CREATE TABLE IF NOT EXISTS order_lines (
+      id INT NOT NULL AUTO_INCREMENT,
+      orderId INT NOT NULL,
+      productId INT NOT NULL,
+      quantity DOUBLE NOT NULL,
+      createdAt DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      PRIMARY KEY (id)
+    )`;
+
+  const lines = await prisma.$executeRaw`
+    INSERT INTO order_lines (orderId, productId, quantity, createdAt)
+    SELECT o.id, o.productId, o.quantity, o.createdAt
+    FROM orders o
+    WHERE NOT EXISTS (SELECT 1 FROM order_lines l WHERE l.orderId = o.id)`;
+  console.log(`Created ${lines} order line(s)`);
+
+  if (await hasColumn('order_compartments', 'orderId')) {
+    if (!(await hasColumn('order_compartments', 'productId'))) {
+      await prisma.$executeRaw`ALTER TABLE order_compartments ADD COLUMN productId INT NULL`;
+    }
+    const loads = await prisma.$executeRaw`
+      UPDATE order_compartments c JOIN orders o ON o.id = c.orderId
+      SET c.productId = o.productId
+      WHERE c.productId IS NULL`;
+    console.log(`Tagged ${loads} compartment load(s) with their product`);
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error('Backfill failed:', error);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
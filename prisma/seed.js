@@ -1,6 +1,7 @@
 'use strict';
 
 const { PrismaClient } = require('@prisma/client');
+const bcrypt = require('bcryptjs');
 
 const prisma = new PrismaClient();
 
@@ -9,12 +10,15 @@ async function main() {
 
   // Clean existing data (in reverse order of dependencies)
   await prisma.gpsLocation.deleteMany();
+  await prisma.locationVisit.deleteMany();
+  await prisma.inventoryTransaction.deleteMany();
   await prisma.orderAttempt.deleteMany();
   await prisma.order.deleteMany();
   await prisma.shift.deleteMany();
   await prisma.vehicleAllocation.deleteMany();
   await prisma.inventory.deleteMany();
   await prisma.vehicle.deleteMany();
+  await prisma.user.deleteMany();
   await prisma.driver.deleteMany();
   await prisma.location.deleteMany();
   await prisma.product.deleteMany();
@@ -42,6 +46,7 @@ async function main() {
         address: '100 Industrial Blvd, Houston, TX 77001',
         latitude: 29.7604,
         longitude: -95.3698,
+        geofenceRadius: 300, // Large yard with loading racks
       },
     }),
     prisma.location.create({
@@ -117,6 +122,24 @@ async function main() {
   console.log(`\n✅ Created ${drivers.length} drivers`);
   drivers.forEach(d => console.log(`   - [${d.id}] ${d.name}`));
 
+  // ============================================================================
+  // USERS (password for every seeded user: "password123")
+  // ============================================================================
+  const passwordHash = await bcrypt.hash('password123', 10);
+  const users = await Promise.all([
+    prisma.user.create({
+      data: { email: 'admin@fuelpanda.com', password: passwordHash, role: 'admin' },
+    }),
+    prisma.user.create({
+      data: { email: 'dispatch@fuelpanda.com', password: passwordHash, role: 'dispatcher' },
+    }),
+    ...drivers.map((d) => prisma.user.create({
+      data: { email: d.email, password: passwordHash, role: 'driver', driverId: d.id },
+    })),
+  ]);
+  console.log(`\n✅ Created ${users.length} users (password: password123)`);
+  users.forEach(u => console.log(`   - [${u.id}] ${u.email} (${u.role})`));
+
   // ============================================================================
   // VEHICLES
   // ============================================================================
@@ -125,7 +148,20 @@ async function main() {
       data: {
         registrationNumber: 'TX-FP-001',
         capacityGallons: 8000,
+        // Three-compartment tanker: diesel front, petrols middle, anything rear
+        compartments: {
+          create: [
+            { position: 1, capacityGallons: 3000, allowedProducts: { connect: [{ id: products[0].id }] } },
+            {
+              position: 2,
+              capacityGallons: 3000,
+              allowedProducts: { connect: [{ id: products[1].id }, { id: products[2].id }] },
+            },
+            { position: 3, capacityGallons: 2000 },
+          ],
+        },
       },
+      include: { compartments: { orderBy: { position: 'asc' } } },
     }),
     prisma.vehicle.create({
       data: {
@@ -155,7 +191,7 @@ async function main() {
   const inventories = await Promise.all([
     // Central Hub inventory
     prisma.inventory.create({
-      data: { locationId: locations[0].id, productId: products[0].id, quantity: 50000 },
+      data: { locationId: locations[0].id, productId: products[0].id, quantity: 50000, reservedQuantity: 5000 },
     }),
     prisma.inventory.create({
       data: { locationId: locations[0].id, productId: products[1].id, quantity: 30000 },
@@ -198,12 +234,28 @@ async function main() {
   // ============================================================================
   const order = await prisma.order.create({
     data: {
+      sourceId: locations[0].id, // Central Hub (5000 gal reserved above)
       destinationId: locations[2].id, // Terminal A
-      productId: products[0].id, // Diesel
       quantity: 5000,
       status: 'assigned',
       assignedDriverId: drivers[0].id,
       assignedDate: today,
+      // Terminal A takes deliveries 06:00-14:00
+      windowStart: new Date(today.getTime() + 6 * 60 * 60 * 1000),
+      windowEnd: new Date(today.getTime() + 14 * 60 * 60 * 1000),
+      statusHistory: {
+        create: { toStatus: 'assigned' },
+      },
+      lines: {
+        create: [{ productId: products[0].id, quantity: 5000 }], // Diesel
+      },
+      // Diesel compartment first, rest in the any-product rear compartment
+      compartmentLoads: {
+        create: [
+          { compartmentId: vehicles[0].compartments[0].id, productId: products[0].id, quantity: 3000 },
+          { compartmentId: vehicles[0].compartments[2].id, productId: products[0].id, quantity: 2000 },
+        ],
+      },
     },
   });
   console.log(`\n✅ Created sample order`);
@@ -215,7 +267,8 @@ async function main() {
   console.log('\n' + '='.repeat(60));
   console.log('🎉 Database seeded successfully!');
   console.log('='.repeat(60));
-  console.log('\nQuick Start:');
+  console.log('\nQuick Start (send the accessToken as "Authorization: Bearer <token>"):');
+  console.log(`  0. Log in:      POST /api/auth/login {"email": "${drivers[0].email}", "password": "password123"}`);
   console.log(`  1. Allocation exists for Driver ${drivers[0].id} (${drivers[0].name}) today`);
   console.log(`  2. Order ${order.id} is assigned to this driver`);
   console.log(`  3. Start shift: POST /api/shifts/start {"driverId": ${drivers[0].id}}`);
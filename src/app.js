@@ -7,9 +7,11 @@ const morgan = require('morgan');
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpec = require('./config/swagger');
 const errorMiddleware = require('./middleware/error.middleware');
+const { authenticate } = require('./middleware/auth.middleware');
 const path = require('path');
 
 // Import routes
+const authRoutes = require('./routes/auth.routes');
 const productRoutes = require('./routes/product.routes');
 const locationRoutes = require('./routes/location.routes');
 const driverRoutes = require('./routes/driver.routes');
@@ -20,6 +22,8 @@ const shiftRoutes = require('./routes/shift.routes');
 const orderRoutes = require('./routes/order.routes');
 const gpsRoutes = require('./routes/gps.routes');
 const fleetRoutes = require('./routes/fleet.routes');
+const meRoutes = require('./routes/me.routes');
+const dispatchRoutes = require('./routes/dispatch.routes');
 
 const app = express();
 
@@ -39,11 +43,13 @@ app.use(cors());
 
 // Request logging (skip in test environment)
 if (process.env.NODE_ENV !== 'test') {
+  // Event streams may carry the access token in the query string; keep it out of the log
+  morgan.token('url', (req) => req.originalUrl.replace(/([?&]access_token=)[^&]*/g, '$1[redacted]'));
   app.use(morgan('dev'));
 }
 
-// Body parsing
-app.use(express.json());
+// Body parsing (limit sized for batched GPS uploads)
+app.use(express.json({ limit: '1mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // --- Documentation Frontend ---
@@ -70,16 +76,21 @@ app.get('/health', (req, res) => {
 });
 
 // API Routes
-app.use('/api/products', productRoutes);
-app.use('/api/locations', locationRoutes);
-app.use('/api/drivers', driverRoutes);
-app.use('/api/vehicles', vehicleRoutes);
-app.use('/api/inventory', inventoryRoutes);
-app.use('/api/allocations', allocationRoutes);
-app.use('/api/shifts', shiftRoutes);
-app.use('/api/orders', orderRoutes);
-app.use('/api/gps', gpsRoutes);
-app.use('/api/fleet', fleetRoutes);
+app.use('/api/auth', authRoutes);
+
+// Everything below requires a valid access token; routes check roles
+app.use('/api/products', authenticate, productRoutes);
+app.use('/api/locations', authenticate, locationRoutes);
+app.use('/api/drivers', authenticate, driverRoutes);
+app.use('/api/vehicles', authenticate, vehicleRoutes);
+app.use('/api/inventory', authenticate, inventoryRoutes);
+app.use('/api/allocations', authenticate, allocationRoutes);
+app.use('/api/shifts', authenticate, shiftRoutes);
+app.use('/api/orders', authenticate, orderRoutes);
+app.use('/api/gps', authenticate, gpsRoutes);
+app.use('/api/fleet', authenticate, fleetRoutes);
+app.use('/api/me', authenticate, meRoutes);
+app.use('/api/dispatch', authenticate, dispatchRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -0,0 +1,20 @@
+'use strict';
+
+/**
+ * Authentication configuration
+ * Secrets MUST be provided via environment variables outside development/test
+ */
+
+const isProduction = process.env.NODE_ENV === 'production';
+
+if (isProduction && (!process.env.JWT_SECRET || !process.env.JWT_REFRESH_SECRET)) {
+  throw new Error('JWT_SECRET and JWT_REFRESH_SECRET must be set in production');
+}
+
+module.exports = {
+  accessTokenSecret: process.env.JWT_SECRET || 'dev-access-secret',
+  refreshTokenSecret: process.env.JWT_REFRESH_SECRET || 'dev-refresh-secret',
+  accessTokenExpiresIn: process.env.JWT_EXPIRES_IN || '15m',
+  refreshTokenExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
+  bcryptRounds: 10,
+};
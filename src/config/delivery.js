@@ -0,0 +1,61 @@
+'use strict';
+
+/**
+ * Delivery configuration
+ * Proof-of-delivery compares the vehicle's latest GPS position with the destination at completion:
+ * - off:    record position and distance only
+ * - flag:   complete, but flag the attempt when beyond the distance
+ * - reject: refuse to complete beyond the distance (or with no GPS this shift)
+ *
+ * Retrying a failed order:
+ * - requeue:  back to pending, unassigned, for dispatch to pick up again
+ * - next_day: reassigned to the same driver for the following day
+ * With ORDER_AUTO_RETRY=true the policy is applied as soon as an order fails.
+ * Orders are not retried once they reach ORDER_MAX_ATTEMPTS attempts.
+ *
+ * SLA: a pending order is overdue once it has waited longer than its priority allows
+ * (SLA_<PRIORITY>_MINUTES).
+ *
+ * Route deviation: a vehicle is off its route beyond ROUTE_DEVIATION_METERS from the
+ * straight line between any two stops.
+ *
+ * Replenishment: with INVENTORY_AUTO_REPLENISH=true a low-stock alert also creates the
+ * suggested reorder as a pending order to the location.
+ *
+ * Forecast: consumption is averaged over the last FORECAST_LOOKBACK_DAYS of the inventory
+ * ledger; with no target level or capacity to refill to, the recommended delivery covers
+ * FORECAST_COVER_DAYS of consumption.
+ */
+
+const PROOF_OF_DELIVERY_POLICIES = ['off', 'flag', 'reject'];
+const RETRY_POLICIES = ['requeue', 'next_day'];
+
+const proofOfDeliveryPolicy = process.env.POD_POLICY || 'off';
+const retryPolicy = process.env.ORDER_RETRY_POLICY || 'requeue';
+
+if (!PROOF_OF_DELIVERY_POLICIES.includes(proofOfDeliveryPolicy)) {
+  throw new Error(`POD_POLICY must be one of: ${PROOF_OF_DELIVERY_POLICIES.join(', ')}`);
+}
+
+if (!RETRY_POLICIES.includes(retryPolicy)) {
+  throw new Error(`ORDER_RETRY_POLICY must be one of: ${RETRY_POLICIES.join(', ')}`);
+}
+
+module.exports = {
+  RETRY_POLICIES,
+  proofOfDeliveryPolicy,
+  proofOfDeliveryMaxDistanceMeters: parseInt(process.env.POD_MAX_DISTANCE_METERS, 10) || 500,
+  retryPolicy,
+  autoRetry: process.env.ORDER_AUTO_RETRY === 'true',
+  maxAttempts: parseInt(process.env.ORDER_MAX_ATTEMPTS, 10) || 3,
+  autoReplenish: process.env.INVENTORY_AUTO_REPLENISH === 'true',
+  forecastLookbackDays: parseInt(process.env.FORECAST_LOOKBACK_DAYS, 10) || 30,
+  forecastCoverDays: parseInt(process.env.FORECAST_COVER_DAYS, 10) || 14,
+  routeDeviationMeters: parseInt(process.env.ROUTE_DEVIATION_METERS, 10) || 1000,
+  slaMinutes: {
+    emergency: parseInt(process.env.SLA_EMERGENCY_MINUTES, 10) || 60,
+    high: parseInt(process.env.SLA_HIGH_MINUTES, 10) || 240,
+    normal: parseInt(process.env.SLA_NORMAL_MINUTES, 10) || 1440,
+    low: parseInt(process.env.SLA_LOW_MINUTES, 10) || 4320,
+  },
+};
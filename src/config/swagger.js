@@ -20,7 +20,19 @@ const options = {
         description: 'API Server',
       },
     ],
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+        },
+      },
+    },
+    // All endpoints require a token unless they override `security`
+    security: [{ bearerAuth: [] }],
     tags: [
+      { name: 'Auth', description: 'Login, token refresh and user management' },
       { name: 'Products', description: 'Fuel products (Diesel, Petrol, etc.)' },
       { name: 'Locations', description: 'Hubs and terminals' },
       { name: 'Drivers', description: 'Driver management' },
@@ -29,8 +41,10 @@ const options = {
       { name: 'Allocations', description: 'Vehicle-to-driver assignments' },
       { name: 'Shifts', description: 'Driver shift management' },
       { name: 'Orders', description: 'Delivery orders' },
+      { name: 'Dispatch', description: 'Planning pending orders onto allocated vehicles' },
       { name: 'GPS', description: 'Vehicle location tracking' },
       { name: 'Fleet', description: 'Real-time fleet status' },
+      { name: 'Me', description: 'Driver self-service (driver from the access token)' },
     ],
   },
   apis: ['./src/routes/*.js'],
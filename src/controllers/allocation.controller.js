@@ -57,6 +57,15 @@ const getAvailableVehicles = async (req, res, next) => {
   }
 };
 
+const getLoad = async (req, res, next) => {
+  try {
+    const load = await allocationService.getLoad(req.params.id);
+    success(res, load);
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getAll,
   getById,
@@ -64,4 +73,5 @@ module.exports = {
   update,
   remove,
   getAvailableVehicles,
+  getLoad,
 };
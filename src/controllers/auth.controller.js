@@ -0,0 +1,37 @@
+'use strict';
+
+const authService = require('../services/auth.service');
+const { success, created } = require('../utils/response');
+
+const login = async (req, res, next) => {
+  try {
+    const result = await authService.login(req.body);
+    success(res, result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const refresh = async (req, res, next) => {
+  try {
+    const tokens = await authService.refresh(req.body);
+    success(res, tokens);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const register = async (req, res, next) => {
+  try {
+    const user = await authService.register(req.body);
+    created(res, user);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  login,
+  refresh,
+  register,
+};
@@ -0,0 +1,17 @@
+'use strict';
+
+const dispatchService = require('../services/dispatch.service');
+const { success } = require('../utils/response');
+
+const plan = async (req, res, next) => {
+  try {
+    const result = await dispatchService.plan(req.query.date, req.body ?? {}, req.user);
+    success(res, result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  plan,
+};
@@ -1,6 +1,8 @@
 'use strict';
 
 const driverService = require('../services/driver.service');
+const tripService = require('../services/trip.service');
+const routeService = require('../services/route.service');
 const { success, created, noContent } = require('../utils/response');
 
 const getAll = async (req, res, next) => {
@@ -66,6 +68,33 @@ const getOrders = async (req, res, next) => {
   }
 };
 
+const getTripSummary = async (req, res, next) => {
+  try {
+    const summary = await tripService.getDriverSummary(req.params.id, req.query);
+    success(res, summary);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getRoute = async (req, res, next) => {
+  try {
+    const route = await routeService.getRoute(req.params.id, req.query.date);
+    success(res, route);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const sequenceRoute = async (req, res, next) => {
+  try {
+    const route = await routeService.sequenceRoute(req.params.id, req.query.date);
+    success(res, route);
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getAll,
   getById,
@@ -74,4 +103,7 @@ module.exports = {
   remove,
   getShifts,
   getOrders,
+  getTripSummary,
+  getRoute,
+  sequenceRoute,
 };
@@ -21,7 +21,43 @@ const getSummary = async (req, res, next) => {
   }
 };
 
+const HEARTBEAT_INTERVAL_MS = 25000;
+// Longest delay setTimeout accepts; a longer token lifetime just closes the stream sooner
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+/**
+ * Server-Sent Events stream of fleet activity
+ * Holds the connection open until the client disconnects or the access token expires;
+ * the client reconnects with a fresh token
+ */
+const stream = (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const unsubscribe = fleetService.subscribe(req.query, (event) => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  });
+
+  // Comment lines keep idle connections from being closed by proxies
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+  // A token checked once at connect must not keep authorising the stream after it expires
+  const expiry = setTimeout(() => res.end(), Math.min(req.tokenExpiresAt - Date.now(), MAX_TIMER_MS));
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    unsubscribe();
+  });
+};
+
 module.exports = {
   getStatus,
   getSummary,
+  stream,
 };
@@ -1,17 +1,28 @@
 'use strict';
 
 const gpsService = require('../services/gps.service');
+const trackService = require('../services/track.service');
+const { TRACK_FORMATS } = require('../utils/track-formats');
 const { success, created } = require('../utils/response');
 
 const create = async (req, res, next) => {
   try {
-    const gpsLocation = await gpsService.create(req.body);
+    const gpsLocation = await gpsService.create(req.body, req.user);
     created(res, gpsLocation);
   } catch (error) {
     next(error);
   }
 };
 
+const createBatch = async (req, res, next) => {
+  try {
+    const result = await gpsService.createBatch(req.body, req.user);
+    success(res, result);
+  } catch (error) {
+    next(error);
+  }
+};
+
 const getByVehicle = async (req, res, next) => {
   try {
     const locations = await gpsService.getByVehicle(req.params.vehicleId, req.query);
@@ -30,8 +41,59 @@ const getByDriver = async (req, res, next) => {
   }
 };
 
+/**
+ * Stream a track export as a file download
+ * Waits for the socket to drain between pages so slow clients don't buffer the whole track
+ */
+const sendTrack = async (res, track, format = 'geojson') => {
+  const { contentType, extension } = TRACK_FORMATS[format];
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${track.filename}.${extension}"`,
+  });
+
+  const write = (chunk) =>
+    new Promise((resolve, reject) => {
+      if (res.destroyed) return reject(new Error('Client disconnected'));
+      if (res.write(chunk)) return resolve();
+      const onClose = () => reject(new Error('Client disconnected'));
+      res.once('close', onClose);
+      res.once('drain', () => {
+        res.off('close', onClose);
+        resolve();
+      });
+    });
+
+  await trackService.exportTrack(track, format, write);
+  res.end();
+};
+
+const exportVehicleTrack = async (req, res, next) => {
+  try {
+    const track = await trackService.getVehicleTrack(req.params.vehicleId, req.query);
+    await sendTrack(res, track, req.query.format);
+  } catch (error) {
+    // Mid-stream the status is already sent; abort so the client sees a truncated download
+    if (res.headersSent) return res.destroy();
+    next(error);
+  }
+};
+
+const exportShiftTrack = async (req, res, next) => {
+  try {
+    const track = await trackService.getShiftTrack(req.params.shiftId);
+    await sendTrack(res, track, req.query.format);
+  } catch (error) {
+    if (res.headersSent) return res.destroy();
+    next(error);
+  }
+};
+
 module.exports = {
   create,
+  createBatch,
   getByVehicle,
   getByDriver,
+  exportVehicleTrack,
+  exportShiftTrack,
 };
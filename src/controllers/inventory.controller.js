@@ -52,10 +52,50 @@ const adjust = async (req, res, next) => {
   }
 };
 
+const setLevels = async (req, res, next) => {
+  try {
+    const inventory = await inventoryService.setLevels(req.params.id, req.body);
+    success(res, inventory);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getAlerts = async (req, res, next) => {
+  try {
+    const alerts = await inventoryService.getAlerts(req.query);
+    success(res, alerts);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getHistory = async (req, res, next) => {
+  try {
+    const history = await inventoryService.getHistory(req.params.id, req.query);
+    success(res, history);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getLocationHistory = async (req, res, next) => {
+  try {
+    const history = await inventoryService.getLocationHistory(req.params.locationId, req.query);
+    success(res, history);
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getAll,
   getById,
   getByLocation,
   upsert,
   adjust,
+  setLevels,
+  getAlerts,
+  getHistory,
+  getLocationHistory,
 };
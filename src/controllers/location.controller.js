@@ -1,6 +1,8 @@
 'use strict';
 
 const locationService = require('../services/location.service');
+const visitService = require('../services/visit.service');
+const forecastService = require('../services/forecast.service');
 const { success, created, noContent } = require('../utils/response');
 
 const getAll = async (req, res, next) => {
@@ -48,10 +50,40 @@ const remove = async (req, res, next) => {
   }
 };
 
+const getVisits = async (req, res, next) => {
+  try {
+    const visits = await visitService.getByLocation(req.params.id, req.query);
+    success(res, visits);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getForecasts = async (req, res, next) => {
+  try {
+    const forecasts = await forecastService.getAll(req.query);
+    success(res, forecasts);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getForecast = async (req, res, next) => {
+  try {
+    const forecast = await forecastService.getByLocation(req.params.id, req.query);
+    success(res, forecast);
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getAll,
   getById,
   create,
   update,
   remove,
+  getVisits,
+  getForecasts,
+  getForecast,
 };
@@ -0,0 +1,63 @@
+'use strict';
+
+const driverService = require('../services/driver.service');
+const shiftService = require('../services/shift.service');
+const { success } = require('../utils/response');
+
+/**
+ * Me Controller
+ * Driver self-service endpoints; the driver comes from the access token
+ */
+
+const getProfile = async (req, res, next) => {
+  try {
+    const driver = await driverService.getById(req.user.driverId);
+    success(res, driver);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getOrders = async (req, res, next) => {
+  try {
+    const orders = await driverService.getOrders(req.user.driverId, req.query.status);
+    success(res, orders);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getShifts = async (req, res, next) => {
+  try {
+    const shifts = await driverService.getShifts(req.user.driverId, req.query.status);
+    success(res, shifts);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const startShift = async (req, res, next) => {
+  try {
+    const shift = await shiftService.start({ driverId: req.user.driverId });
+    success(res, shift);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const endShift = async (req, res, next) => {
+  try {
+    const shift = await shiftService.endActiveForDriver(req.user.driverId);
+    success(res, shift);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getProfile,
+  getOrders,
+  getShifts,
+  startShift,
+  endShift,
+};
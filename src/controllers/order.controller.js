@@ -12,18 +12,36 @@ const getAll = async (req, res, next) => {
   }
 };
 
+const getOverdue = async (req, res, next) => {
+  try {
+    const orders = await orderService.getOverdue();
+    success(res, orders);
+  } catch (error) {
+    next(error);
+  }
+};
+
 const getById = async (req, res, next) => {
   try {
-    const order = await orderService.getById(req.params.id);
+    const order = await orderService.getById(req.params.id, req.user);
     success(res, order);
   } catch (error) {
     next(error);
   }
 };
 
+const getHistory = async (req, res, next) => {
+  try {
+    const history = await orderService.getHistory(req.params.id);
+    success(res, history);
+  } catch (error) {
+    next(error);
+  }
+};
+
 const create = async (req, res, next) => {
   try {
-    const order = await orderService.create(req.body);
+    const order = await orderService.create(req.body, req.user);
     created(res, order);
   } catch (error) {
     next(error);
@@ -50,7 +68,7 @@ const remove = async (req, res, next) => {
 
 const assign = async (req, res, next) => {
   try {
-    const order = await orderService.assign(req.params.id, req.body);
+    const order = await orderService.assign(req.params.id, req.body, req.user);
     success(res, order);
   } catch (error) {
     next(error);
@@ -59,7 +77,7 @@ const assign = async (req, res, next) => {
 
 const startOrder = async (req, res, next) => {
   try {
-    const order = await orderService.startOrder(req.params.id, req.body.driverId);
+    const order = await orderService.startOrder(req.params.id, req.driverId, req.user);
     success(res, order);
   } catch (error) {
     next(error);
@@ -68,7 +86,14 @@ const startOrder = async (req, res, next) => {
 
 const completeOrder = async (req, res, next) => {
   try {
-    const order = await orderService.completeOrder(req.params.id, req.body.driverId);
+    // Drivers completing a full delivery may send no body at all
+    const { deliveredQuantity, lines, remainder } = req.body ?? {};
+    const order = await orderService.completeOrder(
+      req.params.id,
+      req.driverId,
+      { deliveredQuantity, lines, remainder },
+      req.user
+    );
     success(res, order);
   } catch (error) {
     next(error);
@@ -79,8 +104,9 @@ const failOrder = async (req, res, next) => {
   try {
     const order = await orderService.failOrder(
       req.params.id,
-      req.body.driverId,
-      req.body.reason
+      req.driverId,
+      req.body.reason,
+      req.user
     );
     success(res, order);
   } catch (error) {
@@ -88,9 +114,29 @@ const failOrder = async (req, res, next) => {
   }
 };
 
+const retry = async (req, res, next) => {
+  try {
+    const order = await orderService.retry(req.params.id, req.body ?? {}, req.user);
+    success(res, order);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const cancel = async (req, res, next) => {
+  try {
+    const order = await orderService.cancel(req.params.id, req.body, req.user);
+    success(res, order);
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getAll,
+  getOverdue,
   getById,
+  getHistory,
   create,
   update,
   remove,
@@ -98,4 +144,6 @@ module.exports = {
   startOrder,
   completeOrder,
   failOrder,
+  retry,
+  cancel,
 };
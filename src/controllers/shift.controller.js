@@ -1,6 +1,9 @@
 'use strict';
 
 const shiftService = require('../services/shift.service');
+const tripService = require('../services/trip.service');
+const visitService = require('../services/visit.service');
+const deviationService = require('../services/deviation.service');
 const { success, created } = require('../utils/response');
 
 const getAll = async (req, res, next) => {
@@ -14,7 +17,7 @@ const getAll = async (req, res, next) => {
 
 const getById = async (req, res, next) => {
   try {
-    const shift = await shiftService.getById(req.params.id);
+    const shift = await shiftService.getById(req.params.id, req.user);
     success(res, shift);
   } catch (error) {
     next(error);
@@ -23,7 +26,7 @@ const getById = async (req, res, next) => {
 
 const schedule = async (req, res, next) => {
   try {
-    const shift = await shiftService.schedule(req.body);
+    const shift = await shiftService.schedule({ ...req.body, driverId: req.driverId });
     created(res, shift);
   } catch (error) {
     next(error);
@@ -32,7 +35,7 @@ const schedule = async (req, res, next) => {
 
 const start = async (req, res, next) => {
   try {
-    const shift = await shiftService.start(req.body);
+    const shift = await shiftService.start({ driverId: req.driverId });
     success(res, shift);
   } catch (error) {
     next(error);
@@ -41,7 +44,7 @@ const start = async (req, res, next) => {
 
 const end = async (req, res, next) => {
   try {
-    const shift = await shiftService.end(req.params.id, req.body.driverId);
+    const shift = await shiftService.end(req.params.id, req.driverId);
     success(res, shift);
   } catch (error) {
     next(error);
@@ -57,6 +60,33 @@ const getByDriver = async (req, res, next) => {
   }
 };
 
+const getVisits = async (req, res, next) => {
+  try {
+    const visits = await visitService.getByShift(req.params.id);
+    success(res, visits);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getDeviations = async (req, res, next) => {
+  try {
+    const deviations = await deviationService.getByShift(req.params.id);
+    success(res, deviations);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getTripSummary = async (req, res, next) => {
+  try {
+    const summary = await tripService.getShiftSummary(req.params.id);
+    success(res, summary);
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getAll,
   getById,
@@ -64,4 +94,7 @@ module.exports = {
   start,
   end,
   getByDriver,
+  getVisits,
+  getDeviations,
+  getTripSummary,
 };
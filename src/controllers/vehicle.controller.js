@@ -1,6 +1,7 @@
 'use strict';
 
 const vehicleService = require('../services/vehicle.service');
+const tripService = require('../services/trip.service');
 const { success, created, noContent } = require('../utils/response');
 
 const getAll = async (req, res, next) => {
@@ -48,10 +49,20 @@ const remove = async (req, res, next) => {
   }
 };
 
+const getTripSummary = async (req, res, next) => {
+  try {
+    const summary = await tripService.getVehicleSummary(req.params.id, req.query);
+    success(res, summary);
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getAll,
   getById,
   create,
   update,
   remove,
+  getTripSummary,
 };
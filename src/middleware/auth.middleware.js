@@ -0,0 +1,85 @@
+'use strict';
+
+const authService = require('../services/auth.service');
+const { UnauthorizedError, ForbiddenError, BadRequestError } = require('../utils/errors');
+
+/**
+ * Authentication Middleware
+ * Verifies the Bearer access token and attaches the caller to req.user
+ * and the token's expiry (ms) to req.tokenExpiresAt, for connections held open past it
+ */
+const authenticate = (req, res, next) => {
+  const header = req.headers.authorization || '';
+  let [scheme, token] = header.split(' ');
+
+  // Browsers' EventSource cannot set headers; event streams may pass ?access_token=
+  if (!header && req.headers.accept === 'text/event-stream' && req.query.access_token) {
+    [scheme, token] = ['Bearer', req.query.access_token];
+  }
+
+  if (scheme !== 'Bearer' || !token) {
+    throw new UnauthorizedError('Missing Bearer token');
+  }
+
+  const claims = authService.verifyAccessToken(token);
+  req.user = {
+    id: claims.sub,
+    role: claims.role,
+    driverId: claims.driverId,
+  };
+  req.tokenExpiresAt = claims.exp * 1000;
+  next();
+};
+
+/**
+ * Role Authorization Middleware Factory
+ * Must run after authenticate
+ *
+ * @param {...string} roles - Roles allowed to access the route
+ */
+const authorize = (...roles) => {
+  return (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      throw new ForbiddenError(`Role '${req.user.role}' cannot access this resource`);
+    }
+    next();
+  };
+};
+
+/**
+ * Resolve which driver a driver-facing action is performed as
+ * Drivers always act as themselves; admins name the driver in the body
+ * Sets req.driverId for the controller
+ */
+const resolveDriver = (req, res, next) => {
+  const requestedDriverId = req.body?.driverId;
+
+  if (req.user.role === 'driver') {
+    if (requestedDriverId && requestedDriverId !== req.user.driverId) {
+      throw new ForbiddenError('Drivers can only act on their own orders and shifts');
+    }
+    req.driverId = req.user.driverId;
+  } else if (requestedDriverId) {
+    req.driverId = requestedDriverId;
+  } else {
+    throw new BadRequestError('driverId is required when acting on behalf of a driver');
+  }
+  next();
+};
+
+/**
+ * Restrict drivers to their own driver-scoped resources
+ * Other roles may read any driver's data
+ *
+ * @param {string} paramName - Route parameter holding the driver ID
+ */
+const restrictToOwnDriver = (paramName = 'driverId') => {
+  return (req, res, next) => {
+    if (req.user.role === 'driver' && req.params[paramName] !== req.user.driverId) {
+      throw new ForbiddenError('Drivers can only access their own data');
+    }
+    next();
+  };
+};
+
+module.exports = { authenticate, authorize, resolveDriver, restrictToOwnDriver };
@@ -4,6 +4,7 @@ const express = require('express');
 const allocationController = require('../controllers/allocation.controller');
 const validate = require('../middleware/validate.middleware');
 const { parseId } = require('../middleware/parseId.middleware');
+const { authorize } = require('../middleware/auth.middleware');
 const allocationValidator = require('../validators/allocation.validator');
 
 const router = express.Router();
@@ -126,6 +127,98 @@ router.get(
  */
 router.get('/:id', parseId(), allocationController.getById);
 
+/**
+ * @swagger
+ * /api/allocations/{id}/load:
+ *   get:
+ *     summary: Get planned vs. available capacity for an allocation
+ *     description: |
+ *       Sums the assigned and in-progress orders of the allocated driver for the
+ *       allocation date against the vehicle's capacity. Capacity figures are null
+ *       when the vehicle has no capacity on record.
+ *     tags: [Allocations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Allocation load
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     allocationId:
+ *                       type: integer
+ *                     allocationDate:
+ *                       type: string
+ *                       format: date
+ *                     vehicle:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: integer
+ *                         registrationNumber:
+ *                           type: string
+ *                     driver:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: integer
+ *                         name:
+ *                           type: string
+ *                     capacityGallons:
+ *                       type: integer
+ *                       nullable: true
+ *                       example: 5000
+ *                     plannedGallons:
+ *                       type: number
+ *                       example: 4200
+ *                     availableGallons:
+ *                       type: number
+ *                       nullable: true
+ *                       example: 800
+ *                     utilizationPercent:
+ *                       type: integer
+ *                       nullable: true
+ *                       example: 84
+ *                     overCapacity:
+ *                       type: boolean
+ *                     orders:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: integer
+ *                           status:
+ *                             type: string
+ *                           destination:
+ *                             type: string
+ *                           lines:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 product:
+ *                                   type: string
+ *                                 quantity:
+ *                                   type: number
+ *                           quantity:
+ *                             type: number
+ *       404:
+ *         description: Allocation not found
+ */
+router.get('/:id/load', authorize('admin', 'dispatcher'), parseId(), allocationController.getLoad);
+
 /**
  * @swagger
  * /api/allocations:
@@ -168,7 +261,7 @@ router.get('/:id', parseId(), allocationController.getById);
  *       409:
  *         description: Vehicle already allocated for this date
  */
-router.post('/', validate(allocationValidator.create), allocationController.create);
+router.post('/', authorize('admin', 'dispatcher'), validate(allocationValidator.create), allocationController.create);
 
 /**
  * @swagger
@@ -205,7 +298,7 @@ router.post('/', validate(allocationValidator.create), allocationController.crea
  *       409:
  *         description: Active shift exists or vehicle already allocated
  */
-router.put('/:id', parseId(), validate(allocationValidator.update), allocationController.update);
+router.put('/:id', authorize('admin', 'dispatcher'), parseId(), validate(allocationValidator.update), allocationController.update);
 
 /**
  * @swagger
@@ -228,6 +321,6 @@ router.put('/:id', parseId(), validate(allocationValidator.update), allocationCo
  *       409:
  *         description: Allocation has associated shifts
  */
-router.delete('/:id', parseId(), allocationController.remove);
+router.delete('/:id', authorize('admin', 'dispatcher'), parseId(), allocationController.remove);
 
 module.exports = router;
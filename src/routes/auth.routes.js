@@ -0,0 +1,170 @@
+'use strict';
+
+const express = require('express');
+const authController = require('../controllers/auth.controller');
+const validate = require('../middleware/validate.middleware');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+const authValidator = require('../validators/auth.validator');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     User:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         email:
+ *           type: string
+ *           example: dispatch@fuelpanda.com
+ *         role:
+ *           type: string
+ *           enum: [admin, dispatcher, driver]
+ *           example: dispatcher
+ *         driverId:
+ *           type: integer
+ *           nullable: true
+ *           description: Linked driver (driver users only)
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     AuthTokens:
+ *       type: object
+ *       properties:
+ *         accessToken:
+ *           type: string
+ *           description: "Short-lived JWT, send as `Authorization: Bearer <token>`"
+ *         refreshToken:
+ *           type: string
+ *           description: Long-lived JWT for POST /api/auth/refresh
+ */
+
+/**
+ * @swagger
+ * /api/auth/login:
+ *   post:
+ *     summary: Log in with email and password
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: admin@fuelpanda.com
+ *               password:
+ *                 type: string
+ *                 example: admin123
+ *     responses:
+ *       200:
+ *         description: Logged in - returns the user and a token pair
+ *       401:
+ *         description: Invalid email or password
+ */
+router.post('/login', validate(authValidator.login), authController.login);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new token pair
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token pair
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/AuthTokens'
+ *       401:
+ *         description: Invalid or expired refresh token
+ */
+router.post('/refresh', validate(authValidator.refresh), authController.refresh);
+
+/**
+ * @swagger
+ * /api/auth/register:
+ *   post:
+ *     summary: Create a user (admin only)
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *               role:
+ *                 type: string
+ *                 enum: [admin, dispatcher, driver]
+ *               driverId:
+ *                 type: integer
+ *                 description: Required for driver users
+ *     responses:
+ *       201:
+ *         description: User created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Validation error or invalid driver link
+ *       403:
+ *         description: Caller is not an admin
+ *       409:
+ *         description: Email or driver already has a user
+ */
+router.post(
+  '/register',
+  authenticate,
+  authorize('admin'),
+  validate(authValidator.register),
+  authController.register
+);
+
+module.exports = router;
@@ -0,0 +1,135 @@
+'use strict';
+
+const express = require('express');
+const dispatchController = require('../controllers/dispatch.controller');
+const validate = require('../middleware/validate.middleware');
+const { authorize } = require('../middleware/auth.middleware');
+const dispatchValidator = require('../validators/dispatch.validator');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/dispatch/plan:
+ *   post:
+ *     summary: Plan a day's pending orders onto the allocated vehicles
+ *     description: |
+ *       Proposes an assignment for every pending order that can go out on the date
+ *       (no delivery window, or one that has opened by then) to the drivers with a
+ *       vehicle allocated that day.
+ *
+ *       Orders are taken most urgent first, then oldest. Each goes to the vehicle with
+ *       room for it (capacity and compartments, counting orders already assigned) whose
+ *       last planned stop is nearest its destination; a vehicle with no stops yet is
+ *       measured from the order's source hub. Orders no vehicle has room for are listed
+ *       as unassigned.
+ *
+ *       Returns a preview unless `commit` is true. Committing assigns every order in the
+ *       plan in one transaction, reserving hub stock as a manual assignment does; if any
+ *       order is no longer pending or a hub is short of stock, nothing is assigned.
+ *       Send `assignments` to commit (or check) a plan of your own, e.g. an edited preview.
+ *     tags: [Dispatch]
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: 2026-01-25
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               commit:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Assign the plan instead of previewing it
+ *               assignments:
+ *                 type: array
+ *                 description: Plan to use instead of the proposal; each order must fit its driver's vehicle
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - orderId
+ *                     - driverId
+ *                   properties:
+ *                     orderId:
+ *                       type: integer
+ *                     driverId:
+ *                       type: integer
+ *     responses:
+ *       200:
+ *         description: Dispatch plan
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 date:
+ *                   type: string
+ *                   format: date
+ *                 committed:
+ *                   type: boolean
+ *                 assignments:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       orderId:
+ *                         type: integer
+ *                       priority:
+ *                         type: string
+ *                       quantity:
+ *                         type: number
+ *                       destination:
+ *                         type: object
+ *                       driverId:
+ *                         type: integer
+ *                       vehicleId:
+ *                         type: integer
+ *                       distanceMeters:
+ *                         type: integer
+ *                         nullable: true
+ *                         description: From the vehicle's previous stop (or the order's hub); null without coordinates
+ *                 vehicles:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       allocationId:
+ *                         type: integer
+ *                       vehicle:
+ *                         type: object
+ *                       driver:
+ *                         type: object
+ *                       capacityGallons:
+ *                         type: integer
+ *                         nullable: true
+ *                       plannedGallons:
+ *                         type: number
+ *                         description: Orders already assigned for the day plus this plan
+ *                       orderIds:
+ *                         type: array
+ *                         description: Orders this plan adds, in planned order
+ *                         items:
+ *                           type: integer
+ *                 unassigned:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       orderId:
+ *                         type: integer
+ *                       reason:
+ *                         type: string
+ *       400:
+ *         description: Missing date, or a requested driver has no vehicle allocated for the day
+ *       409:
+ *         description: A requested order does not fit or is not pending, or a hub is short of stock on commit
+ */
+router.post('/plan', authorize('admin', 'dispatcher'), validate(dispatchValidator.plan), dispatchController.plan);
+
+module.exports = router;
@@ -4,6 +4,7 @@ const express = require('express');
 const driverController = require('../controllers/driver.controller');
 const validate = require('../middleware/validate.middleware');
 const { parseId } = require('../middleware/parseId.middleware');
+const { authorize, restrictToOwnDriver } = require('../middleware/auth.middleware');
 const driverValidator = require('../validators/driver.validator');
 
 const router = express.Router();
@@ -147,8 +148,15 @@ router.get('/:id', parseId(), driverController.getById);
  *                               type: integer
  *                             destination:
  *                               type: object
- *                             product:
- *                               type: object
+ *                             lines:
+ *                               type: array
+ *                               items:
+ *                                 type: object
+ *                                 properties:
+ *                                   product:
+ *                                     type: object
+ *                                   quantity:
+ *                                     type: number
  *                             quantity:
  *                               type: number
  *                             status:
@@ -158,7 +166,7 @@ router.get('/:id', parseId(), driverController.getById);
  *       404:
  *         description: Driver not found
  */
-router.get('/:id/shifts', parseId(), driverController.getShifts);
+router.get('/:id/shifts', parseId(), restrictToOwnDriver('id'), driverController.getShifts);
 
 /**
  * @swagger
@@ -176,14 +184,162 @@ router.get('/:id/shifts', parseId(), driverController.getShifts);
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, assigned, in_progress, completed, failed]
+ *           enum: [pending, assigned, in_progress, completed, failed, cancelled]
  *     responses:
  *       200:
  *         description: List of orders
  *       404:
  *         description: Driver not found
  */
-router.get('/:id/orders', parseId(), driverController.getOrders);
+router.get('/:id/orders', parseId(), restrictToOwnDriver('id'), driverController.getOrders);
+
+/**
+ * @swagger
+ * /api/drivers/{id}/trip-summary:
+ *   get:
+ *     summary: Get trip totals for a driver over a date range
+ *     tags: [Drivers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First shift date
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last shift date
+ *     responses:
+ *       200:
+ *         description: Trip totals
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/TripTotals'
+ *       404:
+ *         description: Driver not found
+ */
+router.get('/:id/trip-summary', parseId(), restrictToOwnDriver('id'), validate(driverValidator.getTripSummary), driverController.getTripSummary);
+
+/**
+ * @swagger
+ * /api/drivers/{id}/route:
+ *   get:
+ *     summary: Get a driver's stop sequence for a day
+ *     description: |
+ *       The day's stops in their stored sequence from the hub most of the day's orders
+ *       load from. Read-only: orders assigned since the route was last sequenced are
+ *       listed last with no place (sequenced is false) until POST sequences it again.
+ *       Cancelled orders drop out.
+ *     tags: [Drivers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Route
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 driverId:
+ *                   type: integer
+ *                 date:
+ *                   type: string
+ *                   format: date
+ *                 sequenced:
+ *                   type: boolean
+ *                   description: False when an order has no place in the sequence yet
+ *                 start:
+ *                   type: object
+ *                   nullable: true
+ *                   description: Starting hub; null when no order has a source hub
+ *                 totalDistanceMeters:
+ *                   type: integer
+ *                   description: Sum of the known legs
+ *                 stops:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       sequence:
+ *                         type: integer
+ *                         nullable: true
+ *                         description: Place in the route; null until the route is sequenced
+ *                       orderId:
+ *                         type: integer
+ *                       status:
+ *                         type: string
+ *                       quantity:
+ *                         type: number
+ *                       destination:
+ *                         $ref: '#/components/schemas/Location'
+ *                       legMeters:
+ *                         type: integer
+ *                         nullable: true
+ *                         description: Estimated distance from the previous stop (or the hub); null without coordinates
+ *                       cumulativeMeters:
+ *                         type: integer
+ *       404:
+ *         description: Driver not found
+ */
+router.get('/:id/route', parseId(), restrictToOwnDriver('id'), validate(driverValidator.getRoute), driverController.getRoute);
+
+/**
+ * @swagger
+ * /api/drivers/{id}/route:
+ *   post:
+ *     summary: Sequence a driver's stops for a day
+ *     description: |
+ *       Orders the day's destinations into a short route from the hub most of the
+ *       day's orders load from (nearest neighbour, improved with 2-opt; straight-line
+ *       distances) and stores the sequence on the orders. Stops under way or done keep
+ *       their place at the front; only the stops not yet started are reordered.
+ *     tags: [Drivers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Route as stored, in the same shape as GET
+ *       404:
+ *         description: Driver not found
+ */
+router.post('/:id/route', parseId(), restrictToOwnDriver('id'), validate(driverValidator.sequenceRoute), driverController.sequenceRoute);
 
 /**
  * @swagger
@@ -220,7 +376,7 @@ router.get('/:id/orders', parseId(), driverController.getOrders);
  *       409:
  *         description: Email already exists
  */
-router.post('/', validate(driverValidator.create), driverController.create);
+router.post('/', authorize('admin'), validate(driverValidator.create), driverController.create);
 
 /**
  * @swagger
@@ -255,7 +411,7 @@ router.post('/', validate(driverValidator.create), driverController.create);
  *       404:
  *         description: Driver not found
  */
-router.put('/:id', parseId(), validate(driverValidator.update), driverController.update);
+router.put('/:id', authorize('admin'), parseId(), validate(driverValidator.update), driverController.update);
 
 /**
  * @swagger
@@ -277,6 +433,6 @@ router.put('/:id', parseId(), validate(driverValidator.update), driverController
  *       409:
  *         description: Driver has allocations or orders
  */
-router.delete('/:id', parseId(), driverController.remove);
+router.delete('/:id', authorize('admin'), parseId(), driverController.remove);
 
 module.exports = router;
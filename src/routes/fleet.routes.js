@@ -2,6 +2,9 @@
 
 const express = require('express');
 const fleetController = require('../controllers/fleet.controller');
+const validate = require('../middleware/validate.middleware');
+const { authorize } = require('../middleware/auth.middleware');
+const fleetValidator = require('../validators/fleet.validator');
 
 const router = express.Router();
 
@@ -43,6 +46,11 @@ const router = express.Router();
  *                             type: string
  *                           capacityGallons:
  *                             type: integer
+ *                           compartments:
+ *                             type: array
+ *                             description: Fill state for the shift date; empty for single-tank vehicles
+ *                             items:
+ *                               $ref: '#/components/schemas/CompartmentFill'
  *                       driver:
  *                         type: object
  *                         properties:
@@ -82,14 +90,34 @@ const router = express.Router();
  *                               type: integer
  *                             destination:
  *                               type: string
- *                             product:
- *                               type: string
+ *                             lines:
+ *                               type: array
+ *                               items:
+ *                                 type: object
+ *                                 properties:
+ *                                   product:
+ *                                     type: string
+ *                                   quantity:
+ *                                     type: number
  *                             quantity:
  *                               type: number
  *                             status:
  *                               type: string
+ *                       deviations:
+ *                         type: object
+ *                         description: Route deviations this shift (see GET /api/shifts/{id}/deviations)
+ *                         properties:
+ *                           offCorridor:
+ *                             type: boolean
+ *                             description: The vehicle is outside its route corridor now
+ *                           total:
+ *                             type: integer
+ *                           latest:
+ *                             nullable: true
+ *                             allOf:
+ *                               - $ref: '#/components/schemas/RouteDeviation'
  */
-router.get('/status', fleetController.getStatus);
+router.get('/status', authorize('admin', 'dispatcher'), fleetController.getStatus);
 
 /**
  * @swagger
@@ -134,7 +162,81 @@ router.get('/status', fleetController.getStatus);
  *                       type: integer
  *                       description: Percentage of vehicles in use
  *                       example: 50
+ *                     deliveryWindows:
+ *                       type: object
+ *                       description: Today's completed orders that had a delivery window, by outcome
+ *                       properties:
+ *                         onTime:
+ *                           type: integer
+ *                           example: 2
+ *                         early:
+ *                           type: integer
+ *                           example: 0
+ *                         late:
+ *                           type: integer
+ *                           example: 1
+ *                         onTimeRate:
+ *                           type: integer
+ *                           nullable: true
+ *                           description: Percentage delivered within the window; null when none had a window
+ *                           example: 67
+ */
+router.get('/summary', authorize('admin', 'dispatcher'), fleetController.getSummary);
+
+/**
+ * @swagger
+ * /api/fleet/stream:
+ *   get:
+ *     summary: Stream live fleet events (Server-Sent Events)
+ *     description: |
+ *       Pushes events as they happen instead of polling /api/fleet/status:
+ *       - `gps.location` - a vehicle reported a position
+ *       - `order.status` - an order was created, assigned, started, completed or failed
+ *       - `shift.status` - a shift started or ended
+ *       - `route.deviation` - a vehicle left its route corridor (or came back), or arrived at a stop out of sequence
+ *
+ *       Each message is `event: <type>` plus `data: {"type", "data", "timestamp"}`.
+ *       A heartbeat comment is sent every 25 seconds.
+ *
+ *       Browser `EventSource` cannot send headers, so the access token may be
+ *       passed as `?access_token=` on this endpoint. The token is redacted from request logs.
+ *
+ *       The stream closes when the access token expires (15 minutes by default).
+ *       Reconnect with a refreshed token; reconnecting with the expired one gets 401.
+ *     tags: [Fleet]
+ *     parameters:
+ *       - in: query
+ *         name: types
+ *         schema:
+ *           type: string
+ *         description: Comma-separated event types to receive (default all)
+ *         example: gps.location,shift.status
+ *       - in: query
+ *         name: vehicleId
+ *         schema:
+ *           type: integer
+ *         description: Only events for this vehicle
+ *       - in: query
+ *         name: driverId
+ *         schema:
+ *           type: integer
+ *         description: Only events for this driver
+ *       - in: query
+ *         name: access_token
+ *         schema:
+ *           type: string
+ *         description: Access token, for clients that cannot set the Authorization header
+ *     responses:
+ *       200:
+ *         description: Event stream (connection stays open)
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: |
+ *                 event: gps.location
+ *                 data: {"type":"gps.location","data":{"vehicleId":1,"driverId":1,"shiftId":3,"latitude":29.76,"longitude":-95.37,"recordedAt":"2024-01-15T14:30:00.000Z"},"timestamp":"2024-01-15T14:30:00.120Z"}
  */
-router.get('/summary', fleetController.getSummary);
+router.get('/stream', authorize('admin', 'dispatcher'), validate(fleetValidator.stream), fleetController.stream);
 
 module.exports = router;
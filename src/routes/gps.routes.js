@@ -4,6 +4,7 @@ const express = require('express');
 const gpsController = require('../controllers/gps.controller');
 const validate = require('../middleware/validate.middleware');
 const { parseIds } = require('../middleware/parseId.middleware');
+const { authorize } = require('../middleware/auth.middleware');
 const gpsValidator = require('../validators/gps.validator');
 
 const router = express.Router();
@@ -96,10 +97,106 @@ const router = express.Router();
  *                   $ref: '#/components/schemas/GpsLocation'
  *       400:
  *         description: Vehicle does not have an active shift
+ *       403:
+ *         description: Driver posting for a vehicle on another driver's shift
  *       404:
  *         description: Vehicle not found
+ *       409:
+ *         description: A point with this recordedAt is already stored for the vehicle
  */
-router.post('/', validate(gpsValidator.create), gpsController.create);
+router.post('/', authorize('admin', 'driver'), validate(gpsValidator.create), gpsController.create);
+
+/**
+ * @swagger
+ * /api/gps/batch:
+ *   post:
+ *     summary: Upload buffered GPS points for a vehicle
+ *     description: |
+ *       Replays points a device stored while it had no signal (up to 1000 per request).
+ *       - Each point is linked to the shift that was active on the vehicle at its `recordedAt`
+ *       - Points with a `recordedAt` already stored for the vehicle (or repeated in the batch) are rejected as duplicates
+ *       - Points outside every shift are rejected
+ *       - Accepted points are inserted together; the response reports each point's outcome in input order
+ *     tags: [GPS]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - vehicleId
+ *               - points
+ *             properties:
+ *               vehicleId:
+ *                 type: integer
+ *                 example: 1
+ *               points:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 1000
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - latitude
+ *                     - longitude
+ *                     - recordedAt
+ *                   properties:
+ *                     latitude:
+ *                       type: number
+ *                       example: 29.7604
+ *                     longitude:
+ *                       type: number
+ *                       example: -95.3698
+ *                     recordedAt:
+ *                       type: string
+ *                       format: date-time
+ *     responses:
+ *       200:
+ *         description: Per-point results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     vehicleId:
+ *                       type: integer
+ *                     accepted:
+ *                       type: integer
+ *                       example: 2
+ *                     rejected:
+ *                       type: integer
+ *                       example: 1
+ *                     results:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           index:
+ *                             type: integer
+ *                           recordedAt:
+ *                             type: string
+ *                             format: date-time
+ *                           status:
+ *                             type: string
+ *                             enum: [accepted, rejected]
+ *                           shiftId:
+ *                             type: integer
+ *                           reason:
+ *                             type: string
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Driver posting for a vehicle that is not on any of their shifts
+ *       404:
+ *         description: Vehicle not found
+ */
+router.post('/batch', authorize('admin', 'driver'), validate(gpsValidator.createBatch), gpsController.createBatch);
 
 /**
  * @swagger
@@ -142,7 +239,7 @@ router.post('/', validate(gpsValidator.create), gpsController.create);
  *       404:
  *         description: Vehicle not found
  */
-router.get('/vehicle/:vehicleId', parseIds('vehicleId'), validate(gpsValidator.getByVehicle), gpsController.getByVehicle);
+router.get('/vehicle/:vehicleId', authorize('admin', 'dispatcher'), parseIds('vehicleId'), validate(gpsValidator.getByVehicle), gpsController.getByVehicle);
 
 /**
  * @swagger
@@ -173,6 +270,94 @@ router.get('/vehicle/:vehicleId', parseIds('vehicleId'), validate(gpsValidator.g
  *       404:
  *         description: Driver not found
  */
-router.get('/driver/:driverId', parseIds('driverId'), validate(gpsValidator.getByDriver), gpsController.getByDriver);
+router.get('/driver/:driverId', authorize('admin', 'dispatcher'), parseIds('driverId'), validate(gpsValidator.getByDriver), gpsController.getByDriver);
+
+/**
+ * @swagger
+ * /api/gps/vehicle/{vehicleId}/export:
+ *   get:
+ *     summary: Export a vehicle's GPS track (GPX, GeoJSON or KML)
+ *     description: |
+ *       Streams the track in time order as a file download.
+ *       - **GeoJSON**: FeatureCollection with the track as a `LineString`, plus `Point` features for stops and order destinations
+ *       - **KML**: track `LineString` plus Placemarks for stops and destinations
+ *       - **GPX**: track plus destinations as waypoints (GPX lists waypoints before the track, so stops are not included)
+ *     tags: [GPS]
+ *     parameters:
+ *       - in: path
+ *         name: vehicleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [gpx, geojson, kml]
+ *           default: geojson
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Track file (streamed)
+ *         content:
+ *           application/gpx+xml:
+ *             schema:
+ *               type: string
+ *           application/geo+json:
+ *             schema:
+ *               type: object
+ *           application/vnd.google-earth.kml+xml:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Vehicle not found
+ */
+router.get('/vehicle/:vehicleId/export', authorize('admin', 'dispatcher'), parseIds('vehicleId'), validate(gpsValidator.exportVehicleTrack), gpsController.exportVehicleTrack);
+
+/**
+ * @swagger
+ * /api/gps/shift/{shiftId}/export:
+ *   get:
+ *     summary: Export a shift's GPS track (GPX, GeoJSON or KML)
+ *     description: Same formats as the vehicle export, limited to the points recorded during the shift.
+ *     tags: [GPS]
+ *     parameters:
+ *       - in: path
+ *         name: shiftId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [gpx, geojson, kml]
+ *           default: geojson
+ *     responses:
+ *       200:
+ *         description: Track file (streamed)
+ *         content:
+ *           application/gpx+xml:
+ *             schema:
+ *               type: string
+ *           application/geo+json:
+ *             schema:
+ *               type: object
+ *           application/vnd.google-earth.kml+xml:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Shift not found
+ */
+router.get('/shift/:shiftId/export', authorize('admin', 'dispatcher'), parseIds('shiftId'), validate(gpsValidator.exportShiftTrack), gpsController.exportShiftTrack);
 
 module.exports = router;
@@ -4,6 +4,7 @@ const express = require('express');
 const inventoryController = require('../controllers/inventory.controller');
 const validate = require('../middleware/validate.middleware');
 const { parseId, parseIds } = require('../middleware/parseId.middleware');
+const { authorize } = require('../middleware/auth.middleware');
 const inventoryValidator = require('../validators/inventory.validator');
 
 const router = express.Router();
@@ -27,6 +28,25 @@ const router = express.Router();
  *         quantity:
  *           type: number
  *           example: 50000
+ *         reservedQuantity:
+ *           type: number
+ *           description: Stock committed to assigned orders, not yet loaded
+ *           example: 5000
+ *         minQuantity:
+ *           type: number
+ *           nullable: true
+ *           description: Low-stock alert below this level; null when not watched
+ *           example: 10000
+ *         targetQuantity:
+ *           type: number
+ *           nullable: true
+ *           description: Level reorders bring the stock back up to (the minimum when null)
+ *           example: 40000
+ *         capacityGallons:
+ *           type: number
+ *           nullable: true
+ *           description: Tank size; stock, deliveries and orders may not take the stock past it. Null when unknown
+ *           example: 50000
  *         location:
  *           $ref: '#/components/schemas/Location'
  *         product:
@@ -62,11 +82,104 @@ const router = express.Router();
  */
 router.get('/', inventoryController.getAll);
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     InventoryTransaction:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         inventoryId:
+ *           type: integer
+ *           example: 1
+ *         type:
+ *           type: string
+ *           enum: [set, adjustment, load, delivery, returned]
+ *           example: delivery
+ *         delta:
+ *           type: number
+ *           example: 5000
+ *         quantityBefore:
+ *           type: number
+ *           example: 5000
+ *         quantityAfter:
+ *           type: number
+ *           example: 10000
+ *         orderId:
+ *           type: integer
+ *           nullable: true
+ *           example: 1
+ *         reason:
+ *           type: string
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/inventory/location/{locationId}/history:
+ *   get:
+ *     summary: Get the inventory ledger for a location
+ *     description: Every quantity change for all products at the location, newest first
+ *     tags: [Inventory]
+ *     parameters:
+ *       - in: path
+ *         name: locationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: productId
+ *         schema:
+ *           type: integer
+ *         description: Only entries for this product
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Ledger entries with product details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/InventoryTransaction'
+ *       404:
+ *         description: Location not found
+ */
+router.get(
+  '/location/:locationId/history',
+  parseIds('locationId'),
+  validate(inventoryValidator.getLocationHistory),
+  inventoryController.getLocationHistory
+);
+
 /**
  * @swagger
  * /api/inventory/location/{locationId}:
  *   get:
  *     summary: Get inventory for a specific location
+ *     description: |
+ *       Each record includes `availableQuantity` (quantity minus reserved stock) and
+ *       `headroomQuantity` (room left in the tank, null when its capacity is unknown)
  *     tags: [Inventory]
  *     parameters:
  *       - in: path
@@ -83,6 +196,98 @@ router.get('/', inventoryController.getAll);
  */
 router.get('/location/:locationId', parseIds('locationId'), inventoryController.getByLocation);
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     InventoryAlert:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         inventoryId:
+ *           type: integer
+ *           example: 1
+ *         quantity:
+ *           type: number
+ *           description: Stock when the alert was raised
+ *           example: 8000
+ *         minQuantity:
+ *           type: number
+ *           example: 10000
+ *         targetQuantity:
+ *           type: number
+ *           example: 40000
+ *         inboundQuantity:
+ *           type: number
+ *           description: Already on its way in pending, assigned and in-progress orders
+ *           example: 5000
+ *         suggestedQuantity:
+ *           type: number
+ *           description: Reorder that brings the stock back to target, net of what is inbound
+ *           example: 27000
+ *         orderId:
+ *           type: integer
+ *           nullable: true
+ *           description: Replenishment order created for the suggestion (INVENTORY_AUTO_REPLENISH)
+ *         raisedAt:
+ *           type: string
+ *           format: date-time
+ *         resolvedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         inventory:
+ *           $ref: '#/components/schemas/Inventory'
+ */
+
+/**
+ * @swagger
+ * /api/inventory/alerts:
+ *   get:
+ *     summary: Get low-stock alerts
+ *     description: |
+ *       Alerts are raised when a change leaves an inventory record below its minimum level,
+ *       and resolved by the first change that brings it back to or above it. Newest first.
+ *     tags: [Inventory]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, resolved, all]
+ *           default: open
+ *       - in: query
+ *         name: locationId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: productId
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Alerts with the inventory record's current quantity, location and product
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/InventoryAlert'
+ */
+router.get(
+  '/alerts',
+  authorize('admin', 'dispatcher'),
+  validate(inventoryValidator.getAlerts),
+  inventoryController.getAlerts
+);
+
 /**
  * @swagger
  * /api/inventory/{id}:
@@ -103,6 +308,48 @@ router.get('/location/:locationId', parseIds('locationId'), inventoryController.
  */
 router.get('/:id', parseId(), inventoryController.getById);
 
+/**
+ * @swagger
+ * /api/inventory/{id}/history:
+ *   get:
+ *     summary: Get the ledger for an inventory record
+ *     description: Every quantity change (set, adjustment, load, delivery, returned), newest first
+ *     tags: [Inventory]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Ledger entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/InventoryTransaction'
+ *       404:
+ *         description: Inventory record not found
+ */
+router.get('/:id/history', parseId(), validate(inventoryValidator.getHistory), inventoryController.getHistory);
+
 /**
  * @swagger
  * /api/inventory:
@@ -130,6 +377,10 @@ router.get('/:id', parseId(), inventoryController.getById);
  *               quantity:
  *                 type: number
  *                 example: 50000
+ *               reason:
+ *                 type: string
+ *                 description: Optional - recorded in the inventory ledger
+ *                 example: Monthly stock take
  *     responses:
  *       200:
  *         description: Inventory updated/created
@@ -137,8 +388,10 @@ router.get('/:id', parseId(), inventoryController.getById);
  *         description: Validation error
  *       404:
  *         description: Location or product not found
+ *       409:
+ *         description: The record changed while updating it; retry
  */
-router.post('/', validate(inventoryValidator.upsert), inventoryController.upsert);
+router.post('/', authorize('admin'), validate(inventoryValidator.upsert), inventoryController.upsert);
 
 /**
  * @swagger
@@ -173,10 +426,60 @@ router.post('/', validate(inventoryValidator.upsert), inventoryController.upsert
  *       200:
  *         description: Inventory adjusted
  *       400:
- *         description: Would result in negative quantity
+ *         description: Would result in negative quantity or exceed the tank capacity
+ *       404:
+ *         description: Inventory record not found
+ *       409:
+ *         description: The record changed while adjusting it; retry
+ */
+router.patch('/:id/adjust', authorize('admin'), parseId(), validate(inventoryValidator.adjust), inventoryController.adjust);
+
+/**
+ * @swagger
+ * /api/inventory/{id}/levels:
+ *   put:
+ *     summary: Set minimum and target levels and tank capacity
+ *     description: |
+ *       Below the minimum a low-stock alert is raised with a reorder up to the target.
+ *       The levels are checked straight away. Only the fields sent change: leave one out
+ *       to keep it, send null to clear it. Clearing the minimum also clears the target
+ *       and resolves an open alert. The capacity, sent or stored, can't be below the
+ *       stock held or the target.
+ *     tags: [Inventory]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               minQuantity:
+ *                 type: number
+ *                 nullable: true
+ *                 example: 10000
+ *               targetQuantity:
+ *                 type: number
+ *                 nullable: true
+ *                 description: At least the minimum; the minimum is used when there is none
+ *                 example: 40000
+ *               capacityGallons:
+ *                 type: number
+ *                 nullable: true
+ *                 example: 50000
+ *     responses:
+ *       200:
+ *         description: Levels set
+ *       400:
+ *         description: Validation error, a target without a minimum, or capacity below the stock or target
  *       404:
  *         description: Inventory record not found
  */
-router.patch('/:id/adjust', parseId(), validate(inventoryValidator.adjust), inventoryController.adjust);
+router.put('/:id/levels', authorize('admin'), parseId(), validate(inventoryValidator.setLevels), inventoryController.setLevels);
 
 module.exports = router;
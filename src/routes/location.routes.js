@@ -4,6 +4,7 @@ const express = require('express');
 const locationController = require('../controllers/location.controller');
 const validate = require('../middleware/validate.middleware');
 const { parseId } = require('../middleware/parseId.middleware');
+const { authorize } = require('../middleware/auth.middleware');
 const locationValidator = require('../validators/location.validator');
 
 const router = express.Router();
@@ -34,12 +35,55 @@ const router = express.Router();
  *         longitude:
  *           type: number
  *           example: -95.3698
+ *         geofenceRadius:
+ *           type: number
+ *           description: Geofence radius in meters around latitude/longitude
+ *           example: 150
+ *         geofencePolygon:
+ *           type: array
+ *           nullable: true
+ *           description: Geofence vertices; overrides the radius when set
+ *           items:
+ *             $ref: '#/components/schemas/GeoPoint'
  *         createdAt:
  *           type: string
  *           format: date-time
  *         updatedAt:
  *           type: string
  *           format: date-time
+ *     GeoPoint:
+ *       type: object
+ *       required: [latitude, longitude]
+ *       properties:
+ *         latitude:
+ *           type: number
+ *           example: 29.7355
+ *         longitude:
+ *           type: number
+ *           example: -95.2855
+ *     LocationVisit:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         locationId:
+ *           type: integer
+ *         shiftId:
+ *           type: integer
+ *         vehicleId:
+ *           type: integer
+ *         orderId:
+ *           type: integer
+ *           nullable: true
+ *           description: In-progress order delivering to this location at arrival
+ *         arrivedAt:
+ *           type: string
+ *           format: date-time
+ *         departedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Null while the vehicle is still inside the geofence
  */
 
 /**
@@ -72,6 +116,104 @@ const router = express.Router();
  */
 router.get('/', validate(locationValidator.getByType), locationController.getAll);
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     InventoryForecast:
+ *       type: object
+ *       properties:
+ *         inventoryId:
+ *           type: integer
+ *           example: 4
+ *         location:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: integer
+ *             name:
+ *               type: string
+ *             type:
+ *               type: string
+ *               enum: [hub, terminal]
+ *         product:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: integer
+ *             name:
+ *               type: string
+ *         quantity:
+ *           type: number
+ *           example: 12000
+ *         capacityGallons:
+ *           type: number
+ *           nullable: true
+ *           example: 40000
+ *         inboundQuantity:
+ *           type: number
+ *           description: Already on its way in pending, assigned and in-progress orders
+ *           example: 0
+ *         averageDailyConsumption:
+ *           type: number
+ *           description: Ledger decreases over the lookback window, per day
+ *           example: 1500
+ *         daysOfSupply:
+ *           type: number
+ *           nullable: true
+ *           description: Null when nothing was consumed over the window
+ *           example: 8
+ *         stockoutDate:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         nextDelivery:
+ *           type: object
+ *           nullable: true
+ *           description: |
+ *             Due when the stock reaches the minimum level (or runs out), sized to refill to the
+ *             target level, else the tank, else FORECAST_COVER_DAYS of consumption, net of inbound stock
+ *           properties:
+ *             date:
+ *               type: string
+ *               format: date-time
+ *             quantity:
+ *               type: number
+ *               example: 34500
+ */
+
+/**
+ * @swagger
+ * /api/locations/forecast:
+ *   get:
+ *     summary: Forecast stock at every terminal
+ *     description: One entry per terminal and product, fewest days of supply first; entries with no consumption last
+ *     tags: [Locations]
+ *     parameters:
+ *       - in: query
+ *         name: lookbackDays
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 365
+ *         description: Days of ledger history to average over (default FORECAST_LOOKBACK_DAYS, 30)
+ *     responses:
+ *       200:
+ *         description: Forecasts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/InventoryForecast'
+ */
+router.get('/forecast', authorize('admin', 'dispatcher'), validate(locationValidator.getForecasts), locationController.getForecasts);
+
 /**
  * @swagger
  * /api/locations/{id}:
@@ -92,6 +234,93 @@ router.get('/', validate(locationValidator.getByType), locationController.getAll
  */
 router.get('/:id', parseId(), locationController.getById);
 
+/**
+ * @swagger
+ * /api/locations/{id}/visits:
+ *   get:
+ *     summary: Get vehicle visits to a location
+ *     description: |
+ *       Arrivals and departures detected from GPS entering or leaving the location's geofence,
+ *       newest first. Each visit links the shift, vehicle and any in-progress order for this destination.
+ *     tags: [Locations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Arrived at or after
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Arrived at or before
+ *     responses:
+ *       200:
+ *         description: Visits
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LocationVisit'
+ *       404:
+ *         description: Location not found
+ */
+router.get('/:id/visits', authorize('admin', 'dispatcher'), parseId(), validate(locationValidator.getVisits), locationController.getVisits);
+
+/**
+ * @swagger
+ * /api/locations/{id}/forecast:
+ *   get:
+ *     summary: Forecast stock at a location
+ *     description: |
+ *       Average daily consumption, days of supply, projected stockout date and the recommended
+ *       next delivery for each product held at the location, fewest days of supply first.
+ *     tags: [Locations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: lookbackDays
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 365
+ *         description: Days of ledger history to average over (default FORECAST_LOOKBACK_DAYS, 30)
+ *     responses:
+ *       200:
+ *         description: Forecasts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/InventoryForecast'
+ *       404:
+ *         description: Location not found
+ */
+router.get('/:id/forecast', authorize('admin', 'dispatcher'), parseId(), validate(locationValidator.getForecast), locationController.getForecast);
+
 /**
  * @swagger
  * /api/locations:
@@ -124,13 +353,22 @@ router.get('/:id', parseId(), locationController.getById);
  *               longitude:
  *                 type: number
  *                 example: -95.2855
+ *               geofenceRadius:
+ *                 type: number
+ *                 description: Meters (default 150)
+ *                 example: 200
+ *               geofencePolygon:
+ *                 type: array
+ *                 minItems: 3
+ *                 items:
+ *                   $ref: '#/components/schemas/GeoPoint'
  *     responses:
  *       201:
  *         description: Location created
  *       400:
  *         description: Validation error
  */
-router.post('/', validate(locationValidator.create), locationController.create);
+router.post('/', authorize('admin'), validate(locationValidator.create), locationController.create);
 
 /**
  * @swagger
@@ -162,13 +400,21 @@ router.post('/', validate(locationValidator.create), locationController.create);
  *                 type: number
  *               longitude:
  *                 type: number
+ *               geofenceRadius:
+ *                 type: number
+ *               geofencePolygon:
+ *                 type: array
+ *                 nullable: true
+ *                 description: Set to null to fall back to the radius
+ *                 items:
+ *                   $ref: '#/components/schemas/GeoPoint'
  *     responses:
  *       200:
  *         description: Location updated
  *       404:
  *         description: Location not found
  */
-router.put('/:id', parseId(), validate(locationValidator.update), locationController.update);
+router.put('/:id', authorize('admin'), parseId(), validate(locationValidator.update), locationController.update);
 
 /**
  * @swagger
@@ -188,8 +434,8 @@ router.put('/:id', parseId(), validate(locationValidator.update), locationContro
  *       404:
  *         description: Location not found
  *       409:
- *         description: Location in use (has inventory or orders)
+ *         description: Location in use (has inventory, orders or visits)
  */
-router.delete('/:id', parseId(), locationController.remove);
+router.delete('/:id', authorize('admin'), parseId(), locationController.remove);
 
 module.exports = router;
@@ -0,0 +1,106 @@
+'use strict';
+
+const express = require('express');
+const meController = require('../controllers/me.controller');
+const validate = require('../middleware/validate.middleware');
+const { authorize } = require('../middleware/auth.middleware');
+const meValidator = require('../validators/me.validator');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/me:
+ *   get:
+ *     summary: Get the calling driver's profile
+ *     tags: [Me]
+ *     responses:
+ *       200:
+ *         description: Driver profile
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Driver'
+ *       403:
+ *         description: Caller is not a driver
+ */
+router.get('/', authorize('driver'), meController.getProfile);
+
+/**
+ * @swagger
+ * /api/me/orders:
+ *   get:
+ *     summary: Get orders assigned to the calling driver
+ *     tags: [Me]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, assigned, in_progress, completed, failed, cancelled]
+ *     responses:
+ *       200:
+ *         description: List of the driver's orders
+ *       403:
+ *         description: Caller is not a driver
+ */
+router.get('/orders', authorize('driver'), validate(meValidator.getOrders), meController.getOrders);
+
+/**
+ * @swagger
+ * /api/me/shifts:
+ *   get:
+ *     summary: Get the calling driver's shifts with vehicle and order details
+ *     tags: [Me]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [scheduled, active, completed]
+ *     responses:
+ *       200:
+ *         description: List of the driver's shifts
+ *       403:
+ *         description: Caller is not a driver
+ */
+router.get('/shifts', authorize('driver'), validate(meValidator.getShifts), meController.getShifts);
+
+/**
+ * @swagger
+ * /api/me/shift/start:
+ *   post:
+ *     summary: Start the calling driver's shift for today
+ *     description: Same rules as POST /api/shifts/start - requires a vehicle allocation for today
+ *     tags: [Me]
+ *     responses:
+ *       200:
+ *         description: Shift started
+ *       400:
+ *         description: No vehicle allocated for today
+ *       409:
+ *         description: Driver already has active shift
+ */
+router.post('/shift/start', authorize('driver'), meController.startShift);
+
+/**
+ * @swagger
+ * /api/me/shift/end:
+ *   post:
+ *     summary: End the calling driver's active shift
+ *     description: Same rules as POST /api/shifts/{id}/end - blocked while orders are incomplete
+ *     tags: [Me]
+ *     responses:
+ *       200:
+ *         description: Shift ended
+ *       400:
+ *         description: No active shift, or incomplete orders remain
+ */
+router.post('/shift/end', authorize('driver'), meController.endShift);
+
+module.exports = router;
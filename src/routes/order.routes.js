@@ -4,6 +4,7 @@ const express = require('express');
 const orderController = require('../controllers/order.controller');
 const validate = require('../middleware/validate.middleware');
 const { parseId, parseIds } = require('../middleware/parseId.middleware');
+const { authorize, resolveDriver } = require('../middleware/auth.middleware');
 const orderValidator = require('../validators/order.validator');
 
 const router = express.Router();
@@ -18,19 +19,30 @@ const router = express.Router();
  *         id:
  *           type: integer
  *           example: 1
+ *         sourceId:
+ *           type: integer
+ *           nullable: true
+ *           description: Hub the product is loaded from
+ *           example: 1
  *         destinationId:
  *           type: integer
  *           example: 3
- *         productId:
- *           type: integer
- *           example: 1
  *         quantity:
  *           type: number
+ *           description: Total of the lines
  *           example: 5000
+ *         lines:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/OrderLine'
  *         status:
  *           type: string
- *           enum: [pending, assigned, in_progress, completed, failed]
+ *           enum: [pending, assigned, in_progress, completed, failed, cancelled]
  *           example: assigned
+ *         priority:
+ *           type: string
+ *           enum: [low, normal, high, emergency]
+ *           example: normal
  *         assignedDriverId:
  *           type: integer
  *           nullable: true
@@ -39,10 +51,60 @@ const router = express.Router();
  *           type: string
  *           format: date
  *           nullable: true
+ *         windowStart:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Requested delivery window start; null for an open start
+ *         windowEnd:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Requested delivery window end; null for an open end
+ *         timeliness:
+ *           type: string
+ *           enum: [early, on_time, late]
+ *           nullable: true
+ *           description: Completion against the delivery window; null without a window or until completed
+ *         deliveredQuantity:
+ *           type: number
+ *           nullable: true
+ *           description: Set on completion; below quantity on a short delivery
+ *         shortDelivered:
+ *           type: boolean
+ *           description: Completed short with the remainder written off
+ *         parentOrderId:
+ *           type: integer
+ *           nullable: true
+ *           description: Order whose undelivered remainder this follow-up order carries
+ *         followUpOrders:
+ *           type: array
+ *           description: Orders created for this order's undelivered remainder
+ *           items:
+ *             type: object
+ *         cancelledAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         cancelledById:
+ *           type: integer
+ *           nullable: true
+ *           description: User who cancelled the order
+ *         cancellationReason:
+ *           type: string
+ *           nullable: true
+ *         routeSequence:
+ *           type: integer
+ *           nullable: true
+ *           description: Stop number in the driver's route for the day; null until the route is sequenced
+ *         routeLegMeters:
+ *           type: integer
+ *           nullable: true
+ *           description: Estimated distance from the previous stop (or the starting hub)
+ *         source:
+ *           $ref: '#/components/schemas/Location'
  *         destination:
  *           $ref: '#/components/schemas/Location'
- *         product:
- *           $ref: '#/components/schemas/Product'
  *         assignedDriver:
  *           $ref: '#/components/schemas/Driver'
  *         createdAt:
@@ -51,6 +113,34 @@ const router = express.Router();
  *         updatedAt:
  *           type: string
  *           format: date-time
+ *     OrderLine:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         productId:
+ *           type: integer
+ *           example: 1
+ *         quantity:
+ *           type: number
+ *           example: 3000
+ *         deliveredQuantity:
+ *           type: number
+ *           nullable: true
+ *         product:
+ *           $ref: '#/components/schemas/Product'
+ *     OrderLineInput:
+ *       type: object
+ *       required:
+ *         - productId
+ *         - quantity
+ *       properties:
+ *         productId:
+ *           type: integer
+ *           example: 1
+ *         quantity:
+ *           type: number
+ *           example: 3000
  */
 
 /**
@@ -64,7 +154,7 @@ const router = express.Router();
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, assigned, in_progress, completed, failed]
+ *           enum: [pending, assigned, in_progress, completed, failed, cancelled]
  *       - in: query
  *         name: driverId
  *         schema:
@@ -76,11 +166,73 @@ const router = express.Router();
  *           type: string
  *           format: date
  *         description: Filter by assigned date
+ *       - in: query
+ *         name: windowFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Orders whose delivery window ends at or after this time
+ *       - in: query
+ *         name: windowTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Orders whose delivery window starts at or before this time
+ *       - in: query
+ *         name: timeliness
+ *         schema:
+ *           type: string
+ *           enum: [early, on_time, late]
+ *         description: Completed orders by delivery window outcome
+ *       - in: query
+ *         name: priority
+ *         schema:
+ *           type: string
+ *           enum: [low, normal, high, emergency]
  *     responses:
  *       200:
- *         description: List of orders
+ *         description: List of orders, most urgent first, then newest
  */
-router.get('/', validate(orderValidator.getByStatus), orderController.getAll);
+router.get('/', authorize('admin', 'dispatcher'), validate(orderValidator.getByStatus), orderController.getAll);
+
+/**
+ * @swagger
+ * /api/orders/overdue:
+ *   get:
+ *     summary: Pending orders past their SLA
+ *     description: |
+ *       Pending orders that have waited longer than their priority allows
+ *       (SLA_EMERGENCY_MINUTES, SLA_HIGH_MINUTES, SLA_NORMAL_MINUTES, SLA_LOW_MINUTES),
+ *       counted from when they last became pending (creation or requeue).
+ *       Most urgent first, then longest waiting.
+ *     tags: [Orders]
+ *     responses:
+ *       200:
+ *         description: Overdue orders
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/Order'
+ *                   - type: object
+ *                     properties:
+ *                       slaMinutes:
+ *                         type: integer
+ *                         description: Allowed wait for the order's priority
+ *                       pendingSince:
+ *                         type: string
+ *                         format: date-time
+ *                         description: When the order was created or last requeued
+ *                       waitingMinutes:
+ *                         type: integer
+ *                         description: Time since pendingSince
+ *                       overdueMinutes:
+ *                         type: integer
+ *                         description: Time past the SLA
+ */
+router.get('/overdue', authorize('admin', 'dispatcher'), orderController.getOverdue);
 
 /**
  * @swagger
@@ -97,11 +249,73 @@ router.get('/', validate(orderValidator.getByStatus), orderController.getAll);
  *     responses:
  *       200:
  *         description: Order found with attempt history
+ *       403:
+ *         description: Drivers can only read orders assigned to them
  *       404:
  *         description: Order not found
  */
 router.get('/:id', parseId(), orderController.getById);
 
+/**
+ * @swagger
+ * /api/orders/{id}/history:
+ *   get:
+ *     summary: Status history of an order
+ *     description: |
+ *       Every status change, oldest first, with the user who made it and the reason where
+ *       there is one. Follow-up orders and automatic retries carry the user whose action
+ *       caused them; the actor is null only for changes made outside the API (e.g. seed data).
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Status changes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                   orderId:
+ *                     type: integer
+ *                   fromStatus:
+ *                     type: string
+ *                     nullable: true
+ *                     description: Null for the status the order was created with
+ *                   toStatus:
+ *                     type: string
+ *                   actorId:
+ *                     type: integer
+ *                     nullable: true
+ *                   actor:
+ *                     type: object
+ *                     nullable: true
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       email:
+ *                         type: string
+ *                       role:
+ *                         type: string
+ *                   reason:
+ *                     type: string
+ *                     nullable: true
+ *                   createdAt:
+ *                     type: string
+ *                     format: date-time
+ *       404:
+ *         description: Order not found
+ */
+router.get('/:id/history', authorize('admin', 'dispatcher'), parseId(), orderController.getHistory);
+
 /**
  * @swagger
  * /api/orders:
@@ -116,41 +330,72 @@ router.get('/:id', parseId(), orderController.getById);
  *             type: object
  *             required:
  *               - destinationId
- *               - productId
- *               - quantity
  *             properties:
+ *               sourceId:
+ *                 type: integer
+ *                 description: Optional - hub to load from; stock is reserved once assigned
+ *                 example: 1
  *               destinationId:
  *                 type: integer
  *                 description: Terminal location ID
  *                 example: 3
+ *               lines:
+ *                 type: array
+ *                 description: One per product; send either lines or productId and quantity
+ *                 items:
+ *                   $ref: '#/components/schemas/OrderLineInput'
  *               productId:
  *                 type: integer
+ *                 description: Single-product shorthand for lines
  *                 example: 1
  *               quantity:
  *                 type: number
+ *                 description: Single-product shorthand for lines
  *                 example: 5000
+ *               priority:
+ *                 type: string
+ *                 enum: [low, normal, high, emergency]
+ *                 default: normal
+ *               windowStart:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: Requested delivery window start (open if omitted)
+ *                 example: 2025-01-14T06:00:00Z
+ *               windowEnd:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: Requested delivery window end; must be after windowStart
+ *                 example: 2025-01-14T10:00:00Z
  *               assignedDriverId:
  *                 type: integer
  *                 description: Optional - assign driver immediately
  *               assignedDate:
  *                 type: string
  *                 format: date
- *                 description: Required if assigning driver
+ *                 description: Day to assign to; defaults to the requested delivery day, or today once that has passed
+ *               allowOverCapacity:
+ *                 type: boolean
+ *                 description: Assign even if the driver's vehicle is over capacity for the day; the response carries a capacityWarning
  *     responses:
  *       201:
  *         description: Order created
  *       400:
  *         description: Validation error
  *       404:
- *         description: Destination or product not found
+ *         description: Source, destination or a line's product not found
+ *       409:
+ *         description: Insufficient stock at the source hub, vehicle capacity exceeded, or no room in the destination tank
  */
-router.post('/', validate(orderValidator.create), orderController.create);
+router.post('/', authorize('admin', 'dispatcher'), validate(orderValidator.create), orderController.create);
 
 /**
  * @swagger
  * /api/orders/{id}:
  *   put:
  *     summary: Update an order
+ *     description: Lines (or productId/quantity on single-line orders) can only change while the order is pending.
  *     tags: [Orders]
  *     parameters:
  *       - in: path
@@ -167,27 +412,57 @@ router.post('/', validate(orderValidator.create), orderController.create);
  *             properties:
  *               destinationId:
  *                 type: integer
+ *               lines:
+ *                 type: array
+ *                 description: Replaces the order's lines
+ *                 items:
+ *                   $ref: '#/components/schemas/OrderLineInput'
  *               productId:
  *                 type: integer
+ *                 description: Single-line orders only
  *               quantity:
  *                 type: number
+ *                 description: Single-line orders only
+ *               priority:
+ *                 type: string
+ *                 enum: [low, normal, high, emergency]
+ *               windowStart:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: Requested delivery window start (open if omitted)
+ *                 example: 2025-01-14T06:00:00Z
+ *               windowEnd:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: Requested delivery window end; must be after windowStart
+ *                 example: 2025-01-14T10:00:00Z
  *               status:
  *                 type: string
- *                 enum: [pending, assigned, in_progress, completed, failed]
+ *                 enum: [pending, assigned, in_progress, completed, failed, cancelled]
+ *                 description: |
+ *                   Accepted only if unchanged. Status changes go through their action
+ *                   (assign, start, complete, fail, retry) so reservations, inventory and
+ *                   attempts stay consistent.
  *     responses:
  *       200:
  *         description: Order updated
+ *       400:
+ *         description: productId/quantity sent for a multi-line order, or a status change that needs its action endpoint
  *       404:
- *         description: Order not found
+ *         description: Order or product not found
+ *       409:
+ *         description: Lines changed on an order that is no longer pending, new lines or destination with no room in the destination tank, or a status the order can never move to
  */
-router.put('/:id', parseId(), validate(orderValidator.update), orderController.update);
+router.put('/:id', authorize('admin', 'dispatcher'), parseId(), validate(orderValidator.update), orderController.update);
 
 /**
  * @swagger
  * /api/orders/{id}:
  *   delete:
  *     summary: Delete an order
- *     description: Only pending orders can be deleted
+ *     description: Only pending orders that have never been dispatched can be deleted; cancel the rest
  *     tags: [Orders]
  *     parameters:
  *       - in: path
@@ -201,15 +476,21 @@ router.put('/:id', parseId(), validate(orderValidator.update), orderController.u
  *       404:
  *         description: Order not found
  *       409:
- *         description: Order is not pending
+ *         description: Order is not pending, or has attempts or status changes
  */
-router.delete('/:id', parseId(), orderController.remove);
+router.delete('/:id', authorize('admin', 'dispatcher'), parseId(), orderController.remove);
 
 /**
  * @swagger
  * /api/orders/{id}/assign:
  *   post:
  *     summary: Assign order to a driver
+ *     description: |
+ *       Reserves the order quantity at the source hub on first assignment.
+ *       The driver's outstanding orders for the day plus this one must fit the
+ *       capacity of the vehicle allocated to them for that day, and on a
+ *       multi-compartment tanker, into compartments that allow the product and
+ *       don't already hold a different one.
  *     tags: [Orders]
  *     parameters:
  *       - in: path
@@ -232,16 +513,43 @@ router.delete('/:id', parseId(), orderController.remove);
  *               assignedDate:
  *                 type: string
  *                 format: date
- *                 description: Defaults to today
+ *                 description: Defaults to the requested delivery day, or today once that has passed
+ *               sourceId:
+ *                 type: integer
+ *                 description: Optional - set or change the source hub
+ *               compartments:
+ *                 type: array
+ *                 description: |
+ *                   Optional - split the quantity across the vehicle's compartments.
+ *                   Planned automatically when omitted (compartments already holding
+ *                   the product first, then empty ones, front to back).
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - compartmentId
+ *                     - quantity
+ *                   properties:
+ *                     compartmentId:
+ *                       type: integer
+ *                     productId:
+ *                       type: integer
+ *                       description: Line the share is for; required on multi-product orders
+ *                     quantity:
+ *                       type: number
+ *               allowOverCapacity:
+ *                 type: boolean
+ *                 description: Assign even if the vehicle is over capacity; the response carries a capacityWarning
  *     responses:
  *       200:
  *         description: Order assigned
+ *       400:
+ *         description: Requested compartments don't add up to the order quantity or aren't on the allocated vehicle
  *       404:
- *         description: Order or driver not found
+ *         description: Order, driver or source hub not found
  *       409:
- *         description: Order already in progress or completed
+ *         description: Order already in progress or completed, insufficient hub stock, vehicle capacity exceeded, or compartment can't take the product
  */
-router.post('/:id/assign', parseId(), validate(orderValidator.assign), orderController.assign);
+router.post('/:id/assign', authorize('admin', 'dispatcher'), parseId(), validate(orderValidator.assign), orderController.assign);
 
 /**
  * @swagger
@@ -253,6 +561,7 @@ router.post('/:id/assign', parseId(), validate(orderValidator.assign), orderCont
  *       - Requires: active shift for the driver
  *       - Order must be in 'assigned' status
  *       - Creates an order attempt record
+ *       - Draws down reserved stock at the source hub
  *     tags: [Orders]
  *     parameters:
  *       - in: path
@@ -261,28 +570,29 @@ router.post('/:id/assign', parseId(), validate(orderValidator.assign), orderCont
  *         schema:
  *           type: integer
  *     requestBody:
- *       required: true
+ *       required: false
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - driverId
  *             properties:
  *               driverId:
  *                 type: integer
+ *                 description: Admin only - driver to act as. Drivers always act as themselves.
  *                 example: 1
  *     responses:
  *       200:
  *         description: Order started
  *       400:
- *         description: No active shift or order not assigned to driver
+ *         description: No active shift
+ *       403:
+ *         description: Order not assigned to the calling driver
  *       404:
  *         description: Order not found
  *       409:
  *         description: Order not in assigned status
  */
-router.post('/:id/start', parseId(), validate(orderValidator.startOrder), orderController.startOrder);
+router.post('/:id/start', authorize('admin', 'driver'), parseId(), validate(orderValidator.startOrder), resolveDriver, orderController.startOrder);
 
 /**
  * @swagger
@@ -293,7 +603,16 @@ router.post('/:id/start', parseId(), validate(orderValidator.startOrder), orderC
  *       Driver marks delivery as completed.
  *       - Requires: active shift
  *       - Order must be in 'in_progress' status
- *       - **Automatically increases destination inventory** by the order quantity
+ *       - **Automatically increases destination inventory** by the delivered quantity
+ *         (the full order unless `deliveredQuantity` or `lines` say otherwise). A delivery
+ *         that would overfill the destination tank is refused; complete it as a partial
+ *         delivery of what fits
+ *       - Short delivery: the undelivered remainder returns to the source hub and is either
+ *         re-ordered as a pending follow-up order (`remainder: follow_up`, default) or written
+ *         off with the order marked `shortDelivered` (`remainder: short`)
+ *       - Proof of delivery: the vehicle's latest GPS point this shift and its distance to the
+ *         destination are stored on the attempt. With `POD_POLICY=flag` completions beyond
+ *         `POD_MAX_DISTANCE_METERS` are flagged; with `POD_POLICY=reject` they are refused.
  *     tags: [Orders]
  *     parameters:
  *       - in: path
@@ -302,28 +621,50 @@ router.post('/:id/start', parseId(), validate(orderValidator.startOrder), orderC
  *         schema:
  *           type: integer
  *     requestBody:
- *       required: true
+ *       required: false
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - driverId
  *             properties:
  *               driverId:
  *                 type: integer
+ *                 description: Admin only - driver to act as. Drivers always act as themselves.
  *                 example: 1
+ *               deliveredQuantity:
+ *                 type: number
+ *                 description: Single-line orders - quantity the terminal took
+ *                 example: 3500
+ *               lines:
+ *                 type: array
+ *                 description: Multi-line orders - quantity taken per product; lines left out were delivered in full
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - productId
+ *                     - deliveredQuantity
+ *                   properties:
+ *                     productId:
+ *                       type: integer
+ *                     deliveredQuantity:
+ *                       type: number
+ *               remainder:
+ *                 type: string
+ *                 enum: [follow_up, short]
+ *                 default: follow_up
  *     responses:
  *       200:
  *         description: Order completed, inventory updated
  *       400:
- *         description: No active shift or order not assigned to driver
+ *         description: No active shift, vehicle too far from destination (reject policy), or delivered quantities don't fit the order
+ *       403:
+ *         description: Order not assigned to the calling driver
  *       404:
  *         description: Order not found
  *       409:
- *         description: Order not in in_progress status
+ *         description: Order not in in_progress status, or the delivery would overfill the destination tank
  */
-router.post('/:id/complete', parseId(), validate(orderValidator.completeOrder), orderController.completeOrder);
+router.post('/:id/complete', authorize('admin', 'driver'), parseId(), validate(orderValidator.completeOrder), resolveDriver, orderController.completeOrder);
 
 /**
  * @swagger
@@ -334,8 +675,11 @@ router.post('/:id/complete', parseId(), validate(orderValidator.completeOrder),
  *       Driver marks delivery as failed with a reason.
  *       - Requires: active shift
  *       - Order must be in 'assigned' or 'in_progress' status
- *       - **Does NOT update inventory**
+ *       - **Does NOT update destination inventory**
+ *       - Releases the source hub reservation (or returns the load if already started)
  *       - Reason is required (e.g., "Pump malfunction", "Customer refused")
+ *       - With `ORDER_AUTO_RETRY=true` the order is retried straight away (see retry); if that
+ *         isn't possible it stays failed and the response carries a `retryError`
  *     tags: [Orders]
  *     parameters:
  *       - in: path
@@ -350,11 +694,11 @@ router.post('/:id/complete', parseId(), validate(orderValidator.completeOrder),
  *           schema:
  *             type: object
  *             required:
- *               - driverId
  *               - reason
  *             properties:
  *               driverId:
  *                 type: integer
+ *                 description: Admin only - driver to act as. Drivers always act as themselves.
  *                 example: 1
  *               reason:
  *                 type: string
@@ -363,12 +707,108 @@ router.post('/:id/complete', parseId(), validate(orderValidator.completeOrder),
  *       200:
  *         description: Order marked as failed
  *       400:
- *         description: No active shift, order not assigned to driver, or missing reason
+ *         description: No active shift or missing reason
+ *       403:
+ *         description: Order not assigned to the calling driver
  *       404:
  *         description: Order not found
  *       409:
  *         description: Order not in valid status for failing
  */
-router.post('/:id/fail', parseId(), validate(orderValidator.failOrder), orderController.failOrder);
+router.post('/:id/fail', authorize('admin', 'driver'), parseId(), validate(orderValidator.failOrder), resolveDriver, orderController.failOrder);
+
+/**
+ * @swagger
+ * /api/orders/{id}/retry:
+ *   post:
+ *     summary: Retry a failed order
+ *     description: |
+ *       Puts a failed order back into play, keeping its attempt history.
+ *       - **requeue**: back to pending and unassigned
+ *       - **next_day**: reassigned to the same driver (or the one given) for tomorrow, with the
+ *         usual capacity checks and hub reservation
+ *       The policy defaults to `ORDER_RETRY_POLICY`. Refused once the order has been attempted
+ *       `ORDER_MAX_ATTEMPTS` times (default 3).
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               policy:
+ *                 type: string
+ *                 enum: [requeue, next_day]
+ *               driverId:
+ *                 type: integer
+ *                 description: next_day only - driver to reassign to instead of the last one
+ *               assignedDate:
+ *                 type: string
+ *                 format: date
+ *                 description: next_day only - day to reassign to instead of tomorrow
+ *               allowOverCapacity:
+ *                 type: boolean
+ *                 description: next_day only - reassign even if the vehicle is over capacity
+ *     responses:
+ *       200:
+ *         description: Order re-queued or reassigned
+ *       404:
+ *         description: Order or driver not found
+ *       409:
+ *         description: Order not failed, out of attempts, insufficient hub stock or vehicle capacity exceeded
+ */
+router.post('/:id/retry', authorize('admin', 'dispatcher'), parseId(), validate(orderValidator.retry), orderController.retry);
+
+/**
+ * @swagger
+ * /api/orders/{id}/cancel:
+ *   post:
+ *     summary: Cancel an order
+ *     description: |
+ *       Cancels a pending or assigned order, or an in-progress one when an admin sends
+ *       `override: true`.
+ *       - Releases the source hub reservation and the compartment plan
+ *       - An in-progress order's load is returned to the source hub and its attempt closed
+ *       - Records who cancelled the order (`cancelledBy`), when and why
+ *       - Cancelled orders don't block the driver from ending their shift
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Customer withdrew the order
+ *               override:
+ *                 type: boolean
+ *                 description: Admin only - cancel an order that is in progress
+ *     responses:
+ *       200:
+ *         description: Order cancelled
+ *       403:
+ *         description: Override used by a non-admin
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Order completed, failed or already cancelled, or in progress without override
+ */
+router.post('/:id/cancel', authorize('admin', 'dispatcher'), parseId(), validate(orderValidator.cancel), orderController.cancel);
 
 module.exports = router;
@@ -4,6 +4,7 @@ const express = require('express');
 const productController = require('../controllers/product.controller');
 const validate = require('../middleware/validate.middleware');
 const { parseId } = require('../middleware/parseId.middleware');
+const { authorize } = require('../middleware/auth.middleware');
 const productValidator = require('../validators/product.validator');
 
 const router = express.Router();
@@ -109,7 +110,7 @@ router.get('/:id', parseId(), productController.getById);
  *       409:
  *         description: Product already exists
  */
-router.post('/', validate(productValidator.create), productController.create);
+router.post('/', authorize('admin'), validate(productValidator.create), productController.create);
 
 /**
  * @swagger
@@ -138,7 +139,7 @@ router.post('/', validate(productValidator.create), productController.create);
  *       404:
  *         description: Product not found
  */
-router.put('/:id', parseId(), validate(productValidator.update), productController.update);
+router.put('/:id', authorize('admin'), parseId(), validate(productValidator.update), productController.update);
 
 /**
  * @swagger
@@ -160,6 +161,6 @@ router.put('/:id', parseId(), validate(productValidator.update), productControll
  *       409:
  *         description: Product in use
  */
-router.delete('/:id', parseId(), productController.remove);
+router.delete('/:id', authorize('admin'), parseId(), productController.remove);
 
 module.exports = router;
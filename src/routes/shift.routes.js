@@ -4,6 +4,7 @@ const express = require('express');
 const shiftController = require('../controllers/shift.controller');
 const validate = require('../middleware/validate.middleware');
 const { parseId, parseIds } = require('../middleware/parseId.middleware');
+const { authorize, resolveDriver, restrictToOwnDriver } = require('../middleware/auth.middleware');
 const shiftValidator = require('../validators/shift.validator');
 
 const router = express.Router();
@@ -51,6 +52,38 @@ const router = express.Router();
  *         updatedAt:
  *           type: string
  *           format: date-time
+ *     RouteDeviation:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         shiftId:
+ *           type: integer
+ *         vehicleId:
+ *           type: integer
+ *         type:
+ *           type: string
+ *           enum: [off_corridor, out_of_sequence]
+ *         orderId:
+ *           type: integer
+ *           nullable: true
+ *           description: out_of_sequence - the stop arrived at early
+ *         latitude:
+ *           type: number
+ *         longitude:
+ *           type: number
+ *         distanceMeters:
+ *           type: number
+ *           nullable: true
+ *           description: off_corridor - furthest from the corridor while outside it
+ *         detectedAt:
+ *           type: string
+ *           format: date-time
+ *         resolvedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: off_corridor - when the vehicle came back inside the corridor
  */
 
 /**
@@ -81,7 +114,7 @@ const router = express.Router();
  *                   items:
  *                     $ref: '#/components/schemas/Shift'
  */
-router.get('/', shiftController.getAll);
+router.get('/', authorize('admin', 'dispatcher'), shiftController.getAll);
 
 /**
  * @swagger
@@ -98,11 +131,206 @@ router.get('/', shiftController.getAll);
  *     responses:
  *       200:
  *         description: Shift found with order details
+ *       403:
+ *         description: Drivers can only read their own shifts
  *       404:
  *         description: Shift not found
  */
 router.get('/:id', parseId(), shiftController.getById);
 
+/**
+ * @swagger
+ * /api/shifts/{id}/visits:
+ *   get:
+ *     summary: Get geofence visits made during a shift
+ *     description: Hubs and terminals the shift's vehicle entered, in arrival order
+ *     tags: [Shifts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Visits with location and linked order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LocationVisit'
+ *       404:
+ *         description: Shift not found
+ */
+router.get('/:id/visits', authorize('admin', 'dispatcher'), parseId(), shiftController.getVisits);
+
+/**
+ * @swagger
+ * /api/shifts/{id}/deviations:
+ *   get:
+ *     summary: Get route deviations detected during a shift
+ *     description: |
+ *       Deviations from the driver's planned route for the day, in the order detected:
+ *       - off_corridor: the vehicle went further than ROUTE_DEVIATION_METERS (default 1000)
+ *         from the straight line between any two stops (including back to the hub);
+ *         resolvedAt is set when it came back
+ *       - out_of_sequence: the vehicle arrived at a stop while an earlier stop was still outstanding
+ *     tags: [Shifts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Deviations with the stop arrived at early, if any
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RouteDeviation'
+ *       404:
+ *         description: Shift not found
+ */
+router.get('/:id/deviations', authorize('admin', 'dispatcher'), parseId(), shiftController.getDeviations);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TripSummary:
+ *       type: object
+ *       description: |
+ *         Computed from consecutive GPS points. Segments slower than ~5 km/h count as idle
+ *         (and add no distance); idle stretches of 3 minutes or more are stops.
+ *       properties:
+ *         shiftId:
+ *           type: integer
+ *         driverId:
+ *           type: integer
+ *         vehicleId:
+ *           type: integer
+ *           nullable: true
+ *         shiftDate:
+ *           type: string
+ *           format: date
+ *         pointCount:
+ *           type: integer
+ *           example: 412
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         endedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         distanceKm:
+ *           type: number
+ *           example: 86.42
+ *         movingSeconds:
+ *           type: number
+ *           example: 9240
+ *         idleSeconds:
+ *           type: number
+ *           example: 5310
+ *         maxSpeedKmh:
+ *           type: number
+ *           example: 96.5
+ *         averageSpeedKmh:
+ *           type: number
+ *           description: Distance over moving time
+ *           example: 33.7
+ *         stops:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               latitude:
+ *                 type: number
+ *               longitude:
+ *                 type: number
+ *               startedAt:
+ *                 type: string
+ *                 format: date-time
+ *               endedAt:
+ *                 type: string
+ *                 format: date-time
+ *               durationSeconds:
+ *                 type: number
+ *     TripTotals:
+ *       type: object
+ *       description: Trip summaries for every shift in the date range, plus totals
+ *       properties:
+ *         from:
+ *           type: string
+ *           format: date
+ *         to:
+ *           type: string
+ *           format: date
+ *         shiftCount:
+ *           type: integer
+ *         distanceKm:
+ *           type: number
+ *         movingSeconds:
+ *           type: number
+ *         idleSeconds:
+ *           type: number
+ *         maxSpeedKmh:
+ *           type: number
+ *         averageSpeedKmh:
+ *           type: number
+ *         stopCount:
+ *           type: integer
+ *         shifts:
+ *           type: array
+ *           description: Per-shift summaries (stops reported as stopCount)
+ *           items:
+ *             type: object
+ */
+
+/**
+ * @swagger
+ * /api/shifts/{id}/trip-summary:
+ *   get:
+ *     summary: Get distance, moving/idle time, speeds and stops for a shift
+ *     tags: [Shifts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Trip summary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/TripSummary'
+ *       404:
+ *         description: Shift not found
+ */
+router.get('/:id/trip-summary', authorize('admin', 'dispatcher'), parseId(), shiftController.getTripSummary);
+
 /**
  * @swagger
  * /api/shifts/driver/{driverId}:
@@ -126,7 +354,7 @@ router.get('/:id', parseId(), shiftController.getById);
  *       404:
  *         description: Driver not found
  */
-router.get('/driver/:driverId', parseIds('driverId'), shiftController.getByDriver);
+router.get('/driver/:driverId', parseIds('driverId'), restrictToOwnDriver(), shiftController.getByDriver);
 
 /**
  * @swagger
@@ -146,11 +374,11 @@ router.get('/driver/:driverId', parseIds('driverId'), shiftController.getByDrive
  *           schema:
  *             type: object
  *             required:
- *               - driverId
  *               - shiftDate
  *             properties:
  *               driverId:
  *                 type: integer
+ *                 description: Required for admins/dispatchers. Drivers always schedule themselves.
  *                 example: 1
  *               shiftDate:
  *                 type: string
@@ -166,7 +394,7 @@ router.get('/driver/:driverId', parseIds('driverId'), shiftController.getByDrive
  *       409:
  *         description: Driver already has shift on this date
  */
-router.post('/schedule', validate(shiftValidator.schedule), shiftController.schedule);
+router.post('/schedule', authorize('admin', 'dispatcher', 'driver'), validate(shiftValidator.schedule), resolveDriver, shiftController.schedule);
 
 /**
  * @swagger
@@ -181,16 +409,15 @@ router.post('/schedule', validate(shiftValidator.schedule), shiftController.sche
  *       - Driver can only have one active shift at a time
  *     tags: [Shifts]
  *     requestBody:
- *       required: true
+ *       required: false
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - driverId
  *             properties:
  *               driverId:
  *                 type: integer
+ *                 description: Admin only - driver to act as. Drivers always act as themselves.
  *                 example: 1
  *     responses:
  *       200:
@@ -211,7 +438,7 @@ router.post('/schedule', validate(shiftValidator.schedule), shiftController.sche
  *       409:
  *         description: Driver already has active shift
  */
-router.post('/start', validate(shiftValidator.start), shiftController.start);
+router.post('/start', authorize('admin', 'driver'), validate(shiftValidator.start), resolveDriver, shiftController.start);
 
 /**
  * @swagger
@@ -231,16 +458,15 @@ router.post('/start', validate(shiftValidator.start), shiftController.start);
  *           type: integer
  *         description: Shift ID
  *     requestBody:
- *       required: true
+ *       required: false
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - driverId
  *             properties:
  *               driverId:
  *                 type: integer
+ *                 description: Admin only - driver to act as. Drivers always act as themselves.
  *                 example: 1
  *     responses:
  *       200:
@@ -250,9 +476,11 @@ router.post('/start', validate(shiftValidator.start), shiftController.start);
  *           Cannot end shift because:
  *           - Shift is not active
  *           - Driver has incomplete orders (must complete/fail them first)
+ *       403:
+ *         description: Shift belongs to a different driver
  *       404:
  *         description: Shift not found
  */
-router.post('/:id/end', parseId(), validate(shiftValidator.end), shiftController.end);
+router.post('/:id/end', authorize('admin', 'driver'), parseId(), validate(shiftValidator.end), resolveDriver, shiftController.end);
 
 module.exports = router;
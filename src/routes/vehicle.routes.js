@@ -4,6 +4,7 @@ const express = require('express');
 const vehicleController = require('../controllers/vehicle.controller');
 const validate = require('../middleware/validate.middleware');
 const { parseId } = require('../middleware/parseId.middleware');
+const { authorize } = require('../middleware/auth.middleware');
 const vehicleValidator = require('../validators/vehicle.validator');
 
 const router = express.Router();
@@ -23,13 +24,88 @@ const router = express.Router();
  *           example: TX-FP-001
  *         capacityGallons:
  *           type: integer
+ *           description: Sum of the compartment capacities when the vehicle has compartments
  *           example: 8000
+ *         compartments:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/VehicleCompartment'
  *         createdAt:
  *           type: string
  *           format: date-time
  *         updatedAt:
  *           type: string
  *           format: date-time
+ *     VehicleCompartment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         position:
+ *           type: integer
+ *           description: 1 = front of the tanker
+ *           example: 1
+ *         capacityGallons:
+ *           type: integer
+ *           example: 3000
+ *         allowedProducts:
+ *           type: array
+ *           description: Products the compartment may carry; empty means any
+ *           items:
+ *             $ref: '#/components/schemas/Product'
+ *     CompartmentInput:
+ *       type: object
+ *       required:
+ *         - capacityGallons
+ *       properties:
+ *         capacityGallons:
+ *           type: integer
+ *           example: 3000
+ *         productIds:
+ *           type: array
+ *           description: Products the compartment may carry; omit for any
+ *           items:
+ *             type: integer
+ *           example: [1]
+ *     CompartmentFill:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         position:
+ *           type: integer
+ *         capacityGallons:
+ *           type: integer
+ *         allowedProducts:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: integer
+ *               name:
+ *                 type: string
+ *         product:
+ *           type: object
+ *           nullable: true
+ *           description: Product currently planned or loaded into the compartment
+ *           properties:
+ *             id:
+ *               type: integer
+ *             name:
+ *               type: string
+ *         loadedGallons:
+ *           type: number
+ *           description: From in-progress orders
+ *         plannedGallons:
+ *           type: number
+ *           description: From assigned orders
+ *         freeGallons:
+ *           type: number
+ *         orderIds:
+ *           type: array
+ *           items:
+ *             type: integer
  */
 
 /**
@@ -75,6 +151,49 @@ router.get('/', vehicleController.getAll);
  */
 router.get('/:id', parseId(), vehicleController.getById);
 
+/**
+ * @swagger
+ * /api/vehicles/{id}/trip-summary:
+ *   get:
+ *     summary: Get trip totals for a vehicle over a date range
+ *     tags: [Vehicles]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First shift date
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last shift date
+ *     responses:
+ *       200:
+ *         description: Trip totals
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/TripTotals'
+ *       404:
+ *         description: Vehicle not found
+ */
+router.get('/:id/trip-summary', authorize('admin', 'dispatcher'), parseId(), validate(vehicleValidator.getTripSummary), vehicleController.getTripSummary);
+
 /**
  * @swagger
  * /api/vehicles:
@@ -96,15 +215,22 @@ router.get('/:id', parseId(), vehicleController.getById);
  *               capacityGallons:
  *                 type: integer
  *                 example: 10000
+ *               compartments:
+ *                 type: array
+ *                 description: Front to back; capacityGallons becomes their sum
+ *                 items:
+ *                   $ref: '#/components/schemas/CompartmentInput'
  *     responses:
  *       201:
  *         description: Vehicle created
  *       400:
- *         description: Validation error
+ *         description: Validation error, or capacityGallons differs from the compartment total
+ *       404:
+ *         description: Allowed product not found
  *       409:
  *         description: Registration number already exists
  */
-router.post('/', validate(vehicleValidator.create), vehicleController.create);
+router.post('/', authorize('admin'), validate(vehicleValidator.create), vehicleController.create);
 
 /**
  * @swagger
@@ -129,13 +255,22 @@ router.post('/', validate(vehicleValidator.create), vehicleController.create);
  *                 type: string
  *               capacityGallons:
  *                 type: integer
+ *               compartments:
+ *                 type: array
+ *                 description: Replaces the vehicle's compartments; capacityGallons becomes their sum
+ *                 items:
+ *                   $ref: '#/components/schemas/CompartmentInput'
  *     responses:
  *       200:
  *         description: Vehicle updated
+ *       400:
+ *         description: capacityGallons differs from the compartment total
  *       404:
- *         description: Vehicle not found
+ *         description: Vehicle or allowed product not found
+ *       409:
+ *         description: Outstanding orders are planned into the current compartments
  */
-router.put('/:id', parseId(), validate(vehicleValidator.update), vehicleController.update);
+router.put('/:id', authorize('admin'), parseId(), validate(vehicleValidator.update), vehicleController.update);
 
 /**
  * @swagger
@@ -157,6 +292,6 @@ router.put('/:id', parseId(), validate(vehicleValidator.update), vehicleControll
  *       409:
  *         description: Vehicle has allocations
  */
-router.delete('/:id', parseId(), vehicleController.remove);
+router.delete('/:id', authorize('admin'), parseId(), vehicleController.remove);
 
 module.exports = router;
@@ -9,6 +9,9 @@ const { NotFoundError, ConflictError, BadRequestError } = require('../utils/erro
  * Enforces: one vehicle can only be allocated to one driver per day
  */
 
+// Orders still to be carried: assigned (not yet loaded) or in_progress (on the truck)
+const LOAD_STATUSES = ['assigned', 'in_progress'];
+
 const getAll = async (date = null) => {
   const where = {};
   if (date) {
@@ -194,6 +197,72 @@ const getByDriverAndDate = async (driverId, date) => {
   });
 };
 
+/**
+ * Sum the outstanding order quantities planned for a driver's day
+ * @param {number} excludeOrderId - Order being (re)assigned, so it isn't counted twice
+ */
+const getPlannedQuantity = async (driverId, date, excludeOrderId = null, tx = prisma) => {
+  const result = await tx.order.aggregate({
+    where: {
+      assignedDriverId: driverId,
+      assignedDate: date,
+      status: { in: LOAD_STATUSES },
+      ...(excludeOrderId && { id: { not: excludeOrderId } }),
+    },
+    _sum: { quantity: true },
+  });
+  return result._sum.quantity || 0;
+};
+
+/**
+ * Planned vs. available capacity for an allocation
+ * Capacity figures are null when the vehicle has no capacity on record
+ */
+const getLoad = async (id) => {
+  const allocation = await getById(id);
+
+  const orders = await prisma.order.findMany({
+    where: {
+      assignedDriverId: allocation.driverId,
+      assignedDate: allocation.allocationDate,
+      status: { in: LOAD_STATUSES },
+    },
+    include: {
+      destination: true,
+      lines: { include: { product: true } },
+    },
+    orderBy: { id: 'asc' },
+  });
+
+  const capacity = allocation.vehicle.capacityGallons;
+  const planned = orders.reduce((sum, order) => sum + order.quantity, 0);
+
+  return {
+    allocationId: allocation.id,
+    allocationDate: allocation.allocationDate,
+    vehicle: {
+      id: allocation.vehicle.id,
+      registrationNumber: allocation.vehicle.registrationNumber,
+    },
+    driver: {
+      id: allocation.driver.id,
+      name: allocation.driver.name,
+    },
+    capacityGallons: capacity,
+    plannedGallons: planned,
+    availableGallons: capacity === null ? null : capacity - planned,
+    utilizationPercent: capacity ? Math.round((planned / capacity) * 100) : null,
+    overCapacity: capacity !== null && planned > capacity,
+    orders: orders.map((order) => ({
+      id: order.id,
+      status: order.status,
+      destination: order.destination.name,
+      lines: order.lines.map((line) => ({ product: line.product.name, quantity: line.quantity })),
+      quantity: order.quantity,
+    })),
+  };
+};
+
 module.exports = {
   getAll,
   getById,
@@ -202,4 +271,7 @@ module.exports = {
   remove,
   getAvailableVehicles,
   getByDriverAndDate,
+  getPlannedQuantity,
+  getLoad,
+  LOAD_STATUSES,
 };
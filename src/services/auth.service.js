@@ -0,0 +1,124 @@
+'use strict';
+
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const prisma = require('../utils/prisma');
+const authConfig = require('../config/auth');
+const { NotFoundError, ConflictError, BadRequestError, UnauthorizedError } = require('../utils/errors');
+
+/**
+ * Auth Service
+ * Handles user login and JWT access/refresh token issuance
+ */
+
+/**
+ * Strip the password hash before returning a user
+ */
+const toPublicUser = ({ password, ...user }) => user;
+
+/**
+ * Issue an access + refresh token pair for a user
+ * Access token carries the role and driver claims checked by the auth middleware
+ */
+const generateTokens = (user) => {
+  const claims = { sub: user.id, role: user.role, driverId: user.driverId ?? null };
+
+  return {
+    accessToken: jwt.sign(claims, authConfig.accessTokenSecret, {
+      expiresIn: authConfig.accessTokenExpiresIn,
+    }),
+    refreshToken: jwt.sign({ sub: user.id }, authConfig.refreshTokenSecret, {
+      expiresIn: authConfig.refreshTokenExpiresIn,
+    }),
+  };
+};
+
+/**
+ * Verify an access token and return its claims
+ */
+const verifyAccessToken = (token) => {
+  try {
+    return jwt.verify(token, authConfig.accessTokenSecret);
+  } catch (error) {
+    throw new UnauthorizedError('Invalid or expired access token');
+  }
+};
+
+const login = async ({ email, password }) => {
+  const user = await prisma.user.findUnique({ where: { email } });
+
+  // Same error for unknown email and wrong password
+  if (!user || !(await bcrypt.compare(password, user.password))) {
+    throw new UnauthorizedError('Invalid email or password');
+  }
+
+  return {
+    user: toPublicUser(user),
+    ...generateTokens(user),
+  };
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * Reloads the user so role changes take effect on refresh
+ */
+const refresh = async ({ refreshToken }) => {
+  let payload;
+  try {
+    payload = jwt.verify(refreshToken, authConfig.refreshTokenSecret);
+  } catch (error) {
+    throw new UnauthorizedError('Invalid or expired refresh token');
+  }
+
+  const user = await prisma.user.findUnique({ where: { id: payload.sub } });
+  if (!user) {
+    throw new UnauthorizedError('User no longer exists');
+  }
+
+  return generateTokens(user);
+};
+
+/**
+ * Create a user (admin only)
+ * Driver users must be linked to an existing driver
+ */
+const register = async ({ email, password, role, driverId }) => {
+  if (role === 'driver' && !driverId) {
+    throw new BadRequestError('driverId is required for driver users');
+  }
+  if (role !== 'driver' && driverId) {
+    throw new BadRequestError('Only driver users can be linked to a driver');
+  }
+
+  if (driverId) {
+    const driver = await prisma.driver.findUnique({ where: { id: driverId } });
+    if (!driver) {
+      throw new NotFoundError(`Driver with ID ${driverId} not found`);
+    }
+  }
+
+  try {
+    const user = await prisma.user.create({
+      data: {
+        email,
+        password: await bcrypt.hash(password, authConfig.bcryptRounds),
+        role,
+        driverId: driverId || null,
+      },
+    });
+    return toPublicUser(user);
+  } catch (error) {
+    if (error.code === 'P2002') {
+      throw new ConflictError('A user with this email or driver already exists');
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  generateTokens,
+  verifyAccessToken,
+  login,
+  refresh,
+  register,
+};
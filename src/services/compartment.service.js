@@ -0,0 +1,225 @@
+'use strict';
+
+const prisma = require('../utils/prisma');
+const { BadRequestError, ConflictError } = require('../utils/errors');
+const { LOAD_STATUSES } = require('./allocation.service');
+
+/**
+ * Compartment Service
+ * Splits order quantities across the compartments of a multi-compartment tanker.
+ *
+ * A compartment holds one product at a time, and only products it allows
+ * (any product when none are listed).
+ */
+
+/**
+ * Summarise a compartment and its loads for the day
+ */
+const toFillState = (compartment) => {
+  let loadedGallons = 0;
+  let plannedGallons = 0;
+  for (const load of compartment.loads) {
+    if (load.order.status === 'in_progress') {
+      loadedGallons += load.quantity;
+    } else {
+      plannedGallons += load.quantity;
+    }
+  }
+  const product = compartment.loads[0]?.product;
+
+  return {
+    id: compartment.id,
+    position: compartment.position,
+    capacityGallons: compartment.capacityGallons,
+    allowedProducts: compartment.allowedProducts.map(({ id, name }) => ({ id, name })),
+    product: product ? { id: product.id, name: product.name } : null,
+    loadedGallons,
+    plannedGallons,
+    freeGallons: compartment.capacityGallons - loadedGallons - plannedGallons,
+    orderIds: compartment.loads.map((load) => load.order.id),
+  };
+};
+
+/**
+ * Fill state of a vehicle's compartments for a day
+ * Counts assigned (planned) and in-progress (loaded) orders
+ *
+ * @param {number} excludeOrderId - Order being (re)assigned, so its current share isn't counted
+ */
+const getFillState = async (vehicleId, date, excludeOrderId = null, tx = prisma) => {
+  const compartments = await tx.vehicleCompartment.findMany({
+    where: { vehicleId },
+    include: {
+      allowedProducts: true,
+      loads: {
+        where: {
+          order: {
+            assignedDate: date,
+            status: { in: LOAD_STATUSES },
+            ...(excludeOrderId && { id: { not: excludeOrderId } }),
+          },
+        },
+        include: {
+          order: true,
+          product: true,
+        },
+      },
+    },
+    orderBy: { position: 'asc' },
+  });
+
+  return compartments.map(toFillState);
+};
+
+/**
+ * Fill state of several vehicles' compartments, each for its own day, in one query
+ *
+ * @param {Array} vehicleDays - [{ vehicleId, date }]
+ * @returns {Map} vehicleId -> fill state as from getFillState
+ */
+const getFillStates = async (vehicleDays) => {
+  const dayOf = new Map(vehicleDays.map(({ vehicleId, date }) => [vehicleId, new Date(date).getTime()]));
+
+  const compartments = await prisma.vehicleCompartment.findMany({
+    where: { vehicleId: { in: [...dayOf.keys()] } },
+    include: {
+      allowedProducts: true,
+      loads: {
+        where: {
+          order: {
+            assignedDate: { in: vehicleDays.map(({ date }) => date) },
+            status: { in: LOAD_STATUSES },
+          },
+        },
+        include: {
+          order: true,
+          product: true,
+        },
+      },
+    },
+    orderBy: { position: 'asc' },
+  });
+
+  const states = new Map(vehicleDays.map(({ vehicleId }) => [vehicleId, []]));
+  for (const compartment of compartments) {
+    // Loads on another vehicle's day came in with the shared date filter
+    const day = dayOf.get(compartment.vehicleId);
+    const loads = compartment.loads.filter((load) => new Date(load.order.assignedDate).getTime() === day);
+    states.get(compartment.vehicleId).push(toFillState({ ...compartment, loads }));
+  }
+  return states;
+};
+
+/**
+ * Why a compartment can't take a product, or null if it can
+ */
+const rejectReason = (compartment, productId) => {
+  const { allowedProducts, product } = compartment;
+  if (allowedProducts.length > 0 && !allowedProducts.some((p) => p.id === productId)) {
+    return `only carries ${allowedProducts.map((p) => p.name).join(', ')}`;
+  }
+  if (product && product.id !== productId) {
+    return `already holds ${product.name}`;
+  }
+  return null;
+};
+
+/**
+ * Take a share of a compartment for a product, updating the working fill state
+ */
+const fill = (compartment, product, quantity) => {
+  compartment.product = product;
+  compartment.freeGallons -= quantity;
+  return { compartmentId: compartment.id, productId: product.id, quantity };
+};
+
+/**
+ * Resolve the product a requested share is for
+ * Single-line orders may leave it out
+ */
+const requestedLine = (lines, request) => {
+  if (request.productId === undefined) {
+    if (lines.length > 1) {
+      throw new BadRequestError('productId is required for each compartment on multi-product orders');
+    }
+    return lines[0];
+  }
+  const line = lines.find((l) => l.productId === request.productId);
+  if (!line) {
+    throw new BadRequestError(`Order has no line for product ${request.productId}`);
+  }
+  return line;
+};
+
+/**
+ * Plan an order's lines into compartments
+ * Requested splits must cover every line exactly; otherwise, line by line, compartments
+ * already holding the product are filled first, then empty ones, front to back.
+ *
+ * @param {Array} fillState - From getFillState
+ * @param {Object} order - { lines: [{ productId, quantity, product }], requested: [{ compartmentId, productId, quantity }] }
+ * @returns {{ loads: Array, unallocated: number, fillState: Array }} unallocated is the quantity
+ *   that didn't fit; fillState is the state with this order planned in, for planning further orders
+ */
+const plan = (fillState, { lines, requested }) => {
+  // Working copy: earlier lines of the same order take up room too
+  const state = fillState.map((c) => ({ ...c }));
+
+  if (requested) {
+    const loads = requested.map((r) => {
+      const line = requestedLine(lines, r);
+      const compartment = state.find((c) => c.id === r.compartmentId);
+      if (!compartment) {
+        throw new BadRequestError(`Compartment ${r.compartmentId} is not on the allocated vehicle`);
+      }
+      const reason = rejectReason(compartment, line.productId);
+      if (reason) {
+        throw new ConflictError(`Compartment ${compartment.position} ${reason}`);
+      }
+      if (r.quantity > compartment.freeGallons) {
+        throw new ConflictError(
+          `Compartment ${compartment.position} has room for ${compartment.freeGallons} gallons, not ${r.quantity}`
+        );
+      }
+      return fill(compartment, line.product, r.quantity);
+    });
+
+    for (const line of lines) {
+      const total = loads
+        .filter((load) => load.productId === line.productId)
+        .reduce((sum, load) => sum + load.quantity, 0);
+      if (total !== line.quantity) {
+        throw new BadRequestError(
+          `Compartment quantities for ${line.product.name} add up to ${total} but the order line is for ${line.quantity}`
+        );
+      }
+    }
+
+    return { loads, unallocated: 0, fillState: state };
+  }
+
+  const loads = [];
+  let unallocated = 0;
+  for (const line of lines) {
+    const candidates = state
+      .filter((c) => c.freeGallons > 0 && !rejectReason(c, line.productId))
+      .sort((a, b) => Boolean(b.product) - Boolean(a.product) || a.position - b.position);
+
+    let remaining = line.quantity;
+    for (const compartment of candidates) {
+      if (remaining <= 0) break;
+      const share = Math.min(remaining, compartment.freeGallons);
+      loads.push(fill(compartment, line.product, share));
+      remaining -= share;
+    }
+    unallocated += remaining;
+  }
+
+  return { loads, unallocated, fillState: state };
+};
+
+module.exports = {
+  getFillState,
+  getFillStates,
+  plan,
+};
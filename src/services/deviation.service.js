@@ -0,0 +1,193 @@
+'use strict';
+
+const prisma = require('../utils/prisma');
+const { NotFoundError } = require('../utils/errors');
+const routeService = require('./route.service');
+const eventBus = require('../utils/event-bus');
+const { distanceToSegment } = require('../utils/geo');
+const { getDateAtMidnight } = require('../utils/date-utils');
+const deliveryConfig = require('../config/delivery');
+
+/**
+ * Route Deviation Service
+ * Compares a shift's GPS points and arrivals with the driver's sequenced route for the
+ * day (see route.service) and records deviations:
+ * - off_corridor: further than ROUTE_DEVIATION_METERS from every straight leg of the route;
+ *   one alert per excursion, resolved when the vehicle comes back
+ * - out_of_sequence: arrived at a stop while an earlier stop is still outstanding
+ */
+
+const OUTSTANDING_STATUSES = ['assigned', 'in_progress'];
+
+const hasCoordinates = (location) => location?.latitude != null && location?.longitude != null;
+
+/**
+ * Points the corridor runs through: hub, stops in sequence (unsequenced ones last), and
+ * back to the hub. The return leg is included so heading back after the last stop isn't flagged
+ */
+const corridor = (route) => {
+  const stops = route.stops.map((stop) => stop.destination);
+  return [route.start, ...stops, route.start].filter(hasCoordinates);
+};
+
+/**
+ * Distance from a point to the nearest leg of the corridor
+ * Null when the corridor has no leg to measure against
+ */
+const corridorDistance = (waypoints, point) => {
+  if (waypoints.length < 2) return null;
+
+  let nearest = Infinity;
+  for (let i = 1; i < waypoints.length; i++) {
+    nearest = Math.min(nearest, distanceToSegment(point, waypoints[i - 1], waypoints[i]));
+  }
+  return nearest;
+};
+
+const publish = (deviation, shift) => {
+  eventBus.publish('route.deviation', {
+    deviationId: deviation.id,
+    type: deviation.type,
+    shiftId: shift.id,
+    vehicleId: shift.vehicleId,
+    driverId: shift.driverId,
+    orderId: deviation.orderId,
+    distanceMeters: deviation.distanceMeters,
+    detectedAt: deviation.detectedAt,
+    resolvedAt: deviation.resolvedAt,
+  });
+};
+
+/**
+ * Open, widen and resolve the shift's off-corridor alert from new GPS points
+ */
+const trackCorridor = async (shift, route, points) => {
+  const waypoints = corridor(route);
+  let open = await prisma.routeDeviation.findFirst({
+    where: { shiftId: shift.id, type: 'off_corridor', resolvedAt: null },
+  });
+
+  const ordered = [...points].sort((a, b) => new Date(a.recordedAt) - new Date(b.recordedAt));
+  for (const point of ordered) {
+    const distance = corridorDistance(waypoints, point);
+    if (distance === null) return;
+    const off = distance > deliveryConfig.routeDeviationMeters;
+
+    if (off && !open) {
+      open = await prisma.routeDeviation.create({
+        data: {
+          shiftId: shift.id,
+          vehicleId: shift.vehicleId,
+          type: 'off_corridor',
+          latitude: point.latitude,
+          longitude: point.longitude,
+          distanceMeters: Math.round(distance),
+          detectedAt: new Date(point.recordedAt),
+        },
+      });
+      publish(open, shift);
+    } else if (off && distance > open.distanceMeters) {
+      open = await prisma.routeDeviation.update({
+        where: { id: open.id },
+        data: { distanceMeters: Math.round(distance) },
+      });
+    } else if (!off && open) {
+      const resolved = await prisma.routeDeviation.update({
+        where: { id: open.id },
+        data: { resolvedAt: new Date(point.recordedAt) },
+      });
+      publish(resolved, shift);
+      open = null;
+    }
+  }
+};
+
+/**
+ * Flag arrivals at a stop that isn't the next outstanding one
+ * Only sequenced stops have a place to be out of; unsequenced ones are never flagged
+ */
+const trackSequence = async (shift, route, arrivals) => {
+  for (const arrival of arrivals) {
+    const outstanding = route.stops.filter((stop) => stop.sequenced && OUTSTANDING_STATUSES.includes(stop.status));
+    const arrivedAt = outstanding.find((stop) => stop.destination.id === arrival.locationId);
+    // Arrivals elsewhere (hubs, other sites) and at the next stop are in order
+    if (!arrivedAt || outstanding[0].destination.id === arrival.locationId) continue;
+
+    const deviation = await prisma.routeDeviation.create({
+      data: {
+        shiftId: shift.id,
+        vehicleId: shift.vehicleId,
+        type: 'out_of_sequence',
+        orderId: arrivedAt.orderId,
+        latitude: arrivedAt.destination.latitude,
+        longitude: arrivedAt.destination.longitude,
+        detectedAt: arrival.arrivedAt,
+      },
+    });
+    publish(deviation, shift);
+  }
+};
+
+/**
+ * The driver's stored route for a shift's day, or null when the driver has no orders that
+ * day. Orders not sequenced yet (new assignments) follow the sequenced ones, so the
+ * corridor still covers them. Read-only; a route is only ever sequenced on request
+ * (see route.service)
+ *
+ * @param {Object} shift - { driverId, shiftDate }
+ */
+const getRoute = async (shift) => {
+  const { orders, start } = await routeService.getStoredRoute(shift.driverId, getDateAtMidnight(shift.shiftDate));
+  if (orders.length === 0) return null;
+
+  return {
+    start,
+    stops: orders.map((order) => ({
+      orderId: order.id,
+      status: order.status,
+      sequenced: order.routeSequence !== null,
+      destination: order.destination,
+    })),
+  };
+};
+
+/**
+ * Check new GPS points and the arrivals they caused against the shift's route
+ * No-op without a route (see getRoute)
+ *
+ * @param {Object} shift - { id, driverId, vehicleId }
+ * @param {Object|null} route - From getRoute; load it once for all of a shift's points
+ * @param {Object[]} points - [{ latitude, longitude, recordedAt }], any order
+ * @param {Object[]} arrivals - Visits opened by the points (from visitService.track)
+ */
+const check = async (shift, route, points, arrivals = []) => {
+  if (!route) return;
+
+  await trackCorridor(shift, route, points);
+  await trackSequence(shift, route, arrivals);
+};
+
+/**
+ * Get the deviations recorded during a shift, in order
+ */
+const getByShift = async (shiftId) => {
+  shiftId = parseInt(shiftId, 10);
+  const shift = await prisma.shift.findUnique({ where: { id: shiftId } });
+  if (!shift) {
+    throw new NotFoundError(`Shift with ID ${shiftId} not found`);
+  }
+
+  return prisma.routeDeviation.findMany({
+    where: { shiftId },
+    orderBy: { detectedAt: 'asc' },
+    include: {
+      order: { include: { destination: true } },
+    },
+  });
+};
+
+module.exports = {
+  getRoute,
+  check,
+  getByShift,
+};
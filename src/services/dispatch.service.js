@@ -0,0 +1,293 @@
+'use strict';
+
+const prisma = require('../utils/prisma');
+const { BadRequestError, ConflictError } = require('../utils/errors');
+const allocationService = require('./allocation.service');
+const compartmentService = require('./compartment.service');
+const orderService = require('./order.service');
+const eventBus = require('../utils/event-bus');
+const { haversineDistance } = require('../utils/geo');
+const { getDateAtMidnight } = require('../utils/date-utils');
+
+const { LOAD_STATUSES } = allocationService;
+
+/**
+ * Dispatch Service
+ * Proposes assignments of a day's pending orders to the drivers with a vehicle that day,
+ * and commits a plan in one transaction.
+ *
+ * Greedy: orders are taken most urgent first, then oldest, and each goes to the vehicle
+ * with room for it whose last planned stop is nearest its destination. A vehicle with no
+ * stops yet is measured from the order's source hub.
+ */
+
+const hasCoordinates = (location) => location?.latitude != null && location?.longitude != null;
+
+/**
+ * Pending orders that can go out on a day: no delivery window, or one that has opened by then
+ */
+const getPendingOrders = (date) => {
+  const nextDay = new Date(date);
+  nextDay.setDate(nextDay.getDate() + 1);
+
+  return prisma.order.findMany({
+    where: {
+      status: 'pending',
+      OR: [{ windowStart: null }, { windowStart: { lt: nextDay } }],
+    },
+    include: {
+      source: true,
+      destination: true,
+      lines: { include: { product: true } },
+    },
+    orderBy: [{ priority: 'desc' }, { createdAt: 'asc' }],
+  });
+};
+
+/**
+ * Working state of each vehicle allocated for the day: room left and where it was last sent
+ * Free gallons are null when the vehicle has no capacity on record
+ */
+const getVehicles = async (date) => {
+  const allocations = await prisma.vehicleAllocation.findMany({
+    where: { allocationDate: date },
+    include: {
+      vehicle: true,
+      driver: true,
+    },
+    orderBy: { id: 'asc' },
+  });
+
+  return Promise.all(
+    allocations.map(async (allocation) => {
+      const { vehicle, driver } = allocation;
+      const [planned, fillState, lastOrder] = await Promise.all([
+        allocationService.getPlannedQuantity(driver.id, date),
+        compartmentService.getFillState(vehicle.id, date),
+        prisma.order.findFirst({
+          where: { assignedDriverId: driver.id, assignedDate: date, status: { in: LOAD_STATUSES } },
+          include: { destination: true },
+          orderBy: [{ routeSequence: 'desc' }, { id: 'desc' }],
+        }),
+      ]);
+
+      return {
+        allocation,
+        plannedGallons: planned,
+        freeGallons: vehicle.capacityGallons === null ? null : vehicle.capacityGallons - planned,
+        fillState,
+        position: lastOrder?.destination ?? null,
+        orders: [],
+      };
+    })
+  );
+};
+
+/**
+ * Check an order fits on a vehicle, planning it into the compartments if there are any
+ *
+ * @returns {{ reason: string }|{ fillState: Array }}
+ */
+const fit = (vehicle, order) => {
+  const { registrationNumber } = vehicle.allocation.vehicle;
+
+  if (vehicle.freeGallons !== null && order.quantity > vehicle.freeGallons) {
+    return {
+      reason: `vehicle ${registrationNumber} has room for ${vehicle.freeGallons} gallons, not ${order.quantity}`,
+    };
+  }
+  if (vehicle.fillState.length === 0) {
+    return { fillState: vehicle.fillState };
+  }
+
+  const { unallocated, fillState } = compartmentService.plan(vehicle.fillState, { lines: order.lines });
+  if (unallocated > 0) {
+    return {
+      reason:
+        `compartments on vehicle ${registrationNumber} that can take the order's products ` +
+        `have room for ${order.quantity - unallocated} of its ${order.quantity} gallons`,
+    };
+  }
+  return { fillState };
+};
+
+/**
+ * Distance from a vehicle's last stop (or the order's hub) to the order's destination
+ * Null when either end has no coordinates
+ */
+const distanceTo = (vehicle, order) => {
+  const from = vehicle.position ?? order.source;
+  if (!hasCoordinates(from) || !hasCoordinates(order.destination)) return null;
+  return Math.round(haversineDistance(from, order.destination));
+};
+
+/**
+ * Put an order on a vehicle's working state
+ */
+const take = (vehicle, order, { fillState }, distanceMeters) => {
+  if (vehicle.freeGallons !== null) {
+    vehicle.freeGallons -= order.quantity;
+  }
+  vehicle.plannedGallons += order.quantity;
+  vehicle.fillState = fillState;
+  vehicle.position = order.destination;
+  vehicle.orders.push(order.id);
+
+  return { order, vehicle, distanceMeters };
+};
+
+/**
+ * Greedy proposal: each order to the nearest vehicle with room, unknown distances last
+ */
+const propose = (vehicles, orders) => {
+  const assignments = [];
+  const unassigned = [];
+
+  for (const order of orders) {
+    const candidates = vehicles
+      .map((vehicle) => ({ vehicle, fit: fit(vehicle, order), distance: distanceTo(vehicle, order) }))
+      .filter((candidate) => !candidate.fit.reason)
+      .sort((a, b) => (a.distance ?? Infinity) - (b.distance ?? Infinity));
+
+    if (candidates.length === 0) {
+      const reason = vehicles.length === 0 ? 'No vehicles allocated for the day' : 'No allocated vehicle has room for it';
+      unassigned.push({ order, reason });
+      continue;
+    }
+
+    const [best] = candidates;
+    assignments.push(take(best.vehicle, order, best.fit, best.distance));
+  }
+
+  return { assignments, unassigned };
+};
+
+/**
+ * Check a plan sent back by the dispatcher (e.g. an edited preview) and apply it in order
+ *
+ * @param {Array} requested - [{ orderId, driverId }]
+ */
+const applyRequested = (vehicles, orders, requested, date) => {
+  const day = date.toISOString().split('T')[0];
+
+  const assignments = requested.map(({ orderId, driverId }) => {
+    const order = orders.find((o) => o.id === orderId);
+    if (!order) {
+      throw new ConflictError(`Order ${orderId} is not a pending order that can go out on ${day}`);
+    }
+    const vehicle = vehicles.find((v) => v.allocation.driverId === driverId);
+    if (!vehicle) {
+      throw new BadRequestError(`Driver ${driverId} has no vehicle allocated for ${day}`);
+    }
+    const result = fit(vehicle, order);
+    if (result.reason) {
+      throw new ConflictError(`Cannot assign order ${orderId}: ${result.reason}`);
+    }
+    return take(vehicle, order, result, distanceTo(vehicle, order));
+  });
+
+  const assignedIds = new Set(requested.map((r) => r.orderId));
+  const unassigned = orders
+    .filter((order) => !assignedIds.has(order.id))
+    .map((order) => ({ order, reason: 'Not in the plan' }));
+
+  return { assignments, unassigned };
+};
+
+/**
+ * Assign every order in the plan, or none
+ * Orders are re-checked inside the transaction so a plan previewed earlier can't
+ * assign an order that has since been assigned or cancelled, and each vehicle's load is
+ * recomputed there so orders assigned since the preview can't be overloaded
+ */
+const commitPlan = async (assignments, date, actor) => {
+  const orderIds = assignments.map(({ order }) => order.id);
+
+  const orders = await prisma.$transaction(async (tx) => {
+    const stillPending = await tx.order.count({ where: { id: { in: orderIds }, status: 'pending' } });
+    if (stillPending !== orderIds.length) {
+      throw new ConflictError('Cannot commit plan: some orders are no longer pending. Preview the plan again.');
+    }
+
+    const updated = [];
+    for (const { order, vehicle } of assignments) {
+      updated.push(
+        await orderService.assignInTransaction(
+          tx,
+          order,
+          { driverId: vehicle.allocation.driverId, date },
+          { action: 'assign', actor, reason: 'Dispatch plan' }
+        )
+      );
+    }
+    return updated;
+  });
+
+  for (const order of orders) {
+    eventBus.publish('order.status', {
+      orderId: order.id,
+      status: order.status,
+      driverId: order.assignedDriverId,
+      vehicleId: null,
+    });
+  }
+};
+
+/**
+ * Plan a day's dispatch: preview by default, or assign the plan with commit
+ *
+ * @param {Object} options - { commit, assignments } where assignments ([{ orderId, driverId }])
+ *   replaces the proposal, e.g. a preview the dispatcher has edited
+ */
+const plan = async (date, { commit = false, assignments: requested } = {}, actor = null) => {
+  const day = getDateAtMidnight(date);
+
+  const [orders, vehicles] = await Promise.all([getPendingOrders(day), getVehicles(day)]);
+
+  const { assignments, unassigned } = requested
+    ? applyRequested(vehicles, orders, requested, day)
+    : propose(vehicles, orders);
+
+  if (commit && assignments.length > 0) {
+    await commitPlan(assignments, day, actor);
+  }
+
+  return {
+    date: day,
+    committed: commit,
+    assignments: assignments.map(({ order, vehicle, distanceMeters }) => ({
+      orderId: order.id,
+      priority: order.priority,
+      quantity: order.quantity,
+      destination: { id: order.destination.id, name: order.destination.name },
+      driverId: vehicle.allocation.driverId,
+      vehicleId: vehicle.allocation.vehicleId,
+      distanceMeters,
+    })),
+    vehicles: vehicles.map((vehicle) => ({
+      allocationId: vehicle.allocation.id,
+      vehicle: {
+        id: vehicle.allocation.vehicle.id,
+        registrationNumber: vehicle.allocation.vehicle.registrationNumber,
+      },
+      driver: {
+        id: vehicle.allocation.driver.id,
+        name: vehicle.allocation.driver.name,
+      },
+      capacityGallons: vehicle.allocation.vehicle.capacityGallons,
+      plannedGallons: vehicle.plannedGallons,
+      orderIds: vehicle.orders,
+    })),
+    unassigned: unassigned.map(({ order, reason }) => ({
+      orderId: order.id,
+      priority: order.priority,
+      quantity: order.quantity,
+      destination: { id: order.destination.id, name: order.destination.name },
+      reason,
+    })),
+  };
+};
+
+module.exports = {
+  plan,
+};
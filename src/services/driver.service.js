@@ -96,7 +96,7 @@ const getShifts = async (driverId, status = null) => {
           order: {
             include: {
               destination: true,
-              product: true,
+              lines: { include: { product: true } },
             },
           },
         },
@@ -121,10 +121,13 @@ const getShifts = async (driverId, status = null) => {
         type: attempt.order.destination.type,
         address: attempt.order.destination.address,
       },
-      product: {
-        id: attempt.order.product.id,
-        name: attempt.order.product.name,
-      },
+      lines: attempt.order.lines.map((line) => ({
+        product: {
+          id: line.product.id,
+          name: line.product.name,
+        },
+        quantity: line.quantity,
+      })),
       quantity: attempt.order.quantity,
       status: attempt.status,
       failureReason: attempt.failureReason,
@@ -149,9 +152,9 @@ const getOrders = async (driverId, status = null) => {
     where,
     include: {
       destination: true,
-      product: true,
+      lines: { include: { product: true } },
     },
-    orderBy: { createdAt: 'desc' },
+    orderBy: [{ priority: 'desc' }, { createdAt: 'desc' }],
   });
 };
 
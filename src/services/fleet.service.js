@@ -1,18 +1,57 @@
 'use strict';
 
 const prisma = require('../utils/prisma');
+const eventBus = require('../utils/event-bus');
+const compartmentService = require('./compartment.service');
 
 /**
  * Fleet Service
  * Provides real-time fleet status for admin dashboard
  */
 
+/**
+ * Latest GPS point of each vehicle
+ * @returns {Map} vehicleId -> point
+ */
+const getLatestPoints = async (vehicleIds) => {
+  const latest = await prisma.gpsLocation.groupBy({
+    by: ['vehicleId'],
+    where: { vehicleId: { in: vehicleIds } },
+    _max: { recordedAt: true },
+  });
+  if (latest.length === 0) return new Map();
+
+  const points = await prisma.gpsLocation.findMany({
+    where: {
+      OR: latest.map((row) => ({ vehicleId: row.vehicleId, recordedAt: row._max.recordedAt })),
+    },
+  });
+  return new Map(points.map((point) => [point.vehicleId, point]));
+};
+
+/**
+ * Group rows into a Map of arrays by key
+ */
+const groupBy = (rows, key) => {
+  const groups = new Map();
+  for (const row of rows) {
+    const value = key(row);
+    if (!groups.has(value)) groups.set(value, []);
+    groups.get(value).push(row);
+  }
+  return groups;
+};
+
 /**
  * Get real-time fleet status
  * Returns all active vehicles with:
  * - Driver info
  * - Latest GPS location
  * - Current orders (in_progress)
+ * - Compartment fill state, for vehicles with compartments
+ * - Route deviations this shift
+ *
+ * Each of these is loaded for all active shifts at once, not per shift.
  */
 const getStatus = async () => {
   // Get all active shifts with related data
@@ -26,66 +65,80 @@ const getStatus = async () => {
     },
   });
 
-  // For each active shift, get latest GPS and current orders
-  const fleetStatus = await Promise.all(
-    activeShifts.map(async (shift) => {
-      const vehicle = shift.vehicleAllocation?.vehicle;
-      if (!vehicle) return null;
-
-      // Get latest GPS
-      const latestGps = await prisma.gpsLocation.findFirst({
-        where: { vehicleId: vehicle.id },
-        orderBy: { recordedAt: 'desc' },
-      });
-
-      // Get current orders for this driver today
-      const currentOrders = await prisma.order.findMany({
-        where: {
-          assignedDriverId: shift.driverId,
-          assignedDate: shift.shiftDate,
-          status: { in: ['assigned', 'in_progress'] },
-        },
-        include: {
-          destination: true,
-          product: true,
-        },
-      });
-
-      return {
-        vehicle: {
-          id: vehicle.id,
-          registrationNumber: vehicle.registrationNumber,
-          capacityGallons: vehicle.capacityGallons,
-        },
-        driver: {
-          id: shift.driver.id,
-          name: shift.driver.name,
-          phone: shift.driver.phone,
-        },
-        shift: {
-          id: shift.id,
-          startTime: shift.startTime,
-          status: shift.status,
-        },
-        location: latestGps
-          ? {
-            latitude: latestGps.latitude,
-            longitude: latestGps.longitude,
-            recordedAt: latestGps.recordedAt,
-          }
-          : null,
-        currentOrders: currentOrders.map((order) => ({
-          id: order.id,
-          destination: order.destination.name,
-          product: order.product.name,
-          quantity: order.quantity,
-          status: order.status,
-        })),
-      };
-    })
-  );
-
-  return fleetStatus.filter(Boolean);
+  const shifts = activeShifts.filter((shift) => shift.vehicleAllocation?.vehicle);
+  if (shifts.length === 0) return [];
+
+  const dayKey = (driverId, date) => `${driverId}:${new Date(date).getTime()}`;
+
+  const [latestPoints, orders, fillStates, deviations] = await Promise.all([
+    getLatestPoints(shifts.map((shift) => shift.vehicleAllocation.vehicle.id)),
+    // Each driver's current orders for the shift's day
+    prisma.order.findMany({
+      where: {
+        OR: shifts.map((shift) => ({ assignedDriverId: shift.driverId, assignedDate: shift.shiftDate })),
+        status: { in: ['assigned', 'in_progress'] },
+      },
+      include: {
+        destination: true,
+        lines: { include: { product: true } },
+      },
+    }),
+    compartmentService.getFillStates(
+      shifts.map((shift) => ({ vehicleId: shift.vehicleAllocation.vehicle.id, date: shift.shiftDate }))
+    ),
+    prisma.routeDeviation.findMany({
+      where: { shiftId: { in: shifts.map((shift) => shift.id) } },
+      orderBy: { detectedAt: 'desc' },
+    }),
+  ]);
+
+  const ordersByDay = groupBy(orders, (order) => dayKey(order.assignedDriverId, order.assignedDate));
+  const deviationsByShift = groupBy(deviations, (deviation) => deviation.shiftId);
+
+  return shifts.map((shift) => {
+    const { vehicle } = shift.vehicleAllocation;
+    const latestGps = latestPoints.get(vehicle.id);
+    const currentOrders = ordersByDay.get(dayKey(shift.driverId, shift.shiftDate)) ?? [];
+    const shiftDeviations = deviationsByShift.get(shift.id) ?? [];
+
+    return {
+      vehicle: {
+        id: vehicle.id,
+        registrationNumber: vehicle.registrationNumber,
+        capacityGallons: vehicle.capacityGallons,
+        compartments: fillStates.get(vehicle.id),
+      },
+      driver: {
+        id: shift.driver.id,
+        name: shift.driver.name,
+        phone: shift.driver.phone,
+      },
+      shift: {
+        id: shift.id,
+        startTime: shift.startTime,
+        status: shift.status,
+      },
+      location: latestGps
+        ? {
+          latitude: latestGps.latitude,
+          longitude: latestGps.longitude,
+          recordedAt: latestGps.recordedAt,
+        }
+        : null,
+      currentOrders: currentOrders.map((order) => ({
+        id: order.id,
+        destination: order.destination.name,
+        lines: order.lines.map((line) => ({ product: line.product.name, quantity: line.quantity })),
+        quantity: order.quantity,
+        status: order.status,
+      })),
+      deviations: {
+        offCorridor: shiftDeviations.some((d) => d.type === 'off_corridor' && !d.resolvedAt),
+        total: shiftDeviations.length,
+        latest: shiftDeviations[0] ?? null,
+      },
+    };
+  });
 };
 
 /**
@@ -102,6 +155,7 @@ const getSummary = async () => {
     todayOrders,
     completedToday,
     inProgressOrders,
+    timelinessToday,
   ] = await Promise.all([
     prisma.vehicle.count(),
     prisma.driver.count(),
@@ -109,8 +163,20 @@ const getSummary = async () => {
     prisma.order.count({ where: { assignedDate: today } }),
     prisma.order.count({ where: { assignedDate: today, status: 'completed' } }),
     prisma.order.count({ where: { status: 'in_progress' } }),
+    // Today's completions that had a delivery window
+    prisma.order.groupBy({
+      by: ['timeliness'],
+      where: { assignedDate: today, status: 'completed', timeliness: { not: null } },
+      _count: { _all: true },
+    }),
   ]);
 
+  const countOf = (timeliness) => timelinessToday.find((g) => g.timeliness === timeliness)?._count._all ?? 0;
+  const onTime = countOf('on_time');
+  const early = countOf('early');
+  const late = countOf('late');
+  const windowed = onTime + early + late;
+
   return {
     totalVehicles,
     totalDrivers,
@@ -121,10 +187,33 @@ const getSummary = async () => {
     vehicleUtilization: totalVehicles > 0
       ? Math.round((activeShifts / totalVehicles) * 100)
       : 0,
+    deliveryWindows: {
+      onTime,
+      early,
+      late,
+      onTimeRate: windowed > 0 ? Math.round((onTime / windowed) * 100) : null,
+    },
+  };
+};
+
+/**
+ * Subscribe to live fleet events (GPS, order and shift changes)
+ * @param {Object} query - { types: comma-separated event types, vehicleId, driverId }
+ * @param {Function} listener - Called with each matching event
+ * @returns {Function} Unsubscribe function
+ */
+const subscribe = ({ types, vehicleId, driverId }, listener) => {
+  const filters = {
+    types: types ? types.split(',').map((t) => t.trim()) : null,
+    vehicleId: vehicleId ? parseInt(vehicleId, 10) : null,
+    driverId: driverId ? parseInt(driverId, 10) : null,
   };
+
+  return eventBus.subscribe(filters, listener);
 };
 
 module.exports = {
   getStatus,
   getSummary,
+  subscribe,
 };
@@ -0,0 +1,175 @@
+'use strict';
+
+const prisma = require('../utils/prisma');
+const { NotFoundError } = require('../utils/errors');
+const inventoryService = require('./inventory.service');
+const { getTodayAtMidnight } = require('../utils/date-utils');
+const deliveryConfig = require('../config/delivery');
+
+/**
+ * Forecast Service
+ * Projects when each location-product runs out from its inventory ledger.
+ *
+ * Consumption is every decrease in the ledger over the lookback window (stock takes
+ * below the previous count, negative adjustments, loads at hubs), averaged per day over
+ * the part of the window the record has existed. Deliveries, returns and upward
+ * corrections are not consumption and are left out.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+/**
+ * Next delivery for a record consuming `daily` a day
+ * Due when the stock is projected to reach the minimum (or run out when none is set), and
+ * sized to refill to the target, else the tank, else FORECAST_COVER_DAYS of consumption,
+ * net of what open orders are already bringing
+ */
+const nextDelivery = (inventory, daily, inboundQuantity) => {
+  const reorderLevel = inventory.minQuantity ?? 0;
+  const daysUntil = Math.max(0, Math.floor((inventory.quantity - reorderLevel) / daily));
+  const projected = Math.max(0, inventory.quantity - daily * daysUntil);
+
+  const upTo =
+    inventory.targetQuantity ?? inventory.capacityGallons ?? projected + daily * deliveryConfig.forecastCoverDays;
+  let quantity = upTo - projected - inboundQuantity;
+  if (inventory.capacityGallons != null) {
+    quantity = Math.min(quantity, inventory.capacityGallons - projected);
+  }
+
+  return {
+    date: addDays(getTodayAtMidnight(), daysUntil),
+    quantity: Math.max(0, Math.round(quantity)),
+  };
+};
+
+const inboundKey = (locationId, productId) => `${locationId}:${productId}`;
+
+/**
+ * Quantity on its way to each location-product in open orders, in one query
+ * Same figure as inventoryService.getInboundQuantity, for many records at once
+ *
+ * @returns {Map} inboundKey(locationId, productId) -> quantity
+ */
+const getInboundQuantities = async (inventories) => {
+  const lines = await prisma.orderLine.findMany({
+    where: {
+      productId: { in: [...new Set(inventories.map((inventory) => inventory.productId))] },
+      order: {
+        destinationId: { in: [...new Set(inventories.map((inventory) => inventory.locationId))] },
+        status: { in: inventoryService.INBOUND_STATUSES },
+      },
+    },
+    select: {
+      productId: true,
+      quantity: true,
+      order: { select: { destinationId: true } },
+    },
+  });
+
+  const inbound = new Map();
+  for (const line of lines) {
+    const key = inboundKey(line.order.destinationId, line.productId);
+    inbound.set(key, (inbound.get(key) ?? 0) + line.quantity);
+  }
+  return inbound;
+};
+
+/**
+ * Forecast each inventory record from its consumption since `since`
+ */
+const forecast = async (inventories, since) => {
+  if (inventories.length === 0) return [];
+
+  const [consumption, inbound] = await Promise.all([
+    prisma.inventoryTransaction.groupBy({
+      by: ['inventoryId'],
+      where: {
+        inventoryId: { in: inventories.map((inventory) => inventory.id) },
+        createdAt: { gte: since },
+        delta: { lt: 0 },
+      },
+      _sum: { delta: true },
+    }),
+    getInboundQuantities(inventories),
+  ]);
+  const consumed = new Map(consumption.map((row) => [row.inventoryId, -row._sum.delta]));
+  const now = new Date();
+
+  return inventories.map((inventory) => {
+    // A record younger than the window is averaged over its own lifetime
+    const observedFrom = inventory.createdAt > since ? inventory.createdAt : since;
+    const observedDays = Math.max(1, (now - observedFrom) / DAY_MS);
+    const daily = (consumed.get(inventory.id) ?? 0) / observedDays;
+    const inboundQuantity = inbound.get(inboundKey(inventory.locationId, inventory.productId)) ?? 0;
+    const daysOfSupply = daily > 0 ? inventory.quantity / daily : null;
+
+    return {
+      inventoryId: inventory.id,
+      location: {
+        id: inventory.location.id,
+        name: inventory.location.name,
+        type: inventory.location.type,
+      },
+      product: {
+        id: inventory.product.id,
+        name: inventory.product.name,
+      },
+      quantity: inventory.quantity,
+      capacityGallons: inventory.capacityGallons,
+      inboundQuantity,
+      averageDailyConsumption: round(daily),
+      daysOfSupply: daysOfSupply === null ? null : round(daysOfSupply, 1),
+      stockoutDate: daysOfSupply === null ? null : addDays(now, daysOfSupply),
+      nextDelivery: daily > 0 ? nextDelivery(inventory, daily, inboundQuantity) : null,
+    };
+  });
+};
+
+/**
+ * Fewest days of supply first; records with no consumption last
+ */
+const byDaysOfSupply = (a, b) => (a.daysOfSupply ?? Infinity) - (b.daysOfSupply ?? Infinity);
+
+const getSince = (lookbackDays) =>
+  addDays(new Date(), -(parseInt(lookbackDays, 10) || deliveryConfig.forecastLookbackDays));
+
+/**
+ * Forecast every product held at a location
+ */
+const getByLocation = async (locationId, { lookbackDays } = {}) => {
+  locationId = parseInt(locationId, 10);
+  const location = await prisma.location.findUnique({ where: { id: locationId } });
+  if (!location) {
+    throw new NotFoundError(`Location with ID ${locationId} not found`);
+  }
+
+  const inventories = await prisma.inventory.findMany({
+    where: { locationId },
+    include: { location: true, product: true },
+  });
+
+  const forecasts = await forecast(inventories, getSince(lookbackDays));
+  return forecasts.sort(byDaysOfSupply);
+};
+
+/**
+ * Forecast every terminal's stock, the ones running out soonest first
+ */
+const getAll = async ({ lookbackDays } = {}) => {
+  const inventories = await prisma.inventory.findMany({
+    where: { location: { type: 'terminal' } },
+    include: { location: true, product: true },
+  });
+
+  const forecasts = await forecast(inventories, getSince(lookbackDays));
+  return forecasts.sort(byDaysOfSupply);
+};
+
+module.exports = {
+  getByLocation,
+  getAll,
+};
@@ -1,20 +1,44 @@
 'use strict';
 
 const prisma = require('../utils/prisma');
-const { NotFoundError, BadRequestError } = require('../utils/errors');
+const { NotFoundError, BadRequestError, ForbiddenError } = require('../utils/errors');
 const shiftService = require('./shift.service');
+const visitService = require('./visit.service');
+const deviationService = require('./deviation.service');
+const eventBus = require('../utils/event-bus');
 
 /**
  * GPS Service
  * Handles GPS location ingestion and retrieval
  * Rejects updates when driver has no active shift
+ * Feeds accepted points to geofence visit tracking and route deviation checks
+ * Drivers may only post for a vehicle on one of their own shifts
  */
 
+const isDriver = (viewer) => viewer?.role === 'driver';
+
+/**
+ * Refuse a driver posting for a vehicle that has never been on one of their shifts
+ */
+const assertDriverVehicle = async (vehicle, viewer) => {
+  if (!isDriver(viewer)) return;
+
+  const ownShift = await prisma.shift.findFirst({
+    where: { driverId: viewer.driverId, vehicleAllocation: { vehicleId: vehicle.id } },
+    select: { id: true },
+  });
+  if (!ownShift) {
+    throw new ForbiddenError(`Vehicle '${vehicle.registrationNumber}' is not on any of your shifts`);
+  }
+};
+
 /**
  * Record GPS location
  * Requires: driver must have active shift to record location
+ *
+ * @param {Object} viewer - req.user of the caller (optional); drivers must be the one on shift
  */
-const create = async ({ vehicleId, latitude, longitude, recordedAt }) => {
+const create = async ({ vehicleId, latitude, longitude, recordedAt }, viewer = null) => {
   vehicleId = parseInt(vehicleId);
   // Verify vehicle exists
   const vehicle = await prisma.vehicle.findUnique({ where: { id: vehicleId } });
@@ -37,8 +61,11 @@ const create = async ({ vehicleId, latitude, longitude, recordedAt }) => {
       `Cannot record GPS: vehicle '${vehicle.registrationNumber}' does not have an active shift`
     );
   }
+  if (isDriver(viewer) && activeShift.driverId !== viewer.driverId) {
+    throw new ForbiddenError(`Vehicle '${vehicle.registrationNumber}' is on another driver's shift`);
+  }
 
-  return prisma.gpsLocation.create({
+  const location = await prisma.gpsLocation.create({
     data: {
       vehicleId,
       shiftId: activeShift.id,
@@ -53,6 +80,141 @@ const create = async ({ vehicleId, latitude, longitude, recordedAt }) => {
       },
     },
   });
+
+  const tracked = { id: activeShift.id, driverId: activeShift.driverId, vehicleId };
+  const arrivals = await visitService.track(tracked, [location]);
+  const route = await deviationService.getRoute(activeShift);
+  await deviationService.check(tracked, route, [location], arrivals);
+
+  eventBus.publish('gps.location', {
+    vehicleId,
+    driverId: activeShift.driverId,
+    shiftId: activeShift.id,
+    latitude: location.latitude,
+    longitude: location.longitude,
+    recordedAt: location.recordedAt,
+  });
+
+  return location;
+};
+
+/**
+ * Record a batch of buffered GPS points for one vehicle
+ * Each point is linked to the shift that was active at its recordedAt.
+ * Points with no shift, or whose timestamp is already stored, are rejected
+ * individually; the rest are inserted together. Drivers' points are matched against
+ * their own shifts only.
+ *
+ * @param {Object} viewer - req.user of the caller (optional)
+ * @returns {Object} { vehicleId, accepted, rejected, results: per-point outcome in input order }
+ */
+const createBatch = async ({ vehicleId, points }, viewer = null) => {
+  vehicleId = parseInt(vehicleId, 10);
+  const vehicle = await prisma.vehicle.findUnique({ where: { id: vehicleId } });
+  if (!vehicle) {
+    throw new NotFoundError(`Vehicle with ID ${vehicleId} not found`);
+  }
+  await assertDriverVehicle(vehicle, viewer);
+
+  const times = points.map((point) => new Date(point.recordedAt).getTime());
+  const from = new Date(Math.min(...times));
+  const to = new Date(Math.max(...times));
+
+  // Shifts on this vehicle overlapping the batch window, points already stored in it,
+  // and the newest stored point overall
+  const [shifts, existing, lastStored] = await Promise.all([
+    prisma.shift.findMany({
+      where: {
+        vehicleAllocation: { vehicleId },
+        ...(isDriver(viewer) && { driverId: viewer.driverId }),
+        startTime: { lte: to },
+        OR: [{ endTime: null }, { endTime: { gte: from } }],
+      },
+    }),
+    prisma.gpsLocation.findMany({
+      where: { vehicleId, recordedAt: { gte: from, lte: to } },
+      select: { recordedAt: true },
+    }),
+    prisma.gpsLocation.findFirst({
+      where: { vehicleId },
+      orderBy: { recordedAt: 'desc' },
+    }),
+  ]);
+
+  const seen = new Set(existing.map((location) => location.recordedAt.getTime()));
+  const rows = [];
+  const results = points.map((point, index) => {
+    const time = times[index];
+    const recordedAt = new Date(time);
+
+    if (seen.has(time)) {
+      return { index, recordedAt, status: 'rejected', reason: 'Duplicate recordedAt for this vehicle' };
+    }
+
+    const shift = shifts.find(
+      (s) => s.startTime.getTime() <= time && (!s.endTime || time <= s.endTime.getTime())
+    );
+    if (!shift) {
+      const reason = isDriver(viewer)
+        ? 'None of your shifts was active on this vehicle at recordedAt'
+        : 'No shift was active for this vehicle at recordedAt';
+      return { index, recordedAt, status: 'rejected', reason };
+    }
+
+    seen.add(time);
+    rows.push({
+      vehicleId,
+      shiftId: shift.id,
+      latitude: point.latitude,
+      longitude: point.longitude,
+      recordedAt,
+    });
+    return { index, recordedAt, status: 'accepted', shiftId: shift.id };
+  });
+
+  if (rows.length > 0) {
+    // A concurrent upload of the same points is caught by the unique (vehicleId, recordedAt) key
+    await prisma.gpsLocation.createMany({
+      data: rows,
+      skipDuplicates: true,
+    });
+
+    // Geofence state reflects the newest stored point; only points after it can move it forward
+    const newer = rows.filter((row) => !lastStored || row.recordedAt > lastStored.recordedAt);
+    // One route lookup per driver and day for the whole batch
+    const routes = new Map();
+    for (const shift of shifts) {
+      const shiftPoints = newer.filter((row) => row.shiftId === shift.id);
+      if (shiftPoints.length > 0) {
+        const tracked = { id: shift.id, driverId: shift.driverId, vehicleId };
+        const arrivals = await visitService.track(tracked, shiftPoints);
+
+        const routeKey = `${shift.driverId}:${shift.shiftDate.getTime()}`;
+        if (!routes.has(routeKey)) {
+          routes.set(routeKey, await deviationService.getRoute(shift));
+        }
+        await deviationService.check(tracked, routes.get(routeKey), shiftPoints, arrivals);
+      }
+    }
+
+    // Only the newest point is live position; older replayed points are history
+    const latest = rows.reduce((a, b) => (b.recordedAt > a.recordedAt ? b : a));
+    eventBus.publish('gps.location', {
+      vehicleId,
+      driverId: shifts.find((s) => s.id === latest.shiftId).driverId,
+      shiftId: latest.shiftId,
+      latitude: latest.latitude,
+      longitude: latest.longitude,
+      recordedAt: latest.recordedAt,
+    });
+  }
+
+  return {
+    vehicleId,
+    accepted: rows.length,
+    rejected: points.length - rows.length,
+    results,
+  };
 };
 
 /**
@@ -170,6 +332,7 @@ const getLatestForActiveVehicles = async () => {
 
 module.exports = {
   create,
+  createBatch,
   getByVehicle,
   getByDriver,
   getLatestForActiveVehicles,
@@ -1,13 +1,52 @@
 'use strict';
 
 const prisma = require('../utils/prisma');
-const { NotFoundError, ValidationError } = require('../utils/errors');
+const { NotFoundError, ValidationError, ConflictError } = require('../utils/errors');
+const eventBus = require('../utils/event-bus');
+const orderState = require('../utils/order-state');
+const deliveryConfig = require('../config/delivery');
 
 /**
  * Inventory Service
  * Handles all business logic for inventory operations
+ *
+ * Records with a minimum level are watched: every ledger entry that leaves one below
+ * its minimum raises a low-stock alert with a reorder suggestion, and the alert is
+ * resolved by the first change that brings it back up.
+ *
+ * Records with a capacity (tank size) cannot be filled past it: stock takes, adjustments
+ * and deliveries that would overfill are rejected, and so are orders whose quantity,
+ * on top of the stock and what is already on order, would not fit.
  */
 
+// Orders whose stock is still on its way to the destination
+const INBOUND_STATUSES = ['pending', 'assigned', 'in_progress'];
+
+// Replenishment orders placed inside a transaction, announced once it commits (see transaction)
+const placedOrders = new WeakMap();
+
+/**
+ * Run a transaction that moves stock, then publish the replenishment orders it placed
+ * Events go out only after the commit, so subscribers never see an order that was rolled back
+ */
+const transaction = async (callback) => {
+  let client;
+  const result = await prisma.$transaction((tx) => {
+    client = tx;
+    return callback(tx);
+  });
+
+  for (const order of placedOrders.get(client) ?? []) {
+    eventBus.publish('order.status', {
+      orderId: order.id,
+      status: order.status,
+      driverId: null,
+      vehicleId: null,
+    });
+  }
+  return result;
+};
+
 const getAll = async () => {
   return prisma.inventory.findMany({
     include: {
@@ -45,20 +84,203 @@ const getByLocation = async (locationId) => {
     throw new NotFoundError(`Location with ID ${locationId} not found`);
   }
 
-  return prisma.inventory.findMany({
+  const inventories = await prisma.inventory.findMany({
     where: { locationId },
     include: {
       product: true,
     },
   });
+
+  // Expose what can still be committed to new orders, and the room left in the tank
+  return inventories.map((inventory) => ({
+    ...inventory,
+    availableQuantity: inventory.quantity - inventory.reservedQuantity,
+    headroomQuantity:
+      inventory.capacityGallons == null ? null : inventory.capacityGallons - inventory.quantity,
+  }));
+};
+
+/**
+ * Quantity of a product on its way to a location in open orders
+ * excludeOrderId leaves out an order being changed
+ */
+const getInboundQuantity = async (tx, locationId, productId, excludeOrderId = null) => {
+  const order = { destinationId: locationId, status: { in: INBOUND_STATUSES } };
+  if (excludeOrderId) {
+    order.id = { not: excludeOrderId };
+  }
+
+  const result = await tx.orderLine.aggregate({
+    where: { productId, order },
+    _sum: { quantity: true },
+  });
+  return result._sum.quantity ?? 0;
+};
+
+/**
+ * Reject a quantity that leaves less stock than is reserved for assigned orders
+ * Loading those orders would otherwise draw the stock negative
+ */
+const assertCoversReserved = (inventory, quantity) => {
+  if (inventory.reservedQuantity > quantity) {
+    throw new ValidationError(
+      `Cannot set quantity to ${quantity}: ${inventory.reservedQuantity} is reserved for assigned orders`
+    );
+  }
+};
+
+/**
+ * Reject a quantity above the record's capacity
+ */
+const assertWithinCapacity = (inventory, quantity) => {
+  if (inventory.capacityGallons != null && quantity > inventory.capacityGallons) {
+    throw new ValidationError(
+      `Cannot set quantity to ${quantity}: the tank holds ${inventory.capacityGallons}`
+    );
+  }
+};
+
+/**
+ * Set a record's quantity only while its stock, reservations and capacity are as read
+ * The checks made on the read then still hold for the write; a concurrent change in
+ * between is a ConflictError rather than a write past them
+ *
+ * @returns {Object} The updated record, with its location and product
+ */
+const setQuantityIfUnchanged = async (tx, inventory, quantity) => {
+  const { count } = await tx.inventory.updateMany({
+    where: {
+      id: inventory.id,
+      quantity: inventory.quantity,
+      reservedQuantity: inventory.reservedQuantity,
+      capacityGallons: inventory.capacityGallons,
+    },
+    data: { quantity },
+  });
+  if (count === 0) {
+    throw new ConflictError(`Inventory record ${inventory.id} changed while updating it; try again`);
+  }
+
+  return tx.inventory.findUnique({
+    where: { id: inventory.id },
+    include: {
+      location: true,
+      product: true,
+    },
+  });
+};
+
+/**
+ * Create a record, as a ConflictError if a concurrent request created it first
+ */
+const createRecord = async (tx, { locationId, productId, quantity }) => {
+  try {
+    return await tx.inventory.create({
+      data: { locationId, productId, quantity },
+      include: {
+        location: true,
+        product: true,
+      },
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      throw new ConflictError(
+        `Inventory for product ${productId} at location ${locationId} was created meanwhile; try again`
+      );
+    }
+    throw error;
+  }
+};
+
+/**
+ * Raise or resolve the record's low-stock alert
+ * Below the minimum with no open alert: suggest a reorder up to the target (the minimum
+ * when no target is set), net of stock already inbound and no more than the tank has
+ * room for, and with INVENTORY_AUTO_REPLENISH place it as a pending order. At or above
+ * the minimum: resolve the open alert. Records without a minimum are not watched.
+ */
+const checkLevels = async (tx, inventory) => {
+  if (inventory.minQuantity == null) return;
+
+  const open = await tx.inventoryAlert.findFirst({
+    where: { inventoryId: inventory.id, resolvedAt: null },
+  });
+
+  if (inventory.quantity >= inventory.minQuantity) {
+    if (open) {
+      await tx.inventoryAlert.update({
+        where: { id: open.id },
+        data: { resolvedAt: new Date() },
+      });
+    }
+    return;
+  }
+  // Still low: the open alert already covers it
+  if (open) return;
+
+  const targetQuantity = inventory.targetQuantity ?? inventory.minQuantity;
+  const inboundQuantity = await getInboundQuantity(tx, inventory.locationId, inventory.productId);
+  let suggestedQuantity = targetQuantity - inventory.quantity - inboundQuantity;
+  if (inventory.capacityGallons != null) {
+    suggestedQuantity = Math.min(suggestedQuantity, inventory.capacityGallons - inventory.quantity - inboundQuantity);
+  }
+  suggestedQuantity = Math.max(0, suggestedQuantity);
+
+  let order = null;
+  if (deliveryConfig.autoReplenish && suggestedQuantity > 0) {
+    order = await tx.order.create({
+      data: {
+        destinationId: inventory.locationId,
+        ...orderState.initial('pending', { reason: 'Replenishment: stock below minimum' }),
+        quantity: suggestedQuantity,
+        lines: {
+          create: [{ productId: inventory.productId, quantity: suggestedQuantity }],
+        },
+      },
+    });
+    placedOrders.set(tx, [...(placedOrders.get(tx) ?? []), order]);
+  }
+
+  await tx.inventoryAlert.create({
+    data: {
+      inventoryId: inventory.id,
+      quantity: inventory.quantity,
+      minQuantity: inventory.minQuantity,
+      targetQuantity,
+      inboundQuantity,
+      suggestedQuantity,
+      orderId: order?.id ?? null,
+    },
+  });
+};
+
+/**
+ * Append an entry to the inventory ledger and re-check the record's levels
+ * Called with the inventory row as it stands after the change
+ */
+const recordTransaction = async (tx, inventory, { type, delta, orderId = null, reason = null }) => {
+  await checkLevels(tx, inventory);
+
+  return tx.inventoryTransaction.create({
+    data: {
+      inventoryId: inventory.id,
+      type,
+      delta,
+      quantityBefore: inventory.quantity - delta,
+      quantityAfter: inventory.quantity,
+      orderId,
+      reason,
+    },
+  });
 };
 
 /**
  * Create or update inventory (upsert)
  * If inventory exists for location+product, update quantity
  * Otherwise, create new record
+ * Either way the write fails with a ConflictError if another request got there first
  */
-const upsert = async ({ locationId, productId, quantity }) => {
+const upsert = async ({ locationId, productId, quantity, reason = null }) => {
   locationId = parseInt(locationId, 10);
   productId = parseInt(productId, 10);
   // Verify location and product exist
@@ -74,16 +296,28 @@ const upsert = async ({ locationId, productId, quantity }) => {
     throw new NotFoundError(`Product with ID ${productId} not found`);
   }
 
-  return prisma.inventory.upsert({
-    where: {
-      locationId_productId: { locationId, productId },
-    },
-    update: { quantity },
-    create: { locationId, productId, quantity },
-    include: {
-      location: true,
-      product: true,
-    },
+  return transaction(async (tx) => {
+    const existing = await tx.inventory.findUnique({
+      where: {
+        locationId_productId: { locationId, productId },
+      },
+    });
+    let inventory;
+    if (existing) {
+      assertCoversReserved(existing, quantity);
+      assertWithinCapacity(existing, quantity);
+      inventory = await setQuantityIfUnchanged(tx, existing, quantity);
+    } else {
+      inventory = await createRecord(tx, { locationId, productId, quantity });
+    }
+
+    await recordTransaction(tx, inventory, {
+      type: 'set',
+      delta: quantity - (existing ? existing.quantity : 0),
+      reason,
+    });
+
+    return inventory;
   });
 };
 
@@ -91,37 +325,216 @@ const upsert = async ({ locationId, productId, quantity }) => {
  * Adjust inventory quantity (add or subtract)
  */
 const adjust = async (id, adjustment, reason = null) => {
+  return transaction(async (tx) => {
+    const inventory = await tx.inventory.findUnique({ where: { id } });
+    if (!inventory) {
+      throw new NotFoundError(`Inventory record with ID ${id} not found`);
+    }
+
+    const newQuantity = inventory.quantity + adjustment;
+    if (newQuantity < 0) {
+      throw new ValidationError(
+        `Cannot adjust: would result in negative quantity (${newQuantity})`
+      );
+    }
+    assertCoversReserved(inventory, newQuantity);
+    assertWithinCapacity(inventory, newQuantity);
+
+    const updated = await setQuantityIfUnchanged(tx, inventory, newQuantity);
+
+    await recordTransaction(tx, updated, {
+      type: 'adjustment',
+      delta: adjustment,
+      reason,
+    });
+
+    return updated;
+  });
+};
+
+/**
+ * Set or clear the record's minimum and target levels and its capacity
+ * Only the levels given change: undefined keeps the stored value, null clears it.
+ * Clearing the minimum clears the target with it and resolves an open alert; otherwise
+ * the resulting levels are checked straight away.
+ */
+const setLevels = async (id, { minQuantity, targetQuantity, capacityGallons }) => {
   const inventory = await getById(id);
 
-  const newQuantity = inventory.quantity + adjustment;
-  if (newQuantity < 0) {
+  const data = {};
+  if (minQuantity !== undefined) data.minQuantity = minQuantity;
+  if (targetQuantity !== undefined) data.targetQuantity = targetQuantity;
+  if (capacityGallons !== undefined) data.capacityGallons = capacityGallons;
+  const levels = { ...inventory, ...data };
+
+  if (levels.minQuantity == null && levels.targetQuantity != null) {
+    if (targetQuantity != null) {
+      throw new ValidationError('Cannot set a target level without a minimum');
+    }
+    data.targetQuantity = null;
+    levels.targetQuantity = null;
+  }
+  if (levels.targetQuantity != null && levels.targetQuantity < levels.minQuantity) {
     throw new ValidationError(
-      `Cannot adjust: would result in negative quantity (${newQuantity})`
+      `Target level ${levels.targetQuantity} is below the minimum ${levels.minQuantity}`
     );
   }
 
-  // Log adjustment for audit trail (in production, use a separate audit table)
-  if (process.env.NODE_ENV !== 'test') {
-    console.log(
-      `Inventory adjustment: ID=${id}, change=${adjustment}, reason=${reason || 'N/A'}`
-    );
+  if (levels.capacityGallons != null) {
+    if (capacityGallons != null && inventory.quantity > capacityGallons) {
+      throw new ValidationError(
+        `Capacity ${capacityGallons} is below the ${inventory.quantity} already in stock`
+      );
+    }
+    const level = levels.targetQuantity ?? levels.minQuantity;
+    if (level != null && level > levels.capacityGallons) {
+      throw new ValidationError(`Target level ${level} is above the capacity ${levels.capacityGallons}`);
+    }
   }
 
-  return prisma.inventory.update({
-    where: { id },
-    data: { quantity: newQuantity },
+  return transaction(async (tx) => {
+    const updated = await tx.inventory.update({
+      where: { id },
+      data,
+      include: {
+        location: true,
+        product: true,
+      },
+    });
+
+    if (updated.minQuantity == null) {
+      await tx.inventoryAlert.updateMany({
+        where: { inventoryId: id, resolvedAt: null },
+        data: { resolvedAt: new Date() },
+      });
+    } else {
+      await checkLevels(tx, updated);
+    }
+
+    return updated;
+  });
+};
+
+/**
+ * Get low-stock alerts (open ones by default), newest first
+ */
+const getAlerts = async ({ status = 'open', locationId, productId } = {}) => {
+  const where = {};
+  if (status === 'open') where.resolvedAt = null;
+  if (status === 'resolved') where.resolvedAt = { not: null };
+
+  const inventoryFilter = {};
+  if (locationId) inventoryFilter.locationId = parseInt(locationId, 10);
+  if (productId) inventoryFilter.productId = parseInt(productId, 10);
+  if (Object.keys(inventoryFilter).length > 0) where.inventory = inventoryFilter;
+
+  return prisma.inventoryAlert.findMany({
+    where,
     include: {
-      location: true,
-      product: true,
+      inventory: {
+        include: { location: true, product: true },
+      },
+      order: true,
     },
+    orderBy: { raisedAt: 'desc' },
   });
 };
 
+/**
+ * Build a createdAt filter from optional from/to query values
+ */
+const dateRange = ({ from, to }) => {
+  if (!from && !to) return undefined;
+  const range = {};
+  if (from) range.gte = new Date(from);
+  if (to) range.lte = new Date(to);
+  return range;
+};
+
+/**
+ * Get ledger entries for a single inventory record (newest first)
+ */
+const getHistory = async (id, { from, to } = {}) => {
+  await getById(id);
+
+  return prisma.inventoryTransaction.findMany({
+    where: {
+      inventoryId: id,
+      createdAt: dateRange({ from, to }),
+    },
+    orderBy: { createdAt: 'desc' },
+  });
+};
+
+/**
+ * Get ledger entries for every product at a location (newest first)
+ */
+const getLocationHistory = async (locationId, { productId, from, to } = {}) => {
+  locationId = parseInt(locationId, 10);
+  const location = await prisma.location.findUnique({
+    where: { id: locationId },
+  });
+
+  if (!location) {
+    throw new NotFoundError(`Location with ID ${locationId} not found`);
+  }
+
+  const inventoryFilter = { locationId };
+  if (productId) {
+    inventoryFilter.productId = parseInt(productId, 10);
+  }
+
+  return prisma.inventoryTransaction.findMany({
+    where: {
+      inventory: inventoryFilter,
+      createdAt: dateRange({ from, to }),
+    },
+    include: {
+      inventory: {
+        include: { product: true },
+      },
+    },
+    orderBy: { createdAt: 'desc' },
+  });
+};
+
+/**
+ * Check an order's quantity of a product fits the destination's tank
+ * on top of the stock and what open orders are already bringing
+ * No limit when the destination has no record or no capacity for the product
+ */
+const assertHeadroom = async (locationId, productId, quantity, tx = prisma, { excludeOrderId = null } = {}) => {
+  const inventory = await tx.inventory.findUnique({
+    where: {
+      locationId_productId: { locationId, productId },
+    },
+  });
+  if (inventory?.capacityGallons == null) return;
+
+  const inbound = await getInboundQuantity(tx, locationId, productId, excludeOrderId);
+  const room = inventory.capacityGallons - inventory.quantity - inbound;
+  if (quantity > room) {
+    throw new ConflictError(
+      `Order would overfill the tank for product ${productId} at location ${locationId}: ` +
+        `it holds ${inventory.capacityGallons} with ${inventory.quantity} in stock and ${inbound} on order, ` +
+        `leaving room for ${Math.max(0, room)}; ${quantity} requested`
+    );
+  }
+};
+
 /**
  * Internal function to increase inventory (used by order completion)
+ * Pass a transaction client to run as part of a larger transaction
+ * A delivery that takes the stock past the capacity is rejected, rolling the transaction back
  */
-const increaseByLocationAndProduct = async (locationId, productId, quantity) => {
-  return prisma.inventory.upsert({
+const increaseByLocationAndProduct = async (
+  locationId,
+  productId,
+  quantity,
+  tx = prisma,
+  { type = 'delivery', orderId = null, reason = null } = {}
+) => {
+  const inventory = await tx.inventory.upsert({
     where: {
       locationId_productId: { locationId, productId },
     },
@@ -134,6 +547,89 @@ const increaseByLocationAndProduct = async (locationId, productId, quantity) =>
       quantity: quantity,
     },
   });
+
+  if (type === 'delivery' && inventory.capacityGallons != null && inventory.quantity > inventory.capacityGallons) {
+    const room = inventory.capacityGallons - (inventory.quantity - quantity);
+    throw new ConflictError(
+      `Delivery would overfill the tank for product ${productId} at location ${locationId}: ` +
+        `room for ${Math.max(0, room)} of ${quantity}. Complete with the quantity delivered as a partial delivery`
+    );
+  }
+
+  await recordTransaction(tx, inventory, { type, delta: quantity, orderId, reason });
+
+  return inventory;
+};
+
+/**
+ * Reserve stock at a location for an assigned order
+ * Fails if the unreserved quantity cannot cover the request. The update is conditional on
+ * the stock read, so a concurrent reservation or stock change fails it rather than over-reserving.
+ */
+const reserve = async (locationId, productId, quantity, tx = prisma) => {
+  const inventory = await tx.inventory.findUnique({
+    where: {
+      locationId_productId: { locationId, productId },
+    },
+  });
+
+  const available = inventory ? inventory.quantity - inventory.reservedQuantity : 0;
+  if (available < quantity) {
+    throw new ConflictError(
+      `Insufficient stock at location ${locationId}: ${available} available, ${quantity} requested`
+    );
+  }
+
+  const { count } = await tx.inventory.updateMany({
+    // quantity - reservedQuantity >= requested, against the reservation read above
+    where: {
+      id: inventory.id,
+      reservedQuantity: inventory.reservedQuantity,
+      quantity: { gte: inventory.reservedQuantity + quantity },
+    },
+    data: {
+      reservedQuantity: { increment: quantity },
+    },
+  });
+  if (count === 0) {
+    throw new ConflictError(`Stock at location ${locationId} changed while reserving; try again`);
+  }
+
+  return { ...inventory, reservedQuantity: inventory.reservedQuantity + quantity };
+};
+
+/**
+ * Release a reservation made by reserve() without moving stock
+ */
+const releaseReservation = async (locationId, productId, quantity, tx = prisma) => {
+  return tx.inventory.update({
+    where: {
+      locationId_productId: { locationId, productId },
+    },
+    data: {
+      reservedQuantity: { decrement: quantity },
+    },
+  });
+};
+
+/**
+ * Draw down reserved stock when it physically leaves the location
+ * (truck loaded at the hub)
+ */
+const drawDown = async (locationId, productId, quantity, tx = prisma, { orderId = null } = {}) => {
+  const inventory = await tx.inventory.update({
+    where: {
+      locationId_productId: { locationId, productId },
+    },
+    data: {
+      quantity: { decrement: quantity },
+      reservedQuantity: { decrement: quantity },
+    },
+  });
+
+  await recordTransaction(tx, inventory, { type: 'load', delta: -quantity, orderId });
+
+  return inventory;
 };
 
 module.exports = {
@@ -142,5 +638,16 @@ module.exports = {
   getByLocation,
   upsert,
   adjust,
+  setLevels,
+  getAlerts,
+  assertHeadroom,
+  getInboundQuantity,
+  getHistory,
+  getLocationHistory,
   increaseByLocationAndProduct,
+  reserve,
+  releaseReservation,
+  drawDown,
+  transaction,
+  INBOUND_STATUSES,
 };
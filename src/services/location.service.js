@@ -1,5 +1,6 @@
 'use strict';
 
+const { Prisma } = require('@prisma/client');
 const prisma = require('../utils/prisma');
 const { NotFoundError, ConflictError } = require('../utils/errors');
 
@@ -33,8 +34,18 @@ const getById = async (id) => {
   return location;
 };
 
+/**
+ * Prisma rejects a plain null for Json columns; clearing the polygon needs DbNull
+ */
+const toLocationData = (data) => {
+  if (data.geofencePolygon === null) {
+    return { ...data, geofencePolygon: Prisma.DbNull };
+  }
+  return data;
+};
+
 const create = async (data) => {
-  return prisma.location.create({ data });
+  return prisma.location.create({ data: toLocationData(data) });
 };
 
 const update = async (id, data) => {
@@ -42,7 +53,7 @@ const update = async (id, data) => {
 
   return prisma.location.update({
     where: { id },
-    data,
+    data: toLocationData(data),
   });
 };
 
@@ -50,14 +61,15 @@ const remove = async (id) => {
   await getById(id);
 
   // Check if location is in use
-  const [inventoryCount, orderCount] = await Promise.all([
+  const [inventoryCount, orderCount, visitCount] = await Promise.all([
     prisma.inventory.count({ where: { locationId: id } }),
-    prisma.order.count({ where: { destinationId: id } }),
+    prisma.order.count({ where: { OR: [{ destinationId: id }, { sourceId: id }] } }),
+    prisma.locationVisit.count({ where: { locationId: id } }),
   ]);
 
-  if (inventoryCount > 0 || orderCount > 0) {
+  if (inventoryCount > 0 || orderCount > 0 || visitCount > 0) {
     throw new ConflictError(
-      `Cannot delete location: it has ${inventoryCount} inventory records and ${orderCount} orders`
+      `Cannot delete location: it has ${inventoryCount} inventory records, ${orderCount} orders and ${visitCount} visits`
     );
   }
 
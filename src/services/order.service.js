@@ -1,14 +1,114 @@
 'use strict';
 
 const prisma = require('../utils/prisma');
-const { NotFoundError, ConflictError, BadRequestError } = require('../utils/errors');
+const { AppError, NotFoundError, ConflictError, BadRequestError, ForbiddenError } = require('../utils/errors');
 const shiftService = require('./shift.service');
+const inventoryService = require('./inventory.service');
+const allocationService = require('./allocation.service');
+const compartmentService = require('./compartment.service');
+const eventBus = require('../utils/event-bus');
+const { haversineDistance } = require('../utils/geo');
+const { getTodayAtMidnight, getDateAtMidnight } = require('../utils/date-utils');
+const orderState = require('../utils/order-state');
+const deliveryConfig = require('../config/delivery');
 
 /**
  * Order Service
  * Handles order lifecycle: create → assign → start → complete/fail
+ *
+ * Orders carry one or more product lines; quantity is the total of the lines.
+ * Orders with a source hub move hub stock along the lifecycle, line by line:
+ * assign reserves it, start draws it down, fail releases it.
  */
 
+/**
+ * Verify a location exists and is a hub
+ */
+const getSourceHub = async (sourceId) => {
+  const source = await prisma.location.findUnique({ where: { id: sourceId } });
+  if (!source) {
+    throw new NotFoundError(`Source location with ID ${sourceId} not found`);
+  }
+  if (source.type !== 'hub') {
+    throw new BadRequestError(`Location '${source.name}' is not a hub and cannot be an order source`);
+  }
+  return source;
+};
+
+/**
+ * Update an order only while it is still in the status it was read in
+ * Two concurrent actions on one order would otherwise both pass the transition check and
+ * both move its stock; the loser gets a ConflictError and its transaction rolls back
+ */
+const updateIfUnchanged = async (client, order, args) => {
+  try {
+    return await client.order.update({ ...args, where: { ...args.where, status: order.status } });
+  } catch (error) {
+    if (error.code === 'P2025') {
+      throw new ConflictError(`Order ${order.id} changed while updating it; reload it and try again`);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Normalise an order payload to lines
+ * Single-product payloads ({ productId, quantity }) become one line
+ */
+const toLines = ({ productId, quantity, lines }) => lines ?? [{ productId, quantity }];
+
+/**
+ * Verify every line's product exists
+ * @returns {Array} Lines with their product attached
+ */
+const withProducts = async (lines) => {
+  const products = await prisma.product.findMany({
+    where: { id: { in: lines.map((line) => line.productId) } },
+  });
+
+  return lines.map((line) => {
+    const product = products.find((p) => p.id === line.productId);
+    if (!product) {
+      throw new NotFoundError(`Product with ID ${line.productId} not found`);
+    }
+    return { ...line, product };
+  });
+};
+
+const totalQuantity = (lines) => lines.reduce((sum, line) => sum + line.quantity, 0);
+
+/**
+ * Day to assign an order to when none is given: its requested delivery day, or today once that has passed
+ */
+const defaultAssignedDate = (windowStart) => {
+  const today = getTodayAtMidnight();
+  return windowStart && windowStart > today ? getDateAtMidnight(windowStart) : today;
+};
+
+/**
+ * Classify a completion against the order's delivery window
+ * Null when the order has no window
+ */
+const classifyTimeliness = ({ windowStart, windowEnd }, completedAt) => {
+  if (!windowStart && !windowEnd) return null;
+  if (windowStart && completedAt < windowStart) return 'early';
+  if (windowEnd && completedAt > windowEnd) return 'late';
+  return 'on_time';
+};
+
+/**
+ * Notify stream subscribers of an order state change
+ * Vehicle is known only once the driver is on shift
+ */
+const publishStatus = (order, shift = null) => {
+  eventBus.publish('order.status', {
+    orderId: order.id,
+    status: order.status,
+    driverId: order.assignedDriverId,
+    vehicleId: shift?.vehicleAllocation?.vehicleId ?? null,
+  });
+};
+
 const getAll = async (filters = {}) => {
   const where = {};
 
@@ -22,25 +122,104 @@ const getAll = async (filters = {}) => {
   if (filters.date) {
     where.assignedDate = new Date(filters.date);
   }
+  // Orders with a delivery window overlapping windowFrom..windowTo (open ends overlap everything)
+  if (filters.windowFrom || filters.windowTo) {
+    where.AND = [{ OR: [{ windowStart: { not: null } }, { windowEnd: { not: null } }] }];
+    if (filters.windowFrom) {
+      where.AND.push({ OR: [{ windowEnd: null }, { windowEnd: { gte: new Date(filters.windowFrom) } }] });
+    }
+    if (filters.windowTo) {
+      where.AND.push({ OR: [{ windowStart: null }, { windowStart: { lte: new Date(filters.windowTo) } }] });
+    }
+  }
+  if (filters.timeliness) {
+    where.timeliness = filters.timeliness;
+  }
+  if (filters.priority) {
+    where.priority = filters.priority;
+  }
 
   return prisma.order.findMany({
     where,
     include: {
+      source: true,
       destination: true,
-      product: true,
+      lines: { include: { product: true } },
       assignedDriver: true,
     },
-    orderBy: { createdAt: 'desc' },
+    orderBy: [{ priority: 'desc' }, { createdAt: 'desc' }],
+  });
+};
+
+const PRIORITY_RANK = { emergency: 0, high: 1, normal: 2, low: 3 };
+
+/**
+ * SLA check: pending orders that have waited longer than their priority allows
+ * The wait runs from when the order last became pending: creation, or a requeue after a
+ * failed attempt. Most urgent first, then longest waiting
+ */
+const getOverdue = async () => {
+  const now = Date.now();
+  const { slaMinutes } = deliveryConfig;
+
+  const orders = await prisma.order.findMany({
+    where: {
+      status: 'pending',
+      OR: Object.entries(slaMinutes).map(([priority, minutes]) => {
+        const cutoff = new Date(now - minutes * 60 * 1000);
+        return {
+          priority,
+          createdAt: { lt: cutoff },
+          statusHistory: { none: { toStatus: 'pending', createdAt: { gte: cutoff } } },
+        };
+      }),
+    },
+    include: {
+      source: true,
+      destination: true,
+      lines: { include: { product: true } },
+      statusHistory: {
+        where: { toStatus: 'pending' },
+        orderBy: { createdAt: 'desc' },
+        take: 1,
+      },
+    },
   });
+
+  return orders
+    .map(({ statusHistory, ...order }) => {
+      // Orders from before the status history have no entry; they have been pending since creation
+      const pendingSince = statusHistory[0]?.createdAt ?? order.createdAt;
+      const waitingMinutes = Math.floor((now - pendingSince.getTime()) / 60000);
+      return {
+        ...order,
+        pendingSince,
+        slaMinutes: slaMinutes[order.priority],
+        waitingMinutes,
+        overdueMinutes: waitingMinutes - slaMinutes[order.priority],
+      };
+    })
+    .sort((a, b) => PRIORITY_RANK[a.priority] - PRIORITY_RANK[b.priority] || a.pendingSince - b.pendingSince);
 };
 
-const getById = async (id) => {
+/**
+ * Get an order with its attempts
+ * With a viewer, drivers may only read orders assigned to them
+ *
+ * @param {Object} viewer - req.user of the caller (optional)
+ */
+const getById = async (id, viewer = null) => {
   const order = await prisma.order.findUnique({
     where: { id },
     include: {
+      source: true,
       destination: true,
-      product: true,
+      lines: { include: { product: true } },
       assignedDriver: true,
+      compartmentLoads: true,
+      parentOrder: true,
+      followUpOrders: true,
+      cancelledBy: { select: { id: true, email: true, role: true } },
       attempts: {
         include: { shift: true },
         orderBy: { createdAt: 'desc' },
@@ -51,22 +230,95 @@ const getById = async (id) => {
   if (!order) {
     throw new NotFoundError(`Order with ID ${id} not found`);
   }
+  if (viewer?.role === 'driver' && order.assignedDriverId !== viewer.driverId) {
+    throw new ForbiddenError('This order is not assigned to you');
+  }
 
   return order;
 };
 
-const create = async (data) => {
-  // Verify destination and product exist
-  const [destination, product] = await Promise.all([
-    prisma.location.findUnique({ where: { id: data.destinationId } }),
-    prisma.product.findUnique({ where: { id: data.productId } }),
-  ]);
+/**
+ * Check an order fits on the vehicle allocated to the driver for the day
+ * and plan it into the vehicle's compartments, if it has any.
+ * The capacity check is skipped when the driver has no allocation yet or the
+ * vehicle has no capacity on record. With allowOverCapacity an overload is
+ * returned as a warning instead of rejected.
+ *
+ * @param {Array} lines - Order lines with their product
+ * @param {Array} compartments - Optional requested split: [{ compartmentId, productId, quantity }]
+ * @returns {{ warning: string|null, compartmentLoads: Array|null }} compartmentLoads is null
+ *   when the vehicle has no compartments
+ */
+const planLoad = async (
+  { orderId = null, driverId, date, lines, compartments, allowOverCapacity },
+  tx = prisma
+) => {
+  const quantity = totalQuantity(lines);
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+
+  const allocation = await allocationService.getByDriverAndDate(driverId, day);
+  if (!allocation) {
+    if (compartments) {
+      throw new BadRequestError('Cannot choose compartments: driver has no vehicle allocated for the day');
+    }
+    return { warning: null, compartmentLoads: null };
+  }
+
+  const { vehicle } = allocation;
+  const warnings = [];
+
+  if (vehicle.capacityGallons) {
+    const planned = await allocationService.getPlannedQuantity(driverId, day, orderId, tx);
+    if (planned + quantity > vehicle.capacityGallons) {
+      const message =
+        `vehicle ${vehicle.registrationNumber} holds ${vehicle.capacityGallons} gallons; ` +
+        `${planned} already planned for the day plus this order's ${quantity} exceeds it`;
+      if (!allowOverCapacity) {
+        throw new ConflictError(`Cannot assign order: ${message}`);
+      }
+      warnings.push(`Over capacity: ${message}`);
+    }
+  }
+
+  const fillState = await compartmentService.getFillState(vehicle.id, day, orderId, tx);
+  if (fillState.length === 0) {
+    if (compartments) {
+      throw new BadRequestError(`Cannot choose compartments: vehicle ${vehicle.registrationNumber} has none`);
+    }
+    return { warning: warnings.join('; ') || null, compartmentLoads: null };
+  }
+
+  const { loads, unallocated } = compartmentService.plan(fillState, {
+    lines,
+    requested: compartments,
+  });
+  if (unallocated > 0) {
+    const message =
+      `compartments on vehicle ${vehicle.registrationNumber} that can take this order's products ` +
+      `have room for ${quantity - unallocated} of its ${quantity} gallons`;
+    if (!allowOverCapacity) {
+      throw new ConflictError(`Cannot assign order: ${message}`);
+    }
+    warnings.push(`Over compartment capacity: ${message}`);
+  }
+
+  return { warning: warnings.join('; ') || null, compartmentLoads: loads };
+};
 
+const create = async (
+  { allowOverCapacity = false, productId, quantity, lines: payloadLines, ...data },
+  actor = null
+) => {
+  // Verify destination and products exist
+  const destination = await prisma.location.findUnique({ where: { id: data.destinationId } });
   if (!destination) {
     throw new NotFoundError(`Destination with ID ${data.destinationId} not found`);
   }
-  if (!product) {
-    throw new NotFoundError(`Product with ID ${data.productId} not found`);
+  const lines = await withProducts(toLines({ productId, quantity, lines: payloadLines }));
+
+  if (data.sourceId) {
+    await getSourceHub(data.sourceId);
   }
 
   // If driver assigned, verify they exist
@@ -78,32 +330,125 @@ const create = async (data) => {
     if (!driver) {
       throw new NotFoundError(`Driver with ID ${data.assignedDriverId} not found`);
     }
-    // Set status to assigned and date to today if not provided
+    // Set status to assigned and date to the requested delivery day (or today) if not provided
     data.status = 'assigned';
     if (!data.assignedDate) {
-      data.assignedDate = new Date();
+      data.assignedDate = defaultAssignedDate(data.windowStart);
     }
   }
 
-  return prisma.order.create({
-    data,
-    include: {
-      destination: true,
-      product: true,
-      assignedDriver: true,
-    },
+  const { warning: capacityWarning, compartmentLoads } = data.assignedDriverId
+    ? await planLoad({
+        driverId: data.assignedDriverId,
+        date: data.assignedDate,
+        lines,
+        allowOverCapacity,
+      })
+    : { warning: null, compartmentLoads: null };
+
+  const order = await prisma.$transaction(async (tx) => {
+    // The destination's tank must have room for the order on top of what is already on order
+    for (const line of lines) {
+      await inventoryService.assertHeadroom(data.destinationId, line.productId, line.quantity, tx);
+    }
+
+    // Orders created already assigned reserve hub stock straight away
+    if (data.status === 'assigned' && data.sourceId) {
+      for (const line of lines) {
+        await inventoryService.reserve(data.sourceId, line.productId, line.quantity, tx);
+      }
+    }
+
+    return tx.order.create({
+      data: {
+        ...data,
+        ...orderState.initial(data.status ?? 'pending', { actor }),
+        quantity: totalQuantity(lines),
+        lines: {
+          create: lines.map((line) => ({ productId: line.productId, quantity: line.quantity })),
+        },
+        ...(compartmentLoads && { compartmentLoads: { create: compartmentLoads } }),
+      },
+      include: {
+        source: true,
+        destination: true,
+        lines: { include: { product: true } },
+        assignedDriver: true,
+        compartmentLoads: true,
+      },
+    });
   });
+
+  publishStatus(order);
+  return capacityWarning ? { ...order, capacityWarning } : order;
 };
 
-const update = async (id, data) => {
-  await getById(id);
+/**
+ * Update an order
+ * Lines (or the single-product productId/quantity) can only change while the order is pending,
+ * before any stock is reserved or compartments planned for them.
+ * Status is not changed here: each change goes through its action so its side effects run.
+ */
+const update = async (id, { productId, quantity, lines, status, ...data }) => {
+  const order = await getById(id);
+
+  if (status !== undefined) {
+    orderState.assertUpdate(order.status, status);
+  }
+
+  // The validator only sees the window ends that were sent
+  const windowStart = data.windowStart === undefined ? order.windowStart : data.windowStart;
+  const windowEnd = data.windowEnd === undefined ? order.windowEnd : data.windowEnd;
+  if (windowStart && windowEnd && windowEnd <= windowStart) {
+    throw new BadRequestError('windowEnd must be after windowStart');
+  }
+
+  if (lines || productId !== undefined || quantity !== undefined) {
+    if (order.status !== 'pending') {
+      throw new ConflictError(
+        `Cannot change order lines: status is '${order.status}'. Only pending orders can be changed.`
+      );
+    }
+    if (!lines) {
+      if (order.lines.length > 1) {
+        throw new BadRequestError('Order has several lines: send lines instead of productId and quantity');
+      }
+      const [line] = order.lines;
+      lines = [{ productId: productId ?? line.productId, quantity: quantity ?? line.quantity }];
+    }
+    await withProducts(lines);
+
+    data.quantity = totalQuantity(lines);
+    data.lines = { deleteMany: {}, create: lines };
+  }
+
+  const destinationChanged = data.destinationId !== undefined && data.destinationId !== order.destinationId;
+
+  // New lines or a new destination must still fit the destination's tank
+  if (data.lines || destinationChanged) {
+    for (const line of lines ?? order.lines) {
+      await inventoryService.assertHeadroom(
+        data.destinationId ?? order.destinationId,
+        line.productId,
+        line.quantity,
+        prisma,
+        { excludeOrderId: id }
+      );
+    }
+  }
+
+  // A new destination needs a new place in the driver's route
+  if (destinationChanged) {
+    data.routeSequence = null;
+  }
 
   return prisma.order.update({
     where: { id },
     data,
     include: {
+      source: true,
       destination: true,
-      product: true,
+      lines: { include: { product: true } },
       assignedDriver: true,
     },
   });
@@ -118,21 +463,89 @@ const remove = async (id) => {
     );
   }
 
+  // A requeued order keeps its attempts and history; deleting it would lose the audit trail
+  const changes = await prisma.orderStatusHistory.count({ where: { orderId: id, fromStatus: { not: null } } });
+  if (order.attempts.length > 0 || changes > 0) {
+    throw new ConflictError('Cannot delete order: it has already been dispatched. Cancel it instead.');
+  }
+
   await prisma.order.delete({ where: { id } });
 };
 
+/**
+ * Write an assignment inside a transaction: move the order's hub reservation, set its
+ * driver and day, record the transition and replace its compartment plan
+ */
+const applyAssignment = async (tx, order, { driverId, date, sourceId, compartmentLoads }, change) => {
+  // A reassigned order already holds a reservation; move it only if the hub changed
+  const reserved = order.status === 'assigned' && order.sourceId;
+  for (const line of order.lines) {
+    if (reserved && order.sourceId !== sourceId) {
+      await inventoryService.releaseReservation(order.sourceId, line.productId, line.quantity, tx);
+    }
+    if (sourceId && (!reserved || order.sourceId !== sourceId)) {
+      await inventoryService.reserve(sourceId, line.productId, line.quantity, tx);
+    }
+  }
+
+  return updateIfUnchanged(tx, order, {
+    where: { id: order.id },
+    data: {
+      sourceId,
+      assignedDriverId: driverId,
+      assignedDate: date,
+      routeSequence: null, // Placed in the driver's route when it is next sequenced
+      ...orderState.transition(order, 'assigned', change),
+      // Replace any compartment plan from a previous assignment
+      compartmentLoads: {
+        deleteMany: {},
+        ...(compartmentLoads && { create: compartmentLoads }),
+      },
+    },
+    include: {
+      source: true,
+      destination: true,
+      lines: { include: { product: true } },
+      assignedDriver: true,
+      compartmentLoads: true,
+    },
+  });
+};
+
+/**
+ * Assign an order within the caller's transaction, planning its load against the vehicle
+ * as it stands in that transaction; refuses an overload. Used to commit dispatch plans.
+ * The caller publishes the status change once the transaction has committed.
+ */
+const assignInTransaction = async (tx, order, { driverId, date }, change) => {
+  const { compartmentLoads } = await planLoad({ orderId: order.id, driverId, date, lines: order.lines }, tx);
+  return applyAssignment(tx, order, { driverId, date, sourceId: order.sourceId, compartmentLoads }, change);
+};
+
 /**
  * Assign order to a driver
+ * Checks the driver's vehicle capacity for the day and plans the order into its compartments
+ * Reserves stock at the source hub on first assignment
  */
-const assign = async (id, { driverId, assignedDate }) => {
-  driverId = parseInt(driverId);
+const assign = async (id, options, actor = null) => {
   const order = await getById(id);
+  orderState.assertTransition(order.status, 'assigned', 'assign');
 
-  if (order.status !== 'pending' && order.status !== 'assigned') {
-    throw new ConflictError(
-      `Cannot assign order: status is '${order.status}'. Only pending or assigned orders can be reassigned.`
-    );
-  }
+  return assignOrder(order, options, { action: 'assign', actor });
+};
+
+/**
+ * Assign a loaded order (see assign; also used to retry failed orders)
+ *
+ * @param {Object} change - { action, actor, reason } for the status history
+ */
+const assignOrder = async (
+  order,
+  { driverId, assignedDate, sourceId, compartments, allowOverCapacity = false },
+  change
+) => {
+  const { id } = order;
+  driverId = parseInt(driverId);
 
   // Verify driver exists
   const driver = await prisma.driver.findUnique({ where: { id: driverId } });
@@ -140,42 +553,45 @@ const assign = async (id, { driverId, assignedDate }) => {
     throw new NotFoundError(`Driver with ID ${driverId} not found`);
   }
 
-  const date = assignedDate ? new Date(assignedDate) : new Date();
-  date.setHours(0, 0, 0, 0);
+  const newSourceId = sourceId ? parseInt(sourceId, 10) : order.sourceId;
+  if (sourceId) {
+    await getSourceHub(newSourceId);
+  }
 
-  return prisma.order.update({
-    where: { id },
-    data: {
-      assignedDriverId: driverId,
-      assignedDate: date,
-      status: 'assigned',
-    },
-    include: {
-      destination: true,
-      product: true,
-      assignedDriver: true,
-    },
+  const date = assignedDate ? getDateAtMidnight(assignedDate) : defaultAssignedDate(order.windowStart);
+
+  const { warning: capacityWarning, compartmentLoads } = await planLoad({
+    orderId: id,
+    driverId,
+    date,
+    lines: order.lines,
+    compartments,
+    allowOverCapacity,
   });
+
+  const assignedOrder = await prisma.$transaction((tx) =>
+    applyAssignment(tx, order, { driverId, date, sourceId: newSourceId, compartmentLoads }, change)
+  );
+
+  publishStatus(assignedOrder);
+  return capacityWarning ? { ...assignedOrder, capacityWarning } : assignedOrder;
 };
 
 /**
  * Start an order (driver begins delivery)
  * Requires: active shift for driver
+ * Draws down reserved stock at the source hub
  */
-const startOrder = async (id, driverId) => {
+const startOrder = async (id, driverId, actor = null) => {
   driverId = parseInt(driverId, 10);
   const order = await getById(id);
 
   // Verify order is assigned to this driver
   if (order.assignedDriverId !== driverId) {
-    throw new BadRequestError('This order is not assigned to you');
+    throw new ForbiddenError('This order is not assigned to you');
   }
 
-  if (order.status !== 'assigned') {
-    throw new ConflictError(
-      `Cannot start order: status is '${order.status}'. Only assigned orders can be started.`
-    );
-  }
+  orderState.assertTransition(order.status, 'in_progress', 'start');
 
   // Check driver has active shift
   const activeShift = await shiftService.getActiveShiftForDriver(driverId);
@@ -184,14 +600,15 @@ const startOrder = async (id, driverId) => {
   }
 
   // Use transaction to update order and create attempt
-  return prisma.$transaction(async (tx) => {
+  const result = await inventoryService.transaction(async (tx) => {
     // Update order status
-    const updatedOrder = await tx.order.update({
+    const updatedOrder = await updateIfUnchanged(tx, order, {
       where: { id },
-      data: { status: 'in_progress' },
+      data: orderState.transition(order, 'in_progress', { action: 'start', actor }),
       include: {
+        source: true,
         destination: true,
-        product: true,
+        lines: { include: { product: true } },
         assignedDriver: true,
       },
     });
@@ -205,30 +622,128 @@ const startOrder = async (id, driverId) => {
       },
     });
 
+    // Truck is loaded: reserved hub stock leaves the hub
+    if (order.sourceId) {
+      for (const line of order.lines) {
+        await inventoryService.drawDown(order.sourceId, line.productId, line.quantity, tx, {
+          orderId: id,
+        });
+      }
+    }
+
     return updatedOrder;
   });
+
+  publishStatus(result, activeShift);
+  return result;
+};
+
+/**
+ * Proof of delivery: compare the vehicle's latest GPS point this shift with the destination
+ * Throws under the 'reject' policy; otherwise returns the fields to store on the attempt
+ */
+const checkDeliveryProximity = async (order, shift) => {
+  const { proofOfDeliveryPolicy: policy, proofOfDeliveryMaxDistanceMeters: maxDistance } = deliveryConfig;
+
+  const position = await prisma.gpsLocation.findFirst({
+    where: { shiftId: shift.id },
+    orderBy: { recordedAt: 'desc' },
+  });
+
+  if (!position) {
+    if (policy === 'reject') {
+      throw new BadRequestError('Cannot complete order: no GPS position recorded during this shift');
+    }
+    return { proximityFlagged: policy === 'flag' };
+  }
+
+  const { destination } = order;
+  const fields = {
+    completionLatitude: position.latitude,
+    completionLongitude: position.longitude,
+  };
+
+  // Nothing to compare against
+  if (destination.latitude === null || destination.longitude === null) {
+    return fields;
+  }
+
+  const distance = Math.round(haversineDistance(position, destination));
+  const tooFar = distance > maxDistance;
+
+  if (tooFar && policy === 'reject') {
+    throw new BadRequestError(
+      `Cannot complete order: vehicle is ${distance} m from ${destination.name} (max ${maxDistance} m)`
+    );
+  }
+
+  return {
+    ...fields,
+    completionDistanceMeters: distance,
+    proximityFlagged: tooFar && policy === 'flag',
+  };
+};
+
+/**
+ * Work out what was delivered per line
+ * Single-line orders take deliveredQuantity, multi-line orders a deliveredQuantity per line;
+ * anything not reported was delivered in full
+ */
+const resolveDeliveries = (order, { deliveredQuantity, lines = [] }) => {
+  if (deliveredQuantity !== undefined && order.lines.length > 1) {
+    throw new BadRequestError('Order has several lines: report a deliveredQuantity per line instead');
+  }
+  for (const reported of lines) {
+    if (!order.lines.some((line) => line.productId === reported.productId)) {
+      throw new BadRequestError(`Order has no line for product ${reported.productId}`);
+    }
+  }
+
+  const deliveries = order.lines.map((line) => {
+    const reported = lines.find((l) => l.productId === line.productId);
+    const delivered = deliveredQuantity ?? reported?.deliveredQuantity ?? line.quantity;
+    if (delivered > line.quantity) {
+      throw new BadRequestError(
+        `Cannot deliver ${delivered} of ${line.product.name}: the order line is for ${line.quantity}`
+      );
+    }
+    return { line, delivered, remaining: line.quantity - delivered };
+  });
+
+  if (deliveries.every((d) => d.delivered === 0)) {
+    throw new BadRequestError('Cannot complete order: nothing was delivered. Fail the order instead.');
+  }
+
+  return deliveries;
 };
 
 /**
  * Complete an order
+ * - Checks proof of delivery (GPS proximity to destination)
  * - Updates order status to completed
  * - Updates attempt status
- * - Increases destination inventory (atomic transaction)
+ * - Classifies the completion as early, on time or late against the delivery window
+ * - Increases destination inventory by what was delivered on every line (atomic transaction)
+ * - On a short delivery, returns the remainder to the source hub and either re-orders it
+ *   as a pending follow-up order or writes it off as short-delivered
+ *
+ * @param {Object} delivery - { deliveredQuantity, lines: [{ productId, deliveredQuantity }], remainder }
  */
-const completeOrder = async (id, driverId) => {
+const completeOrder = async (
+  id,
+  driverId,
+  { deliveredQuantity, lines, remainder = 'follow_up' } = {},
+  actor = null
+) => {
   driverId = parseInt(driverId, 10);
   const order = await getById(id);
 
   // Verify order is assigned to this driver
   if (order.assignedDriverId !== driverId) {
-    throw new BadRequestError('This order is not assigned to you');
+    throw new ForbiddenError('This order is not assigned to you');
   }
 
-  if (order.status !== 'in_progress') {
-    throw new ConflictError(
-      `Cannot complete order: status is '${order.status}'. Only in_progress orders can be completed.`
-    );
-  }
+  orderState.assertTransition(order.status, 'completed', 'complete');
 
   // Get active shift
   const activeShift = await shiftService.getActiveShiftForDriver(driverId);
@@ -249,16 +764,56 @@ const completeOrder = async (id, driverId) => {
     throw new BadRequestError('No active attempt found for this order');
   }
 
+  const deliveries = resolveDeliveries(order, { deliveredQuantity, lines });
+  const delivered = deliveries.reduce((sum, d) => sum + d.delivered, 0);
+  const shortfall = deliveries.filter((d) => d.remaining > 0);
+
+  const proof = await checkDeliveryProximity(order, activeShift);
+  const completedAt = new Date();
+
   // Transaction: update order, attempt, and inventory atomically
-  return prisma.$transaction(async (tx) => {
+  const result = await inventoryService.transaction(async (tx) => {
+    // The undelivered remainder becomes a new pending order to the same destination
+    if (shortfall.length > 0 && remainder === 'follow_up') {
+      await tx.order.create({
+        data: {
+          sourceId: order.sourceId,
+          destinationId: order.destinationId,
+          parentOrderId: id,
+          ...orderState.initial('pending', { actor, reason: `Remainder of order ${id}` }),
+          quantity: order.quantity - delivered,
+          lines: {
+            create: shortfall.map((d) => ({ productId: d.line.productId, quantity: d.remaining })),
+          },
+        },
+      });
+    }
+
     // Update order status
-    const updatedOrder = await tx.order.update({
+    const updatedOrder = await updateIfUnchanged(tx, order, {
       where: { id },
-      data: { status: 'completed' },
+      data: {
+        ...orderState.transition(order, 'completed', {
+          action: 'complete',
+          actor,
+          reason: shortfall.length > 0 ? 'Short delivery' : null,
+        }),
+        deliveredQuantity: delivered,
+        shortDelivered: shortfall.length > 0 && remainder === 'short',
+        timeliness: classifyTimeliness(order, completedAt),
+        lines: {
+          update: deliveries.map((d) => ({
+            where: { id: d.line.id },
+            data: { deliveredQuantity: d.delivered },
+          })),
+        },
+      },
       include: {
+        source: true,
         destination: true,
-        product: true,
+        lines: { include: { product: true } },
         assignedDriver: true,
+        followUpOrders: true,
       },
     });
 
@@ -267,52 +822,57 @@ const completeOrder = async (id, driverId) => {
       where: { id: attempt.id },
       data: {
         status: 'completed',
-        completedAt: new Date(),
+        completedAt,
+        deliveredQuantity: delivered,
+        ...proof,
       },
     });
 
-    // Increase destination inventory
-    await tx.inventory.upsert({
-      where: {
-        locationId_productId: {
-          locationId: order.destinationId,
-          productId: order.productId,
-        },
-      },
-      update: {
-        quantity: { increment: order.quantity },
-      },
-      create: {
-        locationId: order.destinationId,
-        productId: order.productId,
-        quantity: order.quantity,
-      },
-    });
+    for (const d of deliveries) {
+      // Increase destination inventory by what was actually delivered
+      if (d.delivered > 0) {
+        await inventoryService.increaseByLocationAndProduct(
+          order.destinationId,
+          d.line.productId,
+          d.delivered,
+          tx,
+          { type: 'delivery', orderId: id }
+        );
+      }
+      // What the terminal couldn't take goes back to the hub on the truck
+      if (d.remaining > 0 && order.sourceId) {
+        await inventoryService.increaseByLocationAndProduct(order.sourceId, d.line.productId, d.remaining, tx, {
+          type: 'returned',
+          orderId: id,
+          reason: 'Short delivery',
+        });
+      }
+    }
 
     return updatedOrder;
   });
+
+  publishStatus(result, activeShift);
+  return result;
 };
 
 /**
  * Fail an order
  * - Updates order status to failed
  * - Records failure reason
- * - Does NOT update inventory
+ * - Does NOT update destination inventory
+ * - Releases the hub reservation, or returns the load to the hub if already started
  */
-const failOrder = async (id, driverId, reason) => {
+const failOrder = async (id, driverId, reason, actor = null) => {
   driverId = parseInt(driverId, 10);
   const order = await getById(id);
 
   // Verify order is assigned to this driver
   if (order.assignedDriverId !== driverId) {
-    throw new BadRequestError('This order is not assigned to you');
+    throw new ForbiddenError('This order is not assigned to you');
   }
 
-  if (order.status !== 'assigned' && order.status !== 'in_progress') {
-    throw new ConflictError(
-      `Cannot fail order: status is '${order.status}'. Only assigned or in_progress orders can be failed.`
-    );
-  }
+  orderState.assertTransition(order.status, 'failed', 'fail');
 
   // Get active shift
   const activeShift = await shiftService.getActiveShiftForDriver(driverId);
@@ -329,14 +889,15 @@ const failOrder = async (id, driverId, reason) => {
     },
   });
 
-  return prisma.$transaction(async (tx) => {
+  const result = await inventoryService.transaction(async (tx) => {
     // Update order status
-    const updatedOrder = await tx.order.update({
+    const updatedOrder = await updateIfUnchanged(tx, order, {
       where: { id },
-      data: { status: 'failed' },
+      data: orderState.transition(order, 'failed', { action: 'fail', actor, reason }),
       include: {
+        source: true,
         destination: true,
-        product: true,
+        lines: { include: { product: true } },
         assignedDriver: true,
       },
     });
@@ -364,18 +925,195 @@ const failOrder = async (id, driverId, reason) => {
       });
     }
 
+    // The whole order fails: every line is released or returned
+    if (order.sourceId) {
+      for (const line of order.lines) {
+        if (order.status === 'assigned') {
+          await inventoryService.releaseReservation(order.sourceId, line.productId, line.quantity, tx);
+        } else {
+          await inventoryService.increaseByLocationAndProduct(order.sourceId, line.productId, line.quantity, tx, {
+            type: 'returned',
+            orderId: id,
+            reason,
+          });
+        }
+      }
+    }
+
     return updatedOrder;
   });
+
+  publishStatus(result, activeShift);
+
+  // Put the order straight back into play when configured; it stays failed if that isn't possible
+  if (deliveryConfig.autoRetry) {
+    try {
+      return await retry(id, {}, actor);
+    } catch (error) {
+      if (!(error instanceof AppError)) throw error;
+      return { ...result, retryError: error.message };
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Retry a failed order
+ * The order keeps its id and attempt history; it is either re-queued as pending or
+ * reassigned (same driver unless another is given) for the next day.
+ * Refused once the order has used up its attempts.
+ *
+ * @param {Object} options - { policy, driverId, assignedDate, allowOverCapacity }
+ */
+const retry = async (
+  id,
+  { policy = deliveryConfig.retryPolicy, driverId, assignedDate, allowOverCapacity } = {},
+  actor = null
+) => {
+  const order = await getById(id);
+  orderState.assertTransition(order.status, policy === 'next_day' ? 'assigned' : 'pending', 'retry');
+
+  const { maxAttempts } = deliveryConfig;
+  if (order.attempts.length >= maxAttempts) {
+    throw new ConflictError(
+      `Cannot retry order: it has been attempted ${order.attempts.length} times (max ${maxAttempts})`
+    );
+  }
+
+  if (policy === 'next_day') {
+    const nextDay = new Date();
+    nextDay.setDate(nextDay.getDate() + 1);
+
+    return assignOrder(
+      order,
+      {
+        driverId: driverId ?? order.assignedDriverId,
+        assignedDate: assignedDate ?? nextDay,
+        allowOverCapacity,
+      },
+      { action: 'retry', actor, reason: 'Retried on a later day' }
+    );
+  }
+
+  const requeuedOrder = await updateIfUnchanged(prisma, order, {
+    where: { id },
+    data: {
+      ...orderState.transition(order, 'pending', { action: 'retry', actor, reason: 'Re-queued for dispatch' }),
+      assignedDriverId: null,
+      assignedDate: null,
+      routeSequence: null,
+      compartmentLoads: { deleteMany: {} },
+    },
+    include: {
+      source: true,
+      destination: true,
+      lines: { include: { product: true } },
+      assignedDriver: true,
+    },
+  });
+
+  publishStatus(requeuedOrder);
+  return requeuedOrder;
+};
+
+/**
+ * Cancel an order
+ * - Pending and assigned orders can be cancelled; in_progress ones only by an admin with override
+ * - Releases the hub reservation and the compartment plan, or returns the load if already started
+ * - Closes the attempt under way, if any
+ * - Records who cancelled the order and why
+ */
+const cancel = async (id, { reason, override = false }, actor = null) => {
+  const order = await getById(id);
+  orderState.assertTransition(order.status, 'cancelled', 'cancel');
+
+  if (order.status === 'in_progress') {
+    if (!override) {
+      throw new ConflictError('Cannot cancel order: it is in progress. An admin can cancel it with override: true.');
+    }
+    if (actor?.role !== 'admin') {
+      throw new ForbiddenError('Only admins can cancel an order that is in progress');
+    }
+  }
+
+  const result = await inventoryService.transaction(async (tx) => {
+    const cancelledOrder = await updateIfUnchanged(tx, order, {
+      where: { id },
+      data: {
+        ...orderState.transition(order, 'cancelled', { action: 'cancel', actor, reason }),
+        cancelledAt: new Date(),
+        cancelledById: actor?.id ?? null,
+        cancellationReason: reason,
+        // Frees the compartments planned for it
+        compartmentLoads: { deleteMany: {} },
+      },
+      include: {
+        source: true,
+        destination: true,
+        lines: { include: { product: true } },
+        assignedDriver: true,
+        cancelledBy: { select: { id: true, email: true, role: true } },
+      },
+    });
+
+    if (order.status === 'in_progress') {
+      await tx.orderAttempt.updateMany({
+        where: { orderId: id, status: 'in_progress' },
+        data: { status: 'cancelled', failureReason: reason, completedAt: new Date() },
+      });
+    }
+
+    // Pending orders hold no stock yet
+    if (order.sourceId && order.status !== 'pending') {
+      for (const line of order.lines) {
+        if (order.status === 'assigned') {
+          await inventoryService.releaseReservation(order.sourceId, line.productId, line.quantity, tx);
+        } else {
+          await inventoryService.increaseByLocationAndProduct(order.sourceId, line.productId, line.quantity, tx, {
+            type: 'returned',
+            orderId: id,
+            reason: `Cancelled: ${reason}`,
+          });
+        }
+      }
+    }
+
+    return cancelledOrder;
+  });
+
+  publishStatus(result);
+  return result;
+};
+
+/**
+ * Status history of an order, oldest first
+ */
+const getHistory = async (id) => {
+  await getById(id);
+
+  return prisma.orderStatusHistory.findMany({
+    where: { orderId: id },
+    include: {
+      actor: { select: { id: true, email: true, role: true } },
+    },
+    orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+  });
 };
 
 module.exports = {
   getAll,
+  getOverdue,
   getById,
+  getHistory,
   create,
   update,
   remove,
   assign,
+  assignInTransaction,
   startOrder,
   completeOrder,
   failOrder,
+  retry,
+  cancel,
 };
@@ -61,7 +61,7 @@ const remove = async (id) => {
   // Check if product is in use
   const [inventoryCount, orderCount] = await Promise.all([
     prisma.inventory.count({ where: { productId: id } }),
-    prisma.order.count({ where: { productId: id } }),
+    prisma.orderLine.count({ where: { productId: id } }),
   ]);
 
   if (inventoryCount > 0 || orderCount > 0) {
@@ -0,0 +1,163 @@
+'use strict';
+
+const prisma = require('../utils/prisma');
+const driverService = require('./driver.service');
+const { legs, sequence } = require('../utils/route-sequence');
+const { getDateAtMidnight } = require('../utils/date-utils');
+
+/**
+ * Route Service
+ * Plans the order a driver visits the day's destinations in, starting from the hub
+ * the day's orders load from.
+ *
+ * The sequence is stored on the orders (routeSequence, routeLegMeters) so a driver's
+ * route stays put between requests. Reading a route never plans it: sequencing is an
+ * explicit request, which reorders only the stops not yet started (stops under way or
+ * done keep their place at the front). Assignment clears an order's place, so an order
+ * that joins the day is listed unplaced until the route is sequenced again.
+ */
+
+// Orders that belong on the day's route; cancelled ones drop out
+const ROUTE_STATUSES = ['assigned', 'in_progress', 'completed', 'failed'];
+
+const bySequence = (a, b) => (a.routeSequence ?? Infinity) - (b.routeSequence ?? Infinity) || a.id - b.id;
+
+/**
+ * Hub most of the day's orders load from, or null when none has a source
+ */
+const startingHub = (orders) => {
+  const counts = new Map();
+  for (const { source } of orders) {
+    if (source) counts.set(source.id, { source, count: (counts.get(source.id)?.count ?? 0) + 1 });
+  }
+  let best = null;
+  for (const entry of counts.values()) {
+    if (!best || entry.count > best.count) best = entry;
+  }
+  return best?.source ?? null;
+};
+
+/**
+ * Sequence the stops not yet started after the ones that are, and store the result
+ */
+const plan = async (orders, start) => {
+  const started = orders.filter((order) => order.status !== 'assigned').sort(bySequence);
+  const open = orders.filter((order) => order.status === 'assigned');
+
+  const toPoint = (order) => ({
+    latitude: order.destination.latitude,
+    longitude: order.destination.longitude,
+    order,
+  });
+  const startedLegs = legs(start, started.map(toPoint));
+  const from = startedLegs.at(-1)?.stop ?? start;
+
+  const route = [...startedLegs, ...sequence(from, open.map(toPoint))].map(({ stop, legMeters }, i) => ({
+    ...stop.order,
+    routeSequence: i + 1,
+    routeLegMeters: legMeters,
+  }));
+
+  await prisma.$transaction(async (tx) => {
+    for (const order of route) {
+      await tx.order.update({
+        where: { id: order.id },
+        data: { routeSequence: order.routeSequence, routeLegMeters: order.routeLegMeters },
+      });
+    }
+  });
+
+  return route;
+};
+
+/**
+ * The day's route orders for a driver, in stored sequence with unplaced orders last,
+ * and the hub the route starts from. Read-only
+ *
+ * @returns {{ orders: Array, start: Object|null, sequenced: boolean }} sequenced is false
+ *   when an order has no place yet
+ */
+const getStoredRoute = async (driverId, day) => {
+  const orders = await prisma.order.findMany({
+    where: { assignedDriverId: driverId, assignedDate: day, status: { in: ROUTE_STATUSES } },
+    include: {
+      source: true,
+      destination: true,
+    },
+  });
+
+  return {
+    orders: orders.sort(bySequence),
+    start: startingHub(orders),
+    sequenced: orders.every((order) => order.routeSequence !== null),
+  };
+};
+
+const toResponse = (driverId, day, { orders, start, sequenced }) => {
+  let cumulativeMeters = 0;
+  const stops = orders.map((order) => {
+    cumulativeMeters += order.routeLegMeters ?? 0;
+    return {
+      sequence: order.routeSequence,
+      orderId: order.id,
+      status: order.status,
+      quantity: order.quantity,
+      destination: {
+        id: order.destination.id,
+        name: order.destination.name,
+        address: order.destination.address,
+        latitude: order.destination.latitude,
+        longitude: order.destination.longitude,
+      },
+      legMeters: order.routeLegMeters,
+      cumulativeMeters,
+    };
+  });
+
+  return {
+    driverId,
+    date: day,
+    sequenced,
+    start: start && {
+      id: start.id,
+      name: start.name,
+      latitude: start.latitude,
+      longitude: start.longitude,
+    },
+    totalDistanceMeters: cumulativeMeters,
+    stops,
+  };
+};
+
+/**
+ * A driver's route for a day as stored
+ * Orders not sequenced yet are listed last without a place or leg
+ */
+const getRoute = async (driverId, date) => {
+  driverId = parseInt(driverId, 10);
+  await driverService.getById(driverId);
+  const day = getDateAtMidnight(date);
+
+  return toResponse(driverId, day, await getStoredRoute(driverId, day));
+};
+
+/**
+ * Sequence a driver's route for a day: the stops not yet started are planned again
+ * after the ones under way or done, and the result is stored
+ */
+const sequenceRoute = async (driverId, date) => {
+  driverId = parseInt(driverId, 10);
+  await driverService.getById(driverId);
+  const day = getDateAtMidnight(date);
+
+  const { orders, start } = await getStoredRoute(driverId, day);
+  const route = await plan(orders, start);
+
+  return toResponse(driverId, day, { orders: route, start, sequenced: true });
+};
+
+module.exports = {
+  getStoredRoute,
+  getRoute,
+  sequenceRoute,
+};
@@ -1,8 +1,9 @@
 'use strict';
 
 const prisma = require('../utils/prisma');
-const { NotFoundError, ConflictError, BadRequestError } = require('../utils/errors');
+const { NotFoundError, ConflictError, BadRequestError, ForbiddenError } = require('../utils/errors');
 const allocationService = require('./allocation.service');
+const eventBus = require('../utils/event-bus');
 
 /**
  * Shift Service
@@ -27,7 +28,13 @@ const getAll = async (status = null) => {
   });
 };
 
-const getById = async (id) => {
+/**
+ * Get a shift with its orders
+ * With a viewer, drivers may only read their own shifts
+ *
+ * @param {Object} viewer - req.user of the caller (optional)
+ */
+const getById = async (id, viewer = null) => {
   const shift = await prisma.shift.findUnique({
     where: { id },
     include: {
@@ -40,7 +47,7 @@ const getById = async (id) => {
           order: {
             include: {
               destination: true,
-              product: true,
+              lines: { include: { product: true } },
             },
           },
         },
@@ -51,6 +58,9 @@ const getById = async (id) => {
   if (!shift) {
     throw new NotFoundError(`Shift with ID ${id} not found`);
   }
+  if (viewer?.role === 'driver' && shift.driverId !== viewer.driverId) {
+    throw new ForbiddenError('This shift belongs to a different driver');
+  }
 
   return shift;
 };
@@ -96,6 +106,20 @@ const schedule = async ({ driverId, shiftDate }) => {
   });
 };
 
+/**
+ * Notify stream subscribers that a shift started or ended
+ */
+const publishStatus = (shift, vehicleId) => {
+  eventBus.publish('shift.status', {
+    shiftId: shift.id,
+    status: shift.status,
+    driverId: shift.driverId,
+    vehicleId,
+    startTime: shift.startTime,
+    endTime: shift.endTime,
+  });
+};
+
 /**
  * Start a shift
  * Requires: allocation exists for driver + today
@@ -140,25 +164,28 @@ const start = async ({ driverId }) => {
     },
   });
 
+  const include = {
+    driver: true,
+    vehicleAllocation: {
+      include: { vehicle: true },
+    },
+  };
+
+  let shift;
   if (scheduledShift) {
     // Activate the pre-scheduled shift
-    return prisma.shift.update({
+    shift = await prisma.shift.update({
       where: { id: scheduledShift.id },
       data: {
         status: 'active',
         startTime: new Date(),
         vehicleAllocationId: allocation.id,
       },
-      include: {
-        driver: true,
-        vehicleAllocation: {
-          include: { vehicle: true },
-        },
-      },
+      include,
     });
   } else {
     // Create ad-hoc shift
-    return prisma.shift.create({
+    shift = await prisma.shift.create({
       data: {
         driverId,
         shiftDate: today,
@@ -166,19 +193,17 @@ const start = async ({ driverId }) => {
         startTime: new Date(),
         vehicleAllocationId: allocation.id,
       },
-      include: {
-        driver: true,
-        vehicleAllocation: {
-          include: { vehicle: true },
-        },
-      },
+      include,
     });
   }
+
+  publishStatus(shift, allocation.vehicleId);
+  return shift;
 };
 
 /**
  * End a shift
- * Requires: all orders must be completed or failed
+ * Requires: all orders must be completed, failed or cancelled
  */
 const end = async (id, driverId) => {
   driverId = parseInt(driverId);
@@ -186,7 +211,7 @@ const end = async (id, driverId) => {
 
   // Verify driver owns this shift
   if (shift.driverId !== driverId) {
-    throw new BadRequestError('This shift belongs to a different driver');
+    throw new ForbiddenError('This shift belongs to a different driver');
   }
 
   // Check shift is active
@@ -194,7 +219,7 @@ const end = async (id, driverId) => {
     throw new BadRequestError(`Cannot end shift: status is '${shift.status}', not 'active'`);
   }
 
-  // Check for incomplete orders
+  // Check for incomplete orders (completed, failed and cancelled ones are done with)
   const incompleteOrders = await prisma.order.findMany({
     where: {
       assignedDriverId: driverId,
@@ -206,11 +231,11 @@ const end = async (id, driverId) => {
   if (incompleteOrders.length > 0) {
     const orderIds = incompleteOrders.map((o) => o.id).join(', ');
     throw new BadRequestError(
-      `Cannot end shift: ${incompleteOrders.length} incomplete order(s) (IDs: ${orderIds}). Mark them as completed or failed first.`
+      `Cannot end shift: ${incompleteOrders.length} incomplete order(s) (IDs: ${orderIds}). Mark them as completed, failed or cancelled first.`
     );
   }
 
-  return prisma.shift.update({
+  const endedShift = await prisma.shift.update({
     where: { id },
     data: {
       status: 'completed',
@@ -223,6 +248,22 @@ const end = async (id, driverId) => {
       },
     },
   });
+
+  publishStatus(endedShift, shift.vehicleAllocation?.vehicleId ?? null);
+  return endedShift;
+};
+
+/**
+ * End the driver's currently active shift
+ */
+const endActiveForDriver = async (driverId) => {
+  driverId = parseInt(driverId, 10);
+  const activeShift = await getActiveShiftForDriver(driverId);
+  if (!activeShift) {
+    throw new BadRequestError('Cannot end shift: you do not have an active shift');
+  }
+
+  return end(activeShift.id, driverId);
 };
 
 /**
@@ -263,7 +304,7 @@ const getByDriver = async (driverId, status = null) => {
           order: {
             include: {
               destination: true,
-              product: true,
+              lines: { include: { product: true } },
             },
           },
         },
@@ -279,6 +320,7 @@ module.exports = {
   schedule,
   start,
   end,
+  endActiveForDriver,
   getActiveShiftForDriver,
   getByDriver,
 };
@@ -0,0 +1,164 @@
+'use strict';
+
+const prisma = require('../utils/prisma');
+const { NotFoundError } = require('../utils/errors');
+const { TRACK_FORMATS } = require('../utils/track-formats');
+const tripService = require('./trip.service');
+
+/**
+ * Track Service
+ * Exports vehicle and shift GPS tracks (GPX, GeoJSON, KML) for GIS tools
+ * Points are read and written a page at a time so large tracks never sit in memory
+ */
+
+const PAGE_SIZE = 1000;
+
+/**
+ * Yield GPS points matching `where` in recordedAt order, one page at a time
+ */
+async function* pagesOf(where) {
+  let cursor = null;
+  for (;;) {
+    const page = await prisma.gpsLocation.findMany({
+      where,
+      orderBy: [{ recordedAt: 'asc' }, { id: 'asc' }],
+      select: { id: true, latitude: true, longitude: true, recordedAt: true },
+      take: PAGE_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    });
+    if (page.length > 0) yield page;
+    if (page.length < PAGE_SIZE) return;
+    cursor = page[page.length - 1].id;
+  }
+}
+
+/**
+ * Destinations of the orders attempted in the track, as export points
+ */
+const getDestinations = async (attemptWhere) => {
+  const attempts = await prisma.orderAttempt.findMany({
+    where: attemptWhere,
+    include: {
+      order: {
+        include: { destination: true },
+      },
+    },
+  });
+
+  const byOrder = new Map();
+  attempts.forEach(({ order }) => {
+    const { destination } = order;
+    if (destination.latitude === null || destination.longitude === null) return;
+    byOrder.set(order.id, {
+      orderId: order.id,
+      name: destination.name,
+      status: order.status,
+      latitude: destination.latitude,
+      longitude: destination.longitude,
+    });
+  });
+  return [...byOrder.values()];
+};
+
+/**
+ * Resolve a vehicle's track over an optional date range
+ * @returns {Object} { meta, where, destinations, filename }
+ */
+const getVehicleTrack = async (vehicleId, { from, to }) => {
+  vehicleId = parseInt(vehicleId, 10);
+  const vehicle = await prisma.vehicle.findUnique({ where: { id: vehicleId } });
+  if (!vehicle) {
+    throw new NotFoundError(`Vehicle with ID ${vehicleId} not found`);
+  }
+
+  const range = {};
+  if (from) range.gte = new Date(from);
+  if (to) range.lte = new Date(to);
+  const hasRange = from || to;
+
+  const destinations = await getDestinations({
+    shift: { vehicleAllocation: { vehicleId } },
+    ...(hasRange && { createdAt: range }),
+  });
+
+  return {
+    meta: {
+      name: `Vehicle ${vehicle.registrationNumber}`,
+      description: hasRange
+        ? `GPS track ${from ? new Date(from).toISOString() : 'start'} to ${to ? new Date(to).toISOString() : 'now'}`
+        : 'Full GPS track',
+    },
+    where: { vehicleId, ...(hasRange && { recordedAt: range }) },
+    destinations,
+    filename: `vehicle-${vehicleId}-track`,
+  };
+};
+
+/**
+ * Resolve a shift's track
+ * @returns {Object} { meta, where, destinations, filename }
+ */
+const getShiftTrack = async (shiftId) => {
+  shiftId = parseInt(shiftId, 10);
+  const shift = await prisma.shift.findUnique({
+    where: { id: shiftId },
+    include: {
+      driver: true,
+      vehicleAllocation: {
+        include: { vehicle: true },
+      },
+    },
+  });
+  if (!shift) {
+    throw new NotFoundError(`Shift with ID ${shiftId} not found`);
+  }
+
+  const vehicle = shift.vehicleAllocation?.vehicle;
+
+  return {
+    meta: {
+      name: `Shift ${shiftId} - ${shift.driver.name}`,
+      description: `${vehicle ? vehicle.registrationNumber : 'No vehicle'}, ${shift.shiftDate.toISOString().slice(0, 10)}`,
+    },
+    where: { shiftId },
+    destinations: await getDestinations({ shiftId }),
+    filename: `shift-${shiftId}-track`,
+  };
+};
+
+/**
+ * Render a track, handing each chunk to `write`
+ * Stops are detected while streaming and emitted after the track
+ *
+ * @param {Object} track - From getVehicleTrack/getShiftTrack
+ * @param {string} format - gpx | geojson | kml
+ * @param {Function} write - async (chunk) => void; should wait for the consumer to drain
+ */
+const exportTrack = async (track, format, write) => {
+  const writer = TRACK_FORMATS[format];
+  const trip = tripService.createAccumulator();
+
+  await write(writer.start(track.meta, track));
+
+  let isFirst = true;
+  for await (const page of pagesOf(track.where)) {
+    const chunk = page
+      .map((point) => {
+        trip.add(point);
+        const rendered = writer.point(point, isFirst);
+        isFirst = false;
+        return rendered;
+      })
+      .join('');
+    await write(chunk);
+  }
+
+  const { stops } = trip.result();
+  await write(writer.end(track.meta, { stops, destinations: track.destinations }));
+};
+
+module.exports = {
+  getVehicleTrack,
+  getShiftTrack,
+  exportTrack,
+};
@@ -0,0 +1,227 @@
+'use strict';
+
+const prisma = require('../utils/prisma');
+const { NotFoundError } = require('../utils/errors');
+const { haversineDistance } = require('../utils/geo');
+
+/**
+ * Trip Service
+ * Derives distance, moving/idle time, speeds and stops from a shift's GPS points
+ */
+
+// Below this speed between two points the truck counts as idle (GPS jitter while parked)
+const MOVING_SPEED_MPS = 1.5; // ~5 km/h
+// Idle stretches at least this long are reported as stops
+const MIN_STOP_SECONDS = 180;
+
+const MPS_TO_KMH = 3.6;
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Incremental trip summary, fed one GPS point at a time in recordedAt order
+ * Lets exports detect stops while streaming without holding every point
+ * @returns {Object} { add(point), result() }
+ */
+const createAccumulator = () => {
+  let pointCount = 0;
+  let first = null;
+  let previous = null;
+  let distance = 0;
+  let movingSeconds = 0;
+  let idleSeconds = 0;
+  let maxSpeed = 0;
+  let idleStart = null;
+  const stops = [];
+
+  const closeStop = (end) => {
+    const durationSeconds = (end.recordedAt - idleStart.recordedAt) / 1000;
+    if (durationSeconds >= MIN_STOP_SECONDS) {
+      stops.push({
+        latitude: idleStart.latitude,
+        longitude: idleStart.longitude,
+        startedAt: idleStart.recordedAt,
+        endedAt: end.recordedAt,
+        durationSeconds,
+      });
+    }
+    idleStart = null;
+  };
+
+  const add = (point) => {
+    pointCount++;
+    if (!first) first = point;
+
+    const seconds = previous ? (point.recordedAt - previous.recordedAt) / 1000 : 0;
+    if (seconds <= 0) {
+      previous = previous || point;
+      return;
+    }
+
+    const meters = haversineDistance(previous, point);
+    const speed = meters / seconds;
+
+    if (speed >= MOVING_SPEED_MPS) {
+      distance += meters;
+      movingSeconds += seconds;
+      maxSpeed = Math.max(maxSpeed, speed);
+      if (idleStart) closeStop(previous);
+    } else {
+      idleSeconds += seconds;
+      if (!idleStart) idleStart = previous;
+    }
+    previous = point;
+  };
+
+  const result = () => {
+    if (idleStart) closeStop(previous);
+
+    return {
+      pointCount,
+      startedAt: first ? first.recordedAt : null,
+      endedAt: previous ? previous.recordedAt : null,
+      distanceKm: round(distance / 1000),
+      movingSeconds,
+      idleSeconds,
+      maxSpeedKmh: round(maxSpeed * MPS_TO_KMH, 1),
+      averageSpeedKmh: movingSeconds > 0 ? round((distance / movingSeconds) * MPS_TO_KMH, 1) : 0,
+      stops,
+    };
+  };
+
+  return { add, result };
+};
+
+/**
+ * Summarize one trip from its GPS points
+ * @param {Object[]} points - [{ latitude, longitude, recordedAt }] sorted by recordedAt ascending
+ * @returns {Object} Distance, durations (seconds), speeds (km/h) and stops
+ */
+const summarize = (points) => {
+  const accumulator = createAccumulator();
+  points.forEach((point) => accumulator.add(point));
+  return accumulator.result();
+};
+
+/**
+ * Load GPS points for shifts, grouped by shift ID
+ */
+const getPointsByShift = async (shiftIds) => {
+  const points = await prisma.gpsLocation.findMany({
+    where: { shiftId: { in: shiftIds } },
+    orderBy: { recordedAt: 'asc' },
+    select: { shiftId: true, latitude: true, longitude: true, recordedAt: true },
+  });
+
+  const grouped = new Map(shiftIds.map((id) => [id, []]));
+  points.forEach((point) => grouped.get(point.shiftId).push(point));
+  return grouped;
+};
+
+/**
+ * Get the trip summary for a shift
+ */
+const getShiftSummary = async (shiftId) => {
+  shiftId = parseInt(shiftId, 10);
+  const shift = await prisma.shift.findUnique({
+    where: { id: shiftId },
+    include: { vehicleAllocation: true },
+  });
+  if (!shift) {
+    throw new NotFoundError(`Shift with ID ${shiftId} not found`);
+  }
+
+  const points = (await getPointsByShift([shiftId])).get(shiftId);
+
+  return {
+    shiftId,
+    driverId: shift.driverId,
+    vehicleId: shift.vehicleAllocation?.vehicleId ?? null,
+    shiftDate: shift.shiftDate,
+    ...summarize(points),
+  };
+};
+
+/**
+ * Summarize every shift matching `where` and total them
+ * Shifts are summarized separately so gaps between shifts never count as driving
+ */
+const aggregate = async (where, { from, to }) => {
+  const shifts = await prisma.shift.findMany({
+    where: {
+      ...where,
+      shiftDate: { gte: new Date(from), lte: new Date(to) },
+    },
+    orderBy: { shiftDate: 'asc' },
+    include: { vehicleAllocation: true },
+  });
+
+  const pointsByShift = await getPointsByShift(shifts.map((s) => s.id));
+  const summaries = shifts.map((shift) => {
+    const { stops, ...summary } = summarize(pointsByShift.get(shift.id));
+    return {
+      shiftId: shift.id,
+      driverId: shift.driverId,
+      vehicleId: shift.vehicleAllocation?.vehicleId ?? null,
+      shiftDate: shift.shiftDate,
+      ...summary,
+      stopCount: stops.length,
+    };
+  });
+
+  const distanceKm = round(summaries.reduce((sum, s) => sum + s.distanceKm, 0));
+  const movingSeconds = summaries.reduce((sum, s) => sum + s.movingSeconds, 0);
+
+  return {
+    from,
+    to,
+    shiftCount: summaries.length,
+    distanceKm,
+    movingSeconds,
+    idleSeconds: summaries.reduce((sum, s) => sum + s.idleSeconds, 0),
+    maxSpeedKmh: summaries.reduce((max, s) => Math.max(max, s.maxSpeedKmh), 0),
+    averageSpeedKmh: movingSeconds > 0 ? round((distanceKm * 1000 * MPS_TO_KMH) / movingSeconds, 1) : 0,
+    stopCount: summaries.reduce((sum, s) => sum + s.stopCount, 0),
+    shifts: summaries,
+  };
+};
+
+/**
+ * Get trip totals for a vehicle over a date range
+ */
+const getVehicleSummary = async (vehicleId, range) => {
+  vehicleId = parseInt(vehicleId, 10);
+  const vehicle = await prisma.vehicle.findUnique({ where: { id: vehicleId } });
+  if (!vehicle) {
+    throw new NotFoundError(`Vehicle with ID ${vehicleId} not found`);
+  }
+
+  return {
+    vehicleId,
+    ...(await aggregate({ vehicleAllocation: { vehicleId } }, range)),
+  };
+};
+
+/**
+ * Get trip totals for a driver over a date range
+ */
+const getDriverSummary = async (driverId, range) => {
+  driverId = parseInt(driverId, 10);
+  const driver = await prisma.driver.findUnique({ where: { id: driverId } });
+  if (!driver) {
+    throw new NotFoundError(`Driver with ID ${driverId} not found`);
+  }
+
+  return {
+    driverId,
+    ...(await aggregate({ driverId }, range)),
+  };
+};
+
+module.exports = {
+  createAccumulator,
+  summarize,
+  getShiftSummary,
+  getVehicleSummary,
+  getDriverSummary,
+};
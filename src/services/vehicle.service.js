@@ -1,15 +1,24 @@
 'use strict';
 
 const prisma = require('../utils/prisma');
-const { NotFoundError, ConflictError } = require('../utils/errors');
+const { NotFoundError, ConflictError, BadRequestError } = require('../utils/errors');
+const { LOAD_STATUSES } = require('./allocation.service');
 
 /**
  * Vehicle Service
  * Handles all business logic for vehicle operations
  */
 
+const include = {
+  compartments: {
+    include: { allowedProducts: true },
+    orderBy: { position: 'asc' },
+  },
+};
+
 const getAll = async () => {
   return prisma.vehicle.findMany({
+    include,
     orderBy: { registrationNumber: 'asc' },
   });
 };
@@ -17,6 +26,7 @@ const getAll = async () => {
 const getById = async (id) => {
   const vehicle = await prisma.vehicle.findUnique({
     where: { id },
+    include,
   });
 
   if (!vehicle) {
@@ -26,9 +36,46 @@ const getById = async (id) => {
   return vehicle;
 };
 
-const create = async (data) => {
+/**
+ * Build nested compartment writes, numbered front to back
+ * A vehicle with compartments has the sum of their capacities as its capacity
+ */
+const toCompartmentData = async (compartments, capacityGallons) => {
+  const productIds = [...new Set(compartments.flatMap((c) => c.productIds || []))];
+  if (productIds.length > 0) {
+    const products = await prisma.product.findMany({ where: { id: { in: productIds } } });
+    const missing = productIds.filter((id) => !products.some((p) => p.id === id));
+    if (missing.length > 0) {
+      throw new NotFoundError(`Product with ID ${missing[0]} not found`);
+    }
+  }
+
+  const total = compartments.reduce((sum, c) => sum + c.capacityGallons, 0);
+  if (compartments.length > 0 && capacityGallons != null && capacityGallons !== total) {
+    throw new BadRequestError(
+      `capacityGallons (${capacityGallons}) must equal the sum of the compartment capacities (${total})`
+    );
+  }
+
+  return {
+    capacityGallons: compartments.length > 0 ? total : capacityGallons,
+    create: compartments.map((c, index) => ({
+      position: index + 1,
+      capacityGallons: c.capacityGallons,
+      allowedProducts: { connect: (c.productIds || []).map((productId) => ({ id: productId })) },
+    })),
+  };
+};
+
+const create = async ({ compartments, ...data }) => {
+  if (compartments) {
+    const { capacityGallons, create } = await toCompartmentData(compartments, data.capacityGallons);
+    data.capacityGallons = capacityGallons;
+    data.compartments = { create };
+  }
+
   try {
-    return await prisma.vehicle.create({ data });
+    return await prisma.vehicle.create({ data, include });
   } catch (error) {
     if (error.code === 'P2002') {
       throw new ConflictError(
@@ -39,13 +86,40 @@ const create = async (data) => {
   }
 };
 
-const update = async (id, data) => {
-  await getById(id);
+const update = async (id, { compartments, ...data }) => {
+  const vehicle = await getById(id);
+
+  if (compartments) {
+    // Outstanding orders are planned into the current compartments
+    const loadCount = await prisma.orderCompartment.count({
+      where: {
+        compartment: { vehicleId: id },
+        order: { status: { in: LOAD_STATUSES } },
+      },
+    });
+    if (loadCount > 0) {
+      throw new ConflictError(
+        `Cannot change compartments: ${loadCount} assigned or in-progress order loads are planned into them`
+      );
+    }
+
+    const { capacityGallons, create } = await toCompartmentData(compartments, data.capacityGallons);
+    data.capacityGallons = capacityGallons;
+    data.compartments = { deleteMany: {}, create };
+  } else if (data.capacityGallons !== undefined && vehicle.compartments.length > 0) {
+    const total = vehicle.compartments.reduce((sum, c) => sum + c.capacityGallons, 0);
+    if (data.capacityGallons !== total) {
+      throw new BadRequestError(
+        `capacityGallons (${data.capacityGallons}) must equal the sum of the compartment capacities (${total})`
+      );
+    }
+  }
 
   try {
     return await prisma.vehicle.update({
       where: { id },
       data,
+      include,
     });
   } catch (error) {
     if (error.code === 'P2002') {
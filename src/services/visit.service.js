@@ -0,0 +1,142 @@
+'use strict';
+
+const prisma = require('../utils/prisma');
+const { NotFoundError } = require('../utils/errors');
+const { haversineDistance, isInsidePolygon } = require('../utils/geo');
+
+/**
+ * Visit Service
+ * Derives arrival/departure at hubs and terminals from GPS points
+ */
+
+/**
+ * Check whether a point lies inside a location's geofence
+ * A polygon, when configured, takes precedence over the radius
+ */
+const isInsideGeofence = (location, point) => {
+  if (Array.isArray(location.geofencePolygon) && location.geofencePolygon.length >= 3) {
+    return isInsidePolygon(point, location.geofencePolygon);
+  }
+  if (location.latitude === null || location.longitude === null) {
+    return false;
+  }
+  return haversineDistance(point, location) <= location.geofenceRadius;
+};
+
+/**
+ * Open and close visits for a shift from new GPS points
+ * Compares each point against the shift's open visits, so state carries
+ * over between requests without looking at earlier points.
+ *
+ * @param {Object} shift - { id, driverId, vehicleId }
+ * @param {Object[]} points - [{ latitude, longitude, recordedAt }], any order
+ * @returns {Object[]} Visits opened by these points
+ */
+const track = async (shift, points) => {
+  // Location count is small (hubs + terminals); filter in memory
+  const [locations, openVisits] = await Promise.all([
+    prisma.location.findMany(),
+    prisma.locationVisit.findMany({
+      where: { shiftId: shift.id, departedAt: null },
+    }),
+  ]);
+
+  const open = new Map(openVisits.map((visit) => [visit.locationId, visit]));
+  const arrivals = [];
+  const ordered = [...points].sort((a, b) => new Date(a.recordedAt) - new Date(b.recordedAt));
+
+  for (const point of ordered) {
+    for (const location of locations) {
+      const inside = isInsideGeofence(location, point);
+      const visit = open.get(location.id);
+
+      if (inside && !visit) {
+        // Link the delivery the driver is making to this site, if any
+        const order = await prisma.order.findFirst({
+          where: {
+            assignedDriverId: shift.driverId,
+            destinationId: location.id,
+            status: 'in_progress',
+          },
+        });
+
+        const arrival = await prisma.locationVisit.create({
+          data: {
+            locationId: location.id,
+            shiftId: shift.id,
+            vehicleId: shift.vehicleId,
+            orderId: order ? order.id : null,
+            arrivedAt: new Date(point.recordedAt),
+          },
+        });
+        open.set(location.id, arrival);
+        arrivals.push(arrival);
+      } else if (!inside && visit) {
+        await prisma.locationVisit.update({
+          where: { id: visit.id },
+          data: { departedAt: new Date(point.recordedAt) },
+        });
+        open.delete(location.id);
+      }
+    }
+  }
+
+  return arrivals;
+};
+
+/**
+ * Get visits to a location, newest first
+ */
+const getByLocation = async (locationId, { from, to }) => {
+  locationId = parseInt(locationId, 10);
+  const location = await prisma.location.findUnique({ where: { id: locationId } });
+  if (!location) {
+    throw new NotFoundError(`Location with ID ${locationId} not found`);
+  }
+
+  const where = { locationId };
+  if (from || to) {
+    where.arrivedAt = {};
+    if (from) where.arrivedAt.gte = new Date(from);
+    if (to) where.arrivedAt.lte = new Date(to);
+  }
+
+  return prisma.locationVisit.findMany({
+    where,
+    orderBy: { arrivedAt: 'desc' },
+    include: {
+      vehicle: true,
+      order: true,
+      shift: {
+        include: { driver: true },
+      },
+    },
+  });
+};
+
+/**
+ * Get the visits made during a shift, in order
+ */
+const getByShift = async (shiftId) => {
+  shiftId = parseInt(shiftId, 10);
+  const shift = await prisma.shift.findUnique({ where: { id: shiftId } });
+  if (!shift) {
+    throw new NotFoundError(`Shift with ID ${shiftId} not found`);
+  }
+
+  return prisma.locationVisit.findMany({
+    where: { shiftId },
+    orderBy: { arrivedAt: 'asc' },
+    include: {
+      location: true,
+      order: true,
+    },
+  });
+};
+
+module.exports = {
+  isInsideGeofence,
+  track,
+  getByLocation,
+  getByShift,
+};
@@ -10,6 +10,18 @@ const getTodayAtMidnight = () => {
   return today;
 };
 
+/**
+ * Get the day of a date at midnight (00:00:00.000)
+ * @param {Date|string} date
+ * @returns {Date}
+ */
+const getDateAtMidnight = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
 module.exports = {
   getTodayAtMidnight,
+  getDateAtMidnight,
 };
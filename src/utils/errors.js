@@ -40,10 +40,24 @@ class BadRequestError extends AppError {
   }
 }
 
+class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required') {
+    super(message, 401, 'UNAUTHORIZED');
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'You do not have permission to perform this action') {
+    super(message, 403, 'FORBIDDEN');
+  }
+}
+
 module.exports = {
   AppError,
   NotFoundError,
   ValidationError,
   ConflictError,
   BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
 };
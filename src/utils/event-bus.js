@@ -0,0 +1,68 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+
+/**
+ * In-process Event Bus
+ * Services publish domain events; the fleet stream fans them out to subscribers.
+ * Single-instance only: with several API instances, swap for Redis pub/sub.
+ */
+
+const EVENT_TYPES = ['gps.location', 'order.status', 'shift.status', 'route.deviation'];
+
+const emitter = new EventEmitter();
+// One listener per connected dashboard; don't warn past the default of 10
+emitter.setMaxListeners(0);
+
+/**
+ * Check an event against subscriber filters
+ * @param {Object} filters - { types: string[], vehicleId: number, driverId: number }
+ * @param {Object} event - Published event
+ * @returns {boolean}
+ */
+const matches = (filters, event) => {
+  if (filters.types && filters.types.length > 0 && !filters.types.includes(event.type)) {
+    return false;
+  }
+  if (filters.vehicleId && event.data.vehicleId !== filters.vehicleId) {
+    return false;
+  }
+  if (filters.driverId && event.data.driverId !== filters.driverId) {
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Publish an event to all subscribers
+ * @param {string} type - One of EVENT_TYPES
+ * @param {Object} data - Event payload (include vehicleId/driverId for filtering)
+ */
+const publish = (type, data) => {
+  emitter.emit('event', {
+    type,
+    data,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Subscribe to events matching filters
+ * @returns {Function} Unsubscribe function
+ */
+const subscribe = (filters, listener) => {
+  const handler = (event) => {
+    if (matches(filters, event)) {
+      listener(event);
+    }
+  };
+  emitter.on('event', handler);
+  return () => emitter.off('event', handler);
+};
+
+module.exports = {
+  EVENT_TYPES,
+  matches,
+  publish,
+  subscribe,
+};
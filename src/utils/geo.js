@@ -0,0 +1,69 @@
+'use strict';
+
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two points (haversine formula)
+ * @param {Object} a - { latitude, longitude }
+ * @param {Object} b - { latitude, longitude }
+ * @returns {number} Distance in meters
+ */
+const haversineDistance = (a, b) => {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLon = toRadians(b.longitude - a.longitude);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+};
+
+/**
+ * Shortest distance from a point to the straight segment between two points
+ * Projects onto a plane around the point (equirectangular), accurate at route scale
+ * @param {Object} point - { latitude, longitude }
+ * @param {Object} a - Segment start { latitude, longitude }
+ * @param {Object} b - Segment end { latitude, longitude }
+ * @returns {number} Distance in meters
+ */
+const distanceToSegment = (point, a, b) => {
+  const scale = Math.cos(toRadians(point.latitude));
+  const project = (p) => ({
+    x: toRadians(p.longitude - point.longitude) * scale * EARTH_RADIUS_METERS,
+    y: toRadians(p.latitude - point.latitude) * EARTH_RADIUS_METERS,
+  });
+  const [start, end] = [project(a), project(b)];
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  const lengthSquared = dx ** 2 + dy ** 2;
+  // Fraction along the segment of the closest point to the origin (the point itself)
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(start.x * dx + start.y * dy) / lengthSquared));
+  return Math.hypot(start.x + t * dx, start.y + t * dy);
+};
+
+/**
+ * Ray-casting point-in-polygon test
+ * Treats coordinates as planar, which is accurate enough at site scale
+ * @param {Object} point - { latitude, longitude }
+ * @param {Object[]} polygon - Vertices [{ latitude, longitude }, ...]
+ * @returns {boolean}
+ */
+const isInsidePolygon = (point, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [a, b] = [polygon[i], polygon[j]];
+    const crosses =
+      a.latitude > point.latitude !== b.latitude > point.latitude &&
+      point.longitude <
+        ((b.longitude - a.longitude) * (point.latitude - a.latitude)) / (b.latitude - a.latitude) + a.longitude;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+};
+
+module.exports = {
+  haversineDistance,
+  distanceToSegment,
+  isInsidePolygon,
+};
@@ -0,0 +1,87 @@
+'use strict';
+
+const { BadRequestError, ConflictError } = require('./errors');
+
+/**
+ * Order State Machine
+ * The one place that decides which status an order may move to.
+ *
+ * Each status lists the statuses it can move to and the action that performs the move;
+ * actions carry side effects (reservations, inventory, attempts), so a status only ever
+ * changes through its action, never through a plain update.
+ */
+const TRANSITIONS = {
+  pending: { assigned: 'assign', cancelled: 'cancel' },
+  assigned: { assigned: 'assign', in_progress: 'start', failed: 'fail', cancelled: 'cancel' },
+  in_progress: { completed: 'complete', failed: 'fail', cancelled: 'cancel' }, // Cancel needs an admin override
+  completed: {},
+  failed: { pending: 'retry', assigned: 'retry' },
+  cancelled: {},
+};
+
+const canTransition = (from, to) => Boolean(TRANSITIONS[from]?.[to]);
+
+/**
+ * Throw unless an order in status `from` may move to `to`
+ *
+ * @param {string} action - Verb for the error message, e.g. 'start'
+ */
+const assertTransition = (from, to, action) => {
+  if (canTransition(from, to)) return;
+
+  const sources = Object.keys(TRANSITIONS).filter((status) => canTransition(status, to));
+  throw new ConflictError(
+    `Cannot ${action} order: status is '${from}'. Only ${sources.join(' or ')} orders can move to '${to}'.`
+  );
+};
+
+/**
+ * Order update data for a status change: the new status plus its history record
+ * Spread into the data of the order update that performs the action
+ *
+ * @param {Object} order - Order with its current status
+ * @param {Object} change - { action, actor (req.user; null outside the API), reason }
+ */
+const transition = (order, to, { action, actor = null, reason = null }) => {
+  assertTransition(order.status, to, action);
+
+  return {
+    status: to,
+    statusHistory: {
+      create: { fromStatus: order.status, toStatus: to, actorId: actor?.id ?? null, reason },
+    },
+  };
+};
+
+/**
+ * Order create data for the initial status and its history record
+ */
+const initial = (status, { actor = null, reason = null } = {}) => ({
+  status,
+  statusHistory: {
+    create: { fromStatus: null, toStatus: status, actorId: actor?.id ?? null, reason },
+  },
+});
+
+/**
+ * Check a status sent to the generic order update
+ * Keeping the current status is a no-op; anything else must go through its action
+ */
+const assertUpdate = (from, to) => {
+  if (to === from) return;
+
+  const action = TRANSITIONS[from]?.[to];
+  if (!action) {
+    throw new ConflictError(`Cannot move order from '${from}' to '${to}'`);
+  }
+  throw new BadRequestError(`Use POST /api/orders/:id/${action} to move an order from '${from}' to '${to}'`);
+};
+
+module.exports = {
+  TRANSITIONS,
+  canTransition,
+  assertTransition,
+  transition,
+  initial,
+  assertUpdate,
+};
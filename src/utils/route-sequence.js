@@ -0,0 +1,95 @@
+'use strict';
+
+const { haversineDistance } = require('./geo');
+
+/**
+ * Route Sequencing
+ * Orders a driver's stops into a short open route (no return to the hub):
+ * nearest neighbour from the start, then 2-opt until no reversal shortens it.
+ * Distances are straight-line, which ranks stops well enough without a road network.
+ */
+
+const hasCoordinates = (point) => point?.latitude != null && point?.longitude != null;
+
+// An unknown start costs nothing, so the first stop is chosen freely
+const distance = (a, b) => (a && b ? haversineDistance(a, b) : 0);
+
+const nearestNeighbour = (start, points) => {
+  const remaining = [...points];
+  const route = [];
+  let current = start;
+
+  while (remaining.length > 0) {
+    let best = 0;
+    for (let i = 1; i < remaining.length; i++) {
+      if (distance(current, remaining[i]) < distance(current, remaining[best])) best = i;
+    }
+    [current] = remaining.splice(best, 1);
+    route.push(current);
+  }
+  return route;
+};
+
+/**
+ * Reverse segments while that shortens the route
+ * The start stays fixed and the route is open, so the last stop has no next leg
+ */
+const twoOpt = (start, route) => {
+  const points = [...route];
+  let improved = true;
+
+  while (improved) {
+    improved = false;
+    for (let i = 0; i < points.length - 1; i++) {
+      for (let k = i + 1; k < points.length; k++) {
+        const before = i === 0 ? start : points[i - 1];
+        const after = points[k + 1] ?? null;
+        const delta =
+          distance(before, points[k]) +
+          distance(points[i], after) -
+          distance(before, points[i]) -
+          distance(points[k], after);
+        // Ignore rounding-level gains so the loop always ends
+        if (delta < -1e-6) {
+          points.splice(i, k - i + 1, ...points.slice(i, k + 1).reverse());
+          improved = true;
+        }
+      }
+    }
+  }
+  return points;
+};
+
+/**
+ * Distance of each leg along stops in the order given
+ *
+ * @param {Object|null} start - { latitude, longitude }, or null when unknown
+ * @param {Object[]} stops - Items with { latitude, longitude }
+ * @returns {{ stop: Object, legMeters: number|null }[]} legMeters is from the previous stop
+ *   (or the start); null when either end has no coordinates
+ */
+const legs = (start, stops) =>
+  stops.map((stop, i) => {
+    const previous = i === 0 ? start : stops[i - 1];
+    const known = hasCoordinates(previous) && hasCoordinates(stop);
+    return { stop, legMeters: known ? Math.round(haversineDistance(previous, stop)) : null };
+  });
+
+/**
+ * Sequence stops from a start point
+ * Stops without coordinates can't be placed and go last, in the order given
+ *
+ * @returns {{ stop: Object, legMeters: number|null }[]} As legs()
+ */
+const sequence = (start, stops) => {
+  const origin = hasCoordinates(start) ? start : null;
+  const placeable = stops.filter(hasCoordinates);
+  const unplaceable = stops.filter((stop) => !hasCoordinates(stop));
+
+  return legs(origin, [...twoOpt(origin, nearestNeighbour(origin, placeable)), ...unplaceable]);
+};
+
+module.exports = {
+  legs,
+  sequence,
+};
@@ -0,0 +1,121 @@
+'use strict';
+
+/**
+ * Track Export Formats
+ * Each format renders a track in three parts so points can be streamed:
+ * start(meta, { destinations }) before the first point, point(p, isFirst) per point,
+ * end(meta, { stops, destinations }) after the last point.
+ *
+ * meta: { name, description }
+ * stops: [{ latitude, longitude, startedAt, endedAt, durationSeconds }]
+ * destinations: [{ orderId, name, status, latitude, longitude }]
+ */
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const isoTime = (date) => new Date(date).toISOString();
+
+/**
+ * GPX 1.1
+ * The schema puts waypoints before tracks, so only destinations (known up front)
+ * are written as <wpt>; stops are found while streaming and are left out.
+ */
+const gpx = {
+  contentType: 'application/gpx+xml',
+  extension: 'gpx',
+  start: (meta, { destinations }) =>
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<gpx version="1.1" creator="Fleet Tracking API" xmlns="http://www.topografix.com/GPX/1/1">\n' +
+    `<metadata><name>${escapeXml(meta.name)}</name><desc>${escapeXml(meta.description)}</desc></metadata>\n` +
+    destinations
+      .map(
+        (d) =>
+          `<wpt lat="${d.latitude}" lon="${d.longitude}"><name>${escapeXml(d.name)}</name>` +
+          `<desc>Order ${d.orderId} (${d.status})</desc><type>destination</type></wpt>\n`
+      )
+      .join('') +
+    `<trk><name>${escapeXml(meta.name)}</name><trkseg>\n`,
+  point: (p) => `<trkpt lat="${p.latitude}" lon="${p.longitude}"><time>${isoTime(p.recordedAt)}</time></trkpt>\n`,
+  end: () => '</trkseg></trk>\n</gpx>\n',
+};
+
+/**
+ * GeoJSON FeatureCollection
+ * The track is a LineString feature; stops and order destinations follow as Point features.
+ */
+const geojson = {
+  contentType: 'application/geo+json',
+  extension: 'geojson',
+  start: (meta) =>
+    '{"type":"FeatureCollection","features":[' +
+    `{"type":"Feature","properties":{"kind":"track","name":${JSON.stringify(meta.name)},` +
+    `"description":${JSON.stringify(meta.description)}},"geometry":{"type":"LineString","coordinates":[`,
+  point: (p, isFirst) => `${isFirst ? '' : ','}[${p.longitude},${p.latitude}]`,
+  end: (meta, { stops, destinations }) => {
+    const points = [
+      ...stops.map((s) => ({
+        type: 'Feature',
+        properties: {
+          kind: 'stop',
+          startedAt: isoTime(s.startedAt),
+          endedAt: isoTime(s.endedAt),
+          durationSeconds: s.durationSeconds,
+        },
+        geometry: { type: 'Point', coordinates: [s.longitude, s.latitude] },
+      })),
+      ...destinations.map((d) => ({
+        type: 'Feature',
+        properties: { kind: 'destination', orderId: d.orderId, name: d.name, status: d.status },
+        geometry: { type: 'Point', coordinates: [d.longitude, d.latitude] },
+      })),
+    ];
+    return ']}}' + points.map((f) => `,${JSON.stringify(f)}`).join('') + ']}\n';
+  },
+};
+
+/**
+ * KML 2.2
+ * Track as a LineString (gx:Track would need every timestamp before the first coordinate);
+ * stops and destinations as Placemarks.
+ */
+const kml = {
+  contentType: 'application/vnd.google-earth.kml+xml',
+  extension: 'kml',
+  start: (meta) =>
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<kml xmlns="http://www.opengis.net/kml/2.2">\n' +
+    `<Document><name>${escapeXml(meta.name)}</name><description>${escapeXml(meta.description)}</description>\n` +
+    `<Placemark><name>${escapeXml(meta.name)}</name><LineString><tessellate>1</tessellate><coordinates>\n`,
+  point: (p) => `${p.longitude},${p.latitude},0\n`,
+  end: (meta, { stops, destinations }) =>
+    '</coordinates></LineString></Placemark>\n' +
+    stops
+      .map(
+        (s) =>
+          `<Placemark><name>Stop (${Math.round(s.durationSeconds / 60)} min)</name>` +
+          `<TimeSpan><begin>${isoTime(s.startedAt)}</begin><end>${isoTime(s.endedAt)}</end></TimeSpan>` +
+          `<Point><coordinates>${s.longitude},${s.latitude},0</coordinates></Point></Placemark>\n`
+      )
+      .join('') +
+    destinations
+      .map(
+        (d) =>
+          `<Placemark><name>${escapeXml(d.name)}</name><description>Order ${d.orderId} (${d.status})</description>` +
+          `<Point><coordinates>${d.longitude},${d.latitude},0</coordinates></Point></Placemark>\n`
+      )
+      .join('') +
+    '</Document>\n</kml>\n',
+};
+
+const TRACK_FORMATS = { gpx, geojson, kml };
+
+module.exports = {
+  TRACK_FORMATS,
+  escapeXml,
+};
@@ -0,0 +1,31 @@
+'use strict';
+
+const Joi = require('joi');
+
+const login = {
+  body: Joi.object({
+    email: Joi.string().email().max(200).required(),
+    password: Joi.string().required(),
+  }),
+};
+
+const refresh = {
+  body: Joi.object({
+    refreshToken: Joi.string().required(),
+  }),
+};
+
+const register = {
+  body: Joi.object({
+    email: Joi.string().email().max(200).required(),
+    password: Joi.string().min(8).max(72).required(), // bcrypt ignores bytes past 72
+    role: Joi.string().valid('admin', 'dispatcher', 'driver').required(),
+    driverId: Joi.number().integer().positive().allow(null),
+  }),
+};
+
+module.exports = {
+  login,
+  refresh,
+  register,
+};
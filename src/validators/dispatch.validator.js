@@ -0,0 +1,25 @@
+'use strict';
+
+const Joi = require('joi');
+
+const plan = {
+  query: Joi.object({
+    date: Joi.date().iso().required(),
+  }),
+  body: Joi.object({
+    commit: Joi.boolean(),
+    // Plan to use instead of the proposal, e.g. an edited preview
+    assignments: Joi.array()
+      .items(
+        Joi.object({
+          orderId: Joi.number().integer().positive().required(),
+          driverId: Joi.number().integer().positive().required(),
+        })
+      )
+      .unique('orderId'),
+  }),
+};
+
+module.exports = {
+  plan,
+};
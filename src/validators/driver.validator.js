@@ -29,8 +29,39 @@ const getById = {
   }),
 };
 
+const getTripSummary = {
+  params: Joi.object({
+    id: Joi.number().integer().positive().required(),
+  }),
+  query: Joi.object({
+    from: Joi.date().iso().required(),
+    to: Joi.date().iso().min(Joi.ref('from')).required(),
+  }),
+};
+
+const getRoute = {
+  params: Joi.object({
+    id: Joi.number().integer().positive().required(),
+  }),
+  query: Joi.object({
+    date: Joi.date().iso().required(),
+  }),
+};
+
+const sequenceRoute = {
+  params: Joi.object({
+    id: Joi.number().integer().positive().required(),
+  }),
+  query: Joi.object({
+    date: Joi.date().iso().required(),
+  }),
+};
+
 module.exports = {
   create,
   update,
   getById,
+  getTripSummary,
+  getRoute,
+  sequenceRoute,
 };
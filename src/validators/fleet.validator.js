@@ -0,0 +1,22 @@
+'use strict';
+
+const Joi = require('joi');
+const { EVENT_TYPES } = require('../utils/event-bus');
+
+const typePattern = EVENT_TYPES.map((t) => t.replace('.', '\\.')).join('|');
+const eventTypeList = new RegExp(`^(${typePattern})(,(${typePattern}))*$`);
+
+const stream = {
+  query: Joi.object({
+    types: Joi.string()
+      .pattern(eventTypeList)
+      .messages({ 'string.pattern.base': `{{#label}} must be a comma-separated list of: ${EVENT_TYPES.join(', ')}` }),
+    vehicleId: Joi.number().integer().positive(),
+    driverId: Joi.number().integer().positive(),
+    access_token: Joi.string(),
+  }),
+};
+
+module.exports = {
+  stream,
+};
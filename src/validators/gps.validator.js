@@ -11,6 +11,26 @@ const create = {
   }),
 };
 
+// Devices replay points buffered while offline
+const MAX_BATCH_POINTS = 1000;
+
+const createBatch = {
+  body: Joi.object({
+    vehicleId: Joi.number().integer().positive().required(),
+    points: Joi.array()
+      .items(
+        Joi.object({
+          latitude: Joi.number().min(-90).max(90).required(),
+          longitude: Joi.number().min(-180).max(180).required(),
+          recordedAt: Joi.date().iso().required(),
+        })
+      )
+      .min(1)
+      .max(MAX_BATCH_POINTS)
+      .required(),
+  }),
+};
+
 const getByVehicle = {
   params: Joi.object({
     vehicleId: Joi.number().integer().positive().required(),
@@ -33,8 +53,33 @@ const getByDriver = {
   }),
 };
 
+const trackFormat = Joi.string().valid('gpx', 'geojson', 'kml').default('geojson');
+
+const exportVehicleTrack = {
+  params: Joi.object({
+    vehicleId: Joi.number().integer().positive().required(),
+  }),
+  query: Joi.object({
+    format: trackFormat,
+    from: Joi.date().iso(),
+    to: Joi.date().iso(),
+  }),
+};
+
+const exportShiftTrack = {
+  params: Joi.object({
+    shiftId: Joi.number().integer().positive().required(),
+  }),
+  query: Joi.object({
+    format: trackFormat,
+  }),
+};
+
 module.exports = {
   create,
+  createBatch,
   getByVehicle,
   getByDriver,
+  exportVehicleTrack,
+  exportShiftTrack,
 };
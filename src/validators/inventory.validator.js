@@ -7,6 +7,7 @@ const upsert = {
     locationId: Joi.number().integer().positive().required(),
     productId: Joi.number().integer().positive().required(),
     quantity: Joi.number().min(0).required(),
+    reason: Joi.string().max(200).allow(null, ''),
   }),
 };
 
@@ -26,8 +27,58 @@ const adjust = {
   }),
 };
 
+const setLevels = {
+  params: Joi.object({
+    id: Joi.number().integer().positive().required(),
+  }),
+  // Omitted keeps a level, null clears it; a target can't be below a minimum sent with it
+  // (the service checks both against the stored levels)
+  body: Joi.object({
+    minQuantity: Joi.number().min(0).allow(null),
+    targetQuantity: Joi.when('minQuantity', {
+      is: Joi.number().required(),
+      then: Joi.number().min(Joi.ref('minQuantity')).allow(null),
+      otherwise: Joi.number().min(0).allow(null),
+    }),
+    capacityGallons: Joi.number().positive().allow(null),
+  }).min(1),
+};
+
+const getAlerts = {
+  query: Joi.object({
+    status: Joi.string().valid('open', 'resolved', 'all'),
+    locationId: Joi.number().integer().positive(),
+    productId: Joi.number().integer().positive(),
+  }),
+};
+
+const getHistory = {
+  params: Joi.object({
+    id: Joi.number().integer().positive().required(),
+  }),
+  query: Joi.object({
+    from: Joi.date().iso(),
+    to: Joi.date().iso(),
+  }),
+};
+
+const getLocationHistory = {
+  params: Joi.object({
+    locationId: Joi.number().integer().positive().required(),
+  }),
+  query: Joi.object({
+    productId: Joi.number().integer().positive(),
+    from: Joi.date().iso(),
+    to: Joi.date().iso(),
+  }),
+};
+
 module.exports = {
   upsert,
   getByLocation,
   adjust,
+  setLevels,
+  getAlerts,
+  getHistory,
+  getLocationHistory,
 };
@@ -2,6 +2,17 @@
 
 const Joi = require('joi');
 
+// Geofence vertices in order; at least a triangle
+const geofencePolygon = Joi.array()
+  .items(
+    Joi.object({
+      latitude: Joi.number().min(-90).max(90).required(),
+      longitude: Joi.number().min(-180).max(180).required(),
+    })
+  )
+  .min(3)
+  .allow(null);
+
 const create = {
   body: Joi.object({
     name: Joi.string().min(1).max(200).required(),
@@ -9,6 +20,8 @@ const create = {
     address: Joi.string().max(500).allow(null, ''),
     latitude: Joi.number().min(-90).max(90).allow(null),
     longitude: Joi.number().min(-180).max(180).allow(null),
+    geofenceRadius: Joi.number().positive().max(10000), // meters
+    geofencePolygon,
   }),
 };
 
@@ -22,6 +35,8 @@ const update = {
     address: Joi.string().max(500).allow(null, ''),
     latitude: Joi.number().min(-90).max(90).allow(null),
     longitude: Joi.number().min(-180).max(180).allow(null),
+    geofenceRadius: Joi.number().positive().max(10000), // meters
+    geofencePolygon,
   }).min(1),
 };
 
@@ -37,9 +52,37 @@ const getByType = {
   }),
 };
 
+const getVisits = {
+  params: Joi.object({
+    id: Joi.number().integer().positive().required(),
+  }),
+  query: Joi.object({
+    from: Joi.date().iso(),
+    to: Joi.date().iso(),
+  }),
+};
+
+const forecastQuery = Joi.object({
+  lookbackDays: Joi.number().integer().min(1).max(365),
+});
+
+const getForecasts = {
+  query: forecastQuery,
+};
+
+const getForecast = {
+  params: Joi.object({
+    id: Joi.number().integer().positive().required(),
+  }),
+  query: forecastQuery,
+};
+
 module.exports = {
   create,
   update,
   getById,
   getByType,
+  getVisits,
+  getForecasts,
+  getForecast,
 };
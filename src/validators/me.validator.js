@@ -0,0 +1,20 @@
+'use strict';
+
+const Joi = require('joi');
+
+const getOrders = {
+  query: Joi.object({
+    status: Joi.string().valid('pending', 'assigned', 'in_progress', 'completed', 'failed', 'cancelled'),
+  }),
+};
+
+const getShifts = {
+  query: Joi.object({
+    status: Joi.string().valid('scheduled', 'active', 'completed'),
+  }),
+};
+
+module.exports = {
+  getOrders,
+  getShifts,
+};
@@ -1,15 +1,47 @@
 'use strict';
 
 const Joi = require('joi');
+const { RETRY_POLICIES } = require('../config/delivery');
+
+// One line per product
+const lines = Joi.array()
+  .items(
+    Joi.object({
+      productId: Joi.number().integer().positive().required(),
+      quantity: Joi.number().positive().required(),
+    })
+  )
+  .min(1)
+  .unique('productId');
+
+const priority = Joi.string().valid('low', 'normal', 'high', 'emergency');
+
+// Requested delivery window; either end may be left open
+const deliveryWindow = {
+  windowStart: Joi.date().iso().allow(null),
+  windowEnd: Joi.date()
+    .iso()
+    .allow(null)
+    .when('windowStart', { is: Joi.date().required(), then: Joi.date().greater(Joi.ref('windowStart')) })
+    .messages({ 'date.greater': '{{#label}} must be after windowStart' }),
+};
 
 const create = {
   body: Joi.object({
+    sourceId: Joi.number().integer().positive().allow(null),
     destinationId: Joi.number().integer().positive().required(),
-    productId: Joi.number().integer().positive().required(),
-    quantity: Joi.number().positive().required(),
+    // Single-product shorthand for lines: [{ productId, quantity }]
+    productId: Joi.number().integer().positive(),
+    quantity: Joi.number().positive(),
+    lines,
+    priority, // Defaults to normal
+    ...deliveryWindow,
     assignedDriverId: Joi.number().integer().positive().allow(null),
     assignedDate: Joi.date().iso().allow(null),
-  }),
+    allowOverCapacity: Joi.boolean(), // Assign anyway and return a capacityWarning
+  })
+    .xor('lines', 'productId')
+    .and('productId', 'quantity'),
 };
 
 const update = {
@@ -18,10 +50,15 @@ const update = {
   }),
   body: Joi.object({
     destinationId: Joi.number().integer().positive(),
-    productId: Joi.number().integer().positive(),
-    quantity: Joi.number().positive(),
-    status: Joi.string().valid('pending', 'assigned', 'in_progress', 'completed', 'failed'),
-  }).min(1),
+    productId: Joi.number().integer().positive(), // Single-line orders only
+    quantity: Joi.number().positive(), // Single-line orders only
+    lines,
+    priority,
+    ...deliveryWindow,
+    status: Joi.string().valid('pending', 'assigned', 'in_progress', 'completed', 'failed', 'cancelled'),
+  })
+    .min(1)
+    .without('lines', ['productId', 'quantity']),
 };
 
 const getById = {
@@ -36,7 +73,20 @@ const assign = {
   }),
   body: Joi.object({
     driverId: Joi.number().integer().positive().required(),
-    assignedDate: Joi.date().iso().allow(null), // Defaults to today if not provided
+    assignedDate: Joi.date().iso().allow(null), // Defaults to the requested delivery day, or today
+    sourceId: Joi.number().integer().positive(), // Keeps the current source hub if not provided
+    // Split across the vehicle's compartments; planned automatically if not provided
+    compartments: Joi.array()
+      .items(
+        Joi.object({
+          compartmentId: Joi.number().integer().positive().required(),
+          productId: Joi.number().integer().positive(), // Required on multi-product orders
+          quantity: Joi.number().positive().required(),
+        })
+      )
+      .min(1)
+      .unique('compartmentId'),
+    allowOverCapacity: Joi.boolean(), // Assign anyway and return a capacityWarning
   }),
 };
 
@@ -45,7 +95,7 @@ const startOrder = {
     id: Joi.number().integer().positive().required(),
   }),
   body: Joi.object({
-    driverId: Joi.number().integer().positive().required(),
+    driverId: Joi.number().integer().positive(), // Admin only; drivers act as themselves
   }),
 };
 
@@ -54,8 +104,22 @@ const completeOrder = {
     id: Joi.number().integer().positive().required(),
   }),
   body: Joi.object({
-    driverId: Joi.number().integer().positive().required(),
-  }),
+    driverId: Joi.number().integer().positive(), // Admin only; drivers act as themselves
+    // Partial delivery: single-line orders send deliveredQuantity, multi-line orders lines.
+    // Omitted quantities are delivered in full.
+    deliveredQuantity: Joi.number().min(0),
+    lines: Joi.array()
+      .items(
+        Joi.object({
+          productId: Joi.number().integer().positive().required(),
+          deliveredQuantity: Joi.number().min(0).required(),
+        })
+      )
+      .min(1)
+      .unique('productId'),
+    // What happens to an undelivered remainder: re-ordered as a pending order, or written off
+    remainder: Joi.string().valid('follow_up', 'short'),
+  }).oxor('deliveredQuantity', 'lines'),
 };
 
 const failOrder = {
@@ -63,16 +127,44 @@ const failOrder = {
     id: Joi.number().integer().positive().required(),
   }),
   body: Joi.object({
-    driverId: Joi.number().integer().positive().required(),
+    driverId: Joi.number().integer().positive(), // Admin only; drivers act as themselves
+    reason: Joi.string().max(500).required(),
+  }),
+};
+
+const retry = {
+  params: Joi.object({
+    id: Joi.number().integer().positive().required(),
+  }),
+  body: Joi.object({
+    policy: Joi.string().valid(...RETRY_POLICIES), // Defaults to ORDER_RETRY_POLICY
+    // next_day only: override the driver and day the order is reassigned to
+    driverId: Joi.number().integer().positive(),
+    assignedDate: Joi.date().iso(),
+    allowOverCapacity: Joi.boolean(),
+  }),
+};
+
+const cancel = {
+  params: Joi.object({
+    id: Joi.number().integer().positive().required(),
+  }),
+  body: Joi.object({
     reason: Joi.string().max(500).required(),
+    override: Joi.boolean(), // Admin only: cancel an order that is in progress
   }),
 };
 
 const getByStatus = {
   query: Joi.object({
-    status: Joi.string().valid('pending', 'assigned', 'in_progress', 'completed', 'failed'),
+    status: Joi.string().valid('pending', 'assigned', 'in_progress', 'completed', 'failed', 'cancelled'),
     driverId: Joi.number().integer().positive(),
     date: Joi.date().iso(),
+    // Orders whose delivery window overlaps windowFrom..windowTo
+    windowFrom: Joi.date().iso(),
+    windowTo: Joi.date().iso(),
+    timeliness: Joi.string().valid('early', 'on_time', 'late'),
+    priority,
   }),
 };
 
@@ -84,5 +176,7 @@ module.exports = {
   startOrder,
   completeOrder,
   failOrder,
+  retry,
+  cancel,
   getByStatus,
 };
@@ -5,7 +5,7 @@ const { getTodayAtMidnight } = require('../utils/date-utils');
 
 const schedule = {
   body: Joi.object({
-    driverId: Joi.number().integer().positive().required(),
+    driverId: Joi.number().integer().positive(), // Drivers schedule themselves
     shiftDate: Joi.date().iso().required()
       .custom((value, helpers) => {
         if (value < getTodayAtMidnight()) {
@@ -21,7 +21,7 @@ const schedule = {
 
 const start = {
   body: Joi.object({
-    driverId: Joi.number().integer().positive().required(),
+    driverId: Joi.number().integer().positive(), // Admin only; drivers act as themselves
   }),
 };
 
@@ -30,7 +30,7 @@ const end = {
     id: Joi.number().integer().positive().required(),
   }),
   body: Joi.object({
-    driverId: Joi.number().integer().positive().required(),
+    driverId: Joi.number().integer().positive(), // Admin only; drivers act as themselves
   }),
 };
 
@@ -2,10 +2,21 @@
 
 const Joi = require('joi');
 
+// Front to back; replaces the vehicle's compartments when given
+const compartments = Joi.array()
+  .items(
+    Joi.object({
+      capacityGallons: Joi.number().integer().positive().required(),
+      productIds: Joi.array().items(Joi.number().integer().positive()).unique(), // Empty or omitted: any product
+    })
+  )
+  .max(10);
+
 const create = {
   body: Joi.object({
     registrationNumber: Joi.string().min(1).max(50).required(),
     capacityGallons: Joi.number().integer().positive().allow(null),
+    compartments,
   }),
 };
 
@@ -16,6 +27,7 @@ const update = {
   body: Joi.object({
     registrationNumber: Joi.string().min(1).max(50),
     capacityGallons: Joi.number().integer().positive().allow(null),
+    compartments,
   }).min(1),
 };
 
@@ -25,8 +37,19 @@ const getById = {
   }),
 };
 
+const getTripSummary = {
+  params: Joi.object({
+    id: Joi.number().integer().positive().required(),
+  }),
+  query: Joi.object({
+    from: Joi.date().iso().required(),
+    to: Joi.date().iso().min(Joi.ref('from')).required(),
+  }),
+};
+
 module.exports = {
   create,
   update,
   getById,
+  getTripSummary,
 };
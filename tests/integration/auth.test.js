@@ -0,0 +1,211 @@
+'use strict';
+
+/**
+ * Integration Test - Role-Based Access Control
+ *
+ * Exercises every role against the existing routes.
+ * Prisma is replaced with a stub so no database is needed:
+ * requests that pass authorization reach the services and may
+ * fail with 404/400 there, which is fine - only 401/403 matter here.
+ */
+
+// Records findUnique returns per model, for tests that need one to exist
+const mockRecords = {};
+
+jest.mock('../../src/utils/prisma', () => {
+  const stubMethod = (model, method) => async () => {
+    if (method === 'findUnique' && mockRecords[model]) return mockRecords[model];
+    if (method === 'findMany') return [];
+    if (method === 'count') return 0;
+    return null;
+  };
+  return new Proxy({}, {
+    get: (target, model) => {
+      if (model === '$transaction') return async () => null;
+      return new Proxy({}, { get: (t, method) => stubMethod(model, method) });
+    },
+  });
+});
+
+const request = require('supertest');
+const app = require('../../src/app.js');
+const { generateTokens } = require('../../src/services/auth.service');
+
+const tokens = {
+  admin: generateTokens({ id: 1, role: 'admin' }).accessToken,
+  dispatcher: generateTokens({ id: 2, role: 'dispatcher' }).accessToken,
+  driver: generateTokens({ id: 3, role: 'driver', driverId: 1 }).accessToken,
+};
+
+const send = (role, method, url, body = {}) => {
+  const req = request(app)[method](url).set('Authorization', `Bearer ${tokens[role]}`);
+  return method === 'get' ? req : req.send(body);
+};
+
+// [method, url, body, roles allowed]
+const routes = [
+  ['post', '/api/products', { name: 'Kerosene' }, ['admin']],
+  ['put', '/api/locations/1', { name: 'Renamed' }, ['admin']],
+  ['delete', '/api/vehicles/1', {}, ['admin']],
+  ['post', '/api/drivers', { name: 'New Driver' }, ['admin']],
+  ['get', '/api/drivers/1/route?date=2026-01-25', {}, ['admin', 'dispatcher', 'driver']],
+  ['post', '/api/drivers/1/route?date=2026-01-25', {}, ['admin', 'dispatcher', 'driver']],
+  ['post', '/api/inventory', { locationId: 1, productId: 1, quantity: 100 }, ['admin']],
+  ['patch', '/api/inventory/1/adjust', { adjustment: -10 }, ['admin']],
+  ['put', '/api/inventory/1/levels', { minQuantity: 1000, targetQuantity: 4000 }, ['admin']],
+  ['get', '/api/inventory/alerts', {}, ['admin', 'dispatcher']],
+  ['get', '/api/products', {}, ['admin', 'dispatcher', 'driver']],
+  ['get', '/api/locations', {}, ['admin', 'dispatcher', 'driver']],
+  ['get', '/api/locations/1/visits', {}, ['admin', 'dispatcher']],
+  ['get', '/api/locations/1/forecast', {}, ['admin', 'dispatcher']],
+  ['get', '/api/locations/forecast', {}, ['admin', 'dispatcher']],
+  ['get', '/api/allocations/1/load', {}, ['admin', 'dispatcher']],
+  ['post', '/api/allocations', { vehicleId: 1, driverId: 1, allocationDate: '2026-01-25' }, ['admin', 'dispatcher']],
+  ['get', '/api/orders', {}, ['admin', 'dispatcher']],
+  ['get', '/api/orders/overdue', {}, ['admin', 'dispatcher']],
+  ['get', '/api/orders/1/history', {}, ['admin', 'dispatcher']],
+  ['post', '/api/orders', { destinationId: 3, productId: 1, quantity: 1000 }, ['admin', 'dispatcher']],
+  ['post', '/api/orders/1/assign', { driverId: 1 }, ['admin', 'dispatcher']],
+  ['post', '/api/orders/1/start', { driverId: 1 }, ['admin', 'driver']],
+  ['post', '/api/orders/1/complete', { driverId: 1 }, ['admin', 'driver']],
+  ['post', '/api/orders/1/fail', { driverId: 1, reason: 'Site closed' }, ['admin', 'driver']],
+  ['post', '/api/orders/1/retry', {}, ['admin', 'dispatcher']],
+  ['post', '/api/orders/1/cancel', { reason: 'Customer withdrew' }, ['admin', 'dispatcher']],
+  ['post', '/api/dispatch/plan?date=2026-01-25', {}, ['admin', 'dispatcher']],
+  ['get', '/api/shifts', {}, ['admin', 'dispatcher']],
+  ['get', '/api/shifts/1/visits', {}, ['admin', 'dispatcher']],
+  ['get', '/api/shifts/1/deviations', {}, ['admin', 'dispatcher']],
+  ['get', '/api/shifts/1/trip-summary', {}, ['admin', 'dispatcher']],
+  ['get', '/api/vehicles/1/trip-summary?from=2026-01-01&to=2026-01-31', {}, ['admin', 'dispatcher']],
+  ['post', '/api/shifts/start', { driverId: 1 }, ['admin', 'driver']],
+  ['post', '/api/shifts/1/end', { driverId: 1 }, ['admin', 'driver']],
+  ['post', '/api/gps', { vehicleId: 1, latitude: 29.76, longitude: -95.37 }, ['admin', 'driver']],
+  ['post', '/api/gps/batch', { vehicleId: 1, points: [{ latitude: 29.76, longitude: -95.37, recordedAt: '2026-01-20T09:00:00Z' }] }, ['admin', 'driver']],
+  ['get', '/api/gps/vehicle/1', {}, ['admin', 'dispatcher']],
+  ['get', '/api/gps/vehicle/1/export?format=gpx', {}, ['admin', 'dispatcher']],
+  ['get', '/api/gps/shift/1/export', {}, ['admin', 'dispatcher']],
+  ['get', '/api/fleet/status', {}, ['admin', 'dispatcher']],
+  ['get', '/api/fleet/summary', {}, ['admin', 'dispatcher']],
+  ['get', '/api/me', {}, ['driver']],
+  ['get', '/api/me/orders', {}, ['driver']],
+  ['get', '/api/me/shifts', {}, ['driver']],
+  ['post', '/api/me/shift/start', {}, ['driver']],
+  ['post', '/api/me/shift/end', {}, ['driver']],
+];
+
+describe('Authentication', () => {
+  it('should reject requests without a token', async () => {
+    const res = await request(app).get('/api/products');
+    expect(res.status).toBe(401);
+    expect(res.body.error.code).toBe('UNAUTHORIZED');
+  });
+
+  it('should reject an invalid token', async () => {
+    const res = await request(app)
+      .get('/api/products')
+      .set('Authorization', 'Bearer not-a-jwt');
+    expect(res.status).toBe(401);
+  });
+
+  it('should keep health check public', async () => {
+    const res = await request(app).get('/health');
+    expect(res.status).toBe(200);
+  });
+
+  it('should reject login for unknown users', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'nobody@fuelpanda.com', password: 'password123' });
+    expect(res.status).toBe(401);
+  });
+
+  it('should reject an invalid refresh token', async () => {
+    const res = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: tokens.admin }); // access token signed with the wrong secret
+    expect(res.status).toBe(401);
+  });
+
+  it('should only let admins register users', async () => {
+    const res = await send('dispatcher', 'post', '/api/auth/register', {
+      email: 'new@fuelpanda.com',
+      password: 'password123',
+      role: 'dispatcher',
+    });
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('Role Authorization', () => {
+  describe.each(['admin', 'dispatcher', 'driver'])('%s', (role) => {
+    it.each(routes)('%s %s', async (method, url, body, allowed) => {
+      const res = await send(role, method, url, body);
+
+      if (allowed.includes(role)) {
+        expect([401, 403]).not.toContain(res.status);
+      } else {
+        expect(res.status).toBe(403);
+        expect(res.body.error.code).toBe('FORBIDDEN');
+      }
+    });
+  });
+
+  describe('driver identity', () => {
+    it.each([
+      ['post', '/api/orders/1/start', { driverId: 2 }],
+      ['post', '/api/orders/1/fail', { driverId: 2, reason: 'Site closed' }],
+      ['post', '/api/shifts/start', { driverId: 2 }],
+      ['post', '/api/shifts/1/end', { driverId: 2 }],
+      ['get', '/api/drivers/2/orders', {}],
+      ['get', '/api/drivers/2/shifts', {}],
+      ['get', '/api/drivers/2/route?date=2026-01-25', {}],
+      ['post', '/api/drivers/2/route?date=2026-01-25', {}],
+      ['get', '/api/shifts/driver/2', {}],
+    ])('should forbid %s %s for another driver', async (method, url, body) => {
+      const res = await send('driver', method, url, body);
+      expect(res.status).toBe(403);
+    });
+
+    describe('reading records', () => {
+      afterEach(() => {
+        delete mockRecords.order;
+        delete mockRecords.shift;
+      });
+
+      it.each([
+        ['/api/orders/1', 'order', { id: 1, assignedDriverId: 2 }],
+        ['/api/shifts/1', 'shift', { id: 1, driverId: 2 }],
+      ])('should forbid get %s for another driver', async (url, model, record) => {
+        mockRecords[model] = record;
+
+        const res = await send('driver', 'get', url);
+        expect(res.status).toBe(403);
+      });
+
+      it.each([
+        ['/api/orders/1', 'order', { id: 1, assignedDriverId: 1 }],
+        ['/api/shifts/1', 'shift', { id: 1, driverId: 1 }],
+      ])('should let drivers get %s of their own', async (url, model, record) => {
+        mockRecords[model] = record;
+
+        const res = await send('driver', 'get', url);
+        expect(res.status).toBe(200);
+      });
+    });
+
+    it('should take the driver from the token when the body omits it', async () => {
+      const res = await send('driver', 'post', '/api/orders/1/start');
+      expect([400, 401, 403]).not.toContain(res.status);
+    });
+
+    it('should let admins act on behalf of a named driver', async () => {
+      const res = await send('admin', 'post', '/api/shifts/start', { driverId: 2 });
+      expect([401, 403]).not.toContain(res.status);
+    });
+
+    it('should require admins to name the driver', async () => {
+      const res = await send('admin', 'post', '/api/shifts/start');
+      expect(res.status).toBe(400);
+    });
+  });
+});
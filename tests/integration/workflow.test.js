@@ -18,6 +18,11 @@
 
 const request = require('supertest');
 const app = require('../../src/app.js');
+const { generateTokens } = require('../../src/services/auth.service');
+
+// Tokens are signed locally; seeded users are not needed to pass authentication
+const adminToken = generateTokens({ id: 1, role: 'admin' }).accessToken;
+const driverToken = generateTokens({ id: 3, role: 'driver', driverId: 1 }).accessToken;
 
 // Skip integration tests if DATABASE_URL is not set
 const runIntegration = process.env.DATABASE_URL && process.env.RUN_INTEGRATION === 'true';
@@ -48,6 +53,7 @@ describeOrSkip('Integration: Full Delivery Workflow', () => {
     // Step 1: Create allocation
     const allocationRes = await request(app)
       .post('/api/allocations')
+      .set('Authorization', `Bearer ${adminToken}`)
       .send({
         vehicleId,
         driverId,
@@ -62,6 +68,7 @@ describeOrSkip('Integration: Full Delivery Workflow', () => {
     // Step 2: Start shift
     const startShiftRes = await request(app)
       .post('/api/shifts/start')
+      .set('Authorization', `Bearer ${driverToken}`)
       .send({ driverId });
 
     // Should succeed or conflict if already active
@@ -73,6 +80,7 @@ describeOrSkip('Integration: Full Delivery Workflow', () => {
     // Step 3: Create and assign order
     const orderRes = await request(app)
       .post('/api/orders')
+      .set('Authorization', `Bearer ${adminToken}`)
       .send({
         destinationId,
         productId,
@@ -88,12 +96,14 @@ describeOrSkip('Integration: Full Delivery Workflow', () => {
       // Step 4: Start order
       const startOrderRes = await request(app)
         .post(`/api/orders/${orderId}/start`)
+        .set('Authorization', `Bearer ${driverToken}`)
         .send({ driverId });
 
       if (startOrderRes.status === 200) {
         // Step 5: Complete order
         const completeRes = await request(app)
           .post(`/api/orders/${orderId}/complete`)
+          .set('Authorization', `Bearer ${driverToken}`)
           .send({ driverId });
 
         expect(completeRes.status).toBe(200);
@@ -106,6 +116,7 @@ describeOrSkip('Integration: Full Delivery Workflow', () => {
     // Create a vehicle that has no shift
     const gpsRes = await request(app)
       .post('/api/gps')
+      .set('Authorization', `Bearer ${adminToken}`)
       .send({
         vehicleId: 999, // Non-existent or no shift
         latitude: 29.7604,
@@ -122,6 +133,7 @@ describeOrSkip('Integration: Full Delivery Workflow', () => {
     // Try to allocate same vehicle to different driver
     const res = await request(app)
       .post('/api/allocations')
+      .set('Authorization', `Bearer ${adminToken}`)
       .send({
         vehicleId: 1,
         driverId: 2, // Different driver
@@ -138,6 +150,7 @@ describeOrSkip('Integration: Full Delivery Workflow', () => {
     // Try to allocate different vehicle to same driver
     const res = await request(app)
       .post('/api/allocations')
+      .set('Authorization', `Bearer ${adminToken}`)
       .send({
         vehicleId: 2, // Different vehicle
         driverId: 1,
@@ -175,6 +188,7 @@ describe('Request Validation', () => {
     it('should reject missing required fields', async () => {
       const res = await request(app)
         .post('/api/orders')
+        .set('Authorization', `Bearer ${adminToken}`)
         .send({});
 
       expect(res.status).toBe(400);
@@ -185,6 +199,7 @@ describe('Request Validation', () => {
     it('should reject negative quantity', async () => {
       const res = await request(app)
         .post('/api/orders')
+        .set('Authorization', `Bearer ${adminToken}`)
         .send({
           destinationId: 1,
           productId: 1,
@@ -198,6 +213,7 @@ describe('Request Validation', () => {
     it('should reject invalid destinationId type', async () => {
       const res = await request(app)
         .post('/api/orders')
+        .set('Authorization', `Bearer ${adminToken}`)
         .send({
           destinationId: 'invalid',
           productId: 1,
@@ -212,6 +228,7 @@ describe('Request Validation', () => {
     it('should reject missing vehicleId', async () => {
       const res = await request(app)
         .post('/api/allocations')
+        .set('Authorization', `Bearer ${adminToken}`)
         .send({
           driverId: 1,
           allocationDate: '2026-01-25',
@@ -224,6 +241,7 @@ describe('Request Validation', () => {
     it('should reject invalid date format', async () => {
       const res = await request(app)
         .post('/api/allocations')
+        .set('Authorization', `Bearer ${adminToken}`)
         .send({
           vehicleId: 1,
           driverId: 1,
@@ -238,6 +256,7 @@ describe('Request Validation', () => {
     it('should reject missing driverId', async () => {
       const res = await request(app)
         .post('/api/shifts/start')
+        .set('Authorization', `Bearer ${adminToken}`)
         .send({});
 
       expect(res.status).toBe(400);
@@ -249,6 +268,7 @@ describe('Request Validation', () => {
     it('should reject missing coordinates', async () => {
       const res = await request(app)
         .post('/api/gps')
+        .set('Authorization', `Bearer ${adminToken}`)
         .send({
           vehicleId: 1,
         });
@@ -259,6 +279,7 @@ describe('Request Validation', () => {
     it('should reject invalid latitude range', async () => {
       const res = await request(app)
         .post('/api/gps')
+        .set('Authorization', `Bearer ${adminToken}`)
         .send({
           vehicleId: 1,
           latitude: 100, // Invalid: must be -90 to 90
@@ -271,6 +292,7 @@ describe('Request Validation', () => {
     it('should reject invalid longitude range', async () => {
       const res = await request(app)
         .post('/api/gps')
+        .set('Authorization', `Bearer ${adminToken}`)
         .send({
           vehicleId: 1,
           latitude: 29.7604,
@@ -285,6 +307,7 @@ describe('Request Validation', () => {
     it('should reject empty name', async () => {
       const res = await request(app)
         .post('/api/drivers')
+        .set('Authorization', `Bearer ${adminToken}`)
         .send({
           name: '',
           licenseNumber: 'TX-12345',
@@ -296,6 +319,7 @@ describe('Request Validation', () => {
     it('should reject invalid email format', async () => {
       const res = await request(app)
         .post('/api/drivers')
+        .set('Authorization', `Bearer ${adminToken}`)
         .send({
           name: 'John Smith',
           email: 'not-an-email',
@@ -310,6 +334,7 @@ describe('Request Validation', () => {
     it('should reject missing registrationNumber', async () => {
       const res = await request(app)
         .post('/api/vehicles')
+        .set('Authorization', `Bearer ${adminToken}`)
         .send({
           model: 'Tanker Truck',
         });
@@ -322,23 +347,31 @@ describe('Request Validation', () => {
 // ID parameter validation tests
 describe('ID Parameter Validation', () => {
   it('should reject non-numeric ID for GET /api/orders/:id', async () => {
-    const res = await request(app).get('/api/orders/invalid');
+    const res = await request(app)
+      .get('/api/orders/invalid')
+      .set('Authorization', `Bearer ${adminToken}`);
     expect(res.status).toBe(400);
     expect(res.body.error.message).toMatch(/invalid/i);
   });
 
   it('should reject negative ID for GET /api/drivers/:id', async () => {
-    const res = await request(app).get('/api/drivers/-1');
+    const res = await request(app)
+      .get('/api/drivers/-1')
+      .set('Authorization', `Bearer ${adminToken}`);
     expect(res.status).toBe(400);
   });
 
   it('should reject zero ID for GET /api/vehicles/:id', async () => {
-    const res = await request(app).get('/api/vehicles/0');
+    const res = await request(app)
+      .get('/api/vehicles/0')
+      .set('Authorization', `Bearer ${adminToken}`);
     expect(res.status).toBe(400);
   });
 
   it('should reject non-numeric ID for DELETE /api/allocations/:id', async () => {
-    const res = await request(app).delete('/api/allocations/abc');
+    const res = await request(app)
+      .delete('/api/allocations/abc')
+      .set('Authorization', `Bearer ${adminToken}`);
     expect(res.status).toBe(400);
   });
 });
@@ -348,6 +381,7 @@ describe('JSON Error Handling', () => {
   it('should return 400 for invalid JSON body', async () => {
     const res = await request(app)
       .post('/api/orders')
+      .set('Authorization', `Bearer ${adminToken}`)
       .set('Content-Type', 'application/json')
       .send('{ invalid json }');
 
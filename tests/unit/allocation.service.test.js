@@ -25,6 +25,9 @@ jest.mock('../../src/utils/prisma', () => ({
     findFirst: jest.fn(),
     count: jest.fn(),
   },
+  order: {
+    findMany: jest.fn(),
+  },
 }));
 
 const prisma = require('../../src/utils/prisma');
@@ -184,4 +187,68 @@ describe('Allocation Service', () => {
       await expect(allocationService.remove(1)).rejects.toThrow(ConflictError);
     });
   });
+
+  describe('getLoad', () => {
+    const allocation = {
+      id: 1,
+      driverId: 1,
+      allocationDate: new Date('2026-01-21'),
+      vehicle: { id: 2, registrationNumber: 'TX-FP-002', capacityGallons: 5000 },
+      driver: { id: 1, name: 'John Smith' },
+    };
+    const orders = [
+      { id: 10, status: 'assigned', quantity: 3000, destination: { name: 'Station A' }, lines: [{ quantity: 3000, product: { name: 'Diesel' } }] },
+      { id: 11, status: 'in_progress', quantity: 1000, destination: { name: 'Station B' }, lines: [{ quantity: 1000, product: { name: 'Diesel' } }] },
+    ];
+
+    it('should report planned and available capacity', async () => {
+      prisma.vehicleAllocation.findUnique.mockResolvedValue(allocation);
+      prisma.order.findMany.mockResolvedValue(orders);
+
+      const load = await allocationService.getLoad(1);
+
+      expect(prisma.order.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: {
+            assignedDriverId: 1,
+            assignedDate: allocation.allocationDate,
+            status: { in: ['assigned', 'in_progress'] },
+          },
+        })
+      );
+      expect(load).toMatchObject({
+        capacityGallons: 5000,
+        plannedGallons: 4000,
+        availableGallons: 1000,
+        utilizationPercent: 80,
+        overCapacity: false,
+      });
+      expect(load.orders).toHaveLength(2);
+    });
+
+    it('should flag an overloaded vehicle', async () => {
+      prisma.vehicleAllocation.findUnique.mockResolvedValue(allocation);
+      prisma.order.findMany.mockResolvedValue([...orders, { ...orders[0], id: 12, quantity: 1500 }]);
+
+      const load = await allocationService.getLoad(1);
+
+      expect(load.availableGallons).toBe(-500);
+      expect(load.overCapacity).toBe(true);
+    });
+
+    it('should leave capacity figures empty when the vehicle has no capacity', async () => {
+      prisma.vehicleAllocation.findUnique.mockResolvedValue({
+        ...allocation,
+        vehicle: { ...allocation.vehicle, capacityGallons: null },
+      });
+      prisma.order.findMany.mockResolvedValue(orders);
+
+      const load = await allocationService.getLoad(1);
+
+      expect(load.plannedGallons).toBe(4000);
+      expect(load.availableGallons).toBeNull();
+      expect(load.utilizationPercent).toBeNull();
+      expect(load.overCapacity).toBe(false);
+    });
+  });
 });
@@ -0,0 +1,133 @@
+'use strict';
+
+/**
+ * Unit Tests for Auth Middleware
+ * Tests token verification and role checks
+ */
+
+jest.mock('../../src/utils/prisma', () => ({
+  user: {
+    findUnique: jest.fn(),
+  },
+}));
+
+const {
+  authenticate,
+  authorize,
+  resolveDriver,
+  restrictToOwnDriver,
+} = require('../../src/middleware/auth.middleware');
+const { generateTokens } = require('../../src/services/auth.service');
+const { UnauthorizedError, ForbiddenError, BadRequestError } = require('../../src/utils/errors');
+
+describe('Auth Middleware', () => {
+  let mockNext;
+
+  beforeEach(() => {
+    mockNext = jest.fn();
+  });
+
+  describe('authenticate', () => {
+    it('should attach the caller from a valid token', () => {
+      const { accessToken } = generateTokens({ id: 3, role: 'driver', driverId: 1 });
+      const req = { headers: { authorization: `Bearer ${accessToken}` } };
+
+      authenticate(req, {}, mockNext);
+
+      expect(req.user).toEqual({ id: 3, role: 'driver', driverId: 1 });
+      expect(mockNext).toHaveBeenCalled();
+    });
+
+    it("should attach the token's expiry for long-lived connections", () => {
+      const { accessToken } = generateTokens({ id: 3, role: 'driver', driverId: 1 });
+      const req = { headers: { authorization: `Bearer ${accessToken}` } };
+
+      authenticate(req, {}, mockNext);
+
+      // Default lifetime is 15 minutes
+      expect(req.tokenExpiresAt - Date.now()).toBeGreaterThan(14 * 60 * 1000);
+      expect(req.tokenExpiresAt - Date.now()).toBeLessThanOrEqual(15 * 60 * 1000);
+    });
+
+    it('should reject a missing header', () => {
+      expect(() => authenticate({ headers: {} }, {}, mockNext)).toThrow(UnauthorizedError);
+    });
+
+    it('should reject a refresh token used as an access token', () => {
+      const { refreshToken } = generateTokens({ id: 1, role: 'admin' });
+      const req = { headers: { authorization: `Bearer ${refreshToken}` } };
+
+      expect(() => authenticate(req, {}, mockNext)).toThrow(UnauthorizedError);
+    });
+
+    it('should accept a query token on event-stream requests', () => {
+      const { accessToken } = generateTokens({ id: 2, role: 'dispatcher' });
+      const req = { headers: { accept: 'text/event-stream' }, query: { access_token: accessToken } };
+
+      authenticate(req, {}, mockNext);
+
+      expect(req.user.role).toBe('dispatcher');
+    });
+
+    it('should ignore a query token on ordinary requests', () => {
+      const { accessToken } = generateTokens({ id: 2, role: 'dispatcher' });
+      const req = { headers: { accept: 'application/json' }, query: { access_token: accessToken } };
+
+      expect(() => authenticate(req, {}, mockNext)).toThrow(UnauthorizedError);
+    });
+  });
+
+  describe('authorize', () => {
+    it('should allow listed roles', () => {
+      authorize('admin', 'dispatcher')({ user: { role: 'dispatcher' } }, {}, mockNext);
+      expect(mockNext).toHaveBeenCalled();
+    });
+
+    it('should forbid other roles', () => {
+      expect(() => authorize('admin')({ user: { role: 'driver' } }, {}, mockNext)).toThrow(ForbiddenError);
+    });
+  });
+
+  describe('resolveDriver', () => {
+    it('should use the driver from the token', () => {
+      const req = { user: { role: 'driver', driverId: 1 }, body: {} };
+      resolveDriver(req, {}, mockNext);
+      expect(req.driverId).toBe(1);
+    });
+
+    it('should forbid drivers naming another driver', () => {
+      const req = { user: { role: 'driver', driverId: 1 }, body: { driverId: 2 } };
+      expect(() => resolveDriver(req, {}, mockNext)).toThrow(ForbiddenError);
+    });
+
+    it('should let admins act on behalf of a named driver', () => {
+      const req = { user: { role: 'admin', driverId: null }, body: { driverId: 2 } };
+      resolveDriver(req, {}, mockNext);
+      expect(req.driverId).toBe(2);
+    });
+
+    it('should require admins to name a driver', () => {
+      const req = { user: { role: 'admin', driverId: null } };
+      expect(() => resolveDriver(req, {}, mockNext)).toThrow(BadRequestError);
+    });
+  });
+
+  describe('restrictToOwnDriver', () => {
+    it('should forbid drivers reading another driver\'s data', () => {
+      const req = { user: { role: 'driver', driverId: 1 }, params: { id: 2 } };
+      expect(() => restrictToOwnDriver('id')(req, {}, mockNext)).toThrow(ForbiddenError);
+    });
+
+    it('should allow drivers reading their own data', () => {
+      const req = { user: { role: 'driver', driverId: 1 }, params: { driverId: 1 } };
+      restrictToOwnDriver()(req, {}, mockNext);
+      expect(mockNext).toHaveBeenCalled();
+    });
+
+    it('should not restrict other roles', () => {
+      const req = { user: { role: 'dispatcher', driverId: null }, params: { driverId: 2 } };
+      restrictToOwnDriver()(req, {}, mockNext);
+      expect(mockNext).toHaveBeenCalled();
+    });
+  });
+});
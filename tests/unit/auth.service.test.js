@@ -0,0 +1,90 @@
+'use strict';
+
+/**
+ * Unit Tests for Auth Service
+ * Tests login and refresh token handling
+ */
+
+jest.mock('../../src/utils/prisma', () => ({
+  user: {
+    findUnique: jest.fn(),
+    create: jest.fn(),
+  },
+  driver: {
+    findUnique: jest.fn(),
+  },
+}));
+
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const prisma = require('../../src/utils/prisma');
+const authService = require('../../src/services/auth.service');
+const { UnauthorizedError, BadRequestError } = require('../../src/utils/errors');
+
+describe('Auth Service', () => {
+  const mockUser = {
+    id: 3,
+    email: 'john.smith@fuelpanda.com',
+    password: bcrypt.hashSync('password123', 4),
+    role: 'driver',
+    driverId: 1,
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('login', () => {
+    it('should return tokens with role claims and no password hash', async () => {
+      prisma.user.findUnique.mockResolvedValue(mockUser);
+
+      const result = await authService.login({ email: mockUser.email, password: 'password123' });
+
+      expect(result.user.password).toBeUndefined();
+      const claims = jwt.decode(result.accessToken);
+      expect(claims).toMatchObject({ sub: 3, role: 'driver', driverId: 1 });
+    });
+
+    it('should reject a wrong password', async () => {
+      prisma.user.findUnique.mockResolvedValue(mockUser);
+
+      await expect(
+        authService.login({ email: mockUser.email, password: 'wrong' })
+      ).rejects.toThrow(UnauthorizedError);
+    });
+
+    it('should reject an unknown email', async () => {
+      prisma.user.findUnique.mockResolvedValue(null);
+
+      await expect(
+        authService.login({ email: 'nobody@fuelpanda.com', password: 'password123' })
+      ).rejects.toThrow(UnauthorizedError);
+    });
+  });
+
+  describe('refresh', () => {
+    it('should issue a new pair for a valid refresh token', async () => {
+      const { refreshToken } = authService.generateTokens(mockUser);
+      prisma.user.findUnique.mockResolvedValue(mockUser);
+
+      const result = await authService.refresh({ refreshToken });
+
+      expect(prisma.user.findUnique).toHaveBeenCalledWith({ where: { id: 3 } });
+      expect(result.accessToken).toBeDefined();
+    });
+
+    it('should reject an access token', async () => {
+      const { accessToken } = authService.generateTokens(mockUser);
+
+      await expect(authService.refresh({ refreshToken: accessToken })).rejects.toThrow(UnauthorizedError);
+    });
+  });
+
+  describe('register', () => {
+    it('should require a driver link for driver users', async () => {
+      await expect(
+        authService.register({ email: 'a@b.com', password: 'password123', role: 'driver' })
+      ).rejects.toThrow(BadRequestError);
+    });
+  });
+});
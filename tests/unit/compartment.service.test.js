@@ -0,0 +1,204 @@
+'use strict';
+
+/**
+ * Unit Tests for Compartment Service
+ * Tests fill state and planning orders into tanker compartments
+ */
+
+jest.mock('../../src/utils/prisma', () => ({
+  vehicleCompartment: {
+    findMany: jest.fn(),
+  },
+}));
+
+const prisma = require('../../src/utils/prisma');
+const compartmentService = require('../../src/services/compartment.service');
+const { BadRequestError, ConflictError } = require('../../src/utils/errors');
+
+const diesel = { id: 1, name: 'Diesel' };
+const petrol = { id: 2, name: 'Petrol' };
+
+describe('Compartment Service', () => {
+  describe('getFillState', () => {
+    it('should split loaded and planned gallons per compartment', async () => {
+      prisma.vehicleCompartment.findMany.mockResolvedValue([
+        {
+          id: 1,
+          position: 1,
+          capacityGallons: 3000,
+          allowedProducts: [diesel],
+          loads: [
+            { quantity: 1000, product: diesel, order: { id: 7, status: 'in_progress' } },
+            { quantity: 500, product: diesel, order: { id: 8, status: 'assigned' } },
+          ],
+        },
+        { id: 2, position: 2, capacityGallons: 2000, allowedProducts: [], loads: [] },
+      ]);
+
+      const date = new Date('2026-01-21');
+      const state = await compartmentService.getFillState(1, date, 9);
+
+      expect(prisma.vehicleCompartment.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { vehicleId: 1 },
+          include: expect.objectContaining({
+            loads: expect.objectContaining({
+              where: {
+                order: { assignedDate: date, status: { in: ['assigned', 'in_progress'] }, id: { not: 9 } },
+              },
+            }),
+          }),
+        })
+      );
+      expect(state[0]).toEqual({
+        id: 1,
+        position: 1,
+        capacityGallons: 3000,
+        allowedProducts: [diesel],
+        product: diesel,
+        loadedGallons: 1000,
+        plannedGallons: 500,
+        freeGallons: 1500,
+        orderIds: [7, 8],
+      });
+      expect(state[1]).toMatchObject({ product: null, freeGallons: 2000, orderIds: [] });
+    });
+  });
+
+  describe('getFillStates', () => {
+    it('should load several vehicles at once, each against its own day', async () => {
+      const jan21 = new Date('2026-01-21');
+      const jan22 = new Date('2026-01-22');
+      prisma.vehicleCompartment.findMany.mockResolvedValue([
+        {
+          id: 1,
+          vehicleId: 1,
+          position: 1,
+          capacityGallons: 3000,
+          allowedProducts: [],
+          loads: [
+            { quantity: 1000, product: diesel, order: { id: 7, status: 'assigned', assignedDate: jan21 } },
+            // Same compartment, but on the other vehicle's day
+            { quantity: 500, product: diesel, order: { id: 8, status: 'assigned', assignedDate: jan22 } },
+          ],
+        },
+      ]);
+
+      const states = await compartmentService.getFillStates([
+        { vehicleId: 1, date: jan21 },
+        { vehicleId: 2, date: jan22 },
+      ]);
+
+      expect(prisma.vehicleCompartment.findMany).toHaveBeenCalledTimes(1);
+      expect(prisma.vehicleCompartment.findMany.mock.calls[0][0].where).toEqual({ vehicleId: { in: [1, 2] } });
+      expect(states.get(1)[0]).toMatchObject({ plannedGallons: 1000, orderIds: [7] });
+      expect(states.get(2)).toEqual([]);
+    });
+  });
+
+  describe('plan', () => {
+    const fillState = [
+      { id: 1, position: 1, capacityGallons: 3000, allowedProducts: [diesel], product: null, freeGallons: 3000 },
+      { id: 2, position: 2, capacityGallons: 3000, allowedProducts: [], product: petrol, freeGallons: 1000 },
+      { id: 3, position: 3, capacityGallons: 2000, allowedProducts: [], product: null, freeGallons: 2000 },
+    ];
+
+    const line = (product, quantity) => ({ productId: product.id, quantity, product });
+
+    it('should fill compartments front to back, skipping ones that cannot take the product', () => {
+      const result = compartmentService.plan(fillState, { lines: [line(petrol, 2500)] });
+
+      expect(result).toEqual({
+        loads: [
+          { compartmentId: 2, productId: 2, quantity: 1000 },
+          { compartmentId: 3, productId: 2, quantity: 1500 },
+        ],
+        unallocated: 0,
+        fillState: expect.any(Array),
+      });
+    });
+
+    it('should return the fill state with the order planned in, leaving the input untouched', () => {
+      const result = compartmentService.plan(fillState, { lines: [line(petrol, 2500)] });
+
+      expect(result.fillState.map((c) => c.freeGallons)).toEqual([3000, 0, 500]);
+      expect(result.fillState[2].product).toBe(petrol);
+      expect(fillState[2]).toMatchObject({ product: null, freeGallons: 2000 });
+    });
+
+    it('should keep each line of a multi-product order in its own compartments', () => {
+      const result = compartmentService.plan(fillState, {
+        lines: [line(petrol, 1500), line(diesel, 3500)],
+      });
+
+      // Petrol takes the rear compartment, so the diesel left over has nowhere to go
+      expect(result.loads).toEqual([
+        { compartmentId: 2, productId: 2, quantity: 1000 },
+        { compartmentId: 3, productId: 2, quantity: 500 },
+        { compartmentId: 1, productId: 1, quantity: 3000 },
+      ]);
+      expect(result.unallocated).toBe(500);
+    });
+
+    it('should report the quantity that does not fit', () => {
+      const result = compartmentService.plan(fillState, { lines: [line(petrol, 4000)] });
+
+      expect(result.unallocated).toBe(1000);
+    });
+
+    it('should accept a requested split that fits', () => {
+      const result = compartmentService.plan(fillState, {
+        lines: [line(diesel, 4000)],
+        requested: [
+          { compartmentId: 1, quantity: 3000 },
+          { compartmentId: 3, quantity: 1000 },
+        ],
+      });
+
+      expect(result.unallocated).toBe(0);
+      expect(result.loads).toHaveLength(2);
+    });
+
+    it('should reject a requested split that does not match the order line', () => {
+      expect(() =>
+        compartmentService.plan(fillState, {
+          lines: [line(diesel, 4000)],
+          requested: [{ compartmentId: 1, quantity: 3000 }],
+        })
+      ).toThrow(BadRequestError);
+    });
+
+    it('should require the product of each share on multi-product orders', () => {
+      expect(() =>
+        compartmentService.plan(fillState, {
+          lines: [line(diesel, 1000), line(petrol, 1000)],
+          requested: [
+            { compartmentId: 1, quantity: 1000 },
+            { compartmentId: 2, quantity: 1000 },
+          ],
+        })
+      ).toThrow('productId is required for each compartment on multi-product orders');
+    });
+
+    it('should not put two lines in the same compartment', () => {
+      expect(() =>
+        compartmentService.plan(fillState, {
+          lines: [line(diesel, 1000), line(petrol, 1000)],
+          requested: [
+            { compartmentId: 3, productId: 1, quantity: 1000 },
+            { compartmentId: 3, productId: 2, quantity: 1000 },
+          ],
+        })
+      ).toThrow('Compartment 3 already holds Diesel');
+    });
+
+    it('should reject a requested compartment that is too full', () => {
+      expect(() =>
+        compartmentService.plan(fillState, {
+          lines: [line(petrol, 1500)],
+          requested: [{ compartmentId: 2, quantity: 1500 }],
+        })
+      ).toThrow(ConflictError);
+    });
+  });
+});
@@ -0,0 +1,201 @@
+'use strict';
+
+/**
+ * Unit Tests for Route Deviation Service
+ * Tests off-corridor and out-of-sequence detection against the planned route
+ */
+
+jest.mock('../../src/utils/prisma', () => ({
+  shift: { findUnique: jest.fn() },
+  routeDeviation: {
+    findFirst: jest.fn(),
+    findMany: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+  },
+}));
+
+jest.mock('../../src/utils/event-bus', () => ({
+  publish: jest.fn(),
+}));
+
+jest.mock('../../src/services/route.service', () => ({
+  getStoredRoute: jest.fn(),
+}));
+
+const prisma = require('../../src/utils/prisma');
+const eventBus = require('../../src/utils/event-bus');
+const routeService = require('../../src/services/route.service');
+const deviationService = require('../../src/services/deviation.service');
+const { NotFoundError } = require('../../src/utils/errors');
+
+// Route due north from the hub: two stops about 11 and 22 km out
+const hub = { id: 1, latitude: 29.7, longitude: -95.4 };
+const stop = (orderId, locationId, x, status = 'assigned', sequenced = true) => ({
+  orderId,
+  status,
+  sequenced,
+  destination: { id: locationId, latitude: 29.7 + x * 0.1, longitude: -95.4 },
+});
+const route = { start: hub, stops: [stop(10, 3, 1), stop(11, 4, 2)] };
+
+const shift = { id: 5, driverId: 1, vehicleId: 2, shiftDate: new Date('2026-01-20') };
+const onRoute = { latitude: 29.75, longitude: -95.4, recordedAt: new Date('2026-01-20T09:00:00Z') };
+// About 5 km east of the route
+const offRoute = { latitude: 29.75, longitude: -95.35, recordedAt: new Date('2026-01-20T09:10:00Z') };
+const furtherOff = { latitude: 29.75, longitude: -95.3, recordedAt: new Date('2026-01-20T09:15:00Z') };
+
+describe('Route Deviation Service', () => {
+  beforeEach(() => {
+    prisma.routeDeviation.findFirst.mockResolvedValue(null);
+    prisma.routeDeviation.create.mockImplementation(async ({ data }) => ({ id: 7, orderId: null, resolvedAt: null, ...data }));
+    prisma.routeDeviation.update.mockImplementation(async ({ where, data }) => ({ id: where.id, ...data }));
+  });
+
+  describe('off corridor', () => {
+    it('should not flag points along the route', async () => {
+      await deviationService.check(shift, route, [onRoute]);
+
+      expect(prisma.routeDeviation.create).not.toHaveBeenCalled();
+    });
+
+    it('should open one alert per excursion and track the furthest distance', async () => {
+      await deviationService.check(shift, route, [furtherOff, offRoute]);
+
+      expect(prisma.routeDeviation.create).toHaveBeenCalledTimes(1);
+      expect(prisma.routeDeviation.create.mock.calls[0][0].data).toMatchObject({
+        shiftId: 5,
+        vehicleId: 2,
+        type: 'off_corridor',
+        detectedAt: offRoute.recordedAt,
+      });
+      expect(prisma.routeDeviation.create.mock.calls[0][0].data.distanceMeters).toBeGreaterThan(4000);
+      expect(prisma.routeDeviation.update.mock.calls[0][0].data.distanceMeters).toBeGreaterThan(9000);
+      expect(eventBus.publish).toHaveBeenCalledWith(
+        'route.deviation',
+        expect.objectContaining({ type: 'off_corridor', vehicleId: 2, driverId: 1 })
+      );
+    });
+
+    it('should resolve the open alert when the vehicle is back on the route', async () => {
+      prisma.routeDeviation.findFirst.mockResolvedValue({ id: 7, type: 'off_corridor', distanceMeters: 4800 });
+
+      await deviationService.check(shift, route, [{ ...onRoute, recordedAt: new Date('2026-01-20T09:30:00Z') }]);
+
+      expect(prisma.routeDeviation.update).toHaveBeenCalledWith({
+        where: { id: 7 },
+        data: { resolvedAt: new Date('2026-01-20T09:30:00Z') },
+      });
+    });
+
+    it('should not flag the drive back to the hub', async () => {
+      // Between the last stop and the hub, on the same line
+      await deviationService.check(shift, route, [{ ...onRoute, latitude: 29.85 }]);
+
+      expect(prisma.routeDeviation.create).not.toHaveBeenCalled();
+    });
+
+    it('should do nothing without a route for the day', async () => {
+      await deviationService.check(shift, null, [offRoute]);
+
+      expect(prisma.routeDeviation.findFirst).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('out of sequence', () => {
+    it('should flag arriving at a later stop while an earlier one is outstanding', async () => {
+      const arrival = { id: 9, locationId: 4, arrivedAt: new Date('2026-01-20T09:20:00Z') };
+
+      await deviationService.check(shift, route, [], [arrival]);
+
+      expect(prisma.routeDeviation.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ type: 'out_of_sequence', orderId: 11, detectedAt: arrival.arrivedAt }),
+      });
+    });
+
+    it('should accept arrivals at the next stop, at done stops and elsewhere', async () => {
+      const later = { start: hub, stops: [stop(10, 3, 1, 'completed'), stop(11, 4, 2), stop(12, 5, 3)] };
+      const arrivedAt = new Date('2026-01-20T09:20:00Z');
+
+      await deviationService.check(shift, later, [], [
+        { locationId: 4, arrivedAt },
+        { locationId: 3, arrivedAt },
+        { locationId: 1, arrivedAt },
+      ]);
+
+      expect(prisma.routeDeviation.create).not.toHaveBeenCalled();
+    });
+
+    it('should not flag arrivals at stops without a place yet', async () => {
+      // Stop 12 was assigned after the route was sequenced
+      const added = { start: hub, stops: [stop(10, 3, 1), stop(11, 4, 2), stop(12, 5, 3, 'assigned', false)] };
+      const arrivedAt = new Date('2026-01-20T09:20:00Z');
+
+      await deviationService.check(shift, added, [], [
+        { locationId: 5, arrivedAt },
+        { locationId: 3, arrivedAt },
+      ]);
+
+      expect(prisma.routeDeviation.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getRoute', () => {
+    const order = (id, destination, extra = {}) => ({ id, status: 'assigned', destination, routeSequence: 1, ...extra });
+
+    it('should read the stored sequence as the stops to check', async () => {
+      const [first, second] = route.stops;
+      routeService.getStoredRoute.mockResolvedValue({
+        orders: [order(10, first.destination), order(11, second.destination, { routeSequence: 2 })],
+        start: hub,
+        sequenced: true,
+      });
+
+      const result = await deviationService.getRoute(shift);
+
+      expect(routeService.getStoredRoute).toHaveBeenCalledWith(1, expect.any(Date));
+      expect(result).toEqual(route);
+    });
+
+    it('should keep checking a route with stops not sequenced yet, after the sequenced ones', async () => {
+      const [first, second] = route.stops;
+      routeService.getStoredRoute.mockResolvedValue({
+        orders: [order(11, second.destination), order(10, first.destination, { routeSequence: null })],
+        start: hub,
+        sequenced: false,
+      });
+
+      const result = await deviationService.getRoute(shift);
+
+      expect(result.stops).toEqual([
+        expect.objectContaining({ orderId: 11, sequenced: true }),
+        expect.objectContaining({ orderId: 10, sequenced: false }),
+      ]);
+    });
+
+    it('should skip a day without orders', async () => {
+      routeService.getStoredRoute.mockResolvedValue({ orders: [], start: null, sequenced: true });
+
+      expect(await deviationService.getRoute(shift)).toBeNull();
+    });
+  });
+
+  describe('getByShift', () => {
+    it('should list a shift\'s deviations in order', async () => {
+      prisma.shift.findUnique.mockResolvedValue({ id: 5 });
+      prisma.routeDeviation.findMany.mockResolvedValue([]);
+
+      await deviationService.getByShift(5);
+
+      expect(prisma.routeDeviation.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { shiftId: 5 }, orderBy: { detectedAt: 'asc' } })
+      );
+    });
+
+    it('should 404 for an unknown shift', async () => {
+      prisma.shift.findUnique.mockResolvedValue(null);
+
+      await expect(deviationService.getByShift(99)).rejects.toThrow(NotFoundError);
+    });
+  });
+});
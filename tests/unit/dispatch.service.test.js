@@ -0,0 +1,223 @@
+'use strict';
+
+/**
+ * Unit Tests for Dispatch Service
+ * Tests planning pending orders onto the day's vehicles and committing the plan
+ */
+
+jest.mock('../../src/utils/prisma', () => ({
+  order: {
+    findMany: jest.fn(),
+    findFirst: jest.fn(),
+    aggregate: jest.fn(),
+  },
+  vehicleAllocation: {
+    findMany: jest.fn(),
+    findFirst: jest.fn(),
+  },
+  vehicleCompartment: {
+    findMany: jest.fn(),
+  },
+  $transaction: jest.fn(),
+}));
+
+const prisma = require('../../src/utils/prisma');
+const dispatchService = require('../../src/services/dispatch.service');
+const { BadRequestError, ConflictError } = require('../../src/utils/errors');
+
+const diesel = { id: 1, name: 'Diesel' };
+const hub = { id: 1, name: 'North Hub', latitude: 29.8, longitude: -95.4 };
+const nearHub = { id: 3, name: 'Terminal A', latitude: 29.81, longitude: -95.41 };
+const farAway = { id: 4, name: 'Terminal B', latitude: 30.3, longitude: -95.9 };
+
+const pendingOrder = (id, destination, quantity, extra = {}) => ({
+  id,
+  status: 'pending',
+  priority: 'normal',
+  sourceId: null,
+  source: null,
+  destination,
+  quantity,
+  lines: [{ productId: diesel.id, quantity, product: diesel }],
+  ...extra,
+});
+
+const allocation = (id, capacityGallons) => ({
+  id,
+  vehicleId: id,
+  driverId: id,
+  vehicle: { id, registrationNumber: `TRK-00${id}`, capacityGallons },
+  driver: { id, name: `Driver ${id}` },
+});
+
+describe('Dispatch Service', () => {
+  let lastStops;
+
+  beforeEach(() => {
+    lastStops = {};
+    prisma.order.aggregate.mockResolvedValue({ _sum: { quantity: null } });
+    prisma.vehicleCompartment.findMany.mockResolvedValue([]);
+    prisma.order.findFirst.mockImplementation(async ({ where }) =>
+      lastStops[where.assignedDriverId] ? { destination: lastStops[where.assignedDriverId] } : null
+    );
+  });
+
+  describe('preview', () => {
+    it('should send each order to the vehicle whose last stop is nearest', async () => {
+      lastStops = { 1: farAway, 2: hub };
+      prisma.vehicleAllocation.findMany.mockResolvedValue([allocation(1, 10000), allocation(2, 10000)]);
+      prisma.order.findMany.mockResolvedValue([pendingOrder(10, nearHub, 3000)]);
+
+      const plan = await dispatchService.plan('2026-01-25');
+
+      expect(plan.committed).toBe(false);
+      expect(plan.assignments).toEqual([
+        expect.objectContaining({ orderId: 10, driverId: 2, vehicleId: 2, distanceMeters: expect.any(Number) }),
+      ]);
+      expect(plan.vehicles[1]).toMatchObject({ plannedGallons: 3000, orderIds: [10] });
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+
+    it('should take pending orders due by the day, most urgent first', async () => {
+      prisma.vehicleAllocation.findMany.mockResolvedValue([]);
+      prisma.order.findMany.mockResolvedValue([]);
+
+      await dispatchService.plan('2026-01-25');
+
+      const { where, orderBy } = prisma.order.findMany.mock.calls[0][0];
+      expect(where.status).toBe('pending');
+      expect(where.OR).toEqual([{ windowStart: null }, { windowStart: { lt: expect.any(Date) } }]);
+      expect(orderBy).toEqual([{ priority: 'desc' }, { createdAt: 'asc' }]);
+    });
+
+    it('should pass over a vehicle without room, counting orders already on it', async () => {
+      lastStops = { 1: hub, 2: farAway };
+      prisma.order.aggregate.mockImplementation(async ({ where }) => ({
+        _sum: { quantity: where.assignedDriverId === 1 ? 8000 : null },
+      }));
+      prisma.vehicleAllocation.findMany.mockResolvedValue([allocation(1, 10000), allocation(2, 10000)]);
+      prisma.order.findMany.mockResolvedValue([pendingOrder(10, nearHub, 3000)]);
+
+      const plan = await dispatchService.plan('2026-01-25');
+
+      expect(plan.assignments[0].driverId).toBe(2);
+      expect(plan.vehicles[1].plannedGallons).toBe(3000);
+    });
+
+    it('should fill vehicles as it goes and leave orders nobody has room for', async () => {
+      prisma.vehicleAllocation.findMany.mockResolvedValue([allocation(1, 5000)]);
+      prisma.order.findMany.mockResolvedValue([pendingOrder(10, nearHub, 3000), pendingOrder(11, nearHub, 3000)]);
+
+      const plan = await dispatchService.plan('2026-01-25');
+
+      expect(plan.assignments.map((a) => a.orderId)).toEqual([10]);
+      expect(plan.unassigned).toEqual([
+        expect.objectContaining({ orderId: 11, reason: 'No allocated vehicle has room for it' }),
+      ]);
+    });
+
+    it('should only plan into compartments that can take the product', async () => {
+      prisma.vehicleAllocation.findMany.mockResolvedValue([allocation(1, 6000)]);
+      prisma.vehicleCompartment.findMany.mockResolvedValue([
+        { id: 1, position: 1, capacityGallons: 3000, allowedProducts: [{ id: 2, name: 'Petrol' }], loads: [] },
+        { id: 2, position: 2, capacityGallons: 3000, allowedProducts: [], loads: [] },
+      ]);
+      prisma.order.findMany.mockResolvedValue([pendingOrder(10, nearHub, 4000)]);
+
+      const plan = await dispatchService.plan('2026-01-25');
+
+      expect(plan.assignments).toEqual([]);
+      expect(plan.unassigned[0].orderId).toBe(10);
+    });
+  });
+
+  describe('commit', () => {
+    let mockTx;
+
+    beforeEach(() => {
+      mockTx = {
+        order: {
+          count: jest.fn().mockResolvedValue(1),
+          aggregate: jest.fn().mockResolvedValue({ _sum: { quantity: null } }),
+          update: jest.fn().mockImplementation(async ({ where, data }) => ({ id: where.id, ...data })),
+        },
+        vehicleCompartment: {
+          findMany: jest.fn().mockResolvedValue([]),
+        },
+        inventory: {
+          findUnique: jest.fn().mockResolvedValue({ id: 5, quantity: 20000, reservedQuantity: 0 }),
+          updateMany: jest.fn().mockResolvedValue({ count: 1 }),
+        },
+      };
+      prisma.$transaction.mockImplementation((callback) => callback(mockTx));
+      prisma.vehicleAllocation.findMany.mockResolvedValue([allocation(1, 10000)]);
+      prisma.vehicleAllocation.findFirst.mockImplementation(async ({ where }) => allocation(where.driverId, 10000));
+    });
+
+    it('should assign the plan, reserving hub stock and recording the dispatcher', async () => {
+      prisma.order.findMany.mockResolvedValue([pendingOrder(10, nearHub, 3000, { sourceId: hub.id, source: hub })]);
+
+      const plan = await dispatchService.plan('2026-01-25', { commit: true }, { id: 7, role: 'dispatcher' });
+
+      expect(plan.committed).toBe(true);
+      expect(mockTx.inventory.updateMany).toHaveBeenCalledWith(
+        expect.objectContaining({ data: { reservedQuantity: { increment: 3000 } } })
+      );
+      const { data } = mockTx.order.update.mock.calls[0][0];
+      expect(data).toMatchObject({
+        assignedDriverId: 1,
+        status: 'assigned',
+        statusHistory: {
+          create: { fromStatus: 'pending', toStatus: 'assigned', actorId: 7, reason: 'Dispatch plan' },
+        },
+      });
+      expect(data.assignedDate.getDate()).toBe(25);
+    });
+
+    it('should assign nothing if an order is no longer pending', async () => {
+      prisma.order.findMany.mockResolvedValue([pendingOrder(10, nearHub, 3000), pendingOrder(11, nearHub, 3000)]);
+
+      await expect(dispatchService.plan('2026-01-25', { commit: true })).rejects.toThrow(ConflictError);
+      expect(mockTx.order.update).not.toHaveBeenCalled();
+    });
+
+    it('should recompute the vehicle load when committing', async () => {
+      prisma.order.findMany.mockResolvedValue([pendingOrder(10, nearHub, 3000)]);
+      // Another order was assigned to the vehicle after the preview
+      mockTx.order.aggregate.mockResolvedValue({ _sum: { quantity: 8000 } });
+
+      await expect(dispatchService.plan('2026-01-25', { commit: true })).rejects.toThrow(
+        'TRK-001 holds 10000 gallons; 8000 already planned'
+      );
+      expect(mockTx.order.aggregate).toHaveBeenCalledWith(
+        expect.objectContaining({ where: expect.objectContaining({ assignedDriverId: 1, id: { not: 10 } }) })
+      );
+      expect(mockTx.order.update).not.toHaveBeenCalled();
+    });
+
+    it('should commit a plan sent back by the dispatcher', async () => {
+      prisma.vehicleAllocation.findMany.mockResolvedValue([allocation(1, 10000), allocation(2, 10000)]);
+      prisma.order.findMany.mockResolvedValue([pendingOrder(10, nearHub, 3000)]);
+
+      const plan = await dispatchService.plan('2026-01-25', {
+        commit: true,
+        assignments: [{ orderId: 10, driverId: 2 }],
+      });
+
+      expect(plan.assignments[0].driverId).toBe(2);
+      expect(mockTx.order.update.mock.calls[0][0].data.assignedDriverId).toBe(2);
+    });
+
+    it('should reject a sent plan that does not fit or has no vehicle', async () => {
+      prisma.order.findMany.mockResolvedValue([pendingOrder(10, nearHub, 12000), pendingOrder(11, nearHub, 1000)]);
+
+      await expect(
+        dispatchService.plan('2026-01-25', { assignments: [{ orderId: 10, driverId: 1 }] })
+      ).rejects.toThrow(ConflictError);
+      await expect(
+        dispatchService.plan('2026-01-25', { assignments: [{ orderId: 11, driverId: 9 }] })
+      ).rejects.toThrow(BadRequestError);
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+  });
+});
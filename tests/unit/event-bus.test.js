@@ -0,0 +1,61 @@
+'use strict';
+
+/**
+ * Unit Tests for Event Bus
+ * Tests subscriber filtering used by the fleet stream
+ */
+
+const eventBus = require('../../src/utils/event-bus');
+
+describe('Event Bus', () => {
+  let listener;
+  let unsubscribe;
+
+  beforeEach(() => {
+    listener = jest.fn();
+  });
+
+  afterEach(() => {
+    if (unsubscribe) unsubscribe();
+  });
+
+  it('should deliver every event when no filters are set', () => {
+    unsubscribe = eventBus.subscribe({}, listener);
+
+    eventBus.publish('gps.location', { vehicleId: 1, driverId: 1 });
+    eventBus.publish('shift.status', { vehicleId: 2, driverId: 2 });
+
+    expect(listener).toHaveBeenCalledTimes(2);
+    expect(listener).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'gps.location', data: { vehicleId: 1, driverId: 1 } })
+    );
+  });
+
+  it('should filter by event type', () => {
+    unsubscribe = eventBus.subscribe({ types: ['order.status'] }, listener);
+
+    eventBus.publish('gps.location', { vehicleId: 1 });
+    eventBus.publish('order.status', { orderId: 5, status: 'completed' });
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener.mock.calls[0][0].type).toBe('order.status');
+  });
+
+  it('should filter by vehicle and driver', () => {
+    unsubscribe = eventBus.subscribe({ vehicleId: 2, driverId: 3 }, listener);
+
+    eventBus.publish('gps.location', { vehicleId: 1, driverId: 3 });
+    eventBus.publish('gps.location', { vehicleId: 2, driverId: 1 });
+    eventBus.publish('gps.location', { vehicleId: 2, driverId: 3 });
+
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it('should stop delivering after unsubscribe', () => {
+    eventBus.subscribe({}, listener)();
+
+    eventBus.publish('gps.location', { vehicleId: 1 });
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+});
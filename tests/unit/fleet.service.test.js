@@ -0,0 +1,127 @@
+'use strict';
+
+/**
+ * Unit Tests for Fleet Service
+ * Tests live status and summary statistics for the dashboard
+ */
+
+jest.mock('../../src/utils/prisma', () => ({
+  vehicle: { count: jest.fn() },
+  driver: { count: jest.fn() },
+  shift: {
+    count: jest.fn(),
+    findMany: jest.fn(),
+  },
+  order: {
+    count: jest.fn(),
+    groupBy: jest.fn(),
+    findMany: jest.fn(),
+  },
+  gpsLocation: {
+    groupBy: jest.fn(),
+    findMany: jest.fn(),
+  },
+  routeDeviation: { findMany: jest.fn() },
+}));
+
+jest.mock('../../src/services/compartment.service', () => ({
+  getFillStates: jest.fn(),
+}));
+
+const prisma = require('../../src/utils/prisma');
+const compartmentService = require('../../src/services/compartment.service');
+const fleetService = require('../../src/services/fleet.service');
+
+describe('Fleet Service', () => {
+  describe('getStatus', () => {
+    const day = new Date('2026-01-20');
+    const shift = (id, driverId, vehicleId) => ({
+      id,
+      driverId,
+      shiftDate: day,
+      status: 'active',
+      driver: { id: driverId, name: `Driver ${driverId}` },
+      vehicleAllocation: { vehicle: { id: vehicleId, registrationNumber: `TRK-${vehicleId}` } },
+    });
+
+    beforeEach(() => {
+      prisma.shift.findMany.mockResolvedValue([shift(1, 1, 10), shift(2, 2, 20)]);
+      prisma.gpsLocation.groupBy.mockResolvedValue([{ vehicleId: 10, _max: { recordedAt: day } }]);
+      prisma.gpsLocation.findMany.mockResolvedValue([{ vehicleId: 10, latitude: 29.7, longitude: -95.4, recordedAt: day }]);
+      prisma.order.findMany.mockResolvedValue([
+        {
+          id: 5,
+          assignedDriverId: 2,
+          assignedDate: day,
+          destination: { name: 'Terminal A' },
+          lines: [],
+          quantity: 3000,
+          status: 'assigned',
+        },
+      ]);
+      compartmentService.getFillStates.mockResolvedValue(new Map([[10, []], [20, []]]));
+      prisma.routeDeviation.findMany.mockResolvedValue([
+        { id: 3, shiftId: 1, type: 'off_corridor', resolvedAt: null },
+      ]);
+    });
+
+    it('should load every shift\'s details in one query each and match them up', async () => {
+      const status = await fleetService.getStatus();
+
+      expect(prisma.gpsLocation.findMany).toHaveBeenCalledTimes(1);
+      expect(prisma.order.findMany).toHaveBeenCalledTimes(1);
+      expect(compartmentService.getFillStates).toHaveBeenCalledTimes(1);
+      expect(prisma.routeDeviation.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { shiftId: { in: [1, 2] } } })
+      );
+
+      expect(status[0]).toMatchObject({
+        vehicle: { id: 10 },
+        location: { latitude: 29.7 },
+        currentOrders: [],
+        deviations: { offCorridor: true, total: 1 },
+      });
+      expect(status[1]).toMatchObject({
+        vehicle: { id: 20 },
+        location: null,
+        currentOrders: [{ id: 5, destination: 'Terminal A' }],
+        deviations: { offCorridor: false, total: 0, latest: null },
+      });
+    });
+  });
+
+  describe('getSummary', () => {
+    beforeEach(() => {
+      prisma.vehicle.count.mockResolvedValue(4);
+      prisma.driver.count.mockResolvedValue(3);
+      prisma.shift.count.mockResolvedValue(2);
+      prisma.order.count.mockResolvedValue(0);
+    });
+
+    it('should report today\'s delivery window outcomes', async () => {
+      prisma.order.groupBy.mockResolvedValue([
+        { timeliness: 'on_time', _count: { _all: 3 } },
+        { timeliness: 'late', _count: { _all: 1 } },
+      ]);
+
+      const summary = await fleetService.getSummary();
+
+      expect(summary.vehicleUtilization).toBe(50);
+      expect(summary.deliveryWindows).toEqual({ onTime: 3, early: 0, late: 1, onTimeRate: 75 });
+      expect(prisma.order.groupBy).toHaveBeenCalledWith(
+        expect.objectContaining({
+          by: ['timeliness'],
+          where: expect.objectContaining({ status: 'completed', timeliness: { not: null } }),
+        })
+      );
+    });
+
+    it('should leave the on-time rate empty when no order had a window', async () => {
+      prisma.order.groupBy.mockResolvedValue([]);
+
+      const summary = await fleetService.getSummary();
+
+      expect(summary.deliveryWindows).toEqual({ onTime: 0, early: 0, late: 0, onTimeRate: null });
+    });
+  });
+});
@@ -0,0 +1,171 @@
+'use strict';
+
+/**
+ * Unit Tests for Forecast Service
+ * Tests consumption averaging, stockout projection and next delivery recommendations
+ */
+
+jest.mock('../../src/utils/prisma', () => ({
+  location: { findUnique: jest.fn() },
+  inventory: { findMany: jest.fn() },
+  inventoryTransaction: { groupBy: jest.fn() },
+  orderLine: { findMany: jest.fn() },
+}));
+
+const prisma = require('../../src/utils/prisma');
+const forecastService = require('../../src/services/forecast.service');
+const { getTodayAtMidnight } = require('../../src/utils/date-utils');
+const { NotFoundError } = require('../../src/utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const terminal = { id: 3, name: 'Terminal A', type: 'terminal' };
+const diesel = { id: 1, name: 'Diesel' };
+
+// Older than the lookback window, so consumption is averaged over the whole window
+const record = (id, extra = {}) => ({
+  id,
+  locationId: 3,
+  productId: 1,
+  quantity: 8000,
+  minQuantity: null,
+  targetQuantity: null,
+  capacityGallons: null,
+  createdAt: new Date('2020-01-01'),
+  location: terminal,
+  product: diesel,
+  ...extra,
+});
+
+// 30,000 gallons over the default 30-day window: 1,000 a day
+const consumed = (inventoryId, gallons = 30000) => ({ inventoryId, _sum: { delta: -gallons } });
+
+const daysFromToday = (days) => new Date(getTodayAtMidnight().getTime() + days * DAY_MS);
+
+describe('Forecast Service', () => {
+  beforeEach(() => {
+    prisma.location.findUnique.mockResolvedValue(terminal);
+    prisma.orderLine.findMany.mockResolvedValue([]);
+  });
+
+  describe('getByLocation', () => {
+    it('should average ledger decreases over the window and project the stockout', async () => {
+      prisma.inventory.findMany.mockResolvedValue([record(1)]);
+      prisma.inventoryTransaction.groupBy.mockResolvedValue([consumed(1)]);
+
+      const [forecast] = await forecastService.getByLocation(3);
+
+      expect(prisma.inventoryTransaction.groupBy).toHaveBeenCalledWith({
+        by: ['inventoryId'],
+        where: {
+          inventoryId: { in: [1] },
+          createdAt: { gte: expect.any(Date) },
+          delta: { lt: 0 },
+        },
+        _sum: { delta: true },
+      });
+      const since = prisma.inventoryTransaction.groupBy.mock.calls[0][0].where.createdAt.gte;
+      expect(Math.round((Date.now() - since) / DAY_MS)).toBe(30);
+
+      expect(forecast).toMatchObject({
+        inventoryId: 1,
+        location: { id: 3, name: 'Terminal A' },
+        averageDailyConsumption: 1000,
+        daysOfSupply: 8,
+      });
+      expect(Math.round((forecast.stockoutDate - Date.now()) / DAY_MS)).toBe(8);
+    });
+
+    it('should recommend delivering at the minimum, refilling to the target', async () => {
+      prisma.inventory.findMany.mockResolvedValue([record(1, { minQuantity: 3000, targetQuantity: 20000 })]);
+      prisma.inventoryTransaction.groupBy.mockResolvedValue([consumed(1)]);
+
+      const [forecast] = await forecastService.getByLocation(3);
+
+      expect(forecast.nextDelivery).toEqual({ date: daysFromToday(5), quantity: 17000 });
+    });
+
+    it('should fill the tank net of inbound stock when there is no target', async () => {
+      prisma.inventory.findMany.mockResolvedValue([record(1, { minQuantity: 3000, capacityGallons: 15000 })]);
+      prisma.inventoryTransaction.groupBy.mockResolvedValue([consumed(1)]);
+      prisma.orderLine.findMany.mockResolvedValue([
+        { productId: 1, quantity: 3000, order: { destinationId: 3 } },
+        { productId: 1, quantity: 2000, order: { destinationId: 3 } },
+      ]);
+
+      const [forecast] = await forecastService.getByLocation(3);
+
+      expect(forecast.inboundQuantity).toBe(5000);
+      expect(forecast.nextDelivery.quantity).toBe(7000);
+    });
+
+    it('should load inbound stock for all records in one query, matched by destination and product', async () => {
+      const petrol = { id: 2, name: 'Petrol' };
+      prisma.inventory.findMany.mockResolvedValue([record(1), record(2, { productId: 2, product: petrol })]);
+      prisma.inventoryTransaction.groupBy.mockResolvedValue([]);
+      prisma.orderLine.findMany.mockResolvedValue([
+        { productId: 2, quantity: 4000, order: { destinationId: 3 } },
+        // Another terminal's diesel
+        { productId: 1, quantity: 6000, order: { destinationId: 4 } },
+      ]);
+
+      const forecasts = await forecastService.getByLocation(3);
+
+      expect(prisma.orderLine.findMany).toHaveBeenCalledTimes(1);
+      expect(prisma.orderLine.findMany.mock.calls[0][0].where).toEqual({
+        productId: { in: [1, 2] },
+        order: { destinationId: { in: [3] }, status: { in: ['pending', 'assigned', 'in_progress'] } },
+      });
+      expect(forecasts.map((forecast) => [forecast.inventoryId, forecast.inboundQuantity])).toEqual([
+        [1, 0],
+        [2, 4000],
+      ]);
+    });
+
+    it('should cover the configured days when neither target nor capacity is known', async () => {
+      prisma.inventory.findMany.mockResolvedValue([record(1)]);
+      prisma.inventoryTransaction.groupBy.mockResolvedValue([consumed(1)]);
+
+      const [forecast] = await forecastService.getByLocation(3);
+
+      // Due when it runs out, with 14 days of consumption
+      expect(forecast.nextDelivery).toEqual({ date: daysFromToday(8), quantity: 14000 });
+    });
+
+    it('should average a record younger than the window over its own lifetime', async () => {
+      prisma.inventory.findMany.mockResolvedValue([record(1, { createdAt: new Date(Date.now() - 10 * DAY_MS) })]);
+      prisma.inventoryTransaction.groupBy.mockResolvedValue([consumed(1, 5000)]);
+
+      const [forecast] = await forecastService.getByLocation(3, { lookbackDays: '60' });
+
+      expect(forecast.averageDailyConsumption).toBe(500);
+    });
+
+    it('should 404 for an unknown location', async () => {
+      prisma.location.findUnique.mockResolvedValue(null);
+
+      await expect(forecastService.getByLocation(99)).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  describe('getAll', () => {
+    it('should list terminals by days of supply with idle stock last', async () => {
+      prisma.inventory.findMany.mockResolvedValue([
+        record(1, { quantity: 20000 }),
+        record(2, { quantity: 500 }),
+        record(3, { quantity: 4000 }),
+      ]);
+      prisma.inventoryTransaction.groupBy.mockResolvedValue([consumed(2), consumed(3)]);
+
+      const forecasts = await forecastService.getAll();
+
+      expect(prisma.inventory.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { location: { type: 'terminal' } } })
+      );
+      expect(forecasts.map((forecast) => forecast.inventoryId)).toEqual([2, 3, 1]);
+      // Inbound stock for every record in one query, not one per record
+      expect(prisma.orderLine.findMany).toHaveBeenCalledTimes(1);
+      expect(forecasts[2]).toMatchObject({ daysOfSupply: null, stockoutDate: null, nextDelivery: null });
+    });
+  });
+});
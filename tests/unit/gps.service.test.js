@@ -15,6 +15,7 @@ jest.mock('../../src/utils/prisma', () => ({
   },
   gpsLocation: {
     create: jest.fn(),
+    createMany: jest.fn(),
     findMany: jest.fn(),
     findFirst: jest.fn(),
   },
@@ -23,9 +24,25 @@ jest.mock('../../src/utils/prisma', () => ({
   },
 }));
 
+jest.mock('../../src/utils/event-bus', () => ({
+  publish: jest.fn(),
+}));
+
+jest.mock('../../src/services/visit.service', () => ({
+  track: jest.fn(),
+}));
+
+jest.mock('../../src/services/deviation.service', () => ({
+  getRoute: jest.fn(),
+  check: jest.fn(),
+}));
+
 const prisma = require('../../src/utils/prisma');
+const eventBus = require('../../src/utils/event-bus');
+const visitService = require('../../src/services/visit.service');
+const deviationService = require('../../src/services/deviation.service');
 const gpsService = require('../../src/services/gps.service');
-const { BadRequestError, NotFoundError } = require('../../src/utils/errors');
+const { BadRequestError, NotFoundError, ForbiddenError } = require('../../src/utils/errors');
 
 describe('GPS Service', () => {
   beforeEach(() => {
@@ -63,6 +80,32 @@ describe('GPS Service', () => {
 
       expect(result.shiftId).toBe(1);
       expect(result.latitude).toBe(29.7604);
+      expect(eventBus.publish).toHaveBeenCalledWith(
+        'gps.location',
+        expect.objectContaining({ vehicleId: 1, driverId: 1, shiftId: 1 })
+      );
+      expect(visitService.track).toHaveBeenCalledWith({ id: 1, driverId: 1, vehicleId: 1 }, [mockGps]);
+    });
+
+    it('should check the point and its arrivals against the planned route', async () => {
+      const shiftDate = new Date('2026-01-20');
+      const arrival = { id: 4, locationId: 3 };
+      const route = { start: null, stops: [] };
+      prisma.vehicle.findUnique.mockResolvedValue({ id: 1, registrationNumber: 'TX-FP-001' });
+      prisma.shift.findFirst.mockResolvedValue({ id: 1, driverId: 1, status: 'active', shiftDate });
+      prisma.gpsLocation.create.mockResolvedValue({ id: 1, vehicleId: 1, shiftId: 1, latitude: 29.76, longitude: -95.37 });
+      visitService.track.mockResolvedValue([arrival]);
+      deviationService.getRoute.mockResolvedValue(route);
+
+      await gpsService.create({ vehicleId: 1, latitude: 29.76, longitude: -95.37 });
+
+      expect(deviationService.getRoute).toHaveBeenCalledWith(expect.objectContaining({ driverId: 1, shiftDate }));
+      expect(deviationService.check).toHaveBeenCalledWith(
+        { id: 1, driverId: 1, vehicleId: 1 },
+        route,
+        [expect.objectContaining({ latitude: 29.76 })],
+        [arrival]
+      );
     });
 
     it('should reject GPS if vehicle has no active shift', async () => {
@@ -78,6 +121,17 @@ describe('GPS Service', () => {
           longitude: -95.3698,
         })
       ).rejects.toThrow(BadRequestError);
+      expect(eventBus.publish).not.toHaveBeenCalled();
+    });
+
+    it("should reject a driver posting for another driver's shift", async () => {
+      prisma.vehicle.findUnique.mockResolvedValue({ id: 1, registrationNumber: 'TX-FP-001' });
+      prisma.shift.findFirst.mockResolvedValue({ id: 1, driverId: 2, status: 'active' });
+
+      await expect(
+        gpsService.create({ vehicleId: 1, latitude: 29.76, longitude: -95.37 }, { role: 'driver', driverId: 1 })
+      ).rejects.toThrow(ForbiddenError);
+      expect(prisma.gpsLocation.create).not.toHaveBeenCalled();
     });
 
     it('should reject GPS if vehicle not found', async () => {
@@ -124,4 +178,158 @@ describe('GPS Service', () => {
       );
     });
   });
+
+  describe('createBatch', () => {
+    const mockVehicle = { id: 1, registrationNumber: 'TX-FP-001' };
+    // Yesterday's completed shift and today's active one on the same truck
+    const shifts = [
+      {
+        id: 7,
+        driverId: 2,
+        shiftDate: new Date('2026-01-19'),
+        startTime: new Date('2026-01-19T06:00:00Z'),
+        endTime: new Date('2026-01-19T16:00:00Z'),
+      },
+      { id: 8, driverId: 1, shiftDate: new Date('2026-01-20'), startTime: new Date('2026-01-20T06:00:00Z'), endTime: null },
+    ];
+    const point = (recordedAt) => ({ latitude: 29.76, longitude: -95.37, recordedAt });
+
+    beforeEach(() => {
+      prisma.vehicle.findUnique.mockResolvedValue(mockVehicle);
+      prisma.shift.findMany.mockResolvedValue(shifts);
+      prisma.gpsLocation.findMany.mockResolvedValue([]);
+      prisma.gpsLocation.createMany.mockResolvedValue({ count: 0 });
+    });
+
+    it('should link each point to the shift active at its recordedAt', async () => {
+      const result = await gpsService.createBatch({
+        vehicleId: 1,
+        points: [point('2026-01-19T10:00:00Z'), point('2026-01-20T09:00:00Z')],
+      });
+
+      expect(result.accepted).toBe(2);
+      expect(result.results.map((r) => r.shiftId)).toEqual([7, 8]);
+      expect(prisma.gpsLocation.createMany).toHaveBeenCalledWith({
+        data: [
+          expect.objectContaining({ shiftId: 7, vehicleId: 1 }),
+          expect.objectContaining({ shiftId: 8, vehicleId: 1 }),
+        ],
+        skipDuplicates: true,
+      });
+    });
+
+    it("should match a driver's points against their own shifts only", async () => {
+      prisma.shift.findFirst.mockResolvedValue({ id: 8 });
+      prisma.shift.findMany.mockResolvedValue([shifts[1]]);
+
+      const result = await gpsService.createBatch(
+        { vehicleId: 1, points: [point('2026-01-19T10:00:00Z'), point('2026-01-20T09:00:00Z')] },
+        { role: 'driver', driverId: 1 }
+      );
+
+      expect(prisma.shift.findMany).toHaveBeenCalledWith({
+        where: expect.objectContaining({ vehicleAllocation: { vehicleId: 1 }, driverId: 1 }),
+      });
+      expect(result.results.map((r) => r.status)).toEqual(['rejected', 'accepted']);
+    });
+
+    it('should reject a driver posting for a vehicle never on their shifts', async () => {
+      prisma.shift.findFirst.mockResolvedValue(null);
+
+      await expect(
+        gpsService.createBatch(
+          { vehicleId: 1, points: [point('2026-01-20T09:00:00Z')] },
+          { role: 'driver', driverId: 3 }
+        )
+      ).rejects.toThrow(ForbiddenError);
+      expect(prisma.gpsLocation.createMany).not.toHaveBeenCalled();
+    });
+
+    it('should look up the route once per driver and day', async () => {
+      // The driver's second shift of the day, after a break
+      prisma.shift.findMany.mockResolvedValue([
+        { ...shifts[1], endTime: new Date('2026-01-20T11:00:00Z') },
+        { ...shifts[1], id: 9, startTime: new Date('2026-01-20T12:00:00Z') },
+      ]);
+      const route = { start: null, stops: [] };
+      deviationService.getRoute.mockResolvedValue(route);
+
+      await gpsService.createBatch({
+        vehicleId: 1,
+        points: [point('2026-01-20T09:00:00Z'), point('2026-01-20T13:00:00Z'), point('2026-01-20T13:05:00Z')],
+      });
+
+      expect(deviationService.getRoute).toHaveBeenCalledTimes(1);
+      expect(deviationService.check).toHaveBeenCalledTimes(2);
+      expect(deviationService.check).toHaveBeenCalledWith(
+        { id: 9, driverId: 1, vehicleId: 1 },
+        route,
+        [expect.objectContaining({ shiftId: 9 }), expect.objectContaining({ shiftId: 9 })],
+        undefined
+      );
+    });
+
+    it('should reject points outside any shift', async () => {
+      const result = await gpsService.createBatch({
+        vehicleId: 1,
+        points: [point('2026-01-19T20:00:00Z')],
+      });
+
+      expect(result).toEqual(expect.objectContaining({ accepted: 0, rejected: 1 }));
+      expect(result.results[0].status).toBe('rejected');
+      expect(prisma.gpsLocation.createMany).not.toHaveBeenCalled();
+      expect(eventBus.publish).not.toHaveBeenCalled();
+    });
+
+    it('should dedupe timestamps within the batch and against stored points', async () => {
+      prisma.gpsLocation.findMany.mockResolvedValue([{ recordedAt: new Date('2026-01-20T09:00:00Z') }]);
+
+      const result = await gpsService.createBatch({
+        vehicleId: 1,
+        points: [
+          point('2026-01-20T09:00:00Z'),
+          point('2026-01-20T09:05:00Z'),
+          point('2026-01-20T09:05:00.000Z'),
+        ],
+      });
+
+      expect(result.results.map((r) => r.status)).toEqual(['rejected', 'accepted', 'rejected']);
+      expect(prisma.gpsLocation.createMany.mock.calls[0][0].data).toHaveLength(1);
+    });
+
+    it('should publish only the newest accepted point', async () => {
+      await gpsService.createBatch({
+        vehicleId: 1,
+        points: [point('2026-01-20T09:10:00Z'), point('2026-01-20T09:00:00Z')],
+      });
+
+      expect(eventBus.publish).toHaveBeenCalledTimes(1);
+      expect(eventBus.publish).toHaveBeenCalledWith(
+        'gps.location',
+        expect.objectContaining({ driverId: 1, recordedAt: new Date('2026-01-20T09:10:00Z') })
+      );
+    });
+
+    it('should track visits only for points newer than the last stored one', async () => {
+      prisma.gpsLocation.findFirst.mockResolvedValue({ recordedAt: new Date('2026-01-20T09:02:00Z') });
+
+      await gpsService.createBatch({
+        vehicleId: 1,
+        points: [point('2026-01-19T10:00:00Z'), point('2026-01-20T09:00:00Z'), point('2026-01-20T09:05:00Z')],
+      });
+
+      expect(visitService.track).toHaveBeenCalledTimes(1);
+      expect(visitService.track).toHaveBeenCalledWith({ id: 8, driverId: 1, vehicleId: 1 }, [
+        expect.objectContaining({ recordedAt: new Date('2026-01-20T09:05:00Z') }),
+      ]);
+    });
+
+    it('should reject unknown vehicles', async () => {
+      prisma.vehicle.findUnique.mockResolvedValue(null);
+
+      await expect(
+        gpsService.createBatch({ vehicleId: 999, points: [point('2026-01-20T09:00:00Z')] })
+      ).rejects.toThrow(NotFoundError);
+    });
+  });
 });
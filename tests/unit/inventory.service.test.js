@@ -0,0 +1,560 @@
+'use strict';
+
+/**
+ * Unit Tests for Inventory Service
+ * Tests that every quantity change is written to the ledger and checked against the record's levels
+ */
+
+jest.mock('../../src/utils/prisma', () => ({
+  inventory: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+  },
+  inventoryTransaction: {
+    findMany: jest.fn(),
+  },
+  inventoryAlert: {
+    findMany: jest.fn(),
+  },
+  orderLine: {
+    aggregate: jest.fn(),
+  },
+  location: {
+    findUnique: jest.fn(),
+  },
+  product: {
+    findUnique: jest.fn(),
+  },
+  $transaction: jest.fn(),
+}));
+
+const prisma = require('../../src/utils/prisma');
+const inventoryService = require('../../src/services/inventory.service');
+const eventBus = require('../../src/utils/event-bus');
+const deliveryConfig = require('../../src/config/delivery');
+const { NotFoundError, ValidationError, ConflictError } = require('../../src/utils/errors');
+
+describe('Inventory Service', () => {
+  let mockTx;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockTx = {
+      inventory: {
+        findUnique: jest.fn(),
+        create: jest.fn(),
+        upsert: jest.fn(),
+        update: jest.fn(),
+        updateMany: jest.fn().mockResolvedValue({ count: 1 }),
+      },
+      inventoryTransaction: {
+        create: jest.fn(),
+      },
+      inventoryAlert: {
+        findFirst: jest.fn().mockResolvedValue(null),
+        create: jest.fn(),
+        update: jest.fn(),
+        updateMany: jest.fn(),
+      },
+      orderLine: {
+        aggregate: jest.fn().mockResolvedValue({ _sum: { quantity: null } }),
+      },
+      order: {
+        create: jest.fn().mockResolvedValue({ id: 40, status: 'pending' }),
+      },
+    };
+    deliveryConfig.autoReplenish = false;
+    prisma.$transaction.mockImplementation((callback) => callback(mockTx));
+  });
+
+  // The record as read inside the transaction, then as read back after the write
+  const stored = (before, after) => {
+    mockTx.inventory.findUnique.mockResolvedValueOnce(before).mockResolvedValueOnce(after);
+  };
+  const record = (quantity, extra = {}) => ({ id: 1, quantity, reservedQuantity: 0, capacityGallons: null, ...extra });
+
+  describe('adjust', () => {
+    it('should record the adjustment with before and after quantities', async () => {
+      stored(record(5000), record(4500));
+
+      const result = await inventoryService.adjust(1, -500, 'Spillage during transfer');
+
+      expect(result.quantity).toBe(4500);
+      expect(mockTx.inventory.updateMany).toHaveBeenCalledWith({
+        where: { id: 1, quantity: 5000, reservedQuantity: 0, capacityGallons: null },
+        data: { quantity: 4500 },
+      });
+      expect(mockTx.inventoryTransaction.create).toHaveBeenCalledWith({
+        data: {
+          inventoryId: 1,
+          type: 'adjustment',
+          delta: -500,
+          quantityBefore: 5000,
+          quantityAfter: 4500,
+          orderId: null,
+          reason: 'Spillage during transfer',
+        },
+      });
+    });
+
+    it('should reject adjustments that go negative without writing the ledger', async () => {
+      mockTx.inventory.findUnique.mockResolvedValue(record(100));
+
+      await expect(inventoryService.adjust(1, -500)).rejects.toThrow(ValidationError);
+      expect(mockTx.inventoryTransaction.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject an adjustment racing another change to the record', async () => {
+      mockTx.inventory.findUnique.mockResolvedValue(record(5000));
+      mockTx.inventory.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(inventoryService.adjust(1, -500)).rejects.toThrow(ConflictError);
+      expect(mockTx.inventoryTransaction.create).not.toHaveBeenCalled();
+    });
+
+    it('should throw NotFoundError for an unknown record', async () => {
+      mockTx.inventory.findUnique.mockResolvedValue(null);
+
+      await expect(inventoryService.adjust(99, 500)).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  describe('reserved stock', () => {
+    it('should reject adjustments and stock takes below what is reserved', async () => {
+      const reserved = { id: 1, quantity: 5000, reservedQuantity: 4000 };
+      prisma.inventory.findUnique.mockResolvedValue(reserved);
+      prisma.location.findUnique.mockResolvedValue({ id: 1 });
+      prisma.product.findUnique.mockResolvedValue({ id: 1 });
+      mockTx.inventory.findUnique.mockResolvedValue(reserved);
+
+      await expect(inventoryService.adjust(1, -1500)).rejects.toThrow(ValidationError);
+      await expect(inventoryService.upsert({ locationId: 1, productId: 1, quantity: 3000 })).rejects.toThrow(
+        ValidationError
+      );
+      expect(mockTx.inventoryTransaction.create).not.toHaveBeenCalled();
+    });
+
+    it('should reserve only while the stock read still covers the request', async () => {
+      mockTx.inventory.findUnique.mockResolvedValue({ id: 1, quantity: 5000, reservedQuantity: 1000 });
+      mockTx.inventory.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(inventoryService.reserve(1, 1, 3000, mockTx)).rejects.toThrow(ConflictError);
+      expect(mockTx.inventory.updateMany).toHaveBeenCalledWith({
+        where: { id: 1, reservedQuantity: 1000, quantity: { gte: 4000 } },
+        data: { reservedQuantity: { increment: 3000 } },
+      });
+    });
+  });
+
+  describe('upsert', () => {
+    beforeEach(() => {
+      prisma.location.findUnique.mockResolvedValue({ id: 1 });
+      prisma.product.findUnique.mockResolvedValue({ id: 1 });
+    });
+
+    it('should record the difference from the previous quantity', async () => {
+      stored(record(8000), record(10000));
+
+      await inventoryService.upsert({ locationId: 1, productId: 1, quantity: 10000 });
+
+      expect(mockTx.inventory.updateMany).toHaveBeenCalledWith({
+        where: { id: 1, quantity: 8000, reservedQuantity: 0, capacityGallons: null },
+        data: { quantity: 10000 },
+      });
+      expect(mockTx.inventoryTransaction.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          type: 'set',
+          delta: 2000,
+          quantityBefore: 8000,
+          quantityAfter: 10000,
+        }),
+      });
+    });
+
+    it('should record a new record as a change from zero', async () => {
+      mockTx.inventory.findUnique.mockResolvedValue(null);
+      mockTx.inventory.create.mockResolvedValue({ id: 2, quantity: 3000 });
+
+      await inventoryService.upsert({ locationId: 1, productId: 1, quantity: 3000 });
+
+      expect(mockTx.inventoryTransaction.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ delta: 3000, quantityBefore: 0, quantityAfter: 3000 }),
+      });
+    });
+
+    it('should reject a stock take racing another change to the record', async () => {
+      mockTx.inventory.findUnique.mockResolvedValue(record(8000));
+      mockTx.inventory.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(inventoryService.upsert({ locationId: 1, productId: 1, quantity: 10000 })).rejects.toThrow(
+        ConflictError
+      );
+      expect(mockTx.inventoryTransaction.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject creating a record another request created meanwhile', async () => {
+      mockTx.inventory.findUnique.mockResolvedValue(null);
+      mockTx.inventory.create.mockRejectedValue(Object.assign(new Error('Unique constraint failed'), { code: 'P2002' }));
+
+      await expect(inventoryService.upsert({ locationId: 1, productId: 1, quantity: 3000 })).rejects.toThrow(
+        ConflictError
+      );
+    });
+  });
+
+  describe('getLocationHistory', () => {
+    it('should filter ledger entries by location, product and date range', async () => {
+      prisma.location.findUnique.mockResolvedValue({ id: 3 });
+      prisma.inventoryTransaction.findMany.mockResolvedValue([]);
+
+      await inventoryService.getLocationHistory(3, { productId: 1, from: '2026-01-01' });
+
+      expect(prisma.inventoryTransaction.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: {
+            inventory: { locationId: 3, productId: 1 },
+            createdAt: { gte: new Date('2026-01-01') },
+          },
+        })
+      );
+    });
+
+    it('should throw NotFoundError for unknown location', async () => {
+      prisma.location.findUnique.mockResolvedValue(null);
+
+      await expect(inventoryService.getLocationHistory(99)).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  describe('low-stock alerts', () => {
+    // Terminal watched below 10,000 gallons and topped back up to 40,000
+    const watched = (quantity) => ({
+      id: 1,
+      locationId: 3,
+      productId: 1,
+      quantity,
+      minQuantity: 10000,
+      targetQuantity: 40000,
+    });
+
+    it('should raise an alert with a reorder net of inbound stock when a change drops below the minimum', async () => {
+      stored(watched(12000), watched(8000));
+      mockTx.orderLine.aggregate.mockResolvedValue({ _sum: { quantity: 5000 } });
+
+      await inventoryService.adjust(1, -4000);
+
+      expect(mockTx.orderLine.aggregate).toHaveBeenCalledWith({
+        where: {
+          productId: 1,
+          order: { destinationId: 3, status: { in: ['pending', 'assigned', 'in_progress'] } },
+        },
+        _sum: { quantity: true },
+      });
+      expect(mockTx.inventoryAlert.create).toHaveBeenCalledWith({
+        data: {
+          inventoryId: 1,
+          quantity: 8000,
+          minQuantity: 10000,
+          targetQuantity: 40000,
+          inboundQuantity: 5000,
+          suggestedQuantity: 27000,
+          orderId: null,
+        },
+      });
+      expect(mockTx.order.create).not.toHaveBeenCalled();
+    });
+
+    it('should place the reorder as a pending order with auto-replenish on', async () => {
+      deliveryConfig.autoReplenish = true;
+      stored(watched(12000), watched(8000));
+
+      await inventoryService.adjust(1, -4000);
+
+      expect(mockTx.order.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          destinationId: 3,
+          status: 'pending',
+          quantity: 32000,
+          lines: { create: [{ productId: 1, quantity: 32000 }] },
+        }),
+      });
+      expect(mockTx.inventoryAlert.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ suggestedQuantity: 32000, orderId: 40 }),
+      });
+    });
+
+    it('should announce the placed order once the change is committed', async () => {
+      deliveryConfig.autoReplenish = true;
+      stored(watched(12000), watched(8000));
+      const publish = jest.spyOn(eventBus, 'publish');
+      prisma.$transaction.mockImplementation(async (callback) => {
+        const result = await callback(mockTx);
+        expect(publish).not.toHaveBeenCalled();
+        return result;
+      });
+
+      await inventoryService.adjust(1, -4000);
+
+      expect(publish).toHaveBeenCalledWith('order.status', {
+        orderId: 40,
+        status: 'pending',
+        driverId: null,
+        vehicleId: null,
+      });
+    });
+
+    it('should not announce an order rolled back with its transaction', async () => {
+      deliveryConfig.autoReplenish = true;
+      stored(watched(12000), watched(8000));
+      mockTx.inventoryTransaction.create.mockRejectedValue(new Error('Deadlock'));
+      const publish = jest.spyOn(eventBus, 'publish');
+
+      await expect(inventoryService.adjust(1, -4000)).rejects.toThrow('Deadlock');
+      expect(mockTx.order.create).toHaveBeenCalled();
+      expect(publish).not.toHaveBeenCalled();
+    });
+
+    it('should not reorder more than the tank has room for', async () => {
+      deliveryConfig.autoReplenish = true;
+      stored(watched(12000), { ...watched(8000), capacityGallons: 30000 });
+      mockTx.orderLine.aggregate.mockResolvedValue({ _sum: { quantity: 5000 } });
+
+      await inventoryService.adjust(1, -4000);
+
+      // Up to the target would be 27,000; the tank only takes 30,000 - 8,000 - 5,000
+      expect(mockTx.order.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ quantity: 17000, lines: { create: [{ productId: 1, quantity: 17000 }] } }),
+      });
+      expect(mockTx.inventoryAlert.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ suggestedQuantity: 17000, orderId: 40 }),
+      });
+    });
+
+    it('should not reorder what is already inbound', async () => {
+      deliveryConfig.autoReplenish = true;
+      stored(watched(12000), watched(8000));
+      mockTx.orderLine.aggregate.mockResolvedValue({ _sum: { quantity: 35000 } });
+
+      await inventoryService.adjust(1, -4000);
+
+      expect(mockTx.order.create).not.toHaveBeenCalled();
+      expect(mockTx.inventoryAlert.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ suggestedQuantity: 0, orderId: null }),
+      });
+    });
+
+    it('should leave an open alert alone while stock stays low', async () => {
+      stored(watched(12000), watched(7000));
+      mockTx.inventoryAlert.findFirst.mockResolvedValue({ id: 9, resolvedAt: null });
+
+      await inventoryService.adjust(1, -1000);
+
+      expect(mockTx.inventoryAlert.create).not.toHaveBeenCalled();
+      expect(mockTx.inventoryAlert.update).not.toHaveBeenCalled();
+    });
+
+    it('should resolve the open alert when a delivery brings stock back up', async () => {
+      mockTx.inventory.upsert.mockResolvedValue(watched(20000));
+      mockTx.inventoryAlert.findFirst.mockResolvedValue({ id: 9, resolvedAt: null });
+
+      await inventoryService.increaseByLocationAndProduct(3, 1, 12000, mockTx, { type: 'delivery', orderId: 5 });
+
+      expect(mockTx.inventoryAlert.update).toHaveBeenCalledWith({
+        where: { id: 9 },
+        data: { resolvedAt: expect.any(Date) },
+      });
+    });
+
+    it('should not watch records without a minimum', async () => {
+      stored(watched(12000), { id: 1, quantity: 0, minQuantity: null });
+
+      await inventoryService.adjust(1, -12000);
+
+      expect(mockTx.inventoryAlert.findFirst).not.toHaveBeenCalled();
+    });
+
+    describe('setLevels', () => {
+      beforeEach(() => {
+        prisma.inventory.findUnique.mockResolvedValue(watched(12000));
+      });
+
+      it('should check new levels straight away', async () => {
+        mockTx.inventory.update.mockResolvedValue(watched(8000));
+
+        await inventoryService.setLevels(1, { minQuantity: 10000, targetQuantity: 40000 });
+
+        expect(mockTx.inventory.update).toHaveBeenCalledWith(
+          expect.objectContaining({ data: { minQuantity: 10000, targetQuantity: 40000 } })
+        );
+        expect(mockTx.inventoryAlert.create).toHaveBeenCalled();
+      });
+
+      it('should resolve open alerts when the minimum is cleared', async () => {
+        mockTx.inventory.update.mockResolvedValue({ ...watched(8000), minQuantity: null, targetQuantity: null });
+
+        await inventoryService.setLevels(1, { minQuantity: null });
+
+        // The stored target goes with it
+        expect(mockTx.inventory.update).toHaveBeenCalledWith(
+          expect.objectContaining({ data: { minQuantity: null, targetQuantity: null } })
+        );
+
+        expect(mockTx.inventoryAlert.updateMany).toHaveBeenCalledWith({
+          where: { inventoryId: 1, resolvedAt: null },
+          data: { resolvedAt: expect.any(Date) },
+        });
+        expect(mockTx.inventoryAlert.create).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('getAlerts', () => {
+      beforeEach(() => {
+        prisma.inventoryAlert.findMany.mockResolvedValue([]);
+      });
+
+      it('should list open alerts by default', async () => {
+        await inventoryService.getAlerts();
+
+        expect(prisma.inventoryAlert.findMany).toHaveBeenCalledWith(
+          expect.objectContaining({ where: { resolvedAt: null }, orderBy: { raisedAt: 'desc' } })
+        );
+      });
+
+      it('should filter by status, location and product', async () => {
+        await inventoryService.getAlerts({ status: 'resolved', locationId: '3', productId: '1' });
+
+        expect(prisma.inventoryAlert.findMany).toHaveBeenCalledWith(
+          expect.objectContaining({
+            where: { resolvedAt: { not: null }, inventory: { locationId: 3, productId: 1 } },
+          })
+        );
+      });
+    });
+  });
+
+  describe('tank capacity', () => {
+    // 30,000 gallon tank holding 25,000
+    const tank = { id: 1, locationId: 3, productId: 1, quantity: 25000, capacityGallons: 30000 };
+
+    it('should show the headroom left in each tank', async () => {
+      prisma.location.findUnique.mockResolvedValue({ id: 3 });
+      prisma.inventory.findMany.mockResolvedValue([
+        { ...tank, reservedQuantity: 0 },
+        { id: 2, quantity: 800, reservedQuantity: 0, capacityGallons: null },
+      ]);
+
+      const [full, unknown] = await inventoryService.getByLocation(3);
+
+      expect(full.headroomQuantity).toBe(5000);
+      expect(unknown.headroomQuantity).toBeNull();
+    });
+
+    it('should reject adjustments and stock takes past the capacity', async () => {
+      prisma.inventory.findUnique.mockResolvedValue(tank);
+      prisma.location.findUnique.mockResolvedValue({ id: 3 });
+      prisma.product.findUnique.mockResolvedValue({ id: 1 });
+      mockTx.inventory.findUnique.mockResolvedValue(tank);
+
+      await expect(inventoryService.adjust(1, 6000)).rejects.toThrow(ValidationError);
+      await expect(inventoryService.upsert({ locationId: 3, productId: 1, quantity: 31000 })).rejects.toThrow(
+        ValidationError
+      );
+      expect(mockTx.inventoryTransaction.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject a delivery that overfills the tank but take returns to the hub', async () => {
+      mockTx.inventory.upsert.mockResolvedValue({ ...tank, quantity: 33000 });
+
+      await expect(
+        inventoryService.increaseByLocationAndProduct(3, 1, 8000, mockTx, { type: 'delivery', orderId: 5 })
+      ).rejects.toThrow('room for 5000 of 8000');
+
+      await inventoryService.increaseByLocationAndProduct(3, 1, 8000, mockTx, { type: 'returned', orderId: 5 });
+      expect(mockTx.inventoryTransaction.create).toHaveBeenCalledTimes(1);
+    });
+
+    describe('assertHeadroom', () => {
+      it('should count what open orders are already bringing, leaving out the order being changed', async () => {
+        prisma.inventory.findUnique.mockResolvedValue(tank);
+        prisma.orderLine.aggregate.mockResolvedValue({ _sum: { quantity: 3000 } });
+
+        await expect(inventoryService.assertHeadroom(3, 1, 2000, prisma, { excludeOrderId: 8 })).resolves.toBeUndefined();
+        await expect(inventoryService.assertHeadroom(3, 1, 2500, prisma, { excludeOrderId: 8 })).rejects.toThrow(
+          ConflictError
+        );
+        expect(prisma.orderLine.aggregate).toHaveBeenCalledWith(
+          expect.objectContaining({
+            where: expect.objectContaining({ order: expect.objectContaining({ id: { not: 8 } }) }),
+          })
+        );
+      });
+
+      it('should not limit tanks of unknown size', async () => {
+        prisma.inventory.findUnique.mockResolvedValue(null);
+
+        await expect(inventoryService.assertHeadroom(3, 1, 1000000)).resolves.toBeUndefined();
+      });
+    });
+
+    describe('setLevels', () => {
+      beforeEach(() => {
+        prisma.inventory.findUnique.mockResolvedValue(tank);
+      });
+
+      it('should reject a capacity below the stock already held', async () => {
+        await expect(inventoryService.setLevels(1, { capacityGallons: 20000 })).rejects.toThrow(ValidationError);
+        expect(prisma.$transaction).not.toHaveBeenCalled();
+      });
+
+      it('should reject a target above the capacity', async () => {
+        await expect(
+          inventoryService.setLevels(1, { minQuantity: 10000, targetQuantity: 35000, capacityGallons: 30000 })
+        ).rejects.toThrow(ValidationError);
+      });
+
+      it('should keep the stored levels when only the capacity is sent', async () => {
+        prisma.inventory.findUnique.mockResolvedValue({ ...tank, minQuantity: 10000, targetQuantity: 28000 });
+        mockTx.inventory.update.mockResolvedValue({ ...tank, minQuantity: 10000, targetQuantity: 28000 });
+
+        await inventoryService.setLevels(1, { capacityGallons: 29000 });
+
+        expect(mockTx.inventory.update).toHaveBeenCalledWith(
+          expect.objectContaining({ data: { capacityGallons: 29000 } })
+        );
+        await expect(inventoryService.setLevels(1, { capacityGallons: 27000 })).rejects.toThrow(
+          'Target level 28000 is above the capacity 27000'
+        );
+      });
+
+      it('should check levels sent alone against the stored capacity', async () => {
+        prisma.inventory.findUnique.mockResolvedValue({ ...tank, minQuantity: 10000, targetQuantity: 20000 });
+        mockTx.inventory.update.mockResolvedValue({ ...tank, minQuantity: 10000, targetQuantity: 28000 });
+
+        await expect(inventoryService.setLevels(1, { targetQuantity: 35000 })).rejects.toThrow(
+          'Target level 35000 is above the capacity 30000'
+        );
+        expect(prisma.$transaction).not.toHaveBeenCalled();
+
+        await inventoryService.setLevels(1, { targetQuantity: 28000 });
+
+        expect(mockTx.inventory.update).toHaveBeenCalledWith(
+          expect.objectContaining({ data: { targetQuantity: 28000 } })
+        );
+      });
+
+      it('should check a target sent alone against the stored minimum', async () => {
+        prisma.inventory.findUnique.mockResolvedValue({ ...tank, minQuantity: 10000, targetQuantity: 20000 });
+
+        await expect(inventoryService.setLevels(1, { targetQuantity: 5000 })).rejects.toThrow(
+          'Target level 5000 is below the minimum 10000'
+        );
+      });
+
+      it('should reject a target without a minimum', async () => {
+        prisma.inventory.findUnique.mockResolvedValue({ ...tank, minQuantity: null, targetQuantity: null });
+
+        await expect(inventoryService.setLevels(1, { targetQuantity: 20000 })).rejects.toThrow(ValidationError);
+      });
+    });
+  });
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+/**
+ * Unit Tests for the Order State Machine
+ * Tests allowed transitions, history records and the generic update guard
+ */
+
+const orderState = require('../../src/utils/order-state');
+const { BadRequestError, ConflictError } = require('../../src/utils/errors');
+
+describe('Order State Machine', () => {
+  it('should allow the delivery lifecycle and retries', () => {
+    expect(orderState.canTransition('pending', 'assigned')).toBe(true);
+    expect(orderState.canTransition('assigned', 'assigned')).toBe(true);
+    expect(orderState.canTransition('assigned', 'in_progress')).toBe(true);
+    expect(orderState.canTransition('in_progress', 'completed')).toBe(true);
+    expect(orderState.canTransition('in_progress', 'failed')).toBe(true);
+    expect(orderState.canTransition('failed', 'pending')).toBe(true);
+  });
+
+  it('should allow cancelling until the order is finished', () => {
+    expect(orderState.canTransition('pending', 'cancelled')).toBe(true);
+    expect(orderState.canTransition('assigned', 'cancelled')).toBe(true);
+    expect(orderState.canTransition('in_progress', 'cancelled')).toBe(true);
+    expect(orderState.canTransition('completed', 'cancelled')).toBe(false);
+    expect(orderState.canTransition('cancelled', 'pending')).toBe(false);
+  });
+
+  it('should not allow skipping steps or leaving completed', () => {
+    expect(orderState.canTransition('pending', 'in_progress')).toBe(false);
+    expect(orderState.canTransition('assigned', 'completed')).toBe(false);
+    expect(orderState.canTransition('completed', 'pending')).toBe(false);
+  });
+
+  it('should explain which statuses can make a refused transition', () => {
+    expect(() => orderState.assertTransition('pending', 'completed', 'complete')).toThrow(
+      "Cannot complete order: status is 'pending'. Only in_progress orders can move to 'completed'."
+    );
+  });
+
+  it('should build the status update with its history record', () => {
+    const data = orderState.transition({ status: 'in_progress' }, 'failed', {
+      action: 'fail',
+      actor: { id: 4, role: 'driver' },
+      reason: 'Site closed',
+    });
+
+    expect(data).toEqual({
+      status: 'failed',
+      statusHistory: {
+        create: { fromStatus: 'in_progress', toStatus: 'failed', actorId: 4, reason: 'Site closed' },
+      },
+    });
+  });
+
+  it('should refuse to build an invalid status update', () => {
+    expect(() => orderState.transition({ status: 'completed' }, 'failed', { action: 'fail' })).toThrow(ConflictError);
+  });
+
+  it('should record the initial status without a previous one', () => {
+    expect(orderState.initial('pending')).toEqual({
+      status: 'pending',
+      statusHistory: { create: { fromStatus: null, toStatus: 'pending', actorId: null, reason: null } },
+    });
+  });
+
+  describe('generic update', () => {
+    it('should accept the current status', () => {
+      expect(() => orderState.assertUpdate('assigned', 'assigned')).not.toThrow();
+    });
+
+    it('should point allowed changes to their action', () => {
+      expect(() => orderState.assertUpdate('assigned', 'in_progress')).toThrow(BadRequestError);
+      expect(() => orderState.assertUpdate('assigned', 'in_progress')).toThrow(/orders\/:id\/start/);
+    });
+
+    it('should reject changes the order can never make', () => {
+      expect(() => orderState.assertUpdate('pending', 'completed')).toThrow(ConflictError);
+    });
+  });
+});
@@ -16,6 +16,8 @@ jest.mock('../../src/services/order.service', () => ({
   startOrder: jest.fn(),
   completeOrder: jest.fn(),
   failOrder: jest.fn(),
+  retry: jest.fn(),
+  cancel: jest.fn(),
 }));
 
 const orderService = require('../../src/services/order.service');
@@ -33,6 +35,7 @@ describe('Order Controller', () => {
       params: {},
       body: {},
       query: {},
+      user: { id: 1, role: 'admin' },
     };
     mockRes = {
       status: jest.fn().mockReturnThis(),
@@ -78,7 +81,7 @@ describe('Order Controller', () => {
 
       await orderController.getById(mockReq, mockRes, mockNext);
 
-      expect(orderService.getById).toHaveBeenCalledWith(1);
+      expect(orderService.getById).toHaveBeenCalledWith(1, mockReq.user);
       expect(mockRes.status).toHaveBeenCalledWith(200);
       expect(mockRes.json).toHaveBeenCalledWith({
         success: true,
@@ -105,7 +108,7 @@ describe('Order Controller', () => {
 
       await orderController.create(mockReq, mockRes, mockNext);
 
-      expect(orderService.create).toHaveBeenCalledWith(mockReq.body);
+      expect(orderService.create).toHaveBeenCalledWith(mockReq.body, mockReq.user);
       expect(mockRes.status).toHaveBeenCalledWith(201);
       expect(mockRes.json).toHaveBeenCalledWith({
         success: true,
@@ -123,7 +126,7 @@ describe('Order Controller', () => {
 
       await orderController.assign(mockReq, mockRes, mockNext);
 
-      expect(orderService.assign).toHaveBeenCalledWith(1, mockReq.body);
+      expect(orderService.assign).toHaveBeenCalledWith(1, mockReq.body, mockReq.user);
       expect(mockRes.status).toHaveBeenCalledWith(200);
     });
   });
@@ -133,11 +136,11 @@ describe('Order Controller', () => {
       const mockOrder = { id: 1, status: 'in_progress' };
       orderService.startOrder.mockResolvedValue(mockOrder);
       mockReq.params.id = 1;
-      mockReq.body = { driverId: 1 };
+      mockReq.driverId = 1;
 
       await orderController.startOrder(mockReq, mockRes, mockNext);
 
-      expect(orderService.startOrder).toHaveBeenCalledWith(1, 1);
+      expect(orderService.startOrder).toHaveBeenCalledWith(1, 1, mockReq.user);
       expect(mockRes.json).toHaveBeenCalledWith({
         success: true,
         data: mockOrder,
@@ -148,7 +151,7 @@ describe('Order Controller', () => {
       const error = new BadRequestError('No active shift');
       orderService.startOrder.mockRejectedValue(error);
       mockReq.params.id = 1;
-      mockReq.body = { driverId: 1 };
+      mockReq.driverId = 1;
 
       await orderController.startOrder(mockReq, mockRes, mockNext);
 
@@ -161,22 +164,38 @@ describe('Order Controller', () => {
       const mockOrder = { id: 1, status: 'completed' };
       orderService.completeOrder.mockResolvedValue(mockOrder);
       mockReq.params.id = 1;
-      mockReq.body = { driverId: 1 };
+      mockReq.driverId = 1;
 
       await orderController.completeOrder(mockReq, mockRes, mockNext);
 
-      expect(orderService.completeOrder).toHaveBeenCalledWith(1, 1);
+      expect(orderService.completeOrder).toHaveBeenCalledWith(1, 1, {}, mockReq.user);
       expect(mockRes.json).toHaveBeenCalledWith({
         success: true,
         data: mockOrder,
       });
     });
 
+    it('should pass a partial delivery through', async () => {
+      orderService.completeOrder.mockResolvedValue({ id: 1, status: 'completed' });
+      mockReq.params.id = 1;
+      mockReq.driverId = 1;
+      mockReq.body = { driverId: 1, deliveredQuantity: 3000, remainder: 'short' };
+
+      await orderController.completeOrder(mockReq, mockRes, mockNext);
+
+      expect(orderService.completeOrder).toHaveBeenCalledWith(
+        1,
+        1,
+        { deliveredQuantity: 3000, lines: undefined, remainder: 'short' },
+        mockReq.user
+      );
+    });
+
     it('should call next when order not in_progress', async () => {
       const error = new ConflictError('Order status must be in_progress');
       orderService.completeOrder.mockRejectedValue(error);
       mockReq.params.id = 1;
-      mockReq.body = { driverId: 1 };
+      mockReq.driverId = 1;
 
       await orderController.completeOrder(mockReq, mockRes, mockNext);
 
@@ -189,11 +208,46 @@ describe('Order Controller', () => {
       const mockOrder = { id: 1, status: 'failed' };
       orderService.failOrder.mockResolvedValue(mockOrder);
       mockReq.params.id = 1;
-      mockReq.body = { driverId: 1, reason: 'Customer not available' };
+      mockReq.driverId = 1;
+      mockReq.body = { reason: 'Customer not available' };
 
       await orderController.failOrder(mockReq, mockRes, mockNext);
 
-      expect(orderService.failOrder).toHaveBeenCalledWith(1, 1, 'Customer not available');
+      expect(orderService.failOrder).toHaveBeenCalledWith(1, 1, 'Customer not available', mockReq.user);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        data: mockOrder,
+      });
+    });
+  });
+
+  describe('retry', () => {
+    it('should retry with the requested policy', async () => {
+      const mockOrder = { id: 1, status: 'assigned' };
+      orderService.retry.mockResolvedValue(mockOrder);
+      mockReq.params.id = 1;
+      mockReq.body = { policy: 'next_day' };
+
+      await orderController.retry(mockReq, mockRes, mockNext);
+
+      expect(orderService.retry).toHaveBeenCalledWith(1, { policy: 'next_day' }, mockReq.user);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        data: mockOrder,
+      });
+    });
+  });
+
+  describe('cancel', () => {
+    it('should cancel as the calling user', async () => {
+      const mockOrder = { id: 1, status: 'cancelled' };
+      orderService.cancel.mockResolvedValue(mockOrder);
+      mockReq.params.id = 1;
+      mockReq.body = { reason: 'Customer withdrew' };
+
+      await orderController.cancel(mockReq, mockRes, mockNext);
+
+      expect(orderService.cancel).toHaveBeenCalledWith(1, { reason: 'Customer withdrew' }, mockReq.user);
       expect(mockRes.json).toHaveBeenCalledWith({
         success: true,
         data: mockOrder,
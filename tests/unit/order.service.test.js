@@ -13,12 +13,20 @@ jest.mock('../../src/utils/prisma', () => ({
     create: jest.fn(),
     update: jest.fn(),
     delete: jest.fn(),
+    aggregate: jest.fn(),
+  },
+  vehicleAllocation: {
+    findFirst: jest.fn(),
+  },
+  vehicleCompartment: {
+    findMany: jest.fn(),
   },
   location: {
     findUnique: jest.fn(),
   },
   product: {
     findUnique: jest.fn(),
+    findMany: jest.fn(),
   },
   driver: {
     findUnique: jest.fn(),
@@ -31,8 +39,17 @@ jest.mock('../../src/utils/prisma', () => ({
     create: jest.fn(),
     update: jest.fn(),
   },
+  orderStatusHistory: {
+    findMany: jest.fn(),
+    count: jest.fn(),
+  },
   inventory: {
     upsert: jest.fn(),
+    findUnique: jest.fn(),
+    update: jest.fn(),
+  },
+  gpsLocation: {
+    findFirst: jest.fn(),
   },
   $transaction: jest.fn((callback) => callback({
     order: {
@@ -50,7 +67,12 @@ jest.mock('../../src/utils/prisma', () => ({
 
 const prisma = require('../../src/utils/prisma');
 const orderService = require('../../src/services/order.service');
-const { BadRequestError, ConflictError, NotFoundError } = require('../../src/utils/errors');
+const deliveryConfig = require('../../src/config/delivery');
+const { BadRequestError, ConflictError, NotFoundError, ForbiddenError } = require('../../src/utils/errors');
+
+const diesel = { id: 1, name: 'Diesel' };
+const petrol = { id: 2, name: 'Petrol' };
+const dieselLine = (quantity) => ({ productId: 1, quantity, product: diesel });
 
 describe('Order Service', () => {
   beforeEach(() => {
@@ -62,8 +84,8 @@ describe('Order Service', () => {
       const mockOrder = {
         id: 1,
         destinationId: 3,
-        productId: 1,
         quantity: 5000,
+        lines: [dieselLine(5000)],
         status: 'in_progress',
         assignedDriverId: 1,
       };
@@ -94,7 +116,10 @@ describe('Order Service', () => {
           update: jest.fn().mockResolvedValue({ ...mockAttempt, status: 'completed' }),
         },
         inventory: {
-          upsert: jest.fn().mockResolvedValue({ quantity: 5000 }),
+          upsert: jest.fn().mockResolvedValue({ id: 5, quantity: 10000 }),
+        },
+        inventoryTransaction: {
+          create: jest.fn(),
         },
       };
       prisma.$transaction.mockImplementation((callback) => callback(mockTx));
@@ -109,6 +134,48 @@ describe('Order Service', () => {
           },
         })
       );
+      expect(mockTx.inventoryTransaction.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          inventoryId: 5,
+          type: 'delivery',
+          delta: 5000,
+          quantityBefore: 5000,
+          quantityAfter: 10000,
+          orderId: 1,
+        }),
+      });
+    });
+
+    it('should reject a completion racing another change to the order', async () => {
+      const mockOrder = {
+        id: 1,
+        destinationId: 3,
+        quantity: 5000,
+        lines: [dieselLine(5000)],
+        status: 'in_progress',
+        assignedDriverId: 1,
+      };
+
+      prisma.order.findUnique.mockResolvedValue(mockOrder);
+      prisma.shift.findFirst.mockResolvedValue({ id: 1, driverId: 1, status: 'active' });
+      prisma.orderAttempt.findFirst.mockResolvedValue({ id: 1, orderId: 1, shiftId: 1, status: 'in_progress' });
+
+      // Another request completed the order after it was read
+      const mockTx = {
+        order: {
+          update: jest.fn().mockRejectedValue(Object.assign(new Error('Record not found'), { code: 'P2025' })),
+        },
+        orderAttempt: { update: jest.fn() },
+        inventory: { upsert: jest.fn() },
+        inventoryTransaction: { create: jest.fn() },
+      };
+      prisma.$transaction.mockImplementation((callback) => callback(mockTx));
+
+      await expect(orderService.completeOrder(1, 1)).rejects.toThrow(ConflictError);
+      expect(mockTx.order.update).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { id: 1, status: 'in_progress' } })
+      );
+      expect(mockTx.inventory.upsert).not.toHaveBeenCalled();
     });
 
     it('should reject if order not assigned to driver', async () => {
@@ -120,7 +187,7 @@ describe('Order Service', () => {
 
       prisma.order.findUnique.mockResolvedValue(mockOrder);
 
-      await expect(orderService.completeOrder(1, 1)).rejects.toThrow(BadRequestError);
+      await expect(orderService.completeOrder(1, 1)).rejects.toThrow(ForbiddenError);
     });
 
     it('should reject if order not in_progress', async () => {
@@ -149,13 +216,200 @@ describe('Order Service', () => {
     });
   });
 
+  describe('partial delivery', () => {
+    const mockShift = { id: 1, driverId: 1, status: 'active' };
+    const mockOrder = {
+      id: 1,
+      sourceId: 1,
+      destinationId: 3,
+      destination: { latitude: null, longitude: null },
+      quantity: 5000,
+      lines: [{ id: 11, ...dieselLine(3000) }, { id: 12, productId: 2, quantity: 2000, product: petrol }],
+      status: 'in_progress',
+      assignedDriverId: 1,
+    };
+    let mockTx;
+
+    beforeEach(() => {
+      prisma.order.findUnique.mockResolvedValue(mockOrder);
+      prisma.shift.findFirst.mockResolvedValue(mockShift);
+      prisma.orderAttempt.findFirst.mockResolvedValue({ id: 1, status: 'in_progress' });
+      mockTx = {
+        order: {
+          create: jest.fn().mockResolvedValue({ id: 2 }),
+          update: jest.fn().mockResolvedValue({ ...mockOrder, status: 'completed' }),
+        },
+        orderAttempt: { update: jest.fn() },
+        inventory: { upsert: jest.fn().mockResolvedValue({ id: 5, quantity: 10000 }) },
+        inventoryTransaction: { create: jest.fn() },
+      };
+      prisma.$transaction.mockImplementation((callback) => callback(mockTx));
+    });
+
+    it('should credit what was delivered and re-order the remainder', async () => {
+      await orderService.completeOrder(1, 1, { lines: [{ productId: 2, deliveredQuantity: 1200 }] });
+
+      expect(mockTx.inventory.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { locationId_productId: { locationId: 3, productId: 2 } },
+          update: { quantity: { increment: 1200 } },
+        })
+      );
+      // Remainder rides back to the hub
+      expect(mockTx.inventory.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { locationId_productId: { locationId: 1, productId: 2 } },
+          update: { quantity: { increment: 800 } },
+        })
+      );
+      expect(mockTx.order.create).toHaveBeenCalledWith({
+        data: {
+          sourceId: 1,
+          destinationId: 3,
+          parentOrderId: 1,
+          status: 'pending',
+          statusHistory: {
+            create: { fromStatus: null, toStatus: 'pending', actorId: null, reason: 'Remainder of order 1' },
+          },
+          quantity: 800,
+          lines: { create: [{ productId: 2, quantity: 800 }] },
+        },
+      });
+      expect(mockTx.order.update.mock.calls[0][0].data).toMatchObject({
+        status: 'completed',
+        deliveredQuantity: 4200,
+        shortDelivered: false,
+        lines: {
+          update: [
+            { where: { id: 11 }, data: { deliveredQuantity: 3000 } },
+            { where: { id: 12 }, data: { deliveredQuantity: 1200 } },
+          ],
+        },
+      });
+      expect(mockTx.orderAttempt.update.mock.calls[0][0].data.deliveredQuantity).toBe(4200);
+    });
+
+    it('should mark the order short-delivered instead of re-ordering', async () => {
+      await orderService.completeOrder(1, 1, {
+        lines: [{ productId: 1, deliveredQuantity: 2500 }],
+        remainder: 'short',
+      });
+
+      expect(mockTx.order.create).not.toHaveBeenCalled();
+      expect(mockTx.order.update.mock.calls[0][0].data).toMatchObject({ shortDelivered: true, deliveredQuantity: 4500 });
+    });
+
+    it('should reject delivering more than the line', async () => {
+      await expect(
+        orderService.completeOrder(1, 1, { lines: [{ productId: 1, deliveredQuantity: 3500 }] })
+      ).rejects.toThrow('Cannot deliver 3500 of Diesel: the order line is for 3000');
+    });
+
+    it('should require per-line quantities on multi-line orders', async () => {
+      await expect(orderService.completeOrder(1, 1, { deliveredQuantity: 1000 })).rejects.toThrow(BadRequestError);
+    });
+
+    it('should reject a completion with nothing delivered', async () => {
+      await expect(
+        orderService.completeOrder(1, 1, {
+          lines: [
+            { productId: 1, deliveredQuantity: 0 },
+            { productId: 2, deliveredQuantity: 0 },
+          ],
+        })
+      ).rejects.toThrow(/Fail the order instead/);
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('proof of delivery', () => {
+    const terminal = { id: 3, name: 'Downtown Terminal', latitude: 29.7589, longitude: -95.3677 };
+    const mockOrder = {
+      id: 1,
+      destinationId: 3,
+      destination: terminal,
+      quantity: 5000,
+      lines: [dieselLine(5000)],
+      status: 'in_progress',
+      assignedDriverId: 1,
+    };
+    // ~1.1 km north of the terminal
+    const farAway = { latitude: 29.7689, longitude: -95.3677 };
+    let mockTx;
+
+    beforeEach(() => {
+      prisma.order.findUnique.mockResolvedValue(mockOrder);
+      prisma.shift.findFirst.mockResolvedValue({ id: 1, driverId: 1, status: 'active' });
+      prisma.orderAttempt.findFirst.mockResolvedValue({ id: 7, status: 'in_progress' });
+      mockTx = {
+        order: { update: jest.fn().mockResolvedValue({ ...mockOrder, status: 'completed' }) },
+        orderAttempt: { update: jest.fn() },
+        inventory: { upsert: jest.fn().mockResolvedValue({ id: 5, quantity: 10000 }) },
+        inventoryTransaction: { create: jest.fn() },
+      };
+      prisma.$transaction.mockImplementation((callback) => callback(mockTx));
+    });
+
+    afterEach(() => {
+      deliveryConfig.proofOfDeliveryPolicy = 'off';
+    });
+
+    it('should store completion coordinates and distance on the attempt', async () => {
+      prisma.gpsLocation.findFirst.mockResolvedValue({ latitude: 29.759, longitude: -95.3677 });
+
+      await orderService.completeOrder(1, 1);
+
+      expect(prisma.gpsLocation.findFirst).toHaveBeenCalledWith({
+        where: { shiftId: 1 },
+        orderBy: { recordedAt: 'desc' },
+      });
+      expect(mockTx.orderAttempt.update).toHaveBeenCalledWith({
+        where: { id: 7 },
+        data: expect.objectContaining({
+          status: 'completed',
+          completionLatitude: 29.759,
+          completionLongitude: -95.3677,
+          completionDistanceMeters: 11,
+          proximityFlagged: false,
+        }),
+      });
+    });
+
+    it('should flag completions beyond the distance under the flag policy', async () => {
+      deliveryConfig.proofOfDeliveryPolicy = 'flag';
+      prisma.gpsLocation.findFirst.mockResolvedValue(farAway);
+
+      await orderService.completeOrder(1, 1);
+
+      expect(mockTx.orderAttempt.update).toHaveBeenCalledWith({
+        where: { id: 7 },
+        data: expect.objectContaining({ proximityFlagged: true }),
+      });
+    });
+
+    it('should reject completions beyond the distance under the reject policy', async () => {
+      deliveryConfig.proofOfDeliveryPolicy = 'reject';
+      prisma.gpsLocation.findFirst.mockResolvedValue(farAway);
+
+      await expect(orderService.completeOrder(1, 1)).rejects.toThrow(/1112 m from Downtown Terminal/);
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+
+    it('should reject completions without GPS under the reject policy', async () => {
+      deliveryConfig.proofOfDeliveryPolicy = 'reject';
+      prisma.gpsLocation.findFirst.mockResolvedValue(null);
+
+      await expect(orderService.completeOrder(1, 1)).rejects.toThrow(BadRequestError);
+    });
+  });
+
   describe('failOrder', () => {
     it('should fail order without updating inventory', async () => {
       const mockOrder = {
         id: 1,
         destinationId: 3,
-        productId: 1,
         quantity: 5000,
+        lines: [dieselLine(5000)],
         status: 'in_progress',
         assignedDriverId: 1,
       };
@@ -212,6 +466,125 @@ describe('Order Service', () => {
     });
   });
 
+  describe('retry', () => {
+    const failedOrder = {
+      id: 1,
+      sourceId: null,
+      quantity: 3000,
+      lines: [dieselLine(3000)],
+      status: 'failed',
+      assignedDriverId: 1,
+      attempts: [{ id: 1, status: 'failed' }],
+    };
+
+    afterEach(() => {
+      deliveryConfig.retryPolicy = 'requeue';
+      deliveryConfig.autoRetry = false;
+    });
+
+    it('should re-queue a failed order as pending and unassigned', async () => {
+      prisma.order.findUnique.mockResolvedValue(failedOrder);
+      prisma.order.update.mockResolvedValue({ ...failedOrder, status: 'pending', assignedDriverId: null });
+
+      const result = await orderService.retry(1);
+
+      expect(result.status).toBe('pending');
+      expect(prisma.order.update).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { id: 1, status: 'failed' },
+          data: {
+            status: 'pending',
+            statusHistory: {
+              create: { fromStatus: 'failed', toStatus: 'pending', actorId: null, reason: 'Re-queued for dispatch' },
+            },
+            assignedDriverId: null,
+            assignedDate: null,
+            routeSequence: null,
+            compartmentLoads: { deleteMany: {} },
+          },
+        })
+      );
+    });
+
+    it('should reassign to the same driver for the next day', async () => {
+      const update = jest.fn().mockResolvedValue({ ...failedOrder, status: 'assigned' });
+      prisma.order.findUnique.mockResolvedValue(failedOrder);
+      prisma.driver.findUnique.mockResolvedValue({ id: 1 });
+      prisma.vehicleAllocation.findFirst.mockResolvedValue(null);
+      prisma.$transaction.mockImplementation((callback) => callback({ order: { update } }));
+
+      const result = await orderService.retry(1, { policy: 'next_day' });
+
+      const tomorrow = new Date();
+      tomorrow.setDate(tomorrow.getDate() + 1);
+      tomorrow.setHours(0, 0, 0, 0);
+      expect(result.status).toBe('assigned');
+      expect(update.mock.calls[0][0].data).toMatchObject({
+        assignedDriverId: 1,
+        assignedDate: tomorrow,
+        status: 'assigned',
+      });
+    });
+
+    it('should only retry failed orders', async () => {
+      prisma.order.findUnique.mockResolvedValue({ ...failedOrder, status: 'completed' });
+
+      await expect(orderService.retry(1)).rejects.toThrow(ConflictError);
+      expect(prisma.order.update).not.toHaveBeenCalled();
+    });
+
+    it('should refuse once the order is out of attempts', async () => {
+      prisma.order.findUnique.mockResolvedValue({
+        ...failedOrder,
+        attempts: [{ id: 3 }, { id: 2 }, { id: 1 }],
+      });
+
+      await expect(orderService.retry(1)).rejects.toThrow(/attempted 3 times \(max 3\)/);
+    });
+
+    it('should retry automatically on failure when configured', async () => {
+      deliveryConfig.autoRetry = true;
+      prisma.order.findUnique
+        .mockResolvedValueOnce({ ...failedOrder, status: 'assigned', attempts: [] })
+        .mockResolvedValueOnce(failedOrder);
+      prisma.shift.findFirst.mockResolvedValue({ id: 1, driverId: 1, status: 'active' });
+      prisma.orderAttempt.findFirst.mockResolvedValue(null);
+      prisma.$transaction.mockImplementation((callback) =>
+        callback({
+          order: { update: jest.fn().mockResolvedValue(failedOrder) },
+          orderAttempt: { create: jest.fn() },
+        })
+      );
+      prisma.order.update.mockResolvedValue({ ...failedOrder, status: 'pending' });
+
+      const result = await orderService.failOrder(1, 1, 'Site closed');
+
+      expect(result.status).toBe('pending');
+    });
+
+    it('should leave the order failed when the automatic retry is refused', async () => {
+      deliveryConfig.autoRetry = true;
+      const usedUp = { ...failedOrder, attempts: [{ id: 3 }, { id: 2 }, { id: 1 }] };
+      prisma.order.findUnique
+        .mockResolvedValueOnce({ ...usedUp, status: 'assigned' })
+        .mockResolvedValueOnce(usedUp);
+      prisma.shift.findFirst.mockResolvedValue({ id: 1, driverId: 1, status: 'active' });
+      prisma.orderAttempt.findFirst.mockResolvedValue(null);
+      prisma.$transaction.mockImplementation((callback) =>
+        callback({
+          order: { update: jest.fn().mockResolvedValue(usedUp) },
+          orderAttempt: { create: jest.fn() },
+        })
+      );
+
+      const result = await orderService.failOrder(1, 1, 'Site closed');
+
+      expect(result.status).toBe('failed');
+      expect(result.retryError).toMatch(/max 3/);
+      expect(prisma.order.update).not.toHaveBeenCalled();
+    });
+  });
+
   describe('startOrder', () => {
     it('should reject if driver has no active shift', async () => {
       const mockOrder = {
@@ -226,4 +599,795 @@ describe('Order Service', () => {
       await expect(orderService.startOrder(1, 1)).rejects.toThrow(BadRequestError);
     });
   });
+
+  describe('delivery windows', () => {
+    const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000);
+
+    const completeWithWindow = async (window) => {
+      const mockOrder = {
+        id: 1,
+        destinationId: 3,
+        quantity: 5000,
+        lines: [dieselLine(5000)],
+        status: 'in_progress',
+        assignedDriverId: 1,
+        windowStart: null,
+        windowEnd: null,
+        ...window,
+      };
+      prisma.order.findUnique.mockResolvedValue(mockOrder);
+      prisma.shift.findFirst.mockResolvedValue({ id: 1, driverId: 1, status: 'active' });
+      prisma.orderAttempt.findFirst.mockResolvedValue({ id: 1, status: 'in_progress' });
+      const mockTx = {
+        order: { update: jest.fn().mockResolvedValue({ ...mockOrder, status: 'completed' }) },
+        orderAttempt: { update: jest.fn() },
+        inventory: { upsert: jest.fn().mockResolvedValue({ id: 5, quantity: 10000 }) },
+        inventoryTransaction: { create: jest.fn() },
+      };
+      prisma.$transaction.mockImplementation((callback) => callback(mockTx));
+
+      await orderService.completeOrder(1, 1);
+      return mockTx.order.update.mock.calls[0][0].data.timeliness;
+    };
+
+    it('should classify a completion inside the window as on time', async () => {
+      expect(await completeWithWindow({ windowStart: hoursFromNow(-2), windowEnd: hoursFromNow(2) })).toBe('on_time');
+    });
+
+    it('should classify a completion after the window as late', async () => {
+      expect(await completeWithWindow({ windowStart: hoursFromNow(-6), windowEnd: hoursFromNow(-2) })).toBe('late');
+    });
+
+    it('should classify a completion before an open-ended window as early', async () => {
+      expect(await completeWithWindow({ windowStart: hoursFromNow(2) })).toBe('early');
+    });
+
+    it('should not classify orders without a window', async () => {
+      expect(await completeWithWindow({})).toBeNull();
+    });
+
+    it('should filter orders by overlapping window', async () => {
+      prisma.order.findMany.mockResolvedValue([]);
+
+      await orderService.getAll({ windowFrom: '2025-01-14T06:00:00Z', windowTo: '2025-01-14T10:00:00Z' });
+
+      expect(prisma.order.findMany.mock.calls[0][0].where.AND).toEqual([
+        { OR: [{ windowStart: { not: null } }, { windowEnd: { not: null } }] },
+        { OR: [{ windowEnd: null }, { windowEnd: { gte: new Date('2025-01-14T06:00:00Z') } }] },
+        { OR: [{ windowStart: null }, { windowStart: { lte: new Date('2025-01-14T10:00:00Z') } }] },
+      ]);
+    });
+
+    it('should reject a window end before the stored start', async () => {
+      prisma.order.findUnique.mockResolvedValue({
+        id: 1,
+        lines: [dieselLine(5000)],
+        status: 'pending',
+        windowStart: new Date('2025-01-14T06:00:00Z'),
+        windowEnd: null,
+      });
+
+      await expect(
+        orderService.update(1, { windowEnd: new Date('2025-01-14T05:00:00Z') })
+      ).rejects.toThrow(BadRequestError);
+      expect(prisma.order.update).not.toHaveBeenCalled();
+    });
+
+    it('should assign to the requested delivery day by default', async () => {
+      const windowStart = hoursFromNow(72);
+      const update = jest.fn().mockResolvedValue({ id: 1, status: 'assigned' });
+      prisma.order.findUnique.mockResolvedValue({
+        id: 1,
+        sourceId: null,
+        lines: [dieselLine(3000)],
+        status: 'pending',
+        windowStart,
+      });
+      prisma.driver.findUnique.mockResolvedValue({ id: 1 });
+      prisma.vehicleAllocation.findFirst.mockResolvedValue(null);
+      prisma.$transaction.mockImplementation((callback) => callback({ order: { update } }));
+
+      await orderService.assign(1, { driverId: 1 });
+
+      const requestedDay = new Date(windowStart);
+      requestedDay.setHours(0, 0, 0, 0);
+      expect(update.mock.calls[0][0].data.assignedDate).toEqual(requestedDay);
+    });
+  });
+
+  describe('cancel', () => {
+    const admin = { id: 1, role: 'admin' };
+    const dispatcher = { id: 2, role: 'dispatcher' };
+    let tx;
+
+    const mockOrder = (status) => ({
+      id: 1,
+      sourceId: 1,
+      quantity: 5000,
+      lines: [dieselLine(5000)],
+      status,
+      assignedDriverId: status === 'pending' ? null : 1,
+    });
+
+    beforeEach(() => {
+      tx = {
+        order: { update: jest.fn().mockResolvedValue({ id: 1, status: 'cancelled' }) },
+        orderAttempt: { updateMany: jest.fn() },
+        inventory: {
+          update: jest.fn(),
+          upsert: jest.fn().mockResolvedValue({ id: 7, quantity: 45000 }),
+        },
+        inventoryTransaction: { create: jest.fn() },
+      };
+      prisma.$transaction.mockImplementation((callback) => callback(tx));
+    });
+
+    it('should cancel an assigned order, release its reservation and record who cancelled it', async () => {
+      prisma.order.findUnique.mockResolvedValue(mockOrder('assigned'));
+
+      const result = await orderService.cancel(1, { reason: 'Customer withdrew' }, dispatcher);
+
+      expect(result.status).toBe('cancelled');
+      expect(tx.order.update.mock.calls[0][0].data).toMatchObject({
+        status: 'cancelled',
+        cancelledById: 2,
+        cancellationReason: 'Customer withdrew',
+        cancelledAt: expect.any(Date),
+        compartmentLoads: { deleteMany: {} },
+      });
+      expect(tx.inventory.update).toHaveBeenCalledWith({
+        where: { locationId_productId: { locationId: 1, productId: 1 } },
+        data: { reservedQuantity: { decrement: 5000 } },
+      });
+      expect(tx.orderAttempt.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should cancel a pending order without touching inventory', async () => {
+      prisma.order.findUnique.mockResolvedValue(mockOrder('pending'));
+
+      await orderService.cancel(1, { reason: 'Duplicate' }, dispatcher);
+
+      expect(tx.inventory.update).not.toHaveBeenCalled();
+      expect(tx.inventory.upsert).not.toHaveBeenCalled();
+    });
+
+    it('should require an override to cancel an order in progress', async () => {
+      prisma.order.findUnique.mockResolvedValue(mockOrder('in_progress'));
+
+      await expect(orderService.cancel(1, { reason: 'Site closed' }, admin)).rejects.toThrow(ConflictError);
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+
+    it('should only let admins override', async () => {
+      prisma.order.findUnique.mockResolvedValue(mockOrder('in_progress'));
+
+      await expect(
+        orderService.cancel(1, { reason: 'Site closed', override: true }, dispatcher)
+      ).rejects.toThrow(ForbiddenError);
+    });
+
+    it('should return the load and close the attempt when an admin cancels an order in progress', async () => {
+      prisma.order.findUnique.mockResolvedValue(mockOrder('in_progress'));
+
+      await orderService.cancel(1, { reason: 'Site closed', override: true }, admin);
+
+      expect(tx.inventory.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { locationId_productId: { locationId: 1, productId: 1 } },
+          update: { quantity: { increment: 5000 } },
+        })
+      );
+      expect(tx.inventoryTransaction.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ type: 'returned', orderId: 1, reason: 'Cancelled: Site closed' }),
+      });
+      expect(tx.orderAttempt.updateMany).toHaveBeenCalledWith({
+        where: { orderId: 1, status: 'in_progress' },
+        data: expect.objectContaining({ status: 'cancelled', failureReason: 'Site closed' }),
+      });
+    });
+
+    it('should not cancel a completed order', async () => {
+      prisma.order.findUnique.mockResolvedValue(mockOrder('completed'));
+
+      await expect(orderService.cancel(1, { reason: 'Too late' }, admin)).rejects.toThrow(ConflictError);
+    });
+  });
+
+  describe('status history', () => {
+    it('should record who started the order', async () => {
+      const mockOrder = { id: 1, sourceId: null, lines: [dieselLine(5000)], status: 'assigned', assignedDriverId: 1 };
+      prisma.order.findUnique.mockResolvedValue(mockOrder);
+      prisma.shift.findFirst.mockResolvedValue({ id: 1, driverId: 1, status: 'active' });
+      const mockTx = {
+        order: { update: jest.fn().mockResolvedValue({ ...mockOrder, status: 'in_progress' }) },
+        orderAttempt: { create: jest.fn() },
+      };
+      prisma.$transaction.mockImplementation((callback) => callback(mockTx));
+
+      await orderService.startOrder(1, 1, { id: 9, role: 'driver' });
+
+      expect(mockTx.order.update.mock.calls[0][0].data).toEqual({
+        status: 'in_progress',
+        statusHistory: {
+          create: { fromStatus: 'assigned', toStatus: 'in_progress', actorId: 9, reason: null },
+        },
+      });
+    });
+
+    it('should not let the generic update change status', async () => {
+      prisma.order.findUnique.mockResolvedValue({ id: 1, lines: [dieselLine(5000)], status: 'assigned' });
+
+      await expect(orderService.update(1, { status: 'in_progress' })).rejects.toThrow(BadRequestError);
+      await expect(orderService.update(1, { status: 'pending' })).rejects.toThrow(ConflictError);
+      expect(prisma.order.update).not.toHaveBeenCalled();
+    });
+
+    it('should accept the current status on the generic update', async () => {
+      prisma.order.findUnique.mockResolvedValue({ id: 1, destinationId: 3, lines: [dieselLine(5000)], status: 'pending' });
+      prisma.order.update.mockResolvedValue({ id: 1, status: 'pending' });
+
+      await orderService.update(1, { destinationId: 3, status: 'pending' });
+
+      expect(prisma.order.update.mock.calls[0][0].data).toEqual({ destinationId: 3 });
+    });
+
+    it('should clear the route place of an order sent somewhere else', async () => {
+      prisma.order.findUnique.mockResolvedValue({ id: 1, destinationId: 3, lines: [dieselLine(5000)], status: 'assigned' });
+      prisma.order.update.mockResolvedValue({ id: 1, status: 'assigned' });
+
+      await orderService.update(1, { destinationId: 4 });
+
+      expect(prisma.order.update.mock.calls[0][0].data).toEqual({ destinationId: 4, routeSequence: null });
+    });
+
+    it('should list the history of an order oldest first', async () => {
+      const history = [
+        { id: 1, fromStatus: null, toStatus: 'pending' },
+        { id: 2, fromStatus: 'pending', toStatus: 'assigned' },
+      ];
+      prisma.order.findUnique.mockResolvedValue({ id: 1, status: 'assigned' });
+      prisma.orderStatusHistory.findMany.mockResolvedValue(history);
+
+      const result = await orderService.getHistory(1);
+
+      expect(result).toEqual(history);
+      expect(prisma.orderStatusHistory.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { orderId: 1 }, orderBy: [{ createdAt: 'asc' }, { id: 'asc' }] })
+      );
+    });
+
+    it('should 404 the history of a missing order', async () => {
+      prisma.order.findUnique.mockResolvedValue(null);
+
+      await expect(orderService.getHistory(99)).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  describe('remove', () => {
+    it('should delete a pending order that was never dispatched', async () => {
+      prisma.order.findUnique.mockResolvedValue({ id: 1, status: 'pending', attempts: [] });
+      prisma.orderStatusHistory.count.mockResolvedValue(0);
+
+      await orderService.remove(1);
+
+      expect(prisma.orderStatusHistory.count).toHaveBeenCalledWith({
+        where: { orderId: 1, fromStatus: { not: null } },
+      });
+      expect(prisma.order.delete).toHaveBeenCalledWith({ where: { id: 1 } });
+    });
+
+    it('should refuse to delete a requeued order and point to cancel', async () => {
+      prisma.order.findUnique.mockResolvedValue({ id: 1, status: 'pending', attempts: [{ id: 4, status: 'failed' }] });
+      prisma.orderStatusHistory.count.mockResolvedValue(4);
+
+      await expect(orderService.remove(1)).rejects.toThrow('Cancel it instead');
+      expect(prisma.order.delete).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to delete an order that was assigned and unassigned', async () => {
+      prisma.order.findUnique.mockResolvedValue({ id: 1, status: 'pending', attempts: [] });
+      prisma.orderStatusHistory.count.mockResolvedValue(2);
+
+      await expect(orderService.remove(1)).rejects.toThrow(ConflictError);
+      expect(prisma.order.delete).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('priority and SLA', () => {
+    const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+    it('should list orders most urgent first, then newest', async () => {
+      prisma.order.findMany.mockResolvedValue([]);
+
+      await orderService.getAll({ priority: 'high' });
+
+      expect(prisma.order.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { priority: 'high' },
+          orderBy: [{ priority: 'desc' }, { createdAt: 'desc' }],
+        })
+      );
+    });
+
+    it('should look for pending orders older than the SLA of their priority', async () => {
+      prisma.order.findMany.mockResolvedValue([]);
+
+      await orderService.getOverdue();
+
+      const { where, orderBy } = prisma.order.findMany.mock.calls[0][0];
+      expect(where.status).toBe('pending');
+      const emergency = where.OR.find((clause) => clause.priority === 'emergency');
+      const cutoffAge = Date.now() - emergency.createdAt.lt.getTime();
+      expect(cutoffAge).toBeGreaterThanOrEqual(deliveryConfig.slaMinutes.emergency * 60 * 1000);
+      expect(cutoffAge).toBeLessThan((deliveryConfig.slaMinutes.emergency + 1) * 60 * 1000);
+      // Not back in the queue since the cutoff either
+      expect(emergency.statusHistory).toEqual({
+        none: { toStatus: 'pending', createdAt: { gte: emergency.createdAt.lt } },
+      });
+      expect(where.OR).toHaveLength(4);
+      expect(orderBy).toBeUndefined();
+    });
+
+    it('should measure the wait of a requeued order from the requeue', async () => {
+      const { emergency } = deliveryConfig.slaMinutes;
+      prisma.order.findMany.mockResolvedValue([
+        {
+          id: 1,
+          priority: 'emergency',
+          status: 'pending',
+          createdAt: minutesAgo(emergency + 600),
+          statusHistory: [{ toStatus: 'pending', createdAt: minutesAgo(emergency + 10) }],
+        },
+        {
+          id: 2,
+          priority: 'emergency',
+          status: 'pending',
+          createdAt: minutesAgo(emergency + 30),
+          statusHistory: [{ toStatus: 'pending', createdAt: minutesAgo(emergency + 30) }],
+        },
+      ]);
+
+      const orders = await orderService.getOverdue();
+
+      expect(orders.map((order) => order.id)).toEqual([2, 1]);
+      expect(orders[1]).toMatchObject({ waitingMinutes: emergency + 10, overdueMinutes: 10 });
+      expect(orders[1]).not.toHaveProperty('statusHistory');
+    });
+
+    it('should list the most urgent overdue orders first', async () => {
+      prisma.order.findMany.mockResolvedValue([
+        { id: 1, priority: 'low', status: 'pending', createdAt: minutesAgo(10000), statusHistory: [] },
+        { id: 2, priority: 'emergency', status: 'pending', createdAt: minutesAgo(100), statusHistory: [] },
+      ]);
+
+      const orders = await orderService.getOverdue();
+
+      expect(orders.map((order) => order.id)).toEqual([2, 1]);
+    });
+
+    it('should report how long each overdue order has waited', async () => {
+      const { emergency } = deliveryConfig.slaMinutes;
+      prisma.order.findMany.mockResolvedValue([
+        { id: 1, priority: 'emergency', status: 'pending', createdAt: minutesAgo(emergency + 30), statusHistory: [] },
+      ]);
+
+      const [order] = await orderService.getOverdue();
+
+      expect(order).toMatchObject({
+        id: 1,
+        slaMinutes: emergency,
+        waitingMinutes: emergency + 30,
+        overdueMinutes: 30,
+      });
+    });
+  });
+
+  describe('order lines', () => {
+    const petrolLine = (quantity) => ({ productId: 2, quantity, product: petrol });
+
+    it('should turn a single-product payload into one line', async () => {
+      prisma.location.findUnique.mockResolvedValue({ id: 3, name: 'Terminal A', type: 'terminal' });
+      prisma.product.findMany.mockResolvedValue([diesel]);
+      const mockTx = {
+        order: { create: jest.fn().mockResolvedValue({ id: 1, status: 'pending' }) },
+        inventory: { findUnique: jest.fn().mockResolvedValue(null) },
+      };
+      prisma.$transaction.mockImplementation((callback) => callback(mockTx));
+
+      await orderService.create({ destinationId: 3, productId: 1, quantity: 5000 });
+
+      expect(mockTx.order.create.mock.calls[0][0].data).toEqual({
+        destinationId: 3,
+        status: 'pending',
+        statusHistory: { create: { fromStatus: null, toStatus: 'pending', actorId: null, reason: null } },
+        quantity: 5000,
+        lines: { create: [{ productId: 1, quantity: 5000 }] },
+      });
+    });
+
+    it('should reject an order the destination tank has no room for', async () => {
+      prisma.location.findUnique.mockResolvedValue({ id: 3, name: 'Terminal A', type: 'terminal' });
+      prisma.product.findMany.mockResolvedValue([diesel]);
+      const mockTx = {
+        order: { create: jest.fn() },
+        inventory: {
+          findUnique: jest.fn().mockResolvedValue({ id: 5, quantity: 26000, capacityGallons: 30000 }),
+        },
+        orderLine: { aggregate: jest.fn().mockResolvedValue({ _sum: { quantity: null } }) },
+      };
+      prisma.$transaction.mockImplementation((callback) => callback(mockTx));
+
+      await expect(orderService.create({ destinationId: 3, productId: 1, quantity: 5000 })).rejects.toThrow(
+        'leaving room for 4000; 5000 requested'
+      );
+      expect(mockTx.order.create).not.toHaveBeenCalled();
+    });
+
+    it('should create a multi-product order and reserve every line at the hub', async () => {
+      prisma.location.findUnique.mockResolvedValue({ id: 1, name: 'Central Hub', type: 'hub' });
+      prisma.product.findMany.mockResolvedValue([diesel, petrol]);
+      prisma.driver.findUnique.mockResolvedValue({ id: 1 });
+      const mockTx = {
+        order: { create: jest.fn().mockResolvedValue({ id: 1, status: 'assigned' }) },
+        inventory: {
+          findUnique: jest.fn().mockResolvedValue({ id: 7, quantity: 50000, reservedQuantity: 0 }),
+          updateMany: jest.fn().mockResolvedValue({ count: 1 }),
+        },
+      };
+      prisma.$transaction.mockImplementation((callback) => callback(mockTx));
+
+      await orderService.create({
+        sourceId: 1,
+        destinationId: 3,
+        assignedDriverId: 1,
+        lines: [
+          { productId: 1, quantity: 3000 },
+          { productId: 2, quantity: 2000 },
+        ],
+      });
+
+      expect(mockTx.inventory.findUnique).toHaveBeenCalledWith({
+        where: { locationId_productId: { locationId: 1, productId: 2 } },
+      });
+      expect(mockTx.inventory.updateMany).toHaveBeenCalledTimes(2);
+      expect(mockTx.order.create.mock.calls[0][0].data).toMatchObject({
+        quantity: 5000,
+        status: 'assigned',
+        lines: {
+          create: [
+            { productId: 1, quantity: 3000 },
+            { productId: 2, quantity: 2000 },
+          ],
+        },
+      });
+    });
+
+    it('should reject lines for unknown products', async () => {
+      prisma.location.findUnique.mockResolvedValue({ id: 3, name: 'Terminal A', type: 'terminal' });
+      prisma.product.findMany.mockResolvedValue([diesel]);
+
+      await expect(
+        orderService.create({ destinationId: 3, lines: [{ productId: 1, quantity: 100 }, { productId: 9, quantity: 100 }] })
+      ).rejects.toThrow('Product with ID 9 not found');
+    });
+
+    it('should deliver every line to the destination on completion', async () => {
+      const mockOrder = {
+        id: 1,
+        destinationId: 3,
+        destination: { latitude: null, longitude: null },
+        quantity: 5000,
+        lines: [dieselLine(3000), petrolLine(2000)],
+        status: 'in_progress',
+        assignedDriverId: 1,
+      };
+      prisma.order.findUnique.mockResolvedValue(mockOrder);
+      prisma.shift.findFirst.mockResolvedValue({ id: 1, driverId: 1, status: 'active' });
+      prisma.orderAttempt.findFirst.mockResolvedValue({ id: 1, status: 'in_progress' });
+      const mockTx = {
+        order: { update: jest.fn().mockResolvedValue({ ...mockOrder, status: 'completed' }) },
+        orderAttempt: { update: jest.fn() },
+        inventory: { upsert: jest.fn().mockResolvedValue({ id: 5, quantity: 10000 }) },
+        inventoryTransaction: { create: jest.fn() },
+      };
+      prisma.$transaction.mockImplementation((callback) => callback(mockTx));
+
+      await orderService.completeOrder(1, 1);
+
+      expect(mockTx.inventory.upsert).toHaveBeenCalledTimes(2);
+      expect(mockTx.inventory.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { locationId_productId: { locationId: 3, productId: 2 } },
+          update: { quantity: { increment: 2000 } },
+        })
+      );
+    });
+
+    it('should replace the lines of a pending order', async () => {
+      prisma.order.findUnique.mockResolvedValue({ id: 1, status: 'pending', lines: [dieselLine(5000)] });
+      prisma.product.findMany.mockResolvedValue([diesel]);
+
+      await orderService.update(1, { quantity: 6000 });
+
+      expect(prisma.order.update).toHaveBeenCalledWith(
+        expect.objectContaining({
+          data: {
+            quantity: 6000,
+            lines: { deleteMany: {}, create: [{ productId: 1, quantity: 6000 }] },
+          },
+        })
+      );
+    });
+
+    it('should not change lines once the order is assigned', async () => {
+      prisma.order.findUnique.mockResolvedValue({ id: 1, status: 'assigned', lines: [dieselLine(5000)] });
+
+      await expect(orderService.update(1, { quantity: 6000 })).rejects.toThrow(ConflictError);
+      expect(prisma.order.update).not.toHaveBeenCalled();
+    });
+
+    it('should require lines to change a multi-product order', async () => {
+      prisma.order.findUnique.mockResolvedValue({
+        id: 1,
+        status: 'pending',
+        lines: [dieselLine(3000), petrolLine(2000)],
+      });
+
+      await expect(orderService.update(1, { quantity: 6000 })).rejects.toThrow(BadRequestError);
+    });
+  });
+
+  describe('vehicle capacity', () => {
+    const mockOrder = { id: 1, sourceId: null, quantity: 3000, lines: [dieselLine(3000)], status: 'pending' };
+
+    beforeEach(() => {
+      prisma.order.findUnique.mockResolvedValue(mockOrder);
+      prisma.driver.findUnique.mockResolvedValue({ id: 1 });
+      prisma.vehicleAllocation.findFirst.mockResolvedValue({
+        id: 4,
+        vehicle: { id: 2, registrationNumber: 'TX-FP-002', capacityGallons: 5000 },
+      });
+      prisma.vehicleCompartment.findMany.mockResolvedValue([]);
+      prisma.$transaction.mockImplementation((callback) =>
+        callback({ order: { update: jest.fn().mockResolvedValue({ ...mockOrder, status: 'assigned' }) } })
+      );
+    });
+
+    it('should assign when the day\'s load fits the vehicle', async () => {
+      prisma.order.aggregate.mockResolvedValue({ _sum: { quantity: 2000 } });
+
+      const result = await orderService.assign(1, { driverId: 1 });
+
+      expect(result.status).toBe('assigned');
+      expect(result.capacityWarning).toBeUndefined();
+      expect(prisma.order.aggregate).toHaveBeenCalledWith({
+        where: expect.objectContaining({
+          assignedDriverId: 1,
+          status: { in: ['assigned', 'in_progress'] },
+          id: { not: 1 },
+        }),
+        _sum: { quantity: true },
+      });
+    });
+
+    it('should reject assignments that overload the vehicle', async () => {
+      prisma.order.aggregate.mockResolvedValue({ _sum: { quantity: 2500 } });
+
+      await expect(orderService.assign(1, { driverId: 1 })).rejects.toThrow(/TX-FP-002 holds 5000 gallons/);
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+
+    it('should assign with a warning when over capacity is allowed', async () => {
+      prisma.order.aggregate.mockResolvedValue({ _sum: { quantity: 2500 } });
+
+      const result = await orderService.assign(1, { driverId: 1, allowOverCapacity: true });
+
+      expect(result.status).toBe('assigned');
+      expect(result.capacityWarning).toMatch(/^Over capacity/);
+    });
+
+    it('should skip the check when the driver has no vehicle allocated', async () => {
+      prisma.vehicleAllocation.findFirst.mockResolvedValue(null);
+
+      await orderService.assign(1, { driverId: 1 });
+
+      expect(prisma.order.aggregate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('vehicle compartments', () => {
+    const mockOrder = { id: 1, sourceId: null, quantity: 3000, lines: [dieselLine(3000)], status: 'pending' };
+    let tx;
+
+    const compartment = (id, capacityGallons, allowedProducts = [], loads = []) => ({
+      id,
+      position: id,
+      capacityGallons,
+      allowedProducts,
+      loads,
+    });
+
+    beforeEach(() => {
+      prisma.order.findUnique.mockResolvedValue(mockOrder);
+      prisma.driver.findUnique.mockResolvedValue({ id: 1 });
+      prisma.vehicleAllocation.findFirst.mockResolvedValue({
+        id: 4,
+        vehicle: { id: 1, registrationNumber: 'TX-FP-001', capacityGallons: null },
+      });
+      tx = { order: { update: jest.fn().mockResolvedValue({ ...mockOrder, status: 'assigned' }) } };
+      prisma.$transaction.mockImplementation((callback) => callback(tx));
+    });
+
+    it('should fill the compartment already holding the product first', async () => {
+      prisma.vehicleCompartment.findMany.mockResolvedValue([
+        compartment(1, 3000),
+        compartment(2, 3000, [], [{ quantity: 1000, product: diesel, order: { id: 7, status: 'assigned' } }]),
+      ]);
+
+      await orderService.assign(1, { driverId: 1 });
+
+      expect(tx.order.update.mock.calls[0][0].data.compartmentLoads).toEqual({
+        deleteMany: {},
+        create: [
+          { compartmentId: 2, productId: 1, quantity: 2000 },
+          { compartmentId: 1, productId: 1, quantity: 1000 },
+        ],
+      });
+    });
+
+    it('should not mix products in a compartment', async () => {
+      prisma.vehicleCompartment.findMany.mockResolvedValue([
+        compartment(1, 3000, [], [{ quantity: 500, product: petrol, order: { id: 7, status: 'in_progress' } }]),
+      ]);
+
+      await expect(
+        orderService.assign(1, { driverId: 1, compartments: [{ compartmentId: 1, quantity: 3000 }] })
+      ).rejects.toThrow('Compartment 1 already holds Petrol');
+      await expect(orderService.assign(1, { driverId: 1 })).rejects.toThrow(ConflictError);
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+
+    it('should reject compartments that do not allow the product', async () => {
+      prisma.vehicleCompartment.findMany.mockResolvedValue([compartment(1, 3000, [petrol])]);
+
+      await expect(
+        orderService.assign(1, { driverId: 1, compartments: [{ compartmentId: 1, quantity: 3000 }] })
+      ).rejects.toThrow('Compartment 1 only carries Petrol');
+    });
+
+    it('should reject compartments on a vehicle without any', async () => {
+      prisma.vehicleCompartment.findMany.mockResolvedValue([]);
+
+      await expect(
+        orderService.assign(1, { driverId: 1, compartments: [{ compartmentId: 1, quantity: 3000 }] })
+      ).rejects.toThrow(BadRequestError);
+    });
+  });
+
+  describe('source hub inventory', () => {
+    const mockShift = { id: 1, driverId: 1, status: 'active' };
+
+    const buildTx = (order, inventory = null) => ({
+      order: {
+        update: jest.fn().mockResolvedValue(order),
+      },
+      orderAttempt: {
+        create: jest.fn(),
+        update: jest.fn(),
+      },
+      inventory: {
+        upsert: jest.fn(),
+        findUnique: jest.fn().mockResolvedValue(inventory),
+        update: jest.fn().mockResolvedValue({ id: 7, quantity: 45000 }),
+        updateMany: jest.fn().mockResolvedValue({ count: 1 }),
+      },
+      inventoryTransaction: {
+        create: jest.fn(),
+      },
+    });
+
+    it('should reserve hub stock when assigning a pending order', async () => {
+      const mockOrder = { id: 1, sourceId: 1, quantity: 5000, lines: [dieselLine(5000)], status: 'pending' };
+      prisma.order.findUnique.mockResolvedValue(mockOrder);
+      prisma.driver.findUnique.mockResolvedValue({ id: 1 });
+
+      const mockTx = buildTx({ ...mockOrder, status: 'assigned' }, { id: 7, quantity: 50000, reservedQuantity: 0 });
+      prisma.$transaction.mockImplementation((callback) => callback(mockTx));
+
+      await orderService.assign(1, { driverId: 1 });
+
+      expect(mockTx.inventory.updateMany).toHaveBeenCalledWith({
+        where: { id: 7, reservedQuantity: 0, quantity: { gte: 5000 } },
+        data: { reservedQuantity: { increment: 5000 } },
+      });
+    });
+
+    it('should reject assignment when the stock changes while reserving', async () => {
+      const mockOrder = { id: 1, sourceId: 1, quantity: 5000, lines: [dieselLine(5000)], status: 'pending' };
+      prisma.order.findUnique.mockResolvedValue(mockOrder);
+      prisma.driver.findUnique.mockResolvedValue({ id: 1 });
+
+      const mockTx = buildTx(mockOrder, { id: 7, quantity: 50000, reservedQuantity: 0 });
+      mockTx.inventory.updateMany.mockResolvedValue({ count: 0 });
+      prisma.$transaction.mockImplementation((callback) => callback(mockTx));
+
+      await expect(orderService.assign(1, { driverId: 1 })).rejects.toThrow(ConflictError);
+      expect(mockTx.order.update).not.toHaveBeenCalled();
+    });
+
+    it('should reject assignment when hub stock is already reserved', async () => {
+      const mockOrder = { id: 1, sourceId: 1, quantity: 5000, lines: [dieselLine(5000)], status: 'pending' };
+      prisma.order.findUnique.mockResolvedValue(mockOrder);
+      prisma.driver.findUnique.mockResolvedValue({ id: 1 });
+
+      const mockTx = buildTx(mockOrder, { id: 7, quantity: 8000, reservedQuantity: 4000 });
+      prisma.$transaction.mockImplementation((callback) => callback(mockTx));
+
+      await expect(orderService.assign(1, { driverId: 1 })).rejects.toThrow(ConflictError);
+      expect(mockTx.order.update).not.toHaveBeenCalled();
+    });
+
+    it('should not reserve twice when reassigning to another driver', async () => {
+      const mockOrder = { id: 1, sourceId: 1, quantity: 5000, lines: [dieselLine(5000)], status: 'assigned' };
+      prisma.order.findUnique.mockResolvedValue(mockOrder);
+      prisma.driver.findUnique.mockResolvedValue({ id: 2 });
+
+      const mockTx = buildTx(mockOrder);
+      prisma.$transaction.mockImplementation((callback) => callback(mockTx));
+
+      await orderService.assign(1, { driverId: 2 });
+
+      expect(mockTx.inventory.update).not.toHaveBeenCalled();
+      expect(mockTx.inventory.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should reject a source location that is not a hub', async () => {
+      prisma.location.findUnique.mockResolvedValue({ id: 3, name: 'Terminal A', type: 'terminal' });
+      prisma.product.findMany.mockResolvedValue([diesel]);
+
+      await expect(
+        orderService.create({ sourceId: 3, destinationId: 3, productId: 1, quantity: 100 })
+      ).rejects.toThrow(BadRequestError);
+    });
+
+    it('should draw down hub stock when the order is started', async () => {
+      const mockOrder = { id: 1, sourceId: 1, quantity: 5000, lines: [dieselLine(5000)], status: 'assigned', assignedDriverId: 1 };
+      prisma.order.findUnique.mockResolvedValue(mockOrder);
+      prisma.shift.findFirst.mockResolvedValue(mockShift);
+
+      const mockTx = buildTx({ ...mockOrder, status: 'in_progress' });
+      prisma.$transaction.mockImplementation((callback) => callback(mockTx));
+
+      await orderService.startOrder(1, 1);
+
+      expect(mockTx.inventory.update).toHaveBeenCalledWith({
+        where: { locationId_productId: { locationId: 1, productId: 1 } },
+        data: {
+          quantity: { decrement: 5000 },
+          reservedQuantity: { decrement: 5000 },
+        },
+      });
+      expect(mockTx.inventoryTransaction.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ type: 'load', delta: -5000, orderId: 1 }),
+      });
+    });
+
+    it('should release the reservation when an assigned order fails', async () => {
+      const mockOrder = { id: 1, sourceId: 1, quantity: 5000, lines: [dieselLine(5000)], status: 'assigned', assignedDriverId: 1 };
+      prisma.order.findUnique.mockResolvedValue(mockOrder);
+      prisma.shift.findFirst.mockResolvedValue(mockShift);
+      prisma.orderAttempt.findFirst.mockResolvedValue(null);
+
+      const mockTx = buildTx({ ...mockOrder, status: 'failed' });
+      prisma.$transaction.mockImplementation((callback) => callback(mockTx));
+
+      await orderService.failOrder(1, 1, 'Hub pump offline');
+
+      expect(mockTx.inventory.update).toHaveBeenCalledWith({
+        where: { locationId_productId: { locationId: 1, productId: 1 } },
+        data: { reservedQuantity: { decrement: 5000 } },
+      });
+      expect(mockTx.inventory.upsert).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,54 @@
+'use strict';
+
+/**
+ * Unit Tests for Route Sequencing
+ * Tests stop ordering (nearest neighbour + 2-opt) and leg distances
+ */
+
+const { legs, sequence } = require('../../src/utils/route-sequence');
+
+// Points along a line of latitude, roughly 11 km apart
+const at = (x, id = x) => ({ id, latitude: 29.7 + x * 0.1, longitude: -95.4 });
+
+describe('Route Sequencing', () => {
+  it('should visit stops along a line in order from the start', () => {
+    const route = sequence(at(0, 'hub'), [at(3), at(1), at(2)]);
+
+    expect(route.map(({ stop }) => stop.id)).toEqual([1, 2, 3]);
+    expect(route[0].legMeters).toBeGreaterThan(11000);
+    expect(route[0].legMeters).toBeLessThan(11200);
+  });
+
+  it('should improve on nearest neighbour with 2-opt', () => {
+    // Nearest neighbour goes 1, 2, 3, 4; swapping 2 and 3 saves about 10 km
+    const hub = { id: 'hub', latitude: 0, longitude: 0 };
+    const stops = [
+      { id: 1, latitude: 0.1, longitude: 0.2 },
+      { id: 2, latitude: 0.3, longitude: 0.6 },
+      { id: 3, latitude: 0.1, longitude: 0.7 },
+      { id: 4, latitude: 0.6, longitude: 0.8 },
+    ];
+    const total = (route) => route.reduce((sum, leg) => sum + leg.legMeters, 0);
+
+    const route = sequence(hub, stops);
+
+    expect(route.map(({ stop }) => stop.id)).toEqual([1, 3, 2, 4]);
+    expect(total(route)).toBeLessThan(total(legs(hub, stops)));
+  });
+
+  it('should put stops without coordinates last, with no leg distance', () => {
+    const unknown = { id: 'unknown', latitude: null, longitude: null };
+
+    const route = sequence(at(0, 'hub'), [unknown, at(1)]);
+
+    expect(route.map(({ stop }) => stop.id)).toEqual([1, 'unknown']);
+    expect(route[1].legMeters).toBeNull();
+  });
+
+  it('should leave the first leg unknown without a start', () => {
+    const route = sequence(null, [at(2), at(1), at(3)]);
+
+    expect(route[0].legMeters).toBeNull();
+    expect(route.map(({ stop }) => stop.id)).toHaveLength(3);
+  });
+});
@@ -0,0 +1,126 @@
+'use strict';
+
+/**
+ * Unit Tests for Route Service
+ * Tests planning and storing a driver's stop sequence, and reading it back
+ */
+
+jest.mock('../../src/utils/prisma', () => ({
+  driver: { findUnique: jest.fn() },
+  order: { findMany: jest.fn() },
+  $transaction: jest.fn(),
+}));
+
+const prisma = require('../../src/utils/prisma');
+const routeService = require('../../src/services/route.service');
+const { NotFoundError } = require('../../src/utils/errors');
+
+const hub = { id: 1, name: 'North Hub', latitude: 29.7, longitude: -95.4 };
+const terminal = (id, x) => ({ id, name: `Terminal ${id}`, address: null, latitude: 29.7 + x * 0.1, longitude: -95.4 });
+
+const order = (id, destination, extra = {}) => ({
+  id,
+  status: 'assigned',
+  quantity: 1000,
+  source: hub,
+  destination,
+  routeSequence: null,
+  routeLegMeters: null,
+  ...extra,
+});
+
+describe('Route Service', () => {
+  let mockTx;
+
+  beforeEach(() => {
+    prisma.driver.findUnique.mockResolvedValue({ id: 1, name: 'John' });
+    mockTx = { order: { update: jest.fn() } };
+    prisma.$transaction.mockImplementation((callback) => callback(mockTx));
+  });
+
+  it('should sequence the day from the hub and store the result', async () => {
+    prisma.order.findMany.mockResolvedValue([
+      order(10, terminal(3, 2)),
+      order(11, terminal(4, 1)),
+      order(12, terminal(5, 3)),
+    ]);
+
+    const route = await routeService.sequenceRoute(1, '2026-01-25');
+
+    expect(route.start).toMatchObject({ id: hub.id, name: hub.name });
+    expect(route.sequenced).toBe(true);
+    expect(route.stops.map((stop) => stop.orderId)).toEqual([11, 10, 12]);
+    expect(route.stops.map((stop) => stop.sequence)).toEqual([1, 2, 3]);
+    expect(route.stops[2].cumulativeMeters).toBe(route.totalDistanceMeters);
+    expect(mockTx.order.update).toHaveBeenCalledTimes(3);
+    expect(mockTx.order.update).toHaveBeenCalledWith({
+      where: { id: 11 },
+      data: { routeSequence: 1, routeLegMeters: expect.any(Number) },
+    });
+  });
+
+  it('should return the stored sequence when every order has a place', async () => {
+    prisma.order.findMany.mockResolvedValue([
+      order(10, terminal(3, 2), { routeSequence: 2, routeLegMeters: 11000 }),
+      order(11, terminal(4, 1), { routeSequence: 1, routeLegMeters: 11000 }),
+    ]);
+
+    const route = await routeService.getRoute(1, '2026-01-25');
+
+    expect(route.stops.map((stop) => stop.orderId)).toEqual([11, 10]);
+    expect(route.totalDistanceMeters).toBe(22000);
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+
+  it('should list orders without a place last, without planning them', async () => {
+    prisma.order.findMany.mockResolvedValue([
+      order(10, terminal(3, 2)),
+      order(11, terminal(4, 1), { routeSequence: 1, routeLegMeters: 11000 }),
+    ]);
+
+    const route = await routeService.getRoute(1, '2026-01-25');
+
+    expect(route.sequenced).toBe(false);
+    expect(route.stops.map((stop) => [stop.orderId, stop.sequence])).toEqual([
+      [11, 1],
+      [10, null],
+    ]);
+    expect(route.totalDistanceMeters).toBe(11000);
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+
+  it('should keep started stops in place when an order joins the day', async () => {
+    prisma.order.findMany.mockResolvedValue([
+      order(10, terminal(3, 3), { status: 'completed', routeSequence: 1, routeLegMeters: 33000 }),
+      order(11, terminal(4, 1)),
+      order(12, terminal(5, 2), { routeSequence: 2, routeLegMeters: 11000 }),
+    ]);
+
+    const route = await routeService.sequenceRoute(1, '2026-01-25');
+
+    // From the completed stop furthest out, the nearer of the open stops comes first
+    expect(route.stops.map((stop) => stop.orderId)).toEqual([10, 12, 11]);
+    expect(route.stops[0].legMeters).toBe(route.stops[0].cumulativeMeters);
+  });
+
+  it('should only route the day\'s outstanding and finished orders', async () => {
+    prisma.order.findMany.mockResolvedValue([]);
+
+    const route = await routeService.getRoute(1, '2026-01-25');
+
+    expect(route).toMatchObject({ start: null, totalDistanceMeters: 0, stops: [] });
+    const { where } = prisma.order.findMany.mock.calls[0][0];
+    expect(where).toMatchObject({
+      assignedDriverId: 1,
+      status: { in: ['assigned', 'in_progress', 'completed', 'failed'] },
+    });
+    expect(where.assignedDate.getDate()).toBe(25);
+  });
+
+  it('should 404 for an unknown driver', async () => {
+    prisma.driver.findUnique.mockResolvedValue(null);
+
+    await expect(routeService.getRoute(99, '2026-01-25')).rejects.toThrow(NotFoundError);
+    await expect(routeService.sequenceRoute(99, '2026-01-25')).rejects.toThrow(NotFoundError);
+  });
+});
@@ -32,7 +32,7 @@ jest.mock('../../src/services/allocation.service', () => ({
 const prisma = require('../../src/utils/prisma');
 const allocationService = require('../../src/services/allocation.service');
 const shiftService = require('../../src/services/shift.service');
-const { BadRequestError, ConflictError, NotFoundError } = require('../../src/utils/errors');
+const { BadRequestError, ConflictError, NotFoundError, ForbiddenError } = require('../../src/utils/errors');
 
 describe('Shift Service', () => {
   beforeEach(() => {
@@ -117,6 +117,28 @@ describe('Shift Service', () => {
       expect(result.status).toBe('completed');
     });
 
+    it('should not count completed, failed or cancelled orders as incomplete', async () => {
+      const mockShift = {
+        id: 1,
+        driverId: 1,
+        shiftDate: new Date(),
+        status: 'active',
+        driver: { id: 1, name: 'John Smith' },
+        vehicleAllocation: { vehicle: { id: 1 } },
+        orderAttempts: [],
+      };
+
+      prisma.shift.findUnique.mockResolvedValue(mockShift);
+      prisma.order.findMany.mockResolvedValue([]);
+      prisma.shift.update.mockResolvedValue({ ...mockShift, status: 'completed' });
+
+      await shiftService.end(1, 1);
+
+      expect(prisma.order.findMany).toHaveBeenCalledWith({
+        where: expect.objectContaining({ status: { in: ['assigned', 'in_progress'] } }),
+      });
+    });
+
     it('should block shift end if incomplete orders exist', async () => {
       const mockShift = {
         id: 1,
@@ -167,7 +189,37 @@ describe('Shift Service', () => {
 
       prisma.shift.findUnique.mockResolvedValue(mockShift);
 
-      await expect(shiftService.end(1, 2)).rejects.toThrow(BadRequestError); // Driver 2 tries to end
+      await expect(shiftService.end(1, 2)).rejects.toThrow(ForbiddenError); // Driver 2 tries to end
+    });
+  });
+
+  describe('endActiveForDriver', () => {
+    it('should end the driver\'s active shift', async () => {
+      const mockShift = {
+        id: 4,
+        driverId: 1,
+        shiftDate: new Date(),
+        status: 'active',
+        driver: { id: 1 },
+        vehicleAllocation: null,
+        orderAttempts: [],
+      };
+
+      prisma.shift.findFirst.mockResolvedValue(mockShift);
+      prisma.shift.findUnique.mockResolvedValue(mockShift);
+      prisma.order.findMany.mockResolvedValue([]);
+      prisma.shift.update.mockResolvedValue({ ...mockShift, status: 'completed' });
+
+      const result = await shiftService.endActiveForDriver(1);
+
+      expect(result.status).toBe('completed');
+      expect(prisma.shift.update).toHaveBeenCalledWith(expect.objectContaining({ where: { id: 4 } }));
+    });
+
+    it('should reject if driver has no active shift', async () => {
+      prisma.shift.findFirst.mockResolvedValue(null);
+
+      await expect(shiftService.endActiveForDriver(1)).rejects.toThrow(BadRequestError);
     });
   });
 
@@ -0,0 +1,143 @@
+'use strict';
+
+/**
+ * Unit Tests for Track Service
+ * Tests paged streaming and GPX/GeoJSON/KML rendering
+ */
+
+jest.mock('../../src/utils/prisma', () => ({
+  vehicle: {
+    findUnique: jest.fn(),
+  },
+  shift: {
+    findUnique: jest.fn(),
+  },
+  orderAttempt: {
+    findMany: jest.fn(),
+  },
+  gpsLocation: {
+    findMany: jest.fn(),
+  },
+}));
+
+const prisma = require('../../src/utils/prisma');
+const trackService = require('../../src/services/track.service');
+const { NotFoundError } = require('../../src/utils/errors');
+
+const start = new Date('2026-01-20T08:00:00Z').getTime();
+const point = (id, minute, latitude) => ({
+  id,
+  latitude,
+  longitude: -95.37,
+  recordedAt: new Date(start + minute * 60000),
+});
+
+// Drives, parks for 5 minutes, drives on
+const points = [
+  point(1, 0, 29.7),
+  point(2, 1, 29.71),
+  point(3, 3, 29.71),
+  point(4, 6, 29.71),
+  point(5, 7, 29.72),
+];
+
+const track = {
+  meta: { name: 'Vehicle TX-FP-001', description: 'Full GPS track' },
+  where: { vehicleId: 1 },
+  destinations: [{ orderId: 4, name: 'Bay & Port Terminal', status: 'completed', latitude: 29.75, longitude: -95.3 }],
+  filename: 'vehicle-1-track',
+};
+
+const render = async (format) => {
+  const chunks = [];
+  await trackService.exportTrack(track, format, async (chunk) => chunks.push(chunk));
+  return chunks;
+};
+
+describe('Track Service', () => {
+  beforeEach(() => {
+    prisma.gpsLocation.findMany.mockResolvedValueOnce(points).mockResolvedValueOnce([]);
+  });
+
+  describe('exportTrack', () => {
+    it('should render GeoJSON with the track, stops and destinations', async () => {
+      const geojson = JSON.parse((await render('geojson')).join(''));
+
+      expect(geojson.type).toBe('FeatureCollection');
+      expect(geojson.features[0].geometry).toEqual({
+        type: 'LineString',
+        coordinates: points.map((p) => [p.longitude, p.latitude]),
+      });
+      expect(geojson.features.slice(1).map((f) => f.properties.kind)).toEqual(['stop', 'destination']);
+      expect(geojson.features[1].properties.durationSeconds).toBe(300);
+      expect(geojson.features[2].properties.orderId).toBe(4);
+    });
+
+    it('should render GPX with destinations as waypoints before the track', async () => {
+      const gpx = (await render('gpx')).join('');
+
+      expect(gpx.indexOf('<wpt lat="29.75" lon="-95.3">')).toBeLessThan(gpx.indexOf('<trk>'));
+      expect(gpx).toContain('<name>Bay &amp; Port Terminal</name>');
+      expect(gpx.match(/<trkpt /g)).toHaveLength(5);
+      expect(gpx).toContain('<time>2026-01-20T08:00:00.000Z</time>');
+    });
+
+    it('should render KML with the track and placemarks', async () => {
+      const kml = (await render('kml')).join('');
+
+      expect(kml).toContain('<LineString><tessellate>1</tessellate><coordinates>\n-95.37,29.7,0\n');
+      expect(kml).toContain('<name>Stop (5 min)</name>');
+      expect(kml).toContain('<name>Bay &amp; Port Terminal</name>');
+      expect(kml.trim().endsWith('</kml>')).toBe(true);
+    });
+
+    it('should page through points with a cursor', async () => {
+      prisma.gpsLocation.findMany.mockReset();
+      const page = Array.from({ length: 1000 }, (_, i) => point(i + 1, i, 29.7));
+      prisma.gpsLocation.findMany.mockResolvedValueOnce(page).mockResolvedValueOnce([point(1001, 1000, 29.7)]);
+
+      const chunks = await render('kml');
+
+      expect(prisma.gpsLocation.findMany).toHaveBeenCalledTimes(2);
+      expect(prisma.gpsLocation.findMany.mock.calls[1][0]).toEqual(
+        expect.objectContaining({ cursor: { id: 1000 }, skip: 1, take: 1000 })
+      );
+      // Header, one chunk per page, footer
+      expect(chunks).toHaveLength(4);
+    });
+  });
+
+  describe('getVehicleTrack', () => {
+    it('should filter points and attempts by the date range', async () => {
+      prisma.vehicle.findUnique.mockResolvedValue({ id: 1, registrationNumber: 'TX-FP-001' });
+      prisma.orderAttempt.findMany.mockResolvedValue([
+        { order: { id: 4, status: 'completed', destination: { name: 'Port', latitude: 29.75, longitude: -95.3 } } },
+        { order: { id: 4, status: 'completed', destination: { name: 'Port', latitude: 29.75, longitude: -95.3 } } },
+        { order: { id: 5, status: 'failed', destination: { name: 'Unmapped', latitude: null, longitude: null } } },
+      ]);
+
+      const result = await trackService.getVehicleTrack(1, { from: '2026-01-20', to: '2026-01-21' });
+
+      const range = { gte: new Date('2026-01-20'), lte: new Date('2026-01-21') };
+      expect(result.where).toEqual({ vehicleId: 1, recordedAt: range });
+      expect(prisma.orderAttempt.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { shift: { vehicleAllocation: { vehicleId: 1 } }, createdAt: range } })
+      );
+      expect(result.destinations).toEqual([expect.objectContaining({ orderId: 4, name: 'Port' })]);
+    });
+
+    it('should reject unknown vehicles', async () => {
+      prisma.vehicle.findUnique.mockResolvedValue(null);
+
+      await expect(trackService.getVehicleTrack(99, {})).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  describe('getShiftTrack', () => {
+    it('should reject unknown shifts', async () => {
+      prisma.shift.findUnique.mockResolvedValue(null);
+
+      await expect(trackService.getShiftTrack(99)).rejects.toThrow(NotFoundError);
+    });
+  });
+});
@@ -0,0 +1,145 @@
+'use strict';
+
+/**
+ * Unit Tests for Trip Service
+ * Tests distance, moving/idle time and stop detection from GPS points
+ */
+
+jest.mock('../../src/utils/prisma', () => ({
+  shift: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+  },
+  gpsLocation: {
+    findMany: jest.fn(),
+  },
+  vehicle: {
+    findUnique: jest.fn(),
+  },
+  driver: {
+    findUnique: jest.fn(),
+  },
+}));
+
+const prisma = require('../../src/utils/prisma');
+const tripService = require('../../src/services/trip.service');
+const { NotFoundError } = require('../../src/utils/errors');
+
+// Points one minute apart; 0.01 degree of latitude is ~1.11 km (~67 km/h over a minute)
+const start = new Date('2026-01-20T08:00:00Z').getTime();
+const at = (minute, latitude, shiftId = 1) => ({
+  shiftId,
+  latitude,
+  longitude: -95.37,
+  recordedAt: new Date(start + minute * 60000),
+});
+
+describe('Trip Service', () => {
+  describe('summarize', () => {
+    it('should split moving and idle time and detect stops', () => {
+      const summary = tripService.summarize([
+        at(0, 29.7),
+        at(1, 29.71),
+        at(2, 29.72),
+        // Parked for 5 minutes
+        at(3, 29.72),
+        at(5, 29.72),
+        at(7, 29.72),
+        at(8, 29.73),
+      ]);
+
+      expect(summary.pointCount).toBe(7);
+      expect(summary.distanceKm).toBeCloseTo(3.34, 1);
+      expect(summary.movingSeconds).toBe(180);
+      expect(summary.idleSeconds).toBe(300);
+      expect(summary.maxSpeedKmh).toBeCloseTo(66.7, 0);
+      expect(summary.averageSpeedKmh).toBeCloseTo(66.7, 0);
+      expect(summary.stops).toEqual([
+        expect.objectContaining({
+          latitude: 29.72,
+          startedAt: at(2, 0).recordedAt,
+          endedAt: at(7, 0).recordedAt,
+          durationSeconds: 300,
+        }),
+      ]);
+    });
+
+    it('should not report short idle stretches as stops', () => {
+      const summary = tripService.summarize([at(0, 29.7), at(1, 29.7), at(2, 29.71)]);
+
+      expect(summary.idleSeconds).toBe(60);
+      expect(summary.stops).toHaveLength(0);
+    });
+
+    it('should handle shifts without GPS', () => {
+      expect(tripService.summarize([])).toEqual(
+        expect.objectContaining({ pointCount: 0, distanceKm: 0, averageSpeedKmh: 0, startedAt: null })
+      );
+    });
+  });
+
+  describe('getShiftSummary', () => {
+    it('should summarize the shift points', async () => {
+      prisma.shift.findUnique.mockResolvedValue({
+        id: 1,
+        driverId: 2,
+        shiftDate: new Date('2026-01-20'),
+        vehicleAllocation: { vehicleId: 3 },
+      });
+      prisma.gpsLocation.findMany.mockResolvedValue([at(0, 29.7), at(1, 29.71)]);
+
+      const summary = await tripService.getShiftSummary(1);
+
+      expect(prisma.gpsLocation.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { shiftId: { in: [1] } }, orderBy: { recordedAt: 'asc' } })
+      );
+      expect(summary).toEqual(expect.objectContaining({ shiftId: 1, driverId: 2, vehicleId: 3, pointCount: 2 }));
+    });
+
+    it('should reject unknown shifts', async () => {
+      prisma.shift.findUnique.mockResolvedValue(null);
+
+      await expect(tripService.getShiftSummary(99)).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  describe('getVehicleSummary', () => {
+    it('should total per-shift summaries without bridging the gap between shifts', async () => {
+      prisma.vehicle.findUnique.mockResolvedValue({ id: 3 });
+      prisma.shift.findMany.mockResolvedValue([
+        { id: 1, driverId: 2, shiftDate: new Date('2026-01-20'), vehicleAllocation: { vehicleId: 3 } },
+        { id: 2, driverId: 4, shiftDate: new Date('2026-01-21'), vehicleAllocation: { vehicleId: 3 } },
+      ]);
+      // Second shift starts 10 km away; only in-shift movement counts
+      prisma.gpsLocation.findMany.mockResolvedValue([
+        at(0, 29.7, 1),
+        at(1, 29.71, 1),
+        at(1440, 29.8, 2),
+        at(1441, 29.81, 2),
+      ]);
+
+      const totals = await tripService.getVehicleSummary(3, { from: '2026-01-20', to: '2026-01-21' });
+
+      expect(prisma.shift.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: {
+            vehicleAllocation: { vehicleId: 3 },
+            shiftDate: { gte: new Date('2026-01-20'), lte: new Date('2026-01-21') },
+          },
+        })
+      );
+      expect(totals.shiftCount).toBe(2);
+      expect(totals.distanceKm).toBeCloseTo(2.22, 1);
+      expect(totals.movingSeconds).toBe(120);
+      expect(totals.shifts.map((s) => s.driverId)).toEqual([2, 4]);
+    });
+
+    it('should reject unknown vehicles', async () => {
+      prisma.vehicle.findUnique.mockResolvedValue(null);
+
+      await expect(
+        tripService.getVehicleSummary(99, { from: '2026-01-20', to: '2026-01-21' })
+      ).rejects.toThrow(NotFoundError);
+    });
+  });
+});
@@ -0,0 +1,134 @@
+'use strict';
+
+/**
+ * Unit Tests for Visit Service
+ * Tests geofence checks and arrival/departure tracking
+ */
+
+jest.mock('../../src/utils/prisma', () => ({
+  location: {
+    findMany: jest.fn(),
+    findUnique: jest.fn(),
+  },
+  locationVisit: {
+    findMany: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+  },
+  order: {
+    findFirst: jest.fn(),
+  },
+  shift: {
+    findUnique: jest.fn(),
+  },
+}));
+
+const prisma = require('../../src/utils/prisma');
+const visitService = require('../../src/services/visit.service');
+const { NotFoundError } = require('../../src/utils/errors');
+
+describe('Visit Service', () => {
+  // ~111 m per 0.001 degree of latitude
+  const terminal = { id: 3, latitude: 29.7, longitude: -95.4, geofenceRadius: 150, geofencePolygon: null };
+  const shift = { id: 5, driverId: 1, vehicleId: 2 };
+  const inside = { latitude: 29.7005, longitude: -95.4, recordedAt: new Date('2026-01-20T09:00:00Z') };
+  const outside = { latitude: 29.71, longitude: -95.4, recordedAt: new Date('2026-01-20T09:30:00Z') };
+
+  describe('isInsideGeofence', () => {
+    it('should use the radius around the location', () => {
+      expect(visitService.isInsideGeofence(terminal, inside)).toBe(true);
+      expect(visitService.isInsideGeofence(terminal, outside)).toBe(false);
+    });
+
+    it('should prefer a polygon when configured', () => {
+      const fenced = {
+        ...terminal,
+        geofencePolygon: [
+          { latitude: 29.705, longitude: -95.41 },
+          { latitude: 29.705, longitude: -95.39 },
+          { latitude: 29.715, longitude: -95.39 },
+          { latitude: 29.715, longitude: -95.41 },
+        ],
+      };
+
+      expect(visitService.isInsideGeofence(fenced, outside)).toBe(true);
+      expect(visitService.isInsideGeofence(fenced, inside)).toBe(false);
+    });
+
+    it('should never match a location without coordinates or polygon', () => {
+      const unmapped = { ...terminal, latitude: null, longitude: null };
+      expect(visitService.isInsideGeofence(unmapped, inside)).toBe(false);
+    });
+  });
+
+  describe('track', () => {
+    beforeEach(() => {
+      prisma.location.findMany.mockResolvedValue([terminal]);
+      prisma.locationVisit.findMany.mockResolvedValue([]);
+      prisma.locationVisit.create.mockImplementation(({ data }) => Promise.resolve({ id: 9, ...data }));
+    });
+
+    it('should record an arrival linked to the in-progress order for that destination', async () => {
+      prisma.order.findFirst.mockResolvedValue({ id: 42 });
+
+      const arrivals = await visitService.track(shift, [inside]);
+
+      expect(prisma.order.findFirst).toHaveBeenCalledWith({
+        where: { assignedDriverId: 1, destinationId: 3, status: 'in_progress' },
+      });
+      expect(prisma.locationVisit.create).toHaveBeenCalledWith({
+        data: {
+          locationId: 3,
+          shiftId: 5,
+          vehicleId: 2,
+          orderId: 42,
+          arrivedAt: inside.recordedAt,
+        },
+      });
+      expect(arrivals).toEqual([expect.objectContaining({ id: 9, locationId: 3 })]);
+    });
+
+    it('should close the open visit when the vehicle leaves', async () => {
+      prisma.locationVisit.findMany.mockResolvedValue([{ id: 9, locationId: 3, departedAt: null }]);
+
+      await visitService.track(shift, [outside]);
+
+      expect(prisma.locationVisit.update).toHaveBeenCalledWith({
+        where: { id: 9 },
+        data: { departedAt: outside.recordedAt },
+      });
+      expect(prisma.locationVisit.create).not.toHaveBeenCalled();
+    });
+
+    it('should not reopen a visit while the vehicle stays inside', async () => {
+      prisma.locationVisit.findMany.mockResolvedValue([{ id: 9, locationId: 3, departedAt: null }]);
+
+      await visitService.track(shift, [inside]);
+
+      expect(prisma.locationVisit.create).not.toHaveBeenCalled();
+      expect(prisma.locationVisit.update).not.toHaveBeenCalled();
+    });
+
+    it('should replay points in time order', async () => {
+      prisma.order.findFirst.mockResolvedValue(null);
+
+      await visitService.track(shift, [outside, inside]);
+
+      expect(prisma.locationVisit.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ arrivedAt: inside.recordedAt, orderId: null }),
+      });
+      expect(prisma.locationVisit.update).toHaveBeenCalledWith({
+        where: { id: 9 },
+        data: { departedAt: outside.recordedAt },
+      });
+    });
+  });
+
+  describe('getByShift', () => {
+    it('should reject unknown shifts', async () => {
+      prisma.shift.findUnique.mockResolvedValue(null);
+
+      await expect(visitService.getByShift(99)).rejects.toThrow(NotFoundError);
+    });
+  });
+});